@@ -0,0 +1,181 @@
+// VibeShift service worker
+// App shell: index.html and the built /assets/* are cached on install, so the
+// installed app opens offline. Page loads go to the network first and fall
+// back to the cached shell; hashed assets are served cache-first. Other
+// origins (the bandit backend, weather, Canvas) are never cached here.
+//
+// Delayed check-in notifications: clicking one focuses (or opens) the app
+// with ?checkin=<sessionId> so it can show the rating prompt.
+//
+// Background sync "vibeshift-outbox" sends the queued reward updates itself
+// from each profile's IndexedDB outbox, with the rules of src/outbox.ts
+// (oldest first, stop at the first transient failure, drop on a permanent
+// 4xx), marks their sessions, and tells open windows what went out. A failed
+// pass rejects, so the browser tries the sync again later.
+
+const CACHE = "vibeshift-shell-v1";
+const SHELL = ["/", "/manifest.webmanifest", "/favicon.svg"];
+const SYNC_TAG = "vibeshift-outbox";
+
+// The built index.html names its hashed bundles; cache those with it.
+async function precache() {
+  const cache = await caches.open(CACHE);
+  await cache.addAll(SHELL);
+  const html = await (await cache.match("/")).text();
+  const assets = [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map((m) => m[1]);
+  await cache.addAll(assets);
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(precache().catch(() => {}).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    for (const key of await caches.keys()) if (key !== CACHE) await caches.delete(key);
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  const url = new URL(req.url);
+  if (req.method !== "GET" || url.origin !== self.location.origin) return;
+
+  if (req.mode === "navigate") {
+    event.respondWith((async () => {
+      try {
+        const res = await fetch(req);
+        if (res.ok) (await caches.open(CACHE)).put("/", res.clone());
+        return res;
+      } catch {
+        return (await caches.match("/")) ?? Response.error();
+      }
+    })());
+    return;
+  }
+
+  if (url.pathname.startsWith("/assets/") || SHELL.includes(url.pathname)) {
+    event.respondWith((async () => {
+      const hit = await caches.match(req);
+      if (hit) return hit;
+      const res = await fetch(req);
+      if (res.ok) (await caches.open(CACHE)).put(req, res.clone());
+      return res;
+    })());
+  }
+});
+
+// ---------- Reward outbox ----------
+const UPDATE_TIMEOUT_MS = 8000;
+const permanent = (status) => status >= 400 && status < 500 && status !== 408 && status !== 429;
+
+const idbRequest = (req) => new Promise((resolve, reject) => { req.onsuccess = () => resolve(req.result); req.onerror = () => reject(req.error); });
+
+// Resolves once the transaction commits, as src/idb.ts → tx does.
+function idbTx(db, store, mode, fn) {
+  return new Promise((resolve, reject) => {
+    const t = db.transaction(store, mode);
+    const req = fn(t.objectStore(store));
+    t.oncomplete = () => resolve(req.result);
+    t.onerror = () => reject(t.error);
+    t.onabort = () => reject(t.error);
+  });
+}
+
+// "vibeshift" and "vibeshift@<profile id>" (src/profiles.ts).
+async function profileDbs() {
+  const all = indexedDB.databases ? await indexedDB.databases() : [{ name: "vibeshift" }];
+  return all.map((d) => d.name).filter((n) => n === "vibeshift" || n?.startsWith("vibeshift@"));
+}
+
+// Removes or rewrites the entry only while it still holds this reward.
+const settle = (db, u, next) => idbTx(db, "outbox", "readwrite", (s) => {
+  const req = s.get(u.actionId);
+  req.addEventListener("success", () => {
+    if (req.result?.key !== u.key) return;
+    if (next) s.put(next);
+    else s.delete(u.actionId);
+  });
+  return req;
+});
+
+const markSession = (db, id, rewardStatus) => idbTx(db, "sessions", "readwrite", (s) => {
+  const req = s.get(id);
+  req.addEventListener("success", () => { if (req.result) s.put({ ...req.result, rewardStatus, updatedAt: Date.now() }); });
+  return req;
+});
+
+async function sendUpdate(u) {
+  try {
+    const r = await fetch(u.endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-Request-Id": crypto.randomUUID(), "Idempotency-Key": u.key },
+      body: JSON.stringify({ user_id: u.userId, action_id: u.actionId, context: u.context, reward: u.reward, ...u.details }),
+      signal: AbortSignal.timeout(UPDATE_TIMEOUT_MS),
+    });
+    const reply = r.ok ? await r.json().catch(() => null) : null;
+    if (r.ok && reply?.ok === true) return { status: r.status };
+    return { status: r.status, error: r.ok ? "bandit/update: invalid reply" : `bandit/update ${r.status}` };
+  } catch (err) {
+    return { status: 0, error: `bandit/update unreachable: ${err.message}` };
+  }
+}
+
+// One profile's outbox. Entries without an endpoint were queued for the
+// in-browser mock and wait for the app.
+async function drainDb(name) {
+  const db = await idbRequest(indexedDB.open(name));
+  const results = [];
+  try {
+    if (!db.objectStoreNames.contains("outbox")) return { results };
+    const queued = (await idbTx(db, "outbox", "readonly", (s) => s.getAll())).sort((a, b) => a.queuedAt - b.queuedAt);
+    for (const u of queued) {
+      if (!u.endpoint) continue;
+      const { status, error } = await sendUpdate(u);
+      if (!error || permanent(status)) {
+        await settle(db, u);
+        const result = { sessionId: u.sessionId, status: error ? "failed" : "sent", ...(error ? { error } : {}) };
+        await markSession(db, u.sessionId, result.status).catch(() => {});
+        results.push(result);
+        continue;
+      }
+      await settle(db, u, { ...u, attempts: u.attempts + 1, lastError: error });
+      return { results, error };
+    }
+    return { results };
+  } finally {
+    db.close();
+  }
+}
+
+async function drainOutboxes() {
+  const results = [];
+  const errors = [];
+  for (const name of await profileDbs()) {
+    const pass = await drainDb(name).catch((err) => ({ results: [], error: err.message }));
+    results.push(...pass.results);
+    if (pass.error) errors.push(pass.error);
+  }
+  for (const w of await self.clients.matchAll({ type: "window" })) w.postMessage({ type: SYNC_TAG, results });
+  if (errors.length) throw new Error(errors.join("; "));
+}
+
+self.addEventListener("sync", (event) => {
+  if (event.tag !== SYNC_TAG) return;
+  event.waitUntil(drainOutboxes());
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const sessionId = event.notification.data?.sessionId;
+  if (!sessionId) return;
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+    for (const w of windows) {
+      w.postMessage({ type: "checkin", sessionId });
+      if ("focus" in w) return w.focus();
+    }
+    return self.clients.openWindow(`/?checkin=${encodeURIComponent(sessionId)}`);
+  })());
+});
@@ -0,0 +1,48 @@
+// VibeShift — Discrete action grid + curve targets for the bandit backend
+// ----------------------------------------------------------------------
+// Every arm the bandit can pull is one combination of curve gains, tempo
+// offset, set length and the instrumental flag. Ids are stable strings so
+// persisted per-user models keep lining up across restarts.
+
+import type { Action, TrackTarget } from "../src/bandit";
+import { pathTargets } from "../src/curve";
+import { GOALS, type Goal } from "../src/goals";
+import type { Mood } from "../src/mood";
+import { DEFAULT_SHAPE, type Shape } from "../src/shapes";
+
+const GRID = {
+  kv: [0.3, 0.6, 0.9],
+  ke: [0.2, 0.4, 0.6],
+  kt: [-0.3, 0, 0.3],
+  kd: [0.1, 0.3],
+  tempo_offset: [-8, 0, 8],
+  N: [8, 10, 12],
+  instrumental: [0, 1] as (0|1)[],
+};
+
+export function actionId(a: Omit<Action, "id">): string {
+  return `kv${a.kv}_ke${a.ke}_kt${a.kt}_kd${a.kd}_to${a.tempo_offset}_n${a.N}_i${a.instrumental}`;
+}
+
+function buildGrid(): Action[] {
+  const out: Action[] = [];
+  for (const kv of GRID.kv) for (const ke of GRID.ke) for (const kt of GRID.kt) for (const kd of GRID.kd)
+    for (const tempo_offset of GRID.tempo_offset) for (const N of GRID.N) for (const instrumental of GRID.instrumental) {
+      const a = { kv, ke, kt, kd, tempo_offset, N, instrumental };
+      out.push({ id: actionId(a), ...a });
+    }
+  return out;
+}
+
+export const ACTIONS: Action[] = buildGrid();
+export const ACTIONS_BY_ID = new Map(ACTIONS.map(a => [a.id, a]));
+
+// Action features, roughly scaled to [-1, 1] so they mix well with context features.
+export function actionFeatures(a: Action): number[] {
+  return [a.kv, a.ke, a.kt, a.kd, a.tempo_offset / 8, (a.N - 10) / 2, a.instrumental];
+}
+
+// The local curve (src/curve.ts), with the arm's tempo offset on the base BPM.
+export function curveTargets(start: Mood, base_bpm: number, a: Action, goal: Goal = GOALS.balanced, shape: Shape = DEFAULT_SHAPE): TrackTarget[] {
+  return pathTargets(start, { ...a, baseBpm: base_bpm + a.tempo_offset, goal, shape });
+}
@@ -0,0 +1,88 @@
+// VibeShift — Context validation + feature map for the bandit backend
+// -------------------------------------------------------------------
+
+import type { Context } from "../src/bandit";
+import { GOAL_IDS, GOALS, isGoalId } from "../src/goals";
+import { NEUTRAL_AROUSAL } from "../src/mood";
+
+const NUMERIC_FIELDS = [
+  "start_mood", "base_bpm", "daypart", "sleep_deficit_h", "hrv_z", "rhr_z", "steps_z",
+  "gloom_index", "spend_anomaly", "grade_surprise", "genre_cluster",
+] as const;
+const BOOLEAN_FIELDS = ["explicit_ok", "no_lyrics"] as const;
+
+export const GENRE_CLUSTERS = 5;
+
+// Returns the context or a human-readable reason it was rejected.
+export function parseContext(raw: any): Context | string {
+  if (!raw || typeof raw !== "object") return "context must be an object";
+  for (const k of NUMERIC_FIELDS) {
+    if (typeof raw[k] !== "number" || !Number.isFinite(raw[k])) return `context.${k} must be a finite number`;
+  }
+  for (const k of BOOLEAN_FIELDS) {
+    if (typeof raw[k] !== "boolean") return `context.${k} must be a boolean`;
+  }
+  // Clients from before goals existed omit them; treat those as "balanced".
+  const goal = raw.goal ?? "balanced";
+  if (!isGoalId(goal)) return `context.goal must be one of ${GOAL_IDS.join(", ")}`;
+  // Likewise arousal (rewards queued before the mood plane): neutral, and the goal's setpoint.
+  if (raw.start_arousal !== undefined && !Number.isFinite(raw.start_arousal)) return "context.start_arousal must be a finite number";
+  const out: any = {
+    goal,
+    target_mood: Number.isFinite(raw.target_mood) ? raw.target_mood : GOALS[goal].target,
+    start_arousal: raw.start_arousal ?? NEUTRAL_AROUSAL,
+    target_arousal: Number.isFinite(raw.target_arousal) ? raw.target_arousal : GOALS[goal].arousal,
+  };
+  for (const k of [...NUMERIC_FIELDS, ...BOOLEAN_FIELDS]) out[k] = raw[k];
+  return out as Context;
+}
+
+// Roughly unit-scaled features with a leading bias term. Daypart is encoded
+// on the circle so 23h and 0h sit next to each other.
+//
+// Changing this list means bumping FEATURE_VERSION and adding a migration
+// below, or every stored model would have to start over.
+export const FEATURE_VERSION = 3;
+
+// How a context vector of each earlier version (and its length, for models
+// saved before they recorded one) becomes the next version's. `next` must be
+// linear in its input, with constants scaled by the bias x[0], so that past
+// observations carry over exactly (linucb.ts → migrateState).
+export const CONTEXT_MIGRATIONS: { version: number; length: number; next: (x: number[]) => number[] }[] = [
+  // Goals: the mood gap was taken to 50, the "balanced" setpoint, so every
+  // earlier session was a balanced one.
+  { version: 1, length: 19, next: x => [...x, x[0], 0, 0, 0] },
+  // Arousal: earlier contexts read as neutral arousal (parseContext), so the
+  // gap is the goal's setpoint off neutral, picked out by the goal one-hot.
+  {
+    version: 2,
+    length: 23,
+    next: x => {
+      const goal = x.slice(-GOAL_IDS.length);
+      const gap = GOAL_IDS.reduce((s, id, i) => s + goal[i] * (NEUTRAL_AROUSAL - GOALS[id].arousal) / 50, 0);
+      return [x[0], x[1], gap, ...x.slice(2)];
+    },
+  },
+];
+
+export function contextFeatures(c: Context): number[] {
+  const h = (2 * Math.PI * c.daypart) / 24;
+  const genre = Array.from({ length: GENRE_CLUSTERS }, (_, i) => (Math.round(c.genre_cluster) === i ? 1 : 0));
+  const goal = GOAL_IDS.map(id => (c.goal === id ? 1 : 0));
+  return [
+    1,
+    (c.start_mood - c.target_mood) / 50,
+    (c.start_arousal - c.target_arousal) / 50,
+    (c.base_bpm - 96) / 30,
+    c.explicit_ok ? 1 : 0,
+    c.no_lyrics ? 1 : 0,
+    Math.sin(h), Math.cos(h),
+    c.sleep_deficit_h / 3,
+    c.hrv_z / 2, c.rhr_z / 2, c.steps_z / 2,
+    c.gloom_index,
+    c.spend_anomaly,
+    c.grade_surprise,
+    ...genre,
+    ...goal,
+  ];
+}
@@ -0,0 +1,49 @@
+// VibeShift — Off-policy evaluation report
+// ----------------------------------------
+// Reads the decision logs the backend writes (store.ts) and prints how each
+// candidate policy would have done on them (ope.ts), as a markdown report:
+//
+//   npm run evaluate                                   all users, built-in candidates
+//   npm run evaluate -- --user u-123                   one user's log
+//   npm run evaluate -- --candidates candidates.json   your own list (same shape as CANDIDATES)
+//   npm run evaluate -- --json report.json             also write the raw numbers
+//   npm run evaluate -- --log sim.jsonl                a log file from anywhere (e.g. npm run simulate)
+//
+// VIBESHIFT_DATA_DIR points at the logs, as for the server.
+
+import { readFileSync, writeFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import { SHAPE_IDS } from "../src/shapes";
+import { evaluate, formatReport, type Candidate } from "./ope";
+import { DATA_DIR, loadDecisions, readDecisionFile } from "./store";
+
+const CANDIDATES: Candidate[] = [
+  { id: "greedy", label: "Greedy on the reward model", greedy: true },
+  { id: "greedy-eps", label: "Greedy, 10% uniform", greedy: true, epsilon: 0.1 },
+  { id: "gentle", label: "Gentle gains (kv 0.3, ke 0.2)", pin: { kv: 0.3, ke: 0.2 } },
+  { id: "strong", label: "Strong gains (kv 0.9, ke 0.6)", pin: { kv: 0.9, ke: 0.6 } },
+  { id: "instrumental", label: "Always instrumental", pin: { instrumental: 1 } },
+  // reported apart: the logged sessions re-scored, and shape means (see ope.ts)
+  { id: "mood-first", label: "Reward: mood first", weights: { toward: 0.7, emoji: 0.15, completion: 0.1 } },
+  { id: "emoji-first", label: "Reward: emoji first", weights: { toward: 0.3, emoji: 0.5 } },
+  ...SHAPE_IDS.filter(id => id !== "custom").map((id): Candidate => ({ id: `shape-${id}`, label: `Shape: ${id}`, shape: id })),
+];
+
+function readCandidates(file: string): Candidate[] {
+  const raw = JSON.parse(readFileSync(file, "utf8"));
+  if (!Array.isArray(raw) || !raw.every(c => typeof c?.id === "string")) throw new Error(`${file}: expected an array of candidates, each with an id`);
+  return raw;
+}
+
+const { values } = parseArgs({
+  options: { user: { type: "string" }, candidates: { type: "string" }, json: { type: "string" }, log: { type: "string" } },
+});
+
+const records = values.log ? readDecisionFile(values.log).filter(r => !values.user || r.user_id === values.user) : loadDecisions(values.user);
+if (!records.length) {
+  console.error(`No decision logs${values.user ? ` for ${values.user}` : ""} in ${values.log ?? DATA_DIR}`);
+  process.exit(1);
+}
+const report = evaluate(records, values.candidates ? readCandidates(values.candidates) : CANDIDATES);
+console.log(formatReport(report));
+if (values.json) writeFileSync(values.json, JSON.stringify(report, null, 2));
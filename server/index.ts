@@ -0,0 +1,77 @@
+// VibeShift — Local bandit backend
+// --------------------------------
+// Answers the three calls src/bandit.ts makes:
+//   POST /bandit/act          { user_id, context }                     → ActResponse
+//   POST /bandit/update       { user_id, action_id, context, reward, outcome?, shape? } → { ok, n, revised }
+//                             (optional Idempotency-Key header: a repeated key gets the first reply)
+//                             (each rewarded decision is appended to the user's decision log, store.ts)
+//   POST /playlist/recommend  { start_mood, start_arousal?, base_bpm, action, goal?, shape? } → { targets }
+//
+// A client's X-Request-Id is echoed on the reply and tagged on server errors.
+// The handlers themselves live in routes.ts.
+//
+// Run with `npm run server` (PORT defaults to 8080, same as VITE_BANDIT_API).
+
+import { randomUUID } from "node:crypto";
+import { createServer, type IncomingMessage, type ServerResponse } from "node:http";
+import { ACTIONS } from "./actions";
+import { createRoutes, HttpError } from "./routes";
+import { DATA_DIR, loadUser, logDecision, saveUser } from "./store";
+
+const PORT = Number(process.env.PORT) || 8080;
+const MAX_BODY = 64 * 1024;
+const ROUTES = createRoutes({ loadUser, saveUser, logDecision });
+
+function readJson(req: IncomingMessage): Promise<any> {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks: Buffer[] = [];
+    req.on("data", (c: Buffer) => {
+      size += c.length;
+      if (size > MAX_BODY) { reject(new HttpError(413, "body too large")); req.destroy(); return; }
+      chunks.push(c);
+    });
+    req.on("end", () => {
+      try { resolve(JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}")); }
+      catch { reject(new HttpError(400, "invalid JSON")); }
+    });
+    req.on("error", reject);
+  });
+}
+
+const CORS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Content-Type, Idempotency-Key, X-Request-Id",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Expose-Headers": "X-Request-Id",
+};
+
+function send(res: ServerResponse, status: number, body: unknown, requestId: string) {
+  res.writeHead(status, { "Content-Type": "application/json", "X-Request-Id": requestId, ...CORS });
+  res.end(JSON.stringify(body));
+}
+
+const header = (req: IncomingMessage, name: string) => {
+  const v = req.headers[name];
+  return typeof v === "string" && v ? v.slice(0, 200) : undefined;
+};
+
+const server = createServer(async (req, res) => {
+  if (req.method === "OPTIONS") { res.writeHead(204, CORS); res.end(); return; }
+  const requestId = header(req, "x-request-id") ?? randomUUID();
+  const path = new URL(req.url || "/", "http://localhost").pathname;
+  const handler = ROUTES[`${req.method} ${path}`];
+  if (!handler) return send(res, 404, { error: `no route for ${req.method} ${path}` }, requestId);
+  try {
+    const body = req.method === "POST" ? await readJson(req) : {};
+    send(res, 200, await handler(body, header(req, "idempotency-key")), requestId);
+  } catch (e) {
+    const status = e instanceof HttpError ? e.status : 500;
+    if (status === 500) console.error(`[${requestId}]`, e);
+    send(res, status, { error: (e as Error).message, request_id: requestId }, requestId);
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`VibeShift bandit backend on http://localhost:${PORT} (${ACTIONS.length} actions, state in ${DATA_DIR})`);
+});
@@ -0,0 +1,207 @@
+// VibeShift — LinUCB over joint (context × action) features
+// ---------------------------------------------------------
+// One shared ridge regression per user on φ(x, a) = vec([1, x] ⊗ [1, a]),
+// so what is learned about one arm generalises to its neighbours in the grid.
+// Selection is ε-greedy on top of the UCB score: that keeps every arm
+// reachable and makes the logged propensity exact rather than estimated.
+//
+// A saved model records the feature-map version it was trained on; when the
+// map changes, restoreUser carries it over rather than starting it again.
+
+import type { Action, Context } from "../src/bandit";
+import { ACTIONS, ACTIONS_BY_ID, actionFeatures } from "./actions";
+import { CONTEXT_MIGRATIONS, contextFeatures, FEATURE_VERSION, parseContext } from "./context";
+import type { UserState } from "./store";
+
+export type LinUCBState = {
+  version?: number; // feature map (context.ts → FEATURE_VERSION); missing on models saved before it was recorded
+  dim: number;
+  Ainv: number[]; // dim × dim, row-major
+  b: number[];
+  n: number;      // number of rewards folded in
+};
+
+export type Choice = { action: Action; propensity: number; expected_score: number };
+
+export const ALPHA = 0.8;    // exploration bonus on the confidence width
+export const EPSILON = 0.1;  // uniform exploration mass
+const LAMBDA = 1;            // ridge prior
+
+export function features(c: Context, a: Action): number[] {
+  const x = contextFeatures(c);
+  const y = [1, ...actionFeatures(a)];
+  const out = new Array(x.length * y.length);
+  for (let i = 0; i < x.length; i++) for (let j = 0; j < y.length; j++) out[i * y.length + j] = x[i] * y[j];
+  return out;
+}
+
+export function featureDim(): number {
+  return features(placeholderContext(), ACTIONS[0]).length;
+}
+
+export function initState(dim = featureDim()): LinUCBState {
+  const Ainv = new Array(dim * dim).fill(0);
+  for (let i = 0; i < dim; i++) Ainv[i * dim + i] = 1 / LAMBDA;
+  return { version: FEATURE_VERSION, dim, Ainv, b: new Array(dim).fill(0), n: 0 };
+}
+
+function matVec(M: number[], v: number[], d: number): number[] {
+  const out = new Array(d).fill(0);
+  for (let i = 0; i < d; i++) {
+    let s = 0;
+    for (let j = 0; j < d; j++) s += M[i * d + j] * v[j];
+    out[i] = s;
+  }
+  return out;
+}
+
+const dot = (a: number[], b: number[]) => a.reduce((s, x, i) => s + x * b[i], 0);
+
+// φ = x ⊗ y, so θ·φ = y·u and φᵀA⁻¹φ = yᵀMy, with u and M folded over the
+// context once; each arm then costs O(|y|²) instead of O(dim²).
+function scoreAll(s: LinUCBState, c: Context) {
+  const d = s.dim;
+  const x = contextFeatures(c);
+  const Y = d / x.length;
+  const theta = matVec(s.Ainv, s.b, d);
+  const nz = x.map((_, i) => i).filter(i => x[i] !== 0);
+  const u = new Array(Y).fill(0);
+  const M = new Array(Y * Y).fill(0);
+  for (const i of nz) {
+    for (let j = 0; j < Y; j++) u[j] += x[i] * theta[i * Y + j];
+    for (const k of nz) {
+      const w = x[i] * x[k];
+      for (let j = 0; j < Y; j++) {
+        const row = (i * Y + j) * d + k * Y;
+        for (let l = 0; l < Y; l++) M[j * Y + l] += w * s.Ainv[row + l];
+      }
+    }
+  }
+  return ACTIONS.map(a => {
+    const y = [1, ...actionFeatures(a)];
+    const mean = dot(u, y);
+    const width = Math.sqrt(Math.max(0, dot(y, matVec(M, y, Y))));
+    return { action: a, mean, ucb: mean + ALPHA * width };
+  });
+}
+
+export function choose(s: LinUCBState, c: Context, rand: () => number = Math.random): Choice {
+  const scored = scoreAll(s, c);
+  const best = Math.max(...scored.map(x => x.ucb));
+  const ties = scored.filter(x => best - x.ucb < 1e-12);
+  const K = scored.length;
+
+  const pick = rand() < EPSILON ? scored[Math.floor(rand() * K)] : ties[Math.floor(rand() * ties.length)];
+  const greedy = ties.includes(pick);
+  const propensity = EPSILON / K + (greedy ? (1 - EPSILON) / ties.length : 0);
+  return { action: pick.action, propensity, expected_score: pick.mean };
+}
+
+// Sherman–Morrison rank-one update of A⁻¹ plus b += r·φ.
+export function update(s: LinUCBState, c: Context, a: Action, reward: number): LinUCBState {
+  const d = s.dim;
+  const phi = features(c, a);
+  const Ap = matVec(s.Ainv, phi, d);
+  const denom = 1 + dot(phi, Ap);
+  const Ainv = s.Ainv.slice();
+  for (let i = 0; i < d; i++) for (let j = 0; j < d; j++) Ainv[i * d + j] -= (Ap[i] * Ap[j]) / denom;
+  const b = s.b.map((x, i) => x + reward * phi[i]);
+  return { ...s, Ainv, b, n: s.n + 1 };
+}
+
+// Replace the reward of an observation that was already folded in (e.g. a
+// delayed check-in revising it). φ is unchanged, so only b moves and the
+// result is exactly what update() would have produced with the new reward.
+export function revise(s: LinUCBState, c: Context, a: Action, oldReward: number, newReward: number): LinUCBState {
+  const phi = features(c, a);
+  return { ...s, b: s.b.map((x, i) => x + (newReward - oldReward) * phi[i]) };
+}
+
+// Gauss–Jordan with partial pivoting; null when M is singular.
+function invert(M: number[], d: number): number[] | null {
+  const a = M.slice();
+  const inv = new Array(d * d).fill(0);
+  for (let i = 0; i < d; i++) inv[i * d + i] = 1;
+  for (let c = 0; c < d; c++) {
+    let p = c;
+    for (let r = c + 1; r < d; r++) if (Math.abs(a[r * d + c]) > Math.abs(a[p * d + c])) p = r;
+    if (Math.abs(a[p * d + c]) < 1e-12) return null;
+    for (const m of [a, inv]) for (let k = 0; k < d; k++) [m[c * d + k], m[p * d + k]] = [m[p * d + k], m[c * d + k]];
+    const piv = a[c * d + c];
+    for (let k = 0; k < d; k++) { a[c * d + k] /= piv; inv[c * d + k] /= piv; }
+    for (let r = 0; r < d; r++) {
+      const f = a[r * d + c];
+      if (r === c || f === 0) continue;
+      for (let k = 0; k < d; k++) { a[r * d + k] -= f * a[c * d + k]; inv[r * d + k] -= f * inv[c * d + k]; }
+    }
+  }
+  return inv;
+}
+
+// Carry a model trained on an earlier feature map over to the current one.
+// A = λI + Σφφᵀ and b = Σrφ; with each old context x mapped to Tx, every past
+// φ becomes (T ⊗ I)φ, so the data part and b are rewritten through that and
+// the result is what the model would be had it seen the current features all
+// along. Null when the version can't be told or the matrix can't be inverted.
+export function migrateState(s: LinUCBState): LinUCBState | null {
+  const Y = 1 + actionFeatures(ACTIONS[0]).length;
+  const version = s.version ?? CONTEXT_MIGRATIONS.find(m => m.length * Y === s.dim)?.version ?? (s.dim === featureDim() ? FEATURE_VERSION : undefined);
+  if (version === FEATURE_VERSION) return s.dim === featureDim() ? { ...s, version } : null;
+  const steps = CONTEXT_MIGRATIONS.filter(m => version !== undefined && m.version >= version);
+  if (!steps.length || steps[0].length * Y !== s.dim) return null;
+
+  const A = invert(s.Ainv, s.dim);
+  if (!A) return null;
+  let d = s.dim;
+  let S = A.map((x, i) => x - (i % (d + 1) === 0 ? LAMBDA : 0));
+  let b = s.b;
+  for (const m of steps) {
+    const X = d / Y;
+    const cols = Array.from({ length: X }, (_, k) => m.next(Array.from({ length: X }, (_, i) => (i === k ? 1 : 0))));
+    const X2 = cols[0].length, d2 = X2 * Y;
+    // (T ⊗ I)[(i, j), (k, l)] = T[i][k] when j = l; the rows are sparse, so keep only the non-zeros.
+    const Tj = Array.from({ length: d2 }, (_, r) => {
+      const i = Math.floor(r / Y), j = r % Y;
+      return cols.flatMap((col, k) => (col[i] ? [[k * Y + j, col[i]] as [number, number]] : []));
+    });
+    const TS = Tj.map(row => Array.from({ length: d }, (_, c) => row.reduce((acc, [k, t]) => acc + t * S[k * d + c], 0)));
+    const S2 = new Array(d2 * d2);
+    for (let r = 0; r < d2; r++) for (let c = 0; c < d2; c++) S2[r * d2 + c] = Tj[c].reduce((acc, [k, t]) => acc + TS[r][k] * t, 0);
+    b = Tj.map(row => row.reduce((acc, [k, t]) => acc + t * b[k], 0));
+    S = S2;
+    d = d2;
+  }
+  const Ainv = invert(S.map((x, i) => x + (i % (d + 1) === 0 ? LAMBDA : 0)), d);
+  return Ainv && d === featureDim() ? { version: FEATURE_VERSION, dim: d, Ainv, b, n: s.n } : null;
+}
+
+// A user's saved state, brought up to the current feature map. Stored contexts
+// go through parseContext again so revisions get the fields added since. If
+// the model can't be migrated, it is rebuilt from the rewards still on file
+// (the latest MAX_APPLIED); pending decisions are kept either way, so queued
+// rewards still land.
+export function restoreUser(raw: any, user_id: string, warn: (msg: string) => void = console.warn): UserState {
+  const applied: UserState["applied"] = {};
+  for (const [id, d] of Object.entries<any>(raw?.applied ?? {})) {
+    const context = parseContext(d?.context);
+    if (typeof context !== "string") applied[id] = { ...d, context };
+  }
+  const s: UserState = { user_id, model: initState(), pending: raw?.pending ?? {}, applied, replies: raw?.replies ?? {} };
+  const migrated = raw?.model && migrateState(raw.model);
+  if (migrated) return { ...s, model: migrated };
+  if (!raw?.model) return s;
+  for (const d of Object.values(applied).sort((x, y) => x.t - y.t)) {
+    const action = ACTIONS_BY_ID.get(d.action_id);
+    if (action) s.model = update(s.model, d.context, action, d.reward);
+  }
+  warn(`bandit model for ${user_id} (dim ${raw.model.dim}, ${raw.model.n} rewards) couldn't be migrated; rebuilt from ${s.model.n} rewards on file, ${Object.keys(s.pending).length} pending decisions kept`);
+  return s;
+}
+
+function placeholderContext(): Context {
+  return {
+    start_mood: 50, start_arousal: 50, base_bpm: 96, explicit_ok: false, no_lyrics: false, daypart: 12,
+    sleep_deficit_h: 0, hrv_z: 0, rhr_z: 0, steps_z: 0, gloom_index: 0,
+    spend_anomaly: 0, grade_surprise: 0, genre_cluster: 0, goal: "balanced", target_mood: 50, target_arousal: 50,
+  };
+}
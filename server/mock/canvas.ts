@@ -0,0 +1,86 @@
+// VibeShift — Mock Canvas server
+// ------------------------------
+// Serves the recorded responses in fixtures/canvas/ for the two endpoints
+// src/canvas.ts calls, with Canvas-style bearer auth and Link pagination:
+//   GET /api/v1/courses
+//   GET /api/v1/courses/:id/students/submissions
+// plus Canvas's OAuth2 endpoints (/login/oauth2/auth, /login/oauth2/token)
+// from oauth.ts, so the app's PKCE sign-in can run against it.
+//
+// Run with `npm run mock:canvas` (PORT defaults to 8787) and connect the app
+// to http://localhost:8787, either through OAuth or with the access token
+// "mock-token" (MOCK_CANVAS_TOKEN).
+// graded_at dates are shifted so the newest grade is a day old, which keeps
+// the 7-day window populated; set MOCK_CANVAS_FIXED=1 for the recorded dates.
+
+import { readFileSync } from "node:fs";
+import { createServer, type ServerResponse } from "node:http";
+import { join } from "node:path";
+import { createOAuthMock } from "./oauth";
+
+const PORT = Number(process.env.PORT) || 8787;
+const TOKEN = process.env.MOCK_CANVAS_TOKEN || "mock-token";
+const FIXTURES = join(import.meta.dirname, "fixtures", "canvas");
+
+const load = (name: string) => JSON.parse(readFileSync(join(FIXTURES, name), "utf8"));
+
+const courses: any[] = load("courses.json");
+const submissions: Record<string, any[]> = Object.fromEntries(courses.map(c => [c.id, load(`submissions-${c.id}.json`)]));
+
+if (!process.env.MOCK_CANVAS_FIXED) {
+  const graded = Object.values(submissions).flat().map(s => Date.parse(s.graded_at)).filter(Number.isFinite);
+  const shift = Date.now() - 86_400_000 - Math.max(...graded);
+  for (const s of Object.values(submissions).flat()) {
+    if (s.graded_at) s.graded_at = new Date(Date.parse(s.graded_at) + shift).toISOString();
+  }
+}
+
+const CORS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Authorization, Accept, Content-Type",
+  "Access-Control-Allow-Methods": "GET, POST, DELETE, OPTIONS",
+  "Access-Control-Expose-Headers": "Link",
+};
+
+const oauth = createOAuthMock({ authorize: "/login/oauth2/auth", token: "/login/oauth2/token" }, CORS);
+
+function send(res: ServerResponse, status: number, body: unknown, headers: Record<string, string> = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...CORS, ...headers });
+  res.end(JSON.stringify(body));
+}
+
+// One page of `all`, with the Link header Canvas would send.
+function page(res: ServerResponse, url: URL, all: unknown[]) {
+  const perPage = Math.max(1, Math.min(100, Number(url.searchParams.get("per_page")) || 10));
+  const n = Math.max(1, Number(url.searchParams.get("page")) || 1);
+  const link = (p: number, rel: string) => {
+    const u = new URL(url);
+    u.searchParams.set("page", String(p));
+    return `<${u}>; rel="${rel}"`;
+  };
+  const last = Math.max(1, Math.ceil(all.length / perPage));
+  const links = [link(n, "current"), link(1, "first"), link(last, "last")];
+  if (n < last) links.push(link(n + 1, "next"));
+  send(res, 200, all.slice((n - 1) * perPage, n * perPage), { Link: links.join(",") });
+}
+
+const server = createServer(async (req, res) => {
+  if (req.method === "OPTIONS") { res.writeHead(204, CORS); res.end(); return; }
+  const url = new URL(req.url || "/", `http://localhost:${PORT}`);
+  if (await oauth.handle(req, res, url)) return;
+  if (req.headers.authorization !== `Bearer ${TOKEN}` && !oauth.isAuthorized(req.headers.authorization)) {
+    return send(res, 401, { errors: [{ message: "Invalid access token." }] }, { "WWW-Authenticate": 'Bearer realm="canvas-lms"' });
+  }
+  if (req.method === "GET" && url.pathname === "/api/v1/courses") return page(res, url, courses);
+  const m = /^\/api\/v1\/courses\/(\d+)\/students\/submissions$/.exec(url.pathname);
+  if (req.method === "GET" && m) {
+    if (!submissions[m[1]]) return send(res, 404, { errors: [{ message: "The specified resource does not exist." }] });
+    const state = url.searchParams.get("workflow_state");
+    return page(res, url, submissions[m[1]].filter(s => !state || s.workflow_state === state));
+  }
+  send(res, 404, { errors: [{ message: `no route for ${req.method} ${url.pathname}` }] });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock Canvas on http://localhost:${PORT} (token "${TOKEN}", ${courses.length} courses)`);
+});
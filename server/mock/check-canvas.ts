@@ -0,0 +1,25 @@
+// VibeShift — Canvas grade-surprise check
+// ---------------------------------------
+// Syncs the recorded fixtures through the app's own client (src/canvas.ts)
+// from the mock Canvas server, and checks the grade events and the surprise
+// they add up to. Dates are shifted as in `npm run mock:canvas`, so the newest
+// grade is a day old and the result doesn't depend on today's date.
+//
+//   npm run check:canvas
+
+import { syncCanvas } from "../../src/canvas";
+import { eventsFromCanvas, gradeSurprise } from "../../src/grades";
+import { check, run } from "./harness";
+
+await run("canvas", { MOCK_CANVAS_TOKEN: "check-token" }, async base => {
+  const { courses, submissions } = await syncCanvas({ baseUrl: base, token: "check-token" });
+  check("2 active courses", courses.length === 2, `got ${courses.length}`);
+  const events = eventsFromCanvas(courses, submissions);
+  check("8 graded events", events.length === 8, `got ${events.length}`);
+  check("scores are fractions of points possible", events.every(e => e.score >= 0 && e.score <= 1.5));
+  const { value, moves } = gradeSurprise(events);
+  check("grade surprise ≈ 0.138", Math.abs(value - 0.138) < 0.001, `got ${value.toFixed(4)}`);
+  check("only grades from the last week count", moves.length === 2, `got ${moves.length}`);
+  const rejected = await syncCanvas({ baseUrl: base, token: "wrong" }).then(() => null, e => e);
+  check("a bad token is rejected with 401", rejected?.status === 401, String(rejected));
+});
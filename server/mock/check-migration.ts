@@ -0,0 +1,87 @@
+// VibeShift — Bandit model migration check
+// ----------------------------------------
+// Trains the same observations under each earlier feature map and under the
+// current one, migrates the old models (linucb.ts → migrateState) and checks
+// that Ainv and b come out as if they had been trained on the current map all
+// along. Earlier sessions are drawn the way they were logged: v1 only knew the
+// balanced goal, and neither v1 nor v2 recorded arousal, which parseContext
+// reads as neutral.
+//
+//   npm run check:migration
+
+import { ACTIONS, actionFeatures } from "../actions";
+import { contextFeatures, FEATURE_VERSION } from "../context";
+import { featureDim, initState, migrateState, restoreUser, update, type LinUCBState } from "../linucb";
+import type { Context } from "../../src/bandit";
+import { GOAL_IDS, GOALS, type GoalId } from "../../src/goals";
+import { NEUTRAL_AROUSAL } from "../../src/mood";
+import { check, runChecks } from "./harness";
+
+const TOLERANCE = 1e-9;
+const OBSERVATIONS = 60;
+
+let seed = 7;
+const rnd = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+
+const randomContext = (goal: GoalId): Context => ({
+  start_mood: 100 * rnd(), start_arousal: NEUTRAL_AROUSAL, base_bpm: 70 + 60 * rnd(), explicit_ok: rnd() < 0.5, no_lyrics: rnd() < 0.3,
+  daypart: 24 * rnd(), sleep_deficit_h: 3 * rnd(), hrv_z: 2 * rnd() - 1, rhr_z: 2 * rnd() - 1, steps_z: 2 * rnd() - 1,
+  gloom_index: rnd(), spend_anomaly: rnd(), grade_surprise: rnd() - 0.5, genre_cluster: Math.floor(5 * rnd()),
+  goal, target_mood: GOALS[goal].target, target_arousal: GOALS[goal].arousal,
+});
+
+// The earlier maps, read off the current one: v2 had no arousal gap (index 2),
+// v1 no goal one-hot (the last GOAL_IDS.length entries) either.
+const OLD_MAPS: { version: number; goals: GoalId[]; x: (c: Context) => number[] }[] = [
+  { version: 1, goals: ["balanced"], x: c => { const x = contextFeatures(c); return [...x.slice(0, 2), ...x.slice(3, -GOAL_IDS.length)]; } },
+  { version: 2, goals: [...GOAL_IDS], x: c => { const x = contextFeatures(c); return [...x.slice(0, 2), ...x.slice(3)]; } },
+];
+
+// The Sherman–Morrison step linucb.ts → update takes, on a given feature vector.
+function updateOn(s: LinUCBState, phi: number[], reward: number): LinUCBState {
+  const d = s.dim;
+  const Ap = Array.from({ length: d }, (_, i) => phi.reduce((acc, p, j) => acc + s.Ainv[i * d + j] * p, 0));
+  const den = 1 + phi.reduce((acc, p, i) => acc + p * Ap[i], 0);
+  return {
+    dim: d,
+    Ainv: s.Ainv.map((v, k) => v - (Ap[Math.floor(k / d)] * Ap[k % d]) / den),
+    b: s.b.map((v, i) => v + reward * phi[i]),
+    n: s.n + 1,
+  };
+}
+
+const maxDiff = (a: number[], b: number[]) => a.reduce((m, v, i) => Math.max(m, Math.abs(v - b[i])), 0);
+
+await runChecks(() => {
+  for (const old of OLD_MAPS) {
+    const Y = 1 + actionFeatures(ACTIONS[0]).length;
+    const oldDim = old.x(randomContext("balanced")).length * Y;
+    let before: LinUCBState = { dim: oldDim, Ainv: initState(oldDim).Ainv, b: new Array(oldDim).fill(0), n: 0 };
+    let direct = initState();
+    for (let t = 0; t < OBSERVATIONS; t++) {
+      const c = randomContext(old.goals[t % old.goals.length]);
+      const a = ACTIONS[Math.floor(rnd() * ACTIONS.length)];
+      const reward = 2 * rnd() - 1;
+      const y = [1, ...actionFeatures(a)];
+      before = updateOn(before, old.x(c).flatMap(xi => y.map(yj => xi * yj)), reward);
+      direct = update(direct, c, a, reward);
+    }
+    const migrated = migrateState(before);
+    check(`v${old.version} model (dim ${oldDim}) migrates`, !!migrated);
+    check(`v${old.version} → v${FEATURE_VERSION}: dim and version`, migrated!.dim === featureDim() && migrated!.version === FEATURE_VERSION, `dim ${migrated!.dim}, version ${migrated!.version}`);
+    const errA = maxDiff(migrated!.Ainv, direct.Ainv), errB = maxDiff(migrated!.b, direct.b);
+    check(`v${old.version} → v${FEATURE_VERSION}: Ainv matches direct training`, errA < TOLERANCE, `max diff ${errA.toExponential(2)}`);
+    check(`v${old.version} → v${FEATURE_VERSION}: b matches direct training`, errB < TOLERANCE, `max diff ${errB.toExponential(2)}`);
+    check(`v${old.version} → v${FEATURE_VERSION}: reward count kept`, migrated!.n === OBSERVATIONS);
+  }
+
+  check("a model of unknown size isn't migrated", migrateState({ dim: 7, Ainv: initState(7).Ainv, b: new Array(7).fill(0), n: 0 }) === null);
+  const action = ACTIONS[0];
+  const restored = restoreUser({
+    model: { dim: 7, Ainv: [], b: [], n: 2 },
+    pending: { p1: { action_id: action.id, propensity: 0.1, t: 2 } },
+    applied: { a1: { action_id: action.id, context: randomContext("balanced"), reward: 0.5, t: 1 } },
+  }, "check", () => {});
+  check("an unmigratable model is rebuilt from applied rewards", restored.model.n === 1 && restored.model.dim === featureDim());
+  check("pending decisions survive the rebuild", "p1" in restored.pending);
+});
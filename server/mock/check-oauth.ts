@@ -0,0 +1,82 @@
+// VibeShift — OAuth2 + PKCE round trip
+// ------------------------------------
+// Drives the app's own sign-in flow (src/oauth.ts, tokens sealed by
+// src/vault.ts) against the mock authorization server in the Canvas mock:
+// authorization with a PKCE challenge, a rejected state mismatch and code
+// verifier, the code exchange, single-flight refresh with rotation, and
+// revocation. Node lacks the browser's storage, so IndexedDB comes from
+// fake-indexeddb and location / sessionStorage / localStorage are in-memory.
+//
+//   npm run check:oauth
+
+import "fake-indexeddb/auto";
+import { check, run } from "./harness";
+
+class MemoryStorage {
+  private m = new Map<string, string>();
+  get length() { return this.m.size; }
+  key(i: number) { return [...this.m.keys()][i] ?? null; }
+  getItem(k: string) { return this.m.get(k) ?? null; }
+  setItem(k: string, v: string) { this.m.set(k, String(v)); }
+  removeItem(k: string) { this.m.delete(k); }
+  clear() { this.m.clear(); }
+}
+
+let assigned = "";
+Object.assign(globalThis, {
+  localStorage: new MemoryStorage(),
+  sessionStorage: new MemoryStorage(),
+  location: { origin: "http://localhost:5173", pathname: "/", href: "http://localhost:5173/", assign: (url: string) => { assigned = url; } },
+});
+
+// Imported after the globals exist: profiles.ts reads localStorage on load.
+const { beginAuthorization, completeAuthorization, disconnect, getAccessToken, getConnection, OAuthError } = await import("../../src/oauth");
+const { getSecret } = await import("../../src/vault");
+
+// TTL under oauth.ts's one-minute refresh margin, so every token is due for refresh.
+await run("canvas", { MOCK_OAUTH_AUTO_APPROVE: "1", MOCK_OAUTH_TTL: "30" }, async base => {
+  // Authorization request → the provider's redirect back to /oauth/callback.
+  const authorize = async () => {
+    await beginAuthorization("canvas", base);
+    const url = new URL(assigned);
+    const r = await fetch(url, { redirect: "manual" });
+    return { url, callback: new URL(r.headers.get("location") ?? "") };
+  };
+  const courses = (token: string) => fetch(`${base}/api/v1/courses`, { headers: { Authorization: `Bearer ${token}` } }).then(r => r.status);
+  const rejects = (p: Promise<unknown>) => p.then(() => null, e => e);
+
+  const { url, callback } = await authorize();
+  check("authorize carries an S256 code challenge", url.searchParams.get("code_challenge_method") === "S256" && !!url.searchParams.get("code_challenge"));
+  check("the provider redirects back with a code and the same state", !!callback.searchParams.get("code") && callback.searchParams.get("state") === url.searchParams.get("state"));
+
+  const forged = new URL(callback);
+  forged.searchParams.set("state", "forged");
+  const e1 = await rejects(completeAuthorization(forged.toString()));
+  check("a mismatched state is rejected", e1 instanceof OAuthError && e1.code === "state", String(e1));
+  const e2 = await rejects(completeAuthorization(callback.toString()));
+  check("the pending attempt is gone after a rejection", e2 instanceof OAuthError && e2.code === "state", String(e2));
+
+  const stolen = await authorize();
+  const exchange = await fetch(`${base}/login/oauth2/token`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({ grant_type: "authorization_code", client_id: "vibeshift-dev", code: stolen.callback.searchParams.get("code")!, redirect_uri: stolen.url.searchParams.get("redirect_uri")!, code_verifier: "not-the-verifier" }),
+  }).then(r => r.json());
+  check("a code without its verifier is refused", exchange.error === "invalid_grant", JSON.stringify(exchange));
+
+  const { callback: ok } = await authorize();
+  const conn = await completeAuthorization(ok.toString());
+  check("the code exchange connects Canvas", conn.provider === "canvas" && conn.grantedScopes.length === 2);
+  const first = (await getSecret<any>("oauth:canvas")).tokens;
+  check("tokens are stored sealed, with a refresh token", !!first.access_token && !!first.refresh_token);
+  check("the first access token works", await courses(first.access_token) === 200);
+
+  const [a, b] = await Promise.all([getAccessToken("canvas"), getAccessToken("canvas")]);
+  check("concurrent callers share one refresh", a === b && a !== first.access_token);
+  check("the refreshed token works", await courses(a) === 200);
+  check("the rotated-out token no longer does", await courses(first.access_token) === 401);
+
+  await disconnect("canvas");
+  check("disconnect forgets the connection", (await getConnection("canvas")) === undefined);
+  check("disconnect revokes the token at the provider", await courses(a) === 401);
+});
@@ -0,0 +1,57 @@
+// VibeShift — Harness for scripted checks against the mock servers
+// ----------------------------------------------------------------
+// startMock runs one of the mocks in this folder as a child process on a free
+// port and resolves once it is listening; check prints one line per passing
+// assertion and fails the run on the first one that doesn't. runChecks is the
+// same without a mock, for checks that only need the code in this repo.
+
+import { spawn } from "node:child_process";
+import { createServer } from "node:net";
+import { join } from "node:path";
+
+const freePort = () => new Promise<number>((resolve, reject) => {
+  const s = createServer().listen(0, () => {
+    const { port } = s.address() as { port: number };
+    s.close(() => resolve(port));
+  });
+  s.on("error", reject);
+});
+
+export async function startMock(name: string, env: Record<string, string> = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, ["--import", "tsx", join(import.meta.dirname, `${name}.ts`)], {
+    env: { ...process.env, ...env, PORT: String(port) },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+  await new Promise<void>((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`mock ${name} didn't start within 20 s`)), 20_000);
+    child.stdout!.on("data", (b: Buffer) => { if (/ on http:/.test(b.toString())) { clearTimeout(timer); resolve(); } });
+    child.on("exit", code => { clearTimeout(timer); reject(new Error(`mock ${name} exited with ${code}`)); });
+  });
+  return { base: `http://localhost:${port}`, stop: () => { child.removeAllListeners("exit"); child.kill(); } };
+}
+
+export function check(label: string, ok: boolean, detail = "") {
+  if (!ok) throw new Error(`✗ ${label}${detail ? ` (${detail})` : ""}`);
+  console.log(`✓ ${label}`);
+}
+
+// Runs `body` and exits non-zero if anything failed.
+export async function runChecks(body: () => Promise<void> | void) {
+  try {
+    await body();
+  } catch (e) {
+    console.error((e as Error).message);
+    process.exitCode = 1;
+  }
+}
+
+// Runs `body` against a fresh mock and exits non-zero if anything failed.
+export async function run(name: string, env: Record<string, string>, body: (base: string) => Promise<void>) {
+  const mock = await startMock(name, env);
+  try {
+    await runChecks(() => body(mock.base));
+  } finally {
+    mock.stop();
+  }
+}
@@ -0,0 +1,133 @@
+// VibeShift — Mock OAuth2 authorization server
+// --------------------------------------------
+// Enough of RFC 6749 + PKCE (RFC 7636) + revocation to drive src/oauth.ts end
+// to end without a real provider. Mount it in a mock API server:
+//
+//   GET  {authorize}  consent page; Approve/Deny redirect back with code or error
+//   POST {token}      authorization_code (verifies code_verifier) and refresh_token grants
+//   DELETE {token}    Canvas-style revoke of the bearer token
+//   POST {revoke}     RFC 7009 revoke of token=
+//
+// MOCK_OAUTH_AUTO_APPROVE=1 skips the consent page (scripted runs),
+// MOCK_OAUTH_TTL sets the access-token lifetime in seconds (default 3600).
+
+import { createHash, randomBytes } from "node:crypto";
+import type { IncomingMessage, ServerResponse } from "node:http";
+
+type Paths = { authorize: string; token: string; revoke?: string };
+
+const b64url = (b: Buffer) => b.toString("base64").replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+const newToken = () => b64url(randomBytes(24));
+
+const esc = (s: string) => s.replace(/[&<>"]/g, c => `&#${c.charCodeAt(0)};`);
+
+function readForm(req: IncomingMessage): Promise<URLSearchParams> {
+  return new Promise((resolve, reject) => {
+    const chunks: Buffer[] = [];
+    req.on("data", (c: Buffer) => chunks.push(c));
+    req.on("end", () => resolve(new URLSearchParams(Buffer.concat(chunks).toString("utf8"))));
+    req.on("error", reject);
+  });
+}
+
+export function createOAuthMock(paths: Paths, cors: Record<string, string>) {
+  const ttl = Number(process.env.MOCK_OAUTH_TTL) || 3600;
+  const autoApprove = !!process.env.MOCK_OAUTH_AUTO_APPROVE;
+  const codes = new Map<string, { clientId: string; redirectUri: string; challenge: string; scope: string; exp: number }>();
+  const access = new Map<string, { scope: string; exp: number; refresh: string }>();
+  const refresh = new Map<string, { clientId: string; scope: string }>();
+
+  const json = (res: ServerResponse, status: number, body: unknown) => {
+    res.writeHead(status, { "Content-Type": "application/json", "Cache-Control": "no-store", ...cors });
+    res.end(JSON.stringify(body));
+  };
+  const fail = (res: ServerResponse, error: string, description: string) => json(res, 400, { error, error_description: description });
+
+  const issue = (res: ServerResponse, clientId: string, scope: string) => {
+    const token = newToken(), rt = newToken();
+    access.set(token, { scope, exp: Date.now() + ttl * 1000, refresh: rt });
+    refresh.set(rt, { clientId, scope });
+    json(res, 200, { access_token: token, token_type: "Bearer", expires_in: ttl, refresh_token: rt, scope });
+  };
+
+  const revokeToken = (token: string) => {
+    const a = access.get(token);
+    if (a) { refresh.delete(a.refresh); access.delete(token); }
+    if (refresh.delete(token)) for (const [k, v] of access) if (v.refresh === token) access.delete(k);
+  };
+
+  function authorize(res: ServerResponse, q: URLSearchParams) {
+    const redirectUri = q.get("redirect_uri") ?? "";
+    if (!/^https?:\/\//.test(redirectUri) || !q.get("client_id")) {
+      res.writeHead(400, { "Content-Type": "text/plain" });
+      return res.end("invalid client_id or redirect_uri");
+    }
+    const back = (params: Record<string, string>) => {
+      const u = new URL(redirectUri);
+      for (const [k, v] of Object.entries({ ...params, state: q.get("state") ?? "" })) u.searchParams.set(k, v);
+      return u.toString();
+    };
+    if (q.get("response_type") !== "code") return redirect(res, back({ error: "unsupported_response_type" }));
+    if (!q.get("code_challenge") || q.get("code_challenge_method") !== "S256") {
+      return redirect(res, back({ error: "invalid_request", error_description: "PKCE S256 code_challenge required" }));
+    }
+    const code = newToken();
+    codes.set(code, { clientId: q.get("client_id")!, redirectUri, challenge: q.get("code_challenge")!, scope: q.get("scope") ?? "", exp: Date.now() + 60_000 });
+    const approve = back({ code });
+    if (autoApprove) return redirect(res, approve);
+    const scopes = (q.get("scope") ?? "").split(/\s+/).filter(Boolean).map(s => `<li><code>${esc(s)}</code></li>`).join("");
+    res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+    res.end(`<!doctype html><meta name="viewport" content="width=device-width"><title>Mock sign-in</title>
+<body style="font-family:system-ui;max-width:32rem;margin:3rem auto;padding:0 1rem">
+<h2>Mock authorization server</h2><p><b>${esc(q.get("client_id")!)}</b> is asking for:</p><ul>${scopes || "<li>(no scopes)</li>"}</ul>
+<p><a href="${esc(approve)}">Approve</a> · <a href="${esc(back({ error: "access_denied" }))}">Deny</a></p></body>`);
+  }
+
+  const redirect = (res: ServerResponse, to: string) => { res.writeHead(302, { Location: to }); res.end(); };
+
+  async function token(req: IncomingMessage, res: ServerResponse) {
+    const f = await readForm(req);
+    const grant = f.get("grant_type");
+    if (grant === "authorization_code") {
+      const c = codes.get(f.get("code") ?? "");
+      codes.delete(f.get("code") ?? ""); // single use
+      if (!c || c.exp < Date.now()) return fail(res, "invalid_grant", "unknown or expired code");
+      if (c.clientId !== f.get("client_id") || c.redirectUri !== f.get("redirect_uri")) return fail(res, "invalid_grant", "client_id or redirect_uri mismatch");
+      const verifier = f.get("code_verifier") ?? "";
+      if (b64url(createHash("sha256").update(verifier).digest()) !== c.challenge) return fail(res, "invalid_grant", "code_verifier does not match code_challenge");
+      return issue(res, c.clientId, c.scope);
+    }
+    if (grant === "refresh_token") {
+      const rt = f.get("refresh_token") ?? "";
+      const r = refresh.get(rt);
+      if (!r || r.clientId !== f.get("client_id")) return fail(res, "invalid_grant", "unknown refresh_token");
+      revokeToken(rt); // rotate
+      return issue(res, r.clientId, r.scope);
+    }
+    fail(res, "unsupported_grant_type", `grant_type ${grant} not supported`);
+  }
+
+  return {
+    // True when `header` is "Bearer <live token issued here>".
+    isAuthorized(header: string | undefined) {
+      const a = access.get(header?.replace(/^Bearer /, "") ?? "");
+      return !!a && a.exp > Date.now();
+    },
+    // Handles the request if it is one of the OAuth routes; false otherwise.
+    async handle(req: IncomingMessage, res: ServerResponse, url: URL): Promise<boolean> {
+      if (req.method === "GET" && url.pathname === paths.authorize) { authorize(res, url.searchParams); return true; }
+      if (req.method === "POST" && url.pathname === paths.token) { await token(req, res); return true; }
+      if (req.method === "DELETE" && url.pathname === paths.token) {
+        revokeToken(req.headers.authorization?.replace(/^Bearer /, "") ?? "");
+        json(res, 200, {});
+        return true;
+      }
+      if (req.method === "POST" && paths.revoke && url.pathname === paths.revoke) {
+        revokeToken((await readForm(req)).get("token") ?? "");
+        json(res, 200, {});
+        return true;
+      }
+      return false;
+    },
+  };
+}
@@ -0,0 +1,71 @@
+// VibeShift — Mock weather server
+// -------------------------------
+// Answers GET /v1/forecast in Open-Meteo's shape (hourly temperature_2m,
+// precipitation, cloud_cover), honouring past_days, forecast_days and
+// timeformat=unixtime|iso8601, so src/weather.ts can run offline:
+//
+//   PORT=8788 npm run mock:weather
+//   VITE_WEATHER_API=http://localhost:8788 npm run dev
+//
+// Hours are synthetic but deterministic per location and hour: a seasonal
+// mean with a daily cycle, and a rainy overcast spell. MOCK_WEATHER picks the
+// spell: "showers" (default, rain from 3 hours from now), "clear" or "rain".
+
+import { createServer, type ServerResponse } from "node:http";
+import { seasonalNormal } from "../../src/weather";
+
+const PORT = Number(process.env.PORT) || 8788;
+const SCENARIO = process.env.MOCK_WEATHER || "showers";
+const HOUR = 3_600_000;
+
+const CORS = { "Access-Control-Allow-Origin": "*", "Access-Control-Allow-Headers": "Accept, Content-Type" };
+
+function send(res: ServerResponse, status: number, body: unknown) {
+  res.writeHead(status, { "Content-Type": "application/json", ...CORS });
+  res.end(JSON.stringify(body));
+}
+
+// Small repeatable jitter in [-1, 1] from the hour and location.
+const jitter = (h: number, lat: number) => Math.sin(h * 12.9898 + lat * 78.233) % 1;
+
+function hourAt(t: number, lat: number, now: number) {
+  const h = Math.floor(t / HOUR);
+  const fromNow = (t - now) / HOUR;
+  const wet = SCENARIO === "rain" || (SCENARIO === "showers" && fromNow >= 3 && fromNow < 9);
+  const localHour = new Date(t).getUTCHours();
+  const temp = seasonalNormal(lat, new Date(t)) + 4 * Math.sin(((localHour - 9) / 24) * 2 * Math.PI) + jitter(h, lat) - (wet ? 2 : 0);
+  return {
+    temperature_2m: Math.round(temp * 10) / 10,
+    precipitation: wet ? Math.round((0.6 + 0.5 * Math.abs(jitter(h + 7, lat))) * 10) / 10 : 0,
+    cloud_cover: SCENARIO === "clear" ? Math.round(10 + 10 * Math.abs(jitter(h, lat))) : wet ? 100 : Math.round(55 + 30 * jitter(h + 3, lat)),
+  };
+}
+
+const server = createServer((req, res) => {
+  if (req.method === "OPTIONS") { res.writeHead(204, CORS); res.end(); return; }
+  const url = new URL(req.url || "/", `http://localhost:${PORT}`);
+  if (req.method !== "GET" || url.pathname !== "/v1/forecast") return send(res, 404, { error: true, reason: `no route for ${req.method} ${url.pathname}` });
+  const lat = Number(url.searchParams.get("latitude")), lon = Number(url.searchParams.get("longitude"));
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) return send(res, 400, { error: true, reason: "latitude and longitude are required" });
+  const past = Math.min(92, Number(url.searchParams.get("past_days")) || 0);
+  const days = Math.min(16, Number(url.searchParams.get("forecast_days")) || 7);
+  const unix = url.searchParams.get("timeformat") === "unixtime";
+
+  const now = Date.now();
+  const today = Math.floor(now / 86_400_000) * 86_400_000;
+  const hourly: Record<string, unknown[]> = { time: [], temperature_2m: [], precipitation: [], cloud_cover: [] };
+  for (let t = today - past * 86_400_000; t < today + days * 86_400_000; t += HOUR) {
+    const v = hourAt(t, lat, now);
+    hourly.time.push(unix ? t / 1000 : new Date(t).toISOString().slice(0, 16));
+    for (const k of ["temperature_2m", "precipitation", "cloud_cover"] as const) hourly[k].push(v[k]);
+  }
+  send(res, 200, {
+    latitude: lat, longitude: lon, utc_offset_seconds: 0, timezone: "GMT",
+    hourly_units: { time: unix ? "unixtime" : "iso8601", temperature_2m: "°C", precipitation: "mm", cloud_cover: "%" },
+    hourly,
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock weather on http://localhost:${PORT} (scenario "${SCENARIO}")`);
+});
@@ -0,0 +1,330 @@
+// VibeShift — Off-policy evaluation of logged bandit decisions
+// ------------------------------------------------------------
+// Estimates how a candidate policy would have done on the decisions already
+// logged (store.ts → DecisionRecord), without showing it to anyone:
+//   IPS    mean of w·r, with w = π(a|x) / logged propensity
+//   SNIPS  Σ w·r / Σ w — a little biased, far less variance when w is lumpy
+//   DR     a reward model's prediction under π, corrected by w·(r − prediction)
+// Intervals are normal-approximation 95% over the per-decision terms. The
+// reward model is cross-fitted: each fold of decisions is scored (and a greedy
+// candidate picks its arm) with a model fit on the other folds only, so DR
+// never grades a decision with a model that has already seen its reward.
+//
+// Only candidates that change the arms (pin knobs such as the curve gains,
+// and/or go greedy on the reward model) are policies the bandit randomised
+// over, so only they get estimates. Two other kinds are reported separately,
+// as plain means:
+//   re-weighting  each logged outcome re-scored with other reward weights. The
+//                 sessions are the logging policy's own, so this shows how the
+//                 weighting would grade what already happened, not what a
+//                 policy trained on it would earn.
+//   shape         the logged reward of sessions played with one trajectory
+//                 shape. People pick shapes themselves, so this is
+//                 descriptive only and says nothing causal.
+
+import { REWARD_WEIGHTS, rewardFromSession, type Action, type Context, type RewardWeights } from "../src/bandit";
+import type { ShapeId } from "../src/shapes";
+import { ACTIONS, ACTIONS_BY_ID, actionFeatures } from "./actions";
+import { contextFeatures } from "./context";
+import type { DecisionRecord } from "./store";
+
+type Knob = Exclude<keyof Action, "id">;
+
+export type Candidate = {
+  id: string;
+  label?: string;
+  pin?: Partial<Record<Knob, number>>; // only arms with these knob values
+  greedy?: boolean;                    // best allowed arm by the reward model, rather than uniform
+  epsilon?: number;                    // with greedy: mass spread over all allowed arms
+  weights?: Partial<RewardWeights>;    // re-weighting: re-score the logged outcomes
+  shape?: ShapeId;                     // shape: sessions played with this shape
+};
+
+export type CandidateKind = "policy" | "reweighting" | "shape";
+
+export type Estimate = { value: number; lo: number; hi: number };
+
+export type CandidateResult = {
+  candidate: Candidate;
+  n: number;        // decisions usable for this candidate
+  matched: number;  // of those, where the candidate could have made the logged choice
+  ess: number;      // effective sample size of the weights
+  maxWeight: number;
+  ips: Estimate;
+  snips: Estimate;
+  dr: Estimate;
+  warning?: string;
+};
+
+// Re-weighting and shape candidates: a mean over the logged sessions, no weights.
+export type DescriptiveResult = {
+  candidate: Candidate;
+  n: number;     // sessions averaged
+  share: number; // of all logged decisions
+  mean: Estimate;
+  warning?: string;
+};
+
+export type Report = {
+  generatedAt: number;
+  decisions: number;
+  users: number;
+  from: number | null;
+  through: number | null;
+  logged: Estimate; // the logging policy's own mean reward
+  results: CandidateResult[];          // policies: IPS / SNIPS / DR
+  reweighting: DescriptiveResult[];    // same logged policy, re-scored rewards
+  shapes: DescriptiveResult[];         // descriptive only
+};
+
+const Z = 1.96;
+const RIDGE = 1;
+const MIN_ESS = 30;
+const FOLDS = 5;
+const MIN_SESSIONS = 30;
+
+// Last record per decision: a revised reward supersedes the first one.
+export function latestDecisions(records: DecisionRecord[]): DecisionRecord[] {
+  const byId = new Map<string, DecisionRecord>();
+  for (const r of records) {
+    const k = `${r.user_id}/${r.decision_id}`;
+    const prev = byId.get(k);
+    if (!prev || r.rewarded_at >= prev.rewarded_at) byId.set(k, r);
+  }
+  return [...byId.values()].filter(r => ACTIONS_BY_ID.has(r.action.id) && r.propensity > 0);
+}
+
+function meanCi(terms: number[]): Estimate {
+  const n = terms.length;
+  if (!n) return { value: NaN, lo: NaN, hi: NaN };
+  const mean = terms.reduce((s, x) => s + x, 0) / n;
+  const sd = n > 1 ? Math.sqrt(terms.reduce((s, x) => s + (x - mean) ** 2, 0) / (n - 1)) : 0;
+  const half = (Z * sd) / Math.sqrt(n);
+  return { value: mean, lo: mean - half, hi: mean + half };
+}
+
+// ---------- Reward model ----------
+// Ridge regression on the same joint features LinUCB uses (linucb.ts →
+// features: vec([1, x] ⊗ [1, a])), kept factorised so scoring every arm for
+// one context is a few multiply-adds per arm.
+
+const ARM_FEATURES = new Map(ACTIONS.map(a => [a.id, [1, ...actionFeatures(a)]]));
+
+type RewardModel = (c: Context) => (a: Action) => number;
+
+// Solves (A) θ = b for symmetric positive-definite A by Cholesky.
+function solve(A: number[], b: number[], d: number): number[] {
+  const L = new Array(d * d).fill(0);
+  for (let i = 0; i < d; i++) {
+    for (let j = 0; j <= i; j++) {
+      let s = A[i * d + j];
+      for (let k = 0; k < j; k++) s -= L[i * d + k] * L[j * d + k];
+      L[i * d + j] = i === j ? Math.sqrt(Math.max(s, 1e-12)) : s / L[j * d + j];
+    }
+  }
+  const y = new Array(d).fill(0);
+  for (let i = 0; i < d; i++) {
+    let s = b[i];
+    for (let k = 0; k < i; k++) s -= L[i * d + k] * y[k];
+    y[i] = s / L[i * d + i];
+  }
+  const x = new Array(d).fill(0);
+  for (let i = d - 1; i >= 0; i--) {
+    let s = y[i];
+    for (let k = i + 1; k < d; k++) s -= L[k * d + i] * x[k];
+    x[i] = s / L[i * d + i];
+  }
+  return x;
+}
+
+// `rows` must not be empty.
+export function fitRewardModel(rows: { context: Context; action: Action; reward: number }[]): RewardModel {
+  const X = contextFeatures(rows[0].context).length;
+  const Y = ARM_FEATURES.values().next().value!.length;
+  const d = X * Y;
+  const A = new Array(d * d).fill(0);
+  const b = new Array(d).fill(0);
+  for (let i = 0; i < d; i++) A[i * d + i] = RIDGE;
+  for (const r of rows) {
+    const x = contextFeatures(r.context), y = ARM_FEATURES.get(r.action.id)!;
+    const phi = x.flatMap(xi => y.map(yj => xi * yj));
+    for (let i = 0; i < d; i++) {
+      if (!phi[i]) continue;
+      b[i] += r.reward * phi[i];
+      for (let j = 0; j < d; j++) A[i * d + j] += phi[i] * phi[j];
+    }
+  }
+  const theta = solve(A, b, d);
+  return (c) => {
+    const x = contextFeatures(c);
+    const u = new Array(Y).fill(0);
+    for (let i = 0; i < X; i++) for (let j = 0; j < Y; j++) u[j] += theta[i * Y + j] * x[i];
+    return (a) => {
+      const y = ARM_FEATURES.get(a.id) ?? [1, ...actionFeatures(a)];
+      let s = 0;
+      for (let j = 0; j < Y; j++) s += u[j] * y[j];
+      return s;
+    };
+  };
+}
+
+// ---------- Evaluation ----------
+
+const allowedArms = (pin: Candidate["pin"]) =>
+  ACTIONS.filter(a => Object.entries(pin ?? {}).every(([k, v]) => a[k as Knob] === v));
+
+export function candidateKind(c: Candidate): CandidateKind | string {
+  const policy = !!c.pin || !!c.greedy;
+  if ([policy, !!c.weights, !!c.shape].filter(Boolean).length > 1) return "pins/greedy, weights and shape can't be combined in one candidate";
+  return c.weights ? "reweighting" : c.shape ? "shape" : "policy";
+}
+
+// Out-of-fold reward models: the one for row i never saw row i.
+function crossFit(rows: { context: Context; action: Action; reward: number }[]): (i: number) => RewardModel {
+  const k = Math.min(FOLDS, rows.length);
+  const zero: RewardModel = () => () => 0;
+  const models = Array.from({ length: k }, (_, f) => {
+    const train = rows.filter((_, i) => i % k !== f);
+    return train.length ? fitRewardModel(train) : zero;
+  });
+  return i => models[i % k];
+}
+
+// Returns a human-readable reason when the candidate can't be evaluated at all.
+export function evaluateCandidate(c: Candidate, decisions: DecisionRecord[]): CandidateResult | string {
+  const kind = candidateKind(c);
+  if (kind !== "policy") return kind === "reweighting" || kind === "shape" ? `a ${kind} candidate, not a policy` : kind;
+  const rows = decisions;
+  if (!rows.length) return "no logged decisions";
+
+  const arms = allowedArms(c.pin);
+  if (!arms.length) return "no arm in the grid matches its pinned knobs";
+  const eps = Math.max(0, Math.min(1, c.epsilon ?? 0));
+
+  const modelFor = crossFit(rows);
+  const ips: number[] = [], dr: number[] = [], ws: number[] = [];
+  rows.forEach((r, i) => {
+    const q = modelFor(i)(r.context);
+    const qLogged = q(r.action);
+    const allowed = arms.some(a => a.id === r.action.id);
+    const uniform = arms.reduce((s, a) => s + q(a), 0) / arms.length;
+    let pi: number, dm: number;
+    if (c.greedy) {
+      let best = arms[0], bestQ = -Infinity;
+      for (const a of arms) { const v = q(a); if (v > bestQ) { best = a; bestQ = v; } }
+      pi = (best.id === r.action.id ? 1 - eps : 0) + (allowed ? eps / arms.length : 0);
+      dm = (1 - eps) * bestQ + eps * uniform;
+    } else {
+      pi = allowed ? 1 / arms.length : 0;
+      dm = uniform;
+    }
+    const w = pi / r.propensity;
+    ws.push(w);
+    ips.push(w * r.reward);
+    dr.push(dm + w * (r.reward - qLogged));
+  });
+
+  const sumW = ws.reduce((s, w) => s + w, 0);
+  const sumW2 = ws.reduce((s, w) => s + w * w, 0);
+  const snipsValue = sumW > 0 ? ips.reduce((s, x) => s + x, 0) / sumW : NaN;
+  const snipsSe = sumW > 0 ? Math.sqrt(rows.reduce((s, r, i) => s + ws[i] ** 2 * (r.reward - snipsValue) ** 2, 0)) / sumW : NaN;
+  const ess = sumW2 > 0 ? sumW ** 2 / sumW2 : 0;
+  return {
+    candidate: c,
+    n: rows.length,
+    matched: ws.filter(w => w > 0).length,
+    ess,
+    maxWeight: Math.max(...ws),
+    ips: meanCi(ips),
+    snips: { value: snipsValue, lo: snipsValue - Z * snipsSe, hi: snipsValue + Z * snipsSe },
+    dr: meanCi(dr),
+    warning: ess < MIN_ESS ? `effective sample size ${ess.toFixed(1)} — too few matching decisions to trust IPS/SNIPS` : undefined,
+  };
+}
+
+// Re-weighting and shape candidates. Returns a reason when there's nothing to average.
+export function describeCandidate(c: Candidate, decisions: DecisionRecord[]): DescriptiveResult | string {
+  const kind = candidateKind(c);
+  if (kind !== "reweighting" && kind !== "shape") return kind === "policy" ? "a policy candidate, see evaluateCandidate" : kind;
+  if (!decisions.length) return "no logged decisions";
+  const rewards = kind === "reweighting"
+    ? decisions.flatMap(d => (d.outcome ? [rewardFromSession(d.outcome, { ...REWARD_WEIGHTS, ...c.weights })] : []))
+    : decisions.flatMap(d => (d.shape === c.shape ? [d.reward] : []));
+  if (!rewards.length) {
+    return kind === "reweighting" ? "no logged decisions carry an outcome to re-score"
+      : decisions.some(d => d.shape) ? `no logged session used the ${c.shape} shape` : "no logged decisions record their shape";
+  }
+  return {
+    candidate: c,
+    n: rewards.length,
+    share: rewards.length / decisions.length,
+    mean: meanCi(rewards),
+    warning: rewards.length < MIN_SESSIONS ? `only ${rewards.length} session${rewards.length === 1 ? "" : "s"}` : undefined,
+  };
+}
+
+export function evaluate(records: DecisionRecord[], candidates: Candidate[], now = Date.now()): Report {
+  const decisions = latestDecisions(records);
+  const times = decisions.map(d => d.acted_at);
+  const ofKind = (k: CandidateKind) => candidates.filter(c => candidateKind(c) === k);
+  const unusable = candidates.filter(c => !["policy", "reweighting", "shape"].includes(candidateKind(c)));
+  return {
+    generatedAt: now,
+    decisions: decisions.length,
+    users: new Set(decisions.map(d => d.user_id)).size,
+    from: times.length ? Math.min(...times) : null,
+    through: times.length ? Math.max(...times) : null,
+    logged: meanCi(decisions.map(d => d.reward)),
+    results: [...ofKind("policy"), ...unusable].map(c => {
+      const r = evaluateCandidate(c, decisions);
+      return typeof r === "string" ? { candidate: c, n: 0, matched: 0, ess: 0, maxWeight: 0, ips: meanCi([]), snips: meanCi([]), dr: meanCi([]), warning: r } : r;
+    }),
+    reweighting: ofKind("reweighting").map(c => describe(c, decisions)),
+    shapes: ofKind("shape").map(c => describe(c, decisions)),
+  };
+}
+
+function describe(c: Candidate, decisions: DecisionRecord[]): DescriptiveResult {
+  const r = describeCandidate(c, decisions);
+  return typeof r === "string" ? { candidate: c, n: 0, share: 0, mean: meanCi([]), warning: r } : r;
+}
+
+// ---------- Report ----------
+
+const fmt = (e: Estimate) => (Number.isFinite(e.value) ? `${e.value.toFixed(3)} [${e.lo.toFixed(3)}, ${e.hi.toFixed(3)}]` : "—");
+const day = (t: number | null) => (t === null ? "—" : new Date(t).toISOString().slice(0, 10));
+
+const name = (c: Candidate) => c.label ?? c.id;
+
+export function formatReport(r: Report): string {
+  const lines = [
+    "# VibeShift off-policy evaluation",
+    "",
+    `${r.decisions} rewarded decisions from ${r.users} user${r.users === 1 ? "" : "s"}, ${day(r.from)} → ${day(r.through)}.`,
+    `Logged policy mean reward: ${fmt(r.logged)}`,
+    "",
+    "## Policies",
+    "",
+    "| Candidate | n | matched | ESS | IPS | SNIPS | DR |",
+    "|---|---:|---:|---:|---|---|---|",
+    ...r.results.map(x =>
+      `| ${name(x.candidate)} | ${x.n} | ${x.matched} | ${x.ess.toFixed(1)} | ${fmt(x.ips)} | ${fmt(x.snips)} | ${fmt(x.dr)} |`),
+    "",
+    `Values are mean reward per session (−1..+1) with 95% intervals. DR's reward model is cross-fitted over ${FOLDS} folds and leans on it where matches are few.`,
+  ];
+  const warnings = r.results.filter(x => x.warning);
+  if (warnings.length) lines.push("", ...warnings.map(x => `- **${name(x.candidate)}**: ${x.warning}`));
+
+  const table = (title: string, note: string, rows: DescriptiveResult[]) => {
+    if (!rows.length) return;
+    lines.push("", `## ${title}`, "", note, "", "| Candidate | n | share | mean reward |", "|---|---:|---:|---|",
+      ...rows.map(x => `| ${name(x.candidate)} | ${x.n} | ${(x.share * 100).toFixed(0)}% | ${fmt(x.mean)} |`));
+    const notes = rows.filter(x => x.warning);
+    if (notes.length) lines.push("", ...notes.map(x => `- **${name(x.candidate)}**: ${x.warning}`));
+  };
+  table("Reward re-weighting (same logged policy)",
+    "Not policy estimates: the logged sessions re-scored with other reward weights. Every row uses the same sessions the logging policy chose.", r.reweighting);
+  table("Shapes (descriptive only)",
+    "Not IPS/DR: shapes are chosen by people, not randomised by the bandit, so these are plain means of the sessions played with each shape.", r.shapes);
+  return lines.join("\n");
+}
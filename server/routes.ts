@@ -0,0 +1,180 @@
+// VibeShift — Bandit routes
+// -------------------------
+// The request handlers behind server/index.ts, kept free of Node APIs so the
+// in-browser mock backend (src/banditMock.ts) runs the very same code. The
+// caller supplies where per-user state lives, and optionally where rewarded
+// decisions are logged.
+
+import type { Action, ActResponse, Context, SessionOutcome } from "../src/bandit";
+import { GOAL_IDS, GOALS, isGoalId } from "../src/goals";
+import { NEUTRAL_AROUSAL } from "../src/mood";
+import { DEFAULT_SHAPE, SHAPE_IDS, SHAPES, type Shape, type ShapeId } from "../src/shapes";
+import { ACTIONS, ACTIONS_BY_ID, curveTargets } from "./actions";
+import { parseContext } from "./context";
+import { choose, revise, update } from "./linucb";
+import type { DecisionRecord, UserState } from "./store";
+
+export class HttpError extends Error {
+  constructor(public status: number, message: string) { super(message); }
+}
+
+export type UserStore = {
+  loadUser(user_id: string): UserState;
+  saveUser(s: UserState): void;
+  logDecision?(d: DecisionRecord): void;
+};
+export type Handler = (body: any, idempotencyKey?: string) => Promise<unknown>;
+
+const requireUser = (b: any): string => {
+  if (typeof b.user_id !== "string" || !b.user_id) throw new HttpError(400, "user_id must be a non-empty string");
+  return b.user_id;
+};
+
+const requireContext = (b: any) => {
+  const c = parseContext(b.context);
+  if (typeof c === "string") throw new HttpError(400, c);
+  return c;
+};
+
+const finite = (x: unknown): x is number => typeof x === "number" && Number.isFinite(x);
+
+function parseAction(raw: any): Action {
+  if (raw && typeof raw.id === "string" && ACTIONS_BY_ID.has(raw.id)) return ACTIONS_BY_ID.get(raw.id)!;
+  // Off-grid actions are allowed for previews, as long as every knob is present.
+  for (const k of ["kv", "ke", "kt", "kd", "tempo_offset", "N"]) {
+    if (!finite(raw?.[k])) throw new HttpError(400, `action.${k} must be a finite number`);
+  }
+  const N = Math.round(raw.N);
+  if (N < 1 || N > 50) throw new HttpError(400, "action.N must be between 1 and 50");
+  return { id: String(raw.id ?? "custom"), kv: raw.kv, ke: raw.ke, kt: raw.kt, kd: raw.kd, tempo_offset: raw.tempo_offset, N, instrumental: raw.instrumental ? 1 : 0 };
+}
+
+function parseShape(raw: any): Shape {
+  if (raw === undefined || raw === null) return DEFAULT_SHAPE;
+  if (!SHAPE_IDS.includes(raw.id)) throw new HttpError(400, `shape.id must be one of ${SHAPE_IDS.join(", ")}`);
+  const params: Shape["params"] = {};
+  for (const k of ["steepness", "hold", "overshoot"] as const) {
+    if (raw.params?.[k] !== undefined) {
+      if (!finite(raw.params[k])) throw new HttpError(400, `shape.params.${k} must be a finite number`);
+      params[k] = raw.params[k];
+    }
+  }
+  if (raw.params?.knots !== undefined) {
+    const knots = raw.params.knots;
+    if (!Array.isArray(knots) || knots.length !== SHAPES.custom.defaults.knots!.length || !knots.every(finite)) {
+      throw new HttpError(400, "shape.params.knots must be an array of 6 finite numbers");
+    }
+    params.knots = knots;
+  }
+  return { id: raw.id, params };
+}
+
+function act(store: UserStore, b: any, rand: () => number): ActResponse {
+  const user_id = requireUser(b);
+  const context = requireContext(b);
+  const s = store.loadUser(user_id);
+  const choice = choose(s.model, context, rand);
+  const action_id = crypto.randomUUID();
+  s.pending[action_id] = { action_id: choice.action.id, propensity: choice.propensity, expected_score: choice.expected_score, t: Date.now() };
+  store.saveUser(s);
+  return {
+    action_id,
+    action: choice.action,
+    propensity: choice.propensity,
+    expected_score: choice.expected_score,
+    targets_preview: curveTargets({ valence: context.start_mood, arousal: context.start_arousal }, context.base_bpm, choice.action, GOALS[context.goal]),
+    server_time: Date.now(),
+  };
+}
+
+function banditUpdate(store: UserStore, b: any, key?: string) {
+  const user_id = requireUser(b);
+  const context = requireContext(b);
+  if (typeof b.action_id !== "string") throw new HttpError(400, "action_id must be a string");
+  if (!finite(b.reward)) throw new HttpError(400, "reward must be a finite number");
+
+  const reward = Math.max(-1, Math.min(1, b.reward));
+  const s = store.loadUser(user_id);
+
+  // Replayed from a client outbox after the first reply was lost: answer the
+  // same, without touching the model again.
+  if (key && s.replies[key]) return s.replies[key].reply;
+  const reply = applyReward(s, b.action_id, context, reward);
+  if (key) s.replies[key] = { reply, t: Date.now() };
+  store.saveUser(s);
+  const logged = decisionRecord(s, b.action_id, parseDetails(b), reply.revised);
+  if (logged) store.logDecision?.(logged);
+  return reply;
+}
+
+// Optional extras on an update; malformed ones are dropped rather than failing the reward.
+function parseDetails(b: any): { outcome?: SessionOutcome; shape?: ShapeId } {
+  const o = b.outcome;
+  const outcome = o && finite(o.endMood) && finite(o.emoji) && finite(o.completionPct) && finite(o.skips) ? o as SessionOutcome : undefined;
+  return { outcome, shape: SHAPE_IDS.includes(b.shape) ? b.shape : undefined };
+}
+
+// Decisions applied before the log existed have no propensity and can't be evaluated.
+function decisionRecord(s: UserState, decision_id: string, details: { outcome?: SessionOutcome; shape?: ShapeId }, revised: boolean): DecisionRecord | undefined {
+  const d = s.applied[decision_id];
+  if (d.propensity === undefined) return;
+  return {
+    user_id: s.user_id,
+    decision_id,
+    acted_at: d.acted_at ?? d.t,
+    rewarded_at: d.t,
+    context: d.context,
+    action: ACTIONS_BY_ID.get(d.action_id)!,
+    propensity: d.propensity,
+    expected_score: d.expected_score,
+    reward: d.reward,
+    ...details,
+    revised,
+  };
+}
+
+// A second update for the same decision replaces its reward instead of
+// counting it twice (delayed check-ins, retried requests without a key).
+function applyReward(s: UserState, action_id: string, context: Context, reward: number) {
+  const prior = s.applied[action_id];
+  if (prior) {
+    const action = ACTIONS_BY_ID.get(prior.action_id);
+    if (!action) throw new HttpError(409, `action ${prior.action_id} is no longer in the grid`);
+    s.model = revise(s.model, prior.context, action, prior.reward, reward);
+    s.applied[action_id] = { ...prior, reward, t: Date.now() };
+    return { ok: true, n: s.model.n, revised: true };
+  }
+
+  const decision = s.pending[action_id];
+  if (!decision) throw new HttpError(404, `unknown action_id ${action_id}`);
+  const action = ACTIONS_BY_ID.get(decision.action_id);
+  if (!action) throw new HttpError(409, `action ${decision.action_id} is no longer in the grid`);
+
+  s.model = update(s.model, context, action, reward);
+  delete s.pending[action_id];
+  s.applied[action_id] = {
+    action_id: decision.action_id, context, reward, t: Date.now(),
+    propensity: decision.propensity, expected_score: decision.expected_score, acted_at: decision.t,
+  };
+  return { ok: true, n: s.model.n, revised: false };
+}
+
+function recommend(b: any) {
+  if (!finite(b.start_mood)) throw new HttpError(400, "start_mood must be a finite number");
+  const arousal = b.start_arousal ?? NEUTRAL_AROUSAL;
+  if (!finite(arousal)) throw new HttpError(400, "start_arousal must be a finite number");
+  if (!finite(b.base_bpm)) throw new HttpError(400, "base_bpm must be a finite number");
+  const goal = b.goal ?? "balanced";
+  if (!isGoalId(goal)) throw new HttpError(400, `goal must be one of ${GOAL_IDS.join(", ")}`);
+  return { targets: curveTargets({ valence: b.start_mood, arousal }, b.base_bpm, parseAction(b.action), GOALS[goal], parseShape(b.shape)) };
+}
+
+// `rand` drives exploration; the simulator passes a seeded one.
+export function createRoutes(store: UserStore, rand: () => number = Math.random): Record<string, Handler> {
+  return {
+    "POST /bandit/act": async (b) => act(store, b, rand),
+    "POST /bandit/update": async (b, key) => banditUpdate(store, b, key),
+    "POST /playlist/recommend": async (b) => recommend(b),
+    "GET /health": async () => ({ ok: true, actions: ACTIONS.length }),
+  };
+}
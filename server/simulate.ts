@@ -0,0 +1,71 @@
+// VibeShift — Simulation runs
+// ---------------------------
+// Runs synthetic users (simulator.ts) through the local curve and/or the
+// bandit and prints weekly reward and regret curves:
+//
+//   npm run simulate                                    seed 1, 10 users, 12 weeks, both policies
+//   npm run simulate -- --seed 7 --users 30 --weeks 26 --per-week 4
+//   npm run simulate -- --policy bandit --http          against a running backend (npm run server)
+//   npm run simulate -- --csv curves.csv --decisions sim.jsonl
+//
+// In-process runs use the server's own routes with seeded exploration, so a
+// seed reproduces them exactly; --decisions writes their decision log for
+// `npm run evaluate -- --log`. Over --http the backend explores with its own
+// randomness and keeps what it learned, so start it on an empty
+// VIBESHIFT_DATA_DIR for a clean run.
+
+import { writeFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import { banditAct, banditUpdate, recommend } from "../src/bandit";
+import { banditPolicy, curvesCsv, formatCurves, inProcessBackend, localPolicy, seeded, simulate, type BanditBackend, type Policy, type SimOptions, type SimResult } from "./simulator";
+import type { DecisionRecord } from "./store";
+
+const { values } = parseArgs({
+  options: {
+    seed: { type: "string", default: "1" },
+    users: { type: "string", default: "10" },
+    weeks: { type: "string", default: "12" },
+    "per-week": { type: "string", default: "5" },
+    policy: { type: "string", default: "local,bandit" },
+    http: { type: "boolean", default: false },
+    csv: { type: "string" },
+    decisions: { type: "string" },
+  },
+});
+
+const int = (name: string, v: string | undefined, min: number) => {
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < min) throw new Error(`--${name} must be an integer ≥ ${min}`);
+  return n;
+};
+
+const opts: SimOptions = {
+  seed: int("seed", values.seed, 0),
+  users: int("users", values.users, 1),
+  weeks: int("weeks", values.weeks, 1),
+  perWeek: Math.min(7, int("per-week", values["per-week"], 1)),
+};
+
+const http: BanditBackend = {
+  act: banditAct,
+  recommend: async (start, base_bpm, action, goal) => (await recommend(start, base_bpm, action, goal)).targets,
+  update: (user_id, action_id, context, reward, details) => banditUpdate(user_id, action_id, context, reward, undefined, details),
+};
+
+const logged: DecisionRecord[] = [];
+const policies: Record<string, () => Policy> = {
+  local: localPolicy,
+  bandit: () => banditPolicy(values.http ? http : inProcessBackend(seeded(opts.seed ^ 0x5eed), d => logged.push(d))),
+};
+
+const results: SimResult[] = [];
+for (const id of values.policy!.split(",").map(s => s.trim()).filter(Boolean)) {
+  if (!policies[id]) throw new Error(`unknown policy ${id} (choose from ${Object.keys(policies).join(", ")})`);
+  const started = Date.now();
+  results.push(await simulate(policies[id](), opts));
+  console.error(`${id}: ${opts.users * opts.weeks * opts.perWeek} sessions in ${((Date.now() - started) / 1000).toFixed(1)} s`);
+}
+
+console.log(formatCurves(results, opts));
+if (values.csv) writeFileSync(values.csv, curvesCsv(results));
+if (values.decisions) writeFileSync(values.decisions, logged.map(d => JSON.stringify(d)).join("\n") + "\n");
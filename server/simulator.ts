@@ -0,0 +1,370 @@
+// VibeShift — Synthetic users
+// ---------------------------
+// A headless benchmark for the curve logic and the bandit. Each synthetic
+// user has hidden preferences (the curve gains, tempo, set length and
+// vocals/instrumental mix that suit them, softened when they slept badly) and
+// a hidden mood model (how sleep, HRV, resting HR, steps, weather, spending and
+// grades move their valence and their arousal). Every session draws a day,
+// turns it into a `Context` through buildContext like the app does, asks a
+// policy for a path, and plays it: each track's distance from the user's ideal
+// path decides whether it is skipped, whether they quit, and how far their
+// mood moves on both axes. The emoji, skips and completion that come out feed
+// rewardFromSession.
+//
+// Regret is measured against the best arm of the bandit's grid for that user
+// and day, both scored on the noise-free version of the same model. The local
+// curve isn't limited to the grid, so its regret can dip below zero.
+//
+// Everything random comes from the seed: the same seed gives the same users,
+// days and curves.
+
+import { buildContext, rewardFromSession, type ActResponse, type Action, type Context, type SessionOutcome, type TrackTarget, type UIState, type UpdateDetails } from "../src/bandit";
+import { nudgeGains, pathTargets, type Gains } from "../src/curve";
+import { GOALS, goalForHour, type Goal, type GoalId } from "../src/goals";
+import { moodDistance, type Mood } from "../src/mood";
+import { gloomIndex } from "../src/weather";
+import { ACTIONS, curveTargets } from "./actions";
+import { initState } from "./linucb";
+import { createRoutes } from "./routes";
+import type { DecisionRecord, UserState } from "./store";
+
+// ---------- Randomness ----------
+export function seeded(seed: number): () => number {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+const mix = (...xs: number[]) => xs.reduce((h, x) => Math.imul(h ^ x, 0x9e3779b1) >>> 0, 0x811c9dc5);
+const gauss = (rand: () => number) => Math.sqrt(-2 * Math.log(1 - rand())) * Math.cos(2 * Math.PI * rand());
+const pick = <T>(rand: () => number, xs: T[]) => xs[Math.floor(rand() * xs.length)];
+const clamp = (a:number, x:number, b:number) => Math.max(a, Math.min(b, x));
+const z = (x: number, mu: number, sd: number) => (sd > 0 ? (x - mu) / sd : 0);
+
+// ---------- Users and days ----------
+// Points per unit of each signal: sleep per hour of deficit, HRV, resting HR
+// and steps per z-score, gloom and spending per 0..1, grades per surprise.
+type MoodModel = { base: number; sleep: number; hrv: number; rhr: number; steps: number; gloom: number; spend: number; grade: number; noise: number };
+
+export type SimUser = {
+  id: string;
+  gains: Gains;          // the curve that suits them on a rested day
+  tiredDamp: number;     // share of those gains lost per hour of sleep deficit
+  baseBpm: number;       // their base BPM setting
+  tempoOffset: number;   // BPM they actually like relative to it
+  instrumental: number;  // 0 wants vocals … 1 wants instrumentals
+  length: number;        // set length they settle into
+  tolerance: number;     // misfit a track can carry before it starts to hurt
+  lift: number;          // share of the remaining gap (on each axis) a well-fitting track closes
+  sting: number;         // valence points a badly-fitting track costs
+  valence: MoodModel;
+  arousal: MoodModel;
+  signals: { sleep: number; hrvMu: number; hrvSd: number; rhrMu: number; rhrSd: number; stepsMu: number; stepsSd: number };
+  genres: string[];
+  explicitOK: boolean;
+  hours: number[];       // when they tend to listen
+};
+
+export function makeUser(id: string, rand: () => number): SimUser {
+  const hours = [7, 8, 9, 10, 12, 13, 17, 18, 19, 21, 22];
+  return {
+    id,
+    gains: { kv: 0.2 + 0.7 * rand(), ke: 0.1 + 0.6 * rand(), kt: -0.4 + 0.8 * rand(), kd: 0.1 + 0.3 * rand() },
+    tiredDamp: 0.05 + 0.15 * rand(),
+    baseBpm: pick(rand, [88, 96, 104]),
+    tempoOffset: Math.round(-10 + 20 * rand()),
+    instrumental: rand(),
+    length: pick(rand, [8, 10, 12]),
+    tolerance: 0.35 + 0.3 * rand(),
+    lift: 0.06 + 0.08 * rand(),
+    sting: 1 + 2 * rand(),
+    valence: {
+      base: clamp(30, 50 + 8 * gauss(rand), 70),
+      sleep: 3 + 4 * rand(), hrv: 2 + 4 * rand(), rhr: 1 + 3 * rand(), steps: 1 + 3 * rand(),
+      gloom: 5 + 15 * rand(), spend: 5 + 15 * rand(), grade: 5 + 15 * rand(), noise: 3 + 4 * rand(),
+    },
+    // Mostly the body: HRV and resting HR, and worry over money.
+    arousal: {
+      base: clamp(30, 50 + 8 * gauss(rand), 70),
+      sleep: 1 + 3 * rand(), hrv: 4 + 4 * rand(), rhr: 4 + 4 * rand(), steps: 1 + 3 * rand(),
+      gloom: 2 + 6 * rand(), spend: 5 + 10 * rand(), grade: 2 + 6 * rand(), noise: 3 + 4 * rand(),
+    },
+    signals: {
+      sleep: 6.5 + 1.5 * rand(), hrvMu: 35 + 20 * rand(), hrvSd: 6 + 6 * rand(),
+      rhrMu: 58 + 14 * rand(), rhrSd: 3 + 3 * rand(), stepsMu: 4000 + 6000 * rand(), stepsSd: 1500 + 2000 * rand(),
+    },
+    genres: [pick(rand, ["lo-fi", "indie", "r&b", "edm", "pop"])],
+    explicitOK: rand() < 0.6,
+    hours: [...new Set([pick(rand, hours), pick(rand, hours), pick(rand, hours)])],
+  };
+}
+
+export type SimDay = {
+  at: Date;
+  sleepHours: number; hrv: number; rhr: number; steps: number;
+  precip: number; cloud: number; tempC: number;
+  spendSpike: number; gradeSurprise: number;
+  startMood: number;    // the user's true mood (valence) as the session starts
+  startArousal: number; // and arousal
+};
+
+export function makeDay(u: SimUser, at: Date, rand: () => number): SimDay {
+  const s = u.signals, m = u.valence, a = u.arousal;
+  const season = Math.cos((2 * Math.PI * (at.getMonth() - 6.5)) / 12); // 1 in July, −1 in January
+  const d = {
+    at,
+    sleepHours: clamp(3, s.sleep + 0.9 * gauss(rand), 11),
+    hrv: Math.max(10, s.hrvMu + s.hrvSd * gauss(rand)),
+    rhr: s.rhrMu + s.rhrSd * gauss(rand),
+    steps: Math.max(0, Math.round(s.stepsMu + s.stepsSd * gauss(rand))),
+    precip: rand() < 0.35 ? Math.round(12 * rand()) : 0,
+    cloud: Math.round(clamp(0, 50 + 35 * gauss(rand), 100)),
+    tempC: Math.round(10 + 10 * season + 4 * gauss(rand)),
+    spendSpike: rand() < 0.15 ? 0.4 + 0.6 * rand() : 0.1 * rand(),
+    gradeSurprise: rand() < 0.1 ? clamp(-1, 0.5 * gauss(rand), 1) : 0,
+  };
+  const mood = m.base
+    - m.sleep * Math.max(0, s.sleep - d.sleepHours)
+    + m.hrv * z(d.hrv, s.hrvMu, s.hrvSd)
+    - m.rhr * z(d.rhr, s.rhrMu, s.rhrSd)
+    + m.steps * z(d.steps, s.stepsMu, s.stepsSd)
+    - m.gloom * gloomIndex({ precip: d.precip, cloud: d.cloud, tempC: d.tempC })
+    - m.spend * d.spendSpike
+    + m.grade * d.gradeSurprise
+    + m.noise * gauss(rand);
+  const arousal = a.base
+    - a.sleep * Math.max(0, s.sleep - d.sleepHours)
+    - a.hrv * z(d.hrv, s.hrvMu, s.hrvSd)
+    + a.rhr * z(d.rhr, s.rhrMu, s.rhrSd)
+    + a.steps * z(d.steps, s.stepsMu, s.stepsSd)
+    - a.gloom * gloomIndex({ precip: d.precip, cloud: d.cloud, tempC: d.tempC })
+    + a.spend * d.spendSpike
+    + a.grade * Math.abs(d.gradeSurprise)
+    + a.noise * gauss(rand);
+  return { ...d, startMood: clamp(0, mood, 100), startArousal: clamp(0, arousal, 100) };
+}
+
+// What the app would know: the measured mood and signals, with the personal
+// baselines it would have learned by now.
+export function contextFor(u: SimUser, d: SimDay): Context {
+  const ui: UIState = {
+    mood: Math.round(d.startMood), arousal: Math.round(d.startArousal), baseBpm: u.baseBpm, allowExplicit: u.explicitOK, noLyrics: false,
+    sleepHours: d.sleepHours, sleepBaseline: u.signals.sleep,
+    hrv: d.hrv, hrvMu: u.signals.hrvMu, hrvSd: u.signals.hrvSd,
+    rhr: d.rhr, rhrMu: u.signals.rhrMu, rhrSd: u.signals.rhrSd,
+    steps: d.steps, stepsMu: u.signals.stepsMu, stepsSd: u.signals.stepsSd,
+    precip: d.precip, cloud: d.cloud, tempC: d.tempC,
+    spendSpike: d.spendSpike, gradeSurprise: d.gradeSurprise,
+    genres: u.genres, goal: goalForHour(d.at.getHours()),
+  };
+  return buildContext(ui, d.at);
+}
+
+// ---------- Hidden response ----------
+export type Plan = { targets: TrackTarget[]; instrumental: 0 | 1 };
+export type Played = { outcome: SessionOutcome; reward: number };
+
+const QUIT_PER_SKIP = 0.15; // chance of giving up, per skip in a row
+const SKIPPED_SHARE = 0.3;  // how much of a skipped track still lands
+
+// Plays `plan` for this user and day. Without `rand` it returns the noise-free
+// (expected) session: skips and quitting weigh in as probabilities.
+export function play(u: SimUser, d: SimDay, goal: Goal, plan: Plan, rand?: () => number): Played {
+  const rest = clamp(0, 1 - u.tiredDamp * Math.max(0, u.signals.sleep - d.sleepHours), 1);
+  const start: Mood = { valence: d.startMood, arousal: d.startArousal };
+  const goalPt: Mood = { valence: goal.target, arousal: goal.arousal };
+  const ideal = pathTargets(start, {
+    kv: u.gains.kv * rest, ke: u.gains.ke * rest, kt: u.gains.kt * rest, kd: u.gains.kd * rest,
+    N: u.length, baseBpm: u.baseBpm + u.tempoOffset, goal,
+  });
+  const N = plan.targets.length;
+  const vocalsMiss = 0.15 * (plan.instrumental ? 1 - u.instrumental : u.instrumental);
+  let mood = d.startMood, arousal = d.startArousal, heard = 0, skips = 0, fitSum = 0, here = 1, streak = 0;
+  for (let i = 0; i < N; i++) {
+    const t = plan.targets[i];
+    const want = ideal[clamp(0, Math.round(((i + 1) / N) * ideal.length) - 1, ideal.length - 1)];
+    const misfit = Math.abs(t.valence - want.valence) + Math.abs(t.energy - want.energy) + 0.5 * Math.abs(t.dance - want.dance)
+      + Math.abs(t.tempo - want.tempo) / 30 + vocalsMiss + 0.02 * Math.abs(N - u.length);
+    const fit = 1 - misfit / u.tolerance;
+    const pSkip = 1 / (1 + Math.exp(-6 * (misfit / u.tolerance - 1)));
+    const step = fit >= 0 ? u.lift * fit * (goal.target - mood) : u.sting * fit;
+    const settle = fit >= 0 ? u.lift * fit * (goal.arousal - arousal) : 0;
+    if (rand) {
+      const skipped = rand() < pSkip;
+      const w = skipped ? SKIPPED_SHARE : 1;
+      mood = clamp(0, mood + w * step + 0.5 * gauss(rand), 100);
+      arousal = clamp(0, arousal + w * settle + 0.5 * gauss(rand), 100);
+      heard += w; fitSum += w * fit;
+      if (skipped) {
+        skips++; streak++;
+        if (rand() < QUIT_PER_SKIP * streak) break;
+      } else streak = 0;
+    } else {
+      const w = here * (1 - (1 - SKIPPED_SHARE) * pSkip);
+      mood = clamp(0, mood + w * step, 100);
+      arousal = clamp(0, arousal + w * settle, 100);
+      heard += w; fitSum += w * fit; skips += here * pSkip;
+      here *= 1 - QUIT_PER_SKIP * pSkip;
+    }
+  }
+  const closed = (moodDistance(start, goalPt) - moodDistance({ valence: mood, arousal }, goalPt)) / 25;
+  const liking = 2 * (0.6 * closed + 0.8 * (heard ? fitSum / heard : 0) - 0.1);
+  const emoji = rand ? clamp(-2, Math.round(liking + 0.4 * gauss(rand)), 2) : clamp(-2, liking, 2);
+  const outcome: SessionOutcome = {
+    endMood: rand ? Math.round(mood) : mood,
+    endArousal: rand ? Math.round(arousal) : arousal,
+    emoji: emoji as SessionOutcome["emoji"],
+    completionPct: heard / N,
+    skips: rand ? skips : Math.round(skips),
+    setpoint: goal.target,
+    arousalSetpoint: goal.arousal,
+  };
+  return { outcome, reward: rewardFromSession(outcome) };
+}
+
+const startOf = (c: Context): Mood => ({ valence: c.start_mood, arousal: c.start_arousal });
+
+const armPlan = (c: Context, a: Action, goal: Goal): Plan =>
+  ({ targets: curveTargets(startOf(c), c.base_bpm, a, goal), instrumental: a.instrumental || c.no_lyrics ? 1 : 0 });
+
+// The best the bandit's grid could have done for this user and day.
+export function oracle(u: SimUser, d: SimDay, c: Context, goal: Goal): number {
+  let best = -Infinity;
+  for (const a of ACTIONS) best = Math.max(best, play(u, d, goal, armPlan(c, a, goal)).reward);
+  return best;
+}
+
+// ---------- Policies ----------
+export type Decision = { plan: Plan; learn(played: Played): Promise<void> };
+export type Policy = { id: string; decide(u: SimUser, c: Context, goal: Goal): Promise<Decision> };
+
+// App.jsx's default curve settings.
+const LOCAL_START: Gains = { kv: 0.6, ke: 0.4, kt: 0.3, kd: 0.2 };
+const LOCAL_N = 10;
+
+// makePlaylist's curve, with the emoji nudging the gains after every session.
+export function localPolicy(): Policy {
+  const gains = new Map<string, Gains>();
+  return {
+    id: "local",
+    async decide(u, c, goal) {
+      const g = gains.get(u.id) ?? LOCAL_START;
+      const plan: Plan = { targets: pathTargets(startOf(c), { ...g, N: LOCAL_N, baseBpm: c.base_bpm, goal }), instrumental: c.no_lyrics ? 1 : 0 };
+      return { plan, learn: async ({ outcome }) => { gains.set(u.id, nudgeGains(g, outcome.emoji)); } };
+    },
+  };
+}
+
+// The three bandit calls, over HTTP (src/bandit.ts) or in this process.
+export type BanditBackend = {
+  act(user_id: string, context: Context): Promise<ActResponse>;
+  recommend(start: Mood, base_bpm: number, action: Action, goal: GoalId): Promise<TrackTarget[]>;
+  update(user_id: string, action_id: string, context: Context, reward: number, details: UpdateDetails): Promise<unknown>;
+};
+
+export function banditPolicy(backend: BanditBackend, id = "bandit"): Policy {
+  return {
+    id,
+    async decide(u, c, goal) {
+      const act = await backend.act(u.id, c);
+      const targets = await backend.recommend(startOf(c), c.base_bpm, act.action, goal.id);
+      const plan: Plan = { targets, instrumental: act.action.instrumental || c.no_lyrics ? 1 : 0 };
+      return { plan, learn: async ({ outcome, reward }) => { await backend.update(u.id, act.action_id, c, reward, { outcome, shape: "cosine" }); } };
+    },
+  };
+}
+
+// The server's own routes with state in memory and seeded exploration.
+export function inProcessBackend(rand: () => number, logDecision?: (d: DecisionRecord) => void): BanditBackend {
+  const users = new Map<string, UserState>();
+  const routes = createRoutes({
+    loadUser: user_id => users.get(user_id) ?? { user_id, model: initState(), pending: {}, applied: {}, replies: {} },
+    saveUser: s => { users.set(s.user_id, s); },
+    logDecision,
+  }, rand);
+  return {
+    act: (user_id, context) => routes["POST /bandit/act"]({ user_id, context }) as Promise<ActResponse>,
+    recommend: async (start, base_bpm, action, goal) =>
+      ((await routes["POST /playlist/recommend"]({ start_mood: start.valence, start_arousal: start.arousal, base_bpm, action, goal })) as { targets: TrackTarget[] }).targets,
+    update: (user_id, action_id, context, reward, details) => routes["POST /bandit/update"]({ user_id, action_id, context, reward, ...details }),
+  };
+}
+
+// ---------- Runs ----------
+export type SimOptions = { seed: number; users: number; weeks: number; perWeek: number; start?: Date };
+export type WeekPoint = { week: number; sessions: number; reward: number; expected: number; oracle: number; regret: number; cumRegret: number };
+export type SimResult = { policy: string; weeks: WeekPoint[] };
+
+const DAY_MS = 86_400_000;
+
+export const simUsers = (o: Pick<SimOptions, "seed" | "users">) => {
+  const rand = seeded(mix(o.seed, 0));
+  return Array.from({ length: o.users }, (_, i) => makeUser(`sim-${o.seed}-${i + 1}`, rand));
+};
+
+// Every policy meets the same users on the same days; `cumRegret` is per user.
+export async function simulate(policy: Policy, o: SimOptions): Promise<SimResult> {
+  const users = simUsers(o);
+  const start = o.start ?? new Date(2025, 0, 6); // a Monday
+  const perWeek = Math.min(7, o.perWeek);
+  const days = users.map((_, i) => seeded(mix(o.seed, i + 1, 1)));
+  const noise = users.map((_, i) => seeded(mix(o.seed, i + 1, 2)));
+  const weeks: WeekPoint[] = [];
+  let cum = 0;
+  for (let w = 0; w < o.weeks; w++) {
+    let n = 0, reward = 0, expected = 0, best = 0;
+    for (let i = 0; i < users.length; i++) {
+      const u = users[i], rand = days[i];
+      const slots = [0, 1, 2, 3, 4, 5, 6];
+      for (let k = slots.length - 1; k > 0; k--) { const j = Math.floor(rand() * (k + 1)); [slots[k], slots[j]] = [slots[j], slots[k]]; }
+      slots.length = perWeek;
+      slots.sort((a, b) => a - b);
+      for (const slot of slots) {
+        const at = new Date(start.getTime() + (w * 7 + slot) * DAY_MS);
+        at.setHours(pick(rand, u.hours), Math.floor(60 * rand()), 0, 0);
+        const day = makeDay(u, at, rand);
+        const c = contextFor(u, day);
+        const goal = GOALS[c.goal];
+        const decision = await policy.decide(u, c, goal);
+        const played = play(u, day, goal, decision.plan, noise[i]);
+        await decision.learn(played);
+        const exp = play(u, day, goal, decision.plan).reward;
+        const top = oracle(u, day, c, goal);
+        n++; reward += played.reward; expected += exp; best += top;
+        cum += top - exp;
+      }
+    }
+    weeks.push({ week: w + 1, sessions: n, reward: reward / n, expected: expected / n, oracle: best / n, regret: (best - expected) / n, cumRegret: cum / users.length });
+  }
+  return { policy: policy.id, weeks };
+}
+
+// ---------- Output ----------
+export function formatCurves(results: SimResult[], o: SimOptions): string {
+  const head = ["Week", ...results.flatMap(r => [`${r.policy} reward`, `${r.policy} regret`, `${r.policy} cum. regret`])];
+  const rows = results[0].weeks.map((_, i) => [String(i + 1), ...results.flatMap(r => {
+    const p = r.weeks[i];
+    return [p.reward.toFixed(3), p.regret.toFixed(3), p.cumRegret.toFixed(2)];
+  })]);
+  return [
+    `# VibeShift simulation — seed ${o.seed}, ${o.users} users, ${o.perWeek} sessions a week`,
+    "",
+    `| ${head.join(" | ")} |`,
+    `|${head.map(() => "---:").join("|")}|`,
+    ...rows.map(r => `| ${r.join(" | ")} |`),
+    "",
+    "Reward is the mean realised session reward; regret is the noise-free gap to the best grid arm per session, and its cumulative sum per user.",
+  ].join("\n");
+}
+
+export function curvesCsv(results: SimResult[]): string {
+  const lines = ["policy,week,sessions,reward,expected,oracle,regret,cum_regret"];
+  for (const r of results) for (const p of r.weeks) {
+    lines.push([r.policy, p.week, p.sessions, p.reward, p.expected, p.oracle, p.regret, p.cumRegret].map(x => (typeof x === "number" && !Number.isInteger(x) ? x.toFixed(4) : x)).join(","));
+  }
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,120 @@
+// VibeShift — Per-user bandit state on disk
+// -----------------------------------------
+// One JSON file per user under VIBESHIFT_DATA_DIR (default server/data).
+// Writes go to a temp file first and are renamed into place, so a crash
+// mid-write never leaves a half-written model behind.
+//
+// Every rewarded decision is also appended to the user's decision log, a
+// `.decisions.jsonl` file next to the model, for off-policy evaluation
+// (server/ope.ts). The log is never trimmed.
+
+import { createHash } from "node:crypto";
+import { appendFileSync, existsSync, mkdirSync, readdirSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import type { Action, Context, SessionOutcome } from "../src/bandit";
+import type { ShapeId } from "../src/shapes";
+import { parseContext } from "./context";
+import { initState, restoreUser, type LinUCBState } from "./linucb";
+
+export type PendingDecision = { action_id: string; propensity: number; expected_score?: number; t: number };
+export type AppliedDecision = {
+  action_id: string; context: Context; reward: number; t: number;
+  propensity?: number; expected_score?: number; acted_at?: number; // for the decision log
+};
+export type StoredReply = { reply: unknown; t: number };
+
+// One act/update pair. A revised reward appends the pair again with
+// `revised: true`; the last line per decision id is the one that counts.
+export type DecisionRecord = {
+  user_id: string;
+  decision_id: string;
+  acted_at: number;
+  rewarded_at: number;
+  context: Context;
+  action: Action;
+  propensity: number;
+  expected_score?: number;
+  reward: number;
+  outcome?: SessionOutcome;
+  shape?: ShapeId;
+  revised: boolean;
+};
+
+export type UserState = {
+  user_id: string;
+  model: LinUCBState;
+  pending: Record<string, PendingDecision>; // decision id → chosen arm, awaiting a reward
+  applied: Record<string, AppliedDecision>; // decision id → reward already folded in (revisable)
+  replies: Record<string, StoredReply>;     // Idempotency-Key → first reply to that update
+};
+
+export const DATA_DIR = process.env.VIBESHIFT_DATA_DIR || join(import.meta.dirname ?? ".", "data");
+const MAX_PENDING = 200;
+const MAX_APPLIED = 500;
+const MAX_REPLIES = 500;
+
+function trim<T extends { t: number }>(m: Record<string, T>, max: number) {
+  const ids = Object.keys(m);
+  if (ids.length <= max) return;
+  ids.sort((a, b) => m[a].t - m[b].t)
+    .slice(0, ids.length - max)
+    .forEach(id => delete m[id]);
+}
+
+function fileFor(user_id: string, ext = ".json") {
+  const safe = user_id.replace(/[^A-Za-z0-9_-]/g, "_").slice(0, 40);
+  const hash = createHash("sha1").update(user_id).digest("hex").slice(0, 8);
+  return join(DATA_DIR, `${safe}-${hash}${ext}`);
+}
+
+const LOG_EXT = ".decisions.jsonl";
+
+export function loadUser(user_id: string): UserState {
+  const file = fileFor(user_id);
+  if (existsSync(file)) {
+    try {
+      // A model from an earlier feature map is migrated, not thrown away (linucb.ts).
+      return restoreUser(JSON.parse(readFileSync(file, "utf8")), user_id, msg => console.warn(`[store] ${msg}`));
+    } catch (e) {
+      console.warn(`[store] couldn't read ${file}, starting ${user_id} over: ${(e as Error).message}`);
+    }
+  }
+  return { user_id, model: initState(), pending: {}, applied: {}, replies: {} };
+}
+
+export function saveUser(s: UserState) {
+  trim(s.pending, MAX_PENDING);
+  trim(s.applied, MAX_APPLIED);
+  trim(s.replies, MAX_REPLIES);
+  mkdirSync(DATA_DIR, { recursive: true });
+  const file = fileFor(s.user_id);
+  writeFileSync(`${file}.tmp`, JSON.stringify(s));
+  renameSync(`${file}.tmp`, file);
+}
+
+export function logDecision(d: DecisionRecord) {
+  mkdirSync(DATA_DIR, { recursive: true });
+  appendFileSync(fileFor(d.user_id, LOG_EXT), `${JSON.stringify(d)}\n`);
+}
+
+// One user's log, or every user's. Unparseable lines (a torn last write) are
+// skipped; contexts go back through parseContext, so records logged before a
+// context field existed get the same default a live request would.
+export function loadDecisions(user_id?: string): DecisionRecord[] {
+  if (!existsSync(DATA_DIR)) return [];
+  const files = user_id ? [fileFor(user_id, LOG_EXT)].filter(existsSync) : readdirSync(DATA_DIR).filter(f => f.endsWith(LOG_EXT)).map(f => join(DATA_DIR, f));
+  return files.flatMap(readDecisionFile);
+}
+
+export function readDecisionFile(file: string): DecisionRecord[] {
+  const out: DecisionRecord[] = [];
+  for (const line of readFileSync(file, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      const d = JSON.parse(line) as DecisionRecord;
+      const context = parseContext(d.context);
+      if (typeof context !== "string") out.push({ ...d, context });
+    } catch {}
+  }
+  return out;
+}
@@ -1,26 +1,67 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { API_BASE, getCurveAndTargets, buildContext, isMockBackend, rewardFromSession, setMockBackend } from "./bandit";
+import { enqueueUpdate, flushOutbox, listOutbox, SYNC_TAG } from "./outbox";
+import { createProfile, deleteProfile, listProfiles, PROFILE, profileKey, switchProfile } from "./profiles";
+import { exportProfile, importProfile, parseArchive } from "./archive";
+import { matchTargets, parseCatalog } from "./catalog";
+import { deleteSession, getSession, listSessions, newSessionId, rewardsBy, saveSession, summarize } from "./history";
+import { baselineFields, computeBaselines, priorBaselines, WARMUP_DAYS } from "./baselines";
+import { dayKey, getDay, importDays, listDays, upsertDay } from "./signals";
+import { clearTransactions, listTransactions, parseTransactions, saveTransactions, spendAnomaly, MIN_HISTORY_DAYS } from "./transactions";
+import { receiptsFromFile } from "./receipts";
+import { canvasBase, syncCanvas } from "./canvas";
+import { beginAuthorization, completeAuthorization, disconnect, getAccessToken, getConnection, isCallback, PROVIDERS, saveManualToken } from "./oauth";
+import { clearGrades, eventsFromCanvas, gradesFromFile, gradeSurprise as computeGradeSurprise, listGrades, saveGrades, WINDOW_DAYS } from "./grades";
+import { GOAL_IDS, GOALS, goalForHour, resolveGoal } from "./goals";
+import { DEFAULT_SHAPE, KNOTS_T, SHAPE_IDS, SHAPES, paramsFor, progress, shapeLabel, toCustom } from "./shapes";
+import { answerCheckIn, canNotifyWhileClosed, deleteCheckIn, dismissCheckIn, dueCheckIns, notifyDue, requestNotifyPermission, scheduleCheckIn } from "./checkins";
+import { kvDelete, kvGet, kvSet } from "./idb";
+import { clearMacro, housingStress as computeHousingStress, isNational, listMacro, macroChoices, parseMacroTable, saveMacro, unemploymentGap } from "./macro";
+import { createPlayer, listenSummary, matchFiles } from "./player";
+import { entryFromTrack, MIME, parsePlaylist, scorePlaylist, writePlaylist } from "./playlists";
+import { pathTargets, targetAt } from "./curve";
+import { planProgress, replan, replanTrigger, SKIP_STREAK } from "./replan";
+import { moodDistance, NEUTRAL_AROUSAL, quadrant, QUADRANTS } from "./mood";
+import { comfortTemp, getForecast, gloomIndex, sessionWindow, windowWeather } from "./weather";
+import { isSensitive, loadSensitive, readSensitive, resealSensitive, forgetSensitive, writeSensitive } from "./sensitive";
+import { hasPassphrase, setPassphrase, unlock } from "./vault";
+import { activeGrants, forgetSource, grant, listConsent, noteFieldUse, revoke, SOURCE_IDS, SOURCES } from "./consent";
 
 // VibeShift — Clickable Mock (React + Tailwind)
 // One-file demo: mood gauge, signal controls, playlist pathing, emoji feedback.
-// No external APIs; everything is simulated.
+// Sessions go through the bandit backend (src/bandit.ts) when it is reachable
+// and fall back to the local curve otherwise; the signals are still simulated.
 
 // ---------- Helpers ----------
 const clamp = (min, v, max) => Math.max(min, Math.min(v, max));
 const lerp = (a, b, t) => a + (b - a) * t;
-const easeCos = (t) => 0.5 - 0.5 * Math.cos(Math.PI * t); // 0→1 smooth
 const prettyPct = (x) => `${Math.round(x * 100)}%`;
+// Where today's saved health row came from, for the Home note.
+const todayRecordedBy = (row) => {
+  if (!row) return null;
+  const by = new Set([...Object.values(row.imported ?? {}), ...Object.values(row.recorded ?? {}).map((b) => (b === "demo" ? "demo values, not in baselines" : "by you"))]);
+  return by.size ? [...by].join(", ") : null;
+};
+// The self-report used to be one −10..+10 number; that reads as valence, neutral arousal.
+const selfReportOf = (x) => (typeof x === "number" ? { valence: x, arousal: 0 } : x);
+const fmtClock = (ms) => `${Math.floor(ms / 60000)}:${String(Math.floor((ms % 60000) / 1000)).padStart(2, "0")}`;
+const RECENT_MAX = 200;  // recently played track ids we try not to repeat
 
+// Keys are per profile (profiles.ts): "vs_len" is "vs_len@<profile id>" outside the default one.
+// Sensitive keys are sealed at rest and read from the unlocked cache (sensitive.ts).
 function useLocalStorage(key, initial) {
   const [value, setValue] = useState(() => {
+    if (isSensitive(key)) return readSensitive(key, initial);
     try {
-      const raw = localStorage.getItem(key);
+      const raw = localStorage.getItem(profileKey(key));
       return raw ? JSON.parse(raw) : initial;
     } catch {
       return initial;
     }
   });
   useEffect(() => {
-    try { localStorage.setItem(key, JSON.stringify(value)); } catch {}
+    if (isSensitive(key)) return writeSensitive(key, value);
+    try { localStorage.setItem(profileKey(key), JSON.stringify(value)); } catch {}
   }, [key, value]);
   return [value, setValue];
 }
@@ -96,75 +137,185 @@ function albumGradient(i) {
 }
 
 // ---------- Core: Mood Calculation ----------
-function computeMood(signals) {
-  const { hrv, rhr, steps, sleepHours, precip, cloud, tempC, unempDiff, housingStress, selfReport, financeStress, eduSurprise } = signals;
-  // baselines (mock personal)
-  const base = { hrv: 45, rhr: 65, steps: 7000 };
+// `base` comes from baselines.ts — the same numbers buildContext gets.
+// Mood is a point on the valence × arousal plane (mood.ts): returns both
+// clamped 0–100 axes plus each signal's signed contribution to each, in
+// points, so the UI can explain them. The body's stress signals (HRV, resting
+// HR) mostly move arousal; worries (money, housing, jobs) lower valence and
+// raise arousal; gloom and short sleep flatten both.
+function computeMood(signals, base = priorBaselines()) {
+  const { hrv, rhr, steps, sleepHours, gloom, unempDiff, housingStress, selfReport, financeStress, eduSurprise, stale = {} } = signals;
   const z = (val, mu, sd) => (val - mu) / sd;
-  const hrvZ = z(hrv, base.hrv, 10);
-  const rhrZ = z(rhr, base.rhr, 8);
-  const stepsZ = z(steps, base.steps, 3000);
-  const sleepDef = Math.max(0, 7.5 - sleepHours);
-  const tempComfort = 17; // comfort temp (Vancouver-ish)
-  const tempDiscomfort = Math.min(1, Math.abs(tempC - tempComfort) / 17);
-  const weatherGloom = 0.35 * (precip / 10) + 0.25 * (cloud / 100) + 0.4 * tempDiscomfort; // stronger temp effect
-
-  // weights (hackathon priors)
-  const w1 = 6, w2 = 5, w3 = 4, w4 = 3.5, w5 = 10, w6 = 12, w7 = 9, w8 = 6, w9 = 5, w10 = 6;
-
-  let mood = 50;
-  mood += w1 * hrvZ;           // higher HRV → calmer → up
-  mood -= w2 * rhrZ;           // higher resting HR → stress → down
-  mood += w3 * stepsZ;         // more steps → up
-  mood -= w4 * sleepDef;       // less sleep → down
-  mood -= w5 * weatherGloom;   // rainy/cloudy/cold → down
-  mood -= w6 * unempDiff;      // worse major prospects → down
-  mood -= w7 * housingStress;  // affordability stress → down
-  mood -= w9 * financeStress;  // recent spend spike → down
-  mood += w8 * (selfReport / 10);
-  mood += w10 * (eduSurprise); // -1..+1 surprise from Canvas grades (bad→down, good→up)
-  return clamp(0, Math.round(mood), 100);
+  const hrvZ = z(hrv, base.hrv.mu, base.hrv.sd);
+  const rhrZ = z(rhr, base.rhr.mu, base.rhr.sd);
+  const stepsZ = z(steps, base.steps.mu, base.steps.sd);
+  const sleepDef = Math.max(0, base.sleep.mu - sleepHours);
+  const self = selfReportOf(selfReport);
+
+  // weights (hackathon priors): [valence, arousal] per unit
+  const W = {
+    hrv: [3, -6], rhr: [-2, 6], steps: [3, 3], sleep: [-3.5, -2], weather: [-10, -4],
+    unemp: [-12, 4], housing: [-9, 3], finance: [-5, 4], grade: [6, 3],
+  };
+  const both = (key, x) => ({ valence: W[key][0] * x, arousal: W[key][1] * x });
+
+  const contributions = [
+    { key: "hrv", label: "HRV", ...both("hrv", hrvZ) },                  // higher HRV → calmer, a little happier
+    { key: "rhr", label: "Resting HR", ...both("rhr", rhrZ) },           // higher resting HR → keyed up
+    { key: "steps", label: "Steps", ...both("steps", stepsZ) },          // more steps → up and livelier
+    { key: "sleep", label: "Sleep deficit", ...both("sleep", sleepDef) }, // less sleep → down and flat
+    { key: "weather", label: "Weather gloom", ...both("weather", gloom) }, // rainy/cloudy/cold → down and sluggish
+    { key: "unemp", label: "Job market (major)", ...both("unemp", stale.unemp ? 0 : unempDiff), stale: stale.unemp }, // worse major prospects → worry
+    { key: "housing", label: "Housing stress", ...both("housing", stale.housing ? 0 : housingStress), stale: stale.housing }, // affordability stress → worry
+    { key: "finance", label: "Spend spike", ...both("finance", financeStress) }, // recent spend spike → worry
+    { key: "self", label: "Self‑report", valence: 6 * (self.valence / 10), arousal: 8 * (self.arousal / 10) },
+    { key: "grade", label: "Grade surprise", valence: W.grade[0] * eduSurprise, arousal: W.grade[1] * Math.abs(eduSurprise) }, // -1..+1 surprise from Canvas grades; either way it stirs
+  ];
+  const raw = {
+    valence: 50 + contributions.reduce((a, c) => a + c.valence, 0),
+    arousal: NEUTRAL_AROUSAL + contributions.reduce((a, c) => a + c.arousal, 0),
+  };
+  return { valence: clamp(0, Math.round(raw.valence), 100), arousal: clamp(0, Math.round(raw.arousal), 100), raw, contributions };
+}
+
+// Realistic things the user can do today, ranked by how far each would move
+// the mood toward the goal's point on the plane.
+const MOOD_LEVERS = [
+  { label: "an extra hour of sleep tonight", apply: (s) => ({ ...s, sleepHours: s.sleepHours + 1 }) },
+  { label: "a 20‑minute walk (~2,000 steps)", apply: (s) => ({ ...s, steps: s.steps + 2000 }) },
+  { label: "a calmer day (resting HR −3 bpm)", apply: (s) => ({ ...s, rhr: s.rhr - 3 }) },
+];
+
+function moodLevers(signals, base, goal) {
+  const target = { valence: goal.target, arousal: goal.arousal };
+  const now = moodDistance(computeMood(signals, base).raw, target);
+  return MOOD_LEVERS
+    .map((l) => ({ label: l.label, gain: now - moodDistance(computeMood(l.apply(signals), base).raw, target) }))
+    .filter((l) => l.gain > 0.05)
+    .sort((a, b) => b.gain - a.gain);
 }
 
 // ---------- Core: Playlist Generation ----------
-function makePlaylist(currentMood, cfg) {
-  const { N, kv, ke, kt, kd, baseBpm, neutral } = cfg;
-  const delta = 50 - currentMood; // + if we need to go up in mood
-  const tracks = [];
-  for (let i = 1; i <= N; i++) {
-    const t = easeCos(i / N);
-    const valence = clamp(0, neutral + (kv * delta * t) / 50, 1);
-    const energy = clamp(0, neutral + (ke * delta * t) / 50, 1);
-    const dance = clamp(0, neutral + (kd * delta * t) / 50, 1);
-    const tempo = Math.round(baseBpm + kt * delta * t);
-    tracks.push({
-      id: `track-${i}`,
-      title: randomTitle(i),
-      artist: ART_SEEDS[(i + 1) % ART_SEEDS.length],
+// `start` is { valence, arousal } (mood.ts).
+function makePlaylist(start, cfg) {
+  const targets = pathTargets(start, cfg);
+  return tracksFromTargets(targets, cfg.matcher ? cfg.matcher(targets) : []);
+}
+
+// Same track shape whether the targets came from the local curve or /playlist/recommend.
+// valence/energy/dance/tempo are always the path targets; `match` holds the catalog
+// track picked for them (null → placeholder title, e.g. no catalog loaded).
+function tracksFromTargets(targets, matches = []) {
+  return targets.map(({ valence, energy, dance, tempo }, j) => {
+    const i = j + 1;
+    const match = matches[j] ?? null;
+    return {
+      id: match ? match.track.id : `track-${i}`,
+      title: match ? match.track.title : randomTitle(i),
+      artist: match ? match.track.artists.join(", ") : ART_SEEDS[(i + 1) % ART_SEEDS.length],
       valence,
       energy,
       dance,
       tempo,
       art: albumGradient(i),
-    });
-  }
-  return tracks;
+      match,
+    };
+  });
+}
+
+// SessionLog.playlist entry (history.ts) for a track and its planned shift progress.
+function sessionTrack(t, progress) {
+  return {
+    id: t.id, title: t.title, artist: t.artist,
+    target: { valence: t.valence, energy: t.energy, dance: t.dance, tempo: t.tempo },
+    ...(t.match ? { distance: t.match.distance } : {}),
+    progress,
+  };
 }
 
+const REPLAN_REASONS = { nudge: "check-in", skips: `${SKIP_STREAK} skips in a row`, replay: "replayed a track" };
+const replanText = (r) => `After track ${r.index + 1}: ${REPLAN_REASONS[r.reason]} → re-planned from mood ≈ ${r.mood}, arousal ≈ ${r.arousal ?? NEUTRAL_AROUSAL}`;
+
 // ---------- UI Components ----------
-function Gauge({ mood }) {
-  const percent = mood;
-  const color = moodColor(mood);
-  const bg = `conic-gradient(${color} ${percent * 3.6}deg, #e5e7eb ${percent * 3.6}deg)`;
+// The valence × arousal plane (mood.ts) as a 100×100 SVG: valence across,
+// arousal up, the four quadrants labelled. `children` draw in its coordinates.
+const planeX = (valence) => clamp(0, valence, 100);
+const planeY = (arousal) => 100 - clamp(0, arousal, 100);
+
+function MoodPlane({ children, svgRef, className = "", ...rest }) {
+  const corners = [[4, 9, "start"], [96, 9, "end"], [4, 96, "start"], [96, 96, "end"]];
   return (
-    <div className="relative w-48 h-48 sm:w-56 sm:h-56">
-      <div className="absolute inset-0 rounded-full" style={{ background: bg }} />
-      <div className="absolute inset-3 sm:inset-4 rounded-full bg-black/30 backdrop-blur border border-white/20 flex items-center justify-center shadow-inner">
-        <div className="text-center">
-          <div className="text-4xl font-bold text-white drop-shadow-[0_1px_6px_rgba(0,0,0,0.45)]">{mood}</div>
-          <div className="text-xs text-zinc-400 tracking-wide">Mood</div>
-        </div>
+    <svg ref={svgRef} viewBox="0 0 100 100" className={`select-none touch-none ${className}`} {...rest}>
+      <rect x="0" y="0" width="100" height="100" rx="8" fill="rgba(255,255,255,0.05)" stroke="rgba(255,255,255,0.15)" strokeWidth="0.5" />
+      <line x1="50" x2="50" y1="2" y2="98" stroke="rgba(255,255,255,0.15)" strokeWidth="0.5" />
+      <line x1="2" x2="98" y1="50" y2="50" stroke="rgba(255,255,255,0.15)" strokeWidth="0.5" />
+      {QUADRANTS.map((q, i) => (
+        <text key={q} x={corners[i][0]} y={corners[i][1]} textAnchor={corners[i][2]} fontSize="6" fill="#a1a1aa">{q}</text>
+      ))}
+      {children}
+    </svg>
+  );
+}
+
+// Where the mood is now and where the goal wants it.
+function MoodPlot({ mood, target }) {
+  return (
+    <div className="text-center">
+      <MoodPlane className="w-48 h-48 sm:w-56 sm:h-56">
+        {target && (
+          <>
+            <line x1={planeX(mood.valence)} y1={planeY(mood.arousal)} x2={planeX(target.valence)} y2={planeY(target.arousal)} stroke="rgba(255,255,255,0.4)" strokeWidth="0.8" strokeDasharray="2 2" />
+            <circle cx={planeX(target.valence)} cy={planeY(target.arousal)} r="4" fill="none" stroke="#e4e4e7" strokeWidth="1" />
+          </>
+        )}
+        <circle cx={planeX(mood.valence)} cy={planeY(mood.arousal)} r="4.5" fill={moodColor(mood.valence)} stroke="white" strokeWidth="0.8" />
+      </MoodPlane>
+      <div className="mt-2 text-sm text-white"><b>{quadrant(mood)}</b></div>
+      <div className="text-xs text-zinc-400 tabular-nums">Valence {mood.valence} · Arousal {mood.arousal}</div>
+    </div>
+  );
+}
+
+// Self-report on the plane: tap or drag, or arrow keys. `value` is
+// { valence, arousal }, each −10..+10.
+function CircumplexPicker({ label, value, onChange }) {
+  const svgRef = useRef(null);
+  const [drag, setDrag] = useState(false);
+  const v = selfReportOf(value);
+  const toPlane = (x) => 50 + x * 5;
+  const pick = (e) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    const at = (f) => clamp(-10, Math.round(f * 20 - 10), 10);
+    onChange({ valence: at((e.clientX - rect.left) / rect.width), arousal: at(1 - (e.clientY - rect.top) / rect.height) });
+  };
+  const KEYS = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, 1], ArrowDown: [0, -1] };
+  const onKey = (e) => {
+    const d = KEYS[e.key];
+    if (!d) return;
+    e.preventDefault();
+    onChange({ valence: clamp(-10, v.valence + d[0], 10), arousal: clamp(-10, v.arousal + d[1], 10) });
+  };
+  const fmt = (x) => `${x > 0 ? "+" : ""}${x}`;
+  return (
+    <div className="py-2">
+      <div className="flex items-center justify-between text-sm text-zinc-300">
+        <span>{label}</span>
+        <span className="text-zinc-400 tabular-nums">valence {fmt(v.valence)} · arousal {fmt(v.arousal)}</span>
       </div>
+      <MoodPlane
+        svgRef={svgRef}
+        className="mt-1 w-40 h-40 cursor-crosshair focus:outline-none focus:ring-2 focus:ring-indigo-400 rounded-lg"
+        tabIndex={0}
+        role="slider"
+        aria-label={label}
+        aria-valuetext={`valence ${v.valence}, arousal ${v.arousal}`}
+        onKeyDown={onKey}
+        onPointerDown={(e) => { e.currentTarget.setPointerCapture?.(e.pointerId); setDrag(true); pick(e); }}
+        onPointerMove={(e) => drag && pick(e)}
+        onPointerUp={() => setDrag(false)}
+      >
+        <circle cx={toPlane(v.valence)} cy={100 - toPlane(v.arousal)} r="4.5" fill="#6366f1" stroke="white" strokeWidth="0.8" />
+      </MoodPlane>
     </div>
   );
 }
@@ -183,11 +334,14 @@ function Toggle({ label, checked, onChange }) {
   );
 }
 
-function Slider({ label, min, max, step = 1, value, unit = "", onChange }) {
+function Slider({ label, min, max, step = 1, value, unit = "", onChange, note, tag = "imported", warn = false }) {
   return (
     <div className="py-2">
       <div className="flex items-center justify-between text-sm text-zinc-300">
-        <span>{label}</span>
+        <span>
+          {label}
+          {note && <span className={`ml-2 px-1.5 py-0.5 text-[10px] rounded-full border ${warn ? "bg-amber-400/15 text-amber-200 border-amber-300/30" : "bg-emerald-400/15 text-emerald-200 border-emerald-300/30"}`} title={note}>{tag}</span>}
+        </span>
         <span className="text-zinc-400">{value}{unit}</span>
       </div>
       <input
@@ -218,6 +372,256 @@ function FeaturePill({ label, value }) {
   );
 }
 
+function MoodBreakdown({ model, levers }) {
+  const rows = [...model.contributions].sort((a, b) => Math.hypot(b.valence, b.arousal) - Math.hypot(a.valence, a.arousal));
+  const scale = Math.max(5, ...rows.flatMap((r) => [Math.abs(r.valence), Math.abs(r.arousal)]));
+  const drag = [...rows].sort((a, b) => a.valence - b.valence).find((r) => r.valence < -0.5);
+  const fmt = (x) => `${x >= 0 ? "+" : "−"}${Math.abs(x).toFixed(1)}`;
+  const bar = (x, up, down) => (
+    <div className="relative h-2 bg-white/5 rounded">
+      <div className="absolute top-0 bottom-0 left-1/2 w-px bg-white/20" />
+      <div
+        className={`absolute top-0 bottom-0 rounded ${x >= 0 ? up : down}`}
+        style={x >= 0 ? { left: "50%", width: `${(x / scale) * 50}%` } : { right: "50%", width: `${(-x / scale) * 50}%` }}
+      />
+    </div>
+  );
+  const clamped = ["valence", "arousal"].filter((k) => Math.round(model.raw[k]) !== model[k]);
+  return (
+    <div>
+      <div className="text-xs text-zinc-400 mb-2">Why valence {model.valence}, arousal {model.arousal}? Start at 50 on each, then:</div>
+      <div className="space-y-1">
+        <div className="grid grid-cols-[8rem_1fr_1fr_5.5rem] gap-2 text-[11px] text-zinc-500">
+          <span />
+          <span>Valence</span>
+          <span>Arousal</span>
+          <span />
+        </div>
+        {rows.map((r) => (
+          <div key={r.key} className="grid grid-cols-[8rem_1fr_1fr_5.5rem] items-center gap-2 text-xs">
+            <span className="text-zinc-300 truncate">{r.label}</span>
+            {bar(r.valence, "bg-emerald-400/80", "bg-rose-400/80")}
+            {bar(r.arousal, "bg-amber-400/80", "bg-sky-400/80")}
+            {r.stale
+              ? <span className="text-right text-amber-300" title={`Latest data is from ${r.stale}; left out until newer figures are imported`}>stale</span>
+              : <span className="text-right tabular-nums text-zinc-300">{fmt(r.valence)} / {fmt(r.arousal)}</span>}
+          </div>
+        ))}
+      </div>
+      {clamped.length > 0 && (
+        <div className="mt-1 text-[11px] text-zinc-500">
+          {clamped.map((k) => `${k[0].toUpperCase()}${k.slice(1)} sums to ${model.raw[k].toFixed(1)}`).join("; ")}, clamped to 0–100.
+        </div>
+      )}
+      <div className="mt-3 text-xs text-zinc-300 space-y-1">
+        {drag && <div>Biggest drag on valence: <b>{drag.label}</b> ({fmt(drag.valence)}).</div>}
+        {levers.length > 0 && <div>Most likely to move it toward your goal: {levers[0].label} ({levers[0].gain.toFixed(1)} points closer).</div>}
+      </div>
+    </div>
+  );
+}
+
+const CURVE_COLORS = { valence: "#34d399", energy: "#fbbf24", dance: "#22d3ee", tempo: "#e879f9" };
+
+// Top panel: the shape's progress curve with draggable knots (dragging turns it
+// into a custom shape). Bottom panel: the four feature targets it produces.
+function CurveEditor({ shape, onChange, targets, baseBpm }) {
+  const svgRef = useRef(null);
+  const [drag, setDrag] = useState(null);
+  const W = 300, H1 = 90, H2 = 110, PAD = 8, P_MIN = -0.2, P_MAX = 1.4;
+  const knots = paramsFor(shape.id === "custom" ? shape : toCustom(shape)).knots;
+  const xOf = (t) => PAD + t * (W - 2 * PAD);
+  const yP = (p) => PAD + (1 - (p - P_MIN) / (P_MAX - P_MIN)) * (H1 - 2 * PAD);
+  const yF = (v) => H1 + PAD + (1 - clamp(0, v, 1)) * (H2 - 2 * PAD);
+  const tempoNorm = (bpm) => (bpm - (baseBpm - 40)) / 80;
+  const samples = Array.from({ length: 41 }, (_, i) => i / 40);
+  const line = (pts) => pts.map(([x, y], i) => `${i ? "L" : "M"}${x.toFixed(1)},${y.toFixed(1)}`).join(" ");
+
+  const onMove = (e) => {
+    if (drag === null) return;
+    const rect = svgRef.current.getBoundingClientRect();
+    const y = ((e.clientY - rect.top) / rect.height) * (H1 + H2);
+    const p = clamp(P_MIN, P_MIN + (1 - (y - PAD) / (H1 - 2 * PAD)) * (P_MAX - P_MIN), P_MAX);
+    onChange({ id: "custom", params: { knots: knots.map((k, i) => (i === drag ? Math.round(p * 100) / 100 : k)) } });
+  };
+
+  return (
+    <div>
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${W} ${H1 + H2}`}
+        className="w-full h-auto select-none touch-none"
+        onPointerMove={onMove}
+        onPointerUp={() => setDrag(null)}
+        onPointerLeave={() => setDrag(null)}
+      >
+        <rect x="0" y="0" width={W} height={H1} rx="8" fill="rgba(255,255,255,0.04)" />
+        <line x1={PAD} x2={W - PAD} y1={yP(0)} y2={yP(0)} stroke="rgba(255,255,255,0.15)" strokeDasharray="3 3" />
+        <line x1={PAD} x2={W - PAD} y1={yP(1)} y2={yP(1)} stroke="rgba(255,255,255,0.15)" strokeDasharray="3 3" />
+        <text x={W - PAD} y={yP(1) - 3} textAnchor="end" fontSize="8" fill="#a1a1aa">goal</text>
+        <text x={W - PAD} y={yP(0) - 3} textAnchor="end" fontSize="8" fill="#a1a1aa">now</text>
+        <path d={line(samples.map((t) => [xOf(t), yP(progress(shape, t))]))} fill="none" stroke="#e4e4e7" strokeWidth="1.5" />
+        {KNOTS_T.map((t, i) => (i === 0 || i === KNOTS_T.length - 1 ? null : (
+          <circle
+            key={t}
+            cx={xOf(t)}
+            cy={yP(knots[i])}
+            r={drag === i ? 6 : 5}
+            fill={drag === i ? "#818cf8" : "#6366f1"}
+            stroke="white"
+            strokeWidth="1"
+            className="cursor-ns-resize"
+            onPointerDown={(e) => { e.currentTarget.setPointerCapture?.(e.pointerId); setDrag(i); }}
+          />
+        )))}
+
+        <rect x="0" y={H1 + 4} width={W} height={H2 - 4} rx="8" fill="rgba(255,255,255,0.04)" />
+        {["valence", "energy", "dance", "tempo"].map((k) => (
+          <path
+            key={k}
+            d={line(targets.map((x, i) => [xOf((i + 1) / targets.length), yF(k === "tempo" ? tempoNorm(x.tempo) : x[k])]))}
+            fill="none"
+            stroke={CURVE_COLORS[k]}
+            strokeWidth="1.5"
+          />
+        ))}
+      </svg>
+      <div className="mt-1 flex flex-wrap gap-3 text-[11px] text-zinc-400">
+        {Object.entries(CURVE_COLORS).map(([k, c]) => (
+          <span key={k} className="inline-flex items-center gap-1">
+            <span className="inline-block w-3 h-0.5" style={{ background: c }} />
+            {k === "tempo" ? `tempo (${baseBpm - 40}–${baseBpm + 40} BPM)` : k}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function TargetStat({ label, target, actual, fmt }) {
+  return (
+    <div className="p-3 rounded-xl bg-white/5 backdrop-blur border border-white/10 text-center">
+      <div className="text-xs text-zinc-400">{label}</div>
+      <div className="text-sm font-medium">{fmt(actual ?? target)}</div>
+      {actual !== undefined && <div className="text-[11px] text-zinc-500">target {fmt(target)}</div>}
+    </div>
+  );
+}
+
+const EMOJI = { "-2": "😭", "-1": "🙁", 0: "😐", 1: "🙂", 2: "🤩" };
+
+function HistoryScreen() {
+  const [logs, setLogs] = useState(null);
+  const [openId, setOpenId] = useState(null);
+  const reload = () => listSessions().then(setLogs).catch(() => setLogs([]));
+  useEffect(() => { reload(); }, []);
+
+  const remove = async (id) => {
+    await deleteSession(id).catch(() => {});
+    await deleteCheckIn(id).catch(() => {});
+    if (openId === id) setOpenId(null);
+    reload();
+  };
+
+  if (logs === null) return <div className="text-sm text-zinc-400">Loading history…</div>;
+  const open = logs.find((l) => l.id === openId);
+  const week = summarize(logs, 7), month = summarize(logs, 28);
+  const byShape = rewardsBy(logs, (l) => shapeLabel(l.shape));
+  const fmtSummary = (x, label) =>
+    x ? `${label}: ${x.sessions} rated · avg reward ${x.avgReward.toFixed(2)} · avg move toward target ${x.avgGain >= 0 ? "+" : ""}${x.avgGain.toFixed(1)}` : `${label}: no rated sessions`;
+
+  return (
+    <section className="grid md:grid-cols-2 gap-6">
+      <div className="p-4 sm:p-6 bg-white/5 backdrop-blur-xl rounded-2xl shadow-lg border border-white/10">
+        <h3 className="font-medium mb-1">Session History</h3>
+        <div className="text-xs text-zinc-400 mb-3 space-y-0.5">
+          <div>{fmtSummary(week, "Last 7 days")}</div>
+          <div>{fmtSummary(month, "Last 28 days")}</div>
+        </div>
+        {byShape.length > 0 && (
+          <div className="mb-3 flex flex-wrap gap-1">
+            {byShape.map((g) => <span key={g.key}>{chip(`${g.key}: ${g.avgReward.toFixed(2)}`, ` (n=${g.sessions})`)}</span>)}
+          </div>
+        )}
+        {logs.length === 0 && <div className="text-sm text-zinc-400">No sessions yet. Start one from Home.</div>}
+        <ul className="divide-y divide-white/10">
+          {logs.map((l) => (
+            <li key={l.id} className={`py-2 flex items-center justify-between gap-3 ${l.id === openId ? "text-white" : "text-zinc-300"}`}>
+              <button onClick={() => setOpenId(l.id)} className="flex-1 text-left text-sm hover:text-white">
+                <div>{new Date(l.startedAt).toLocaleString()}</div>
+                <div className="text-xs text-zinc-400">
+                  {l.source === "bandit" ? "Bandit" : "Local curve"} · mood {l.startMood}{l.startArousal != null && `, arousal ${l.startArousal}`}
+                  {l.feedback ? ` → ${l.feedback.endMood} · ${EMOJI[l.feedback.emoji]} · reward ${l.reward?.toFixed(2)}` : " · no feedback"}
+                  {` · ${l.played.length}/${l.playlist.length} tracks`}
+                </div>
+              </button>
+              <button onClick={() => remove(l.id)} className="px-2 py-1 rounded-lg border border-white/15 bg-white/5 hover:bg-white/15 text-xs">Delete</button>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <div className="p-4 sm:p-6 bg-white/5 backdrop-blur-xl rounded-2xl shadow-lg border border-white/10">
+        {!open ? (
+          <div className="text-sm text-zinc-400">Pick a session to see its details.</div>
+        ) : (
+          <div className="space-y-4 text-sm">
+            <div className="flex flex-wrap gap-2">
+              <Badge>{open.source === "bandit" ? `Bandit · p = ${open.propensity?.toFixed(3)}` : "Local curve"}</Badge>
+              <Badge>Goal {GOALS[open.context.goal]?.label ?? "Stay balanced"}</Badge>
+              <Badge>Start mood {open.startMood}{open.startArousal != null && ` · arousal ${open.startArousal}`}</Badge>
+              {open.feedback && <Badge>End mood {open.feedback.endMood}{open.feedback.endArousal != null && ` · arousal ${open.feedback.endArousal}`}</Badge>}
+              {open.reward !== undefined && <Badge>Reward {open.reward.toFixed(2)} ({open.rewardStatus})</Badge>}
+              {open.delayed && <Badge>Check-in {EMOJI[open.delayed.rating]}</Badge>}
+              <Badge>Skips {open.skips}</Badge>
+              {open.replans?.length > 0 && <Badge>Re-planned ×{open.replans.length}</Badge>}
+              {open.listens?.length > 0 && <Badge>Listened {fmtClock(listenSummary(open.listens, open.playlist.length).listenedMs)} · {prettyPct(listenSummary(open.listens, open.playlist.length).completionPct)} complete</Badge>}
+            </div>
+            <div>
+              <div className="text-xs text-zinc-400 mb-1">Curve</div>
+              <div className="text-xs text-zinc-300">
+                {shapeLabel(open.shape)} · k_v {open.curve.kv} · k_e {open.curve.ke} · k_t {open.curve.kt} · k_d {open.curve.kd} · {open.curve.baseBpm} BPM base · {open.curve.N} tracks
+              </div>
+            </div>
+            {(open.nudges?.length > 0 || open.replans?.length > 0) && (
+              <div>
+                <div className="text-xs text-zinc-400 mb-1">During the set</div>
+                <ul className="space-y-0.5 text-xs text-zinc-300">
+                  {[
+                    ...(open.nudges ?? []).map((n) => ({ at: n.at, text: `Track ${n.index + 1}: check-in, mood ${["lower", "same", "higher"][n.feel + 1]} than at the start` })),
+                    ...(open.replans ?? []).map((r) => ({ at: r.at, text: replanText(r) })),
+                  ].sort((a, b) => a.at - b.at).map((e, k) => <li key={k}>{e.text}</li>)}
+                </ul>
+              </div>
+            )}
+            <div>
+              <div className="text-xs text-zinc-400 mb-1">Signals at start</div>
+              <div className="flex flex-wrap gap-1">
+                {Object.entries(open.signals).filter(([, v]) => typeof v === "number").map(([k, v]) => <span key={k}>{chip(`${k} ${Math.round(v * 100) / 100}`, "")}</span>)}
+              </div>
+            </div>
+            <div>
+              <div className="text-xs text-zinc-400 mb-1">Playlist</div>
+              <ol className="space-y-1 text-xs">
+                {open.playlist.map((t, i) => (
+                  <li key={`${t.id}-${i}`} className={open.played.includes(i) ? "text-zinc-200" : "text-zinc-500"}>
+                    {i + 1}. {t.title} — {t.artist}
+                    <span className="text-zinc-500"> · v {prettyPct(t.target.valence)} e {prettyPct(t.target.energy)} d {prettyPct(t.target.dance)} {t.target.tempo} BPM{t.distance !== undefined ? ` · Δ ${t.distance.toFixed(2)}` : ""}</span>
+                  </li>
+                ))}
+              </ol>
+            </div>
+            <details>
+              <summary className="text-xs text-zinc-400 cursor-pointer">Bandit context</summary>
+              <pre className="mt-2 text-[11px] text-zinc-400 whitespace-pre-wrap">{JSON.stringify(open.context, null, 2)}</pre>
+            </details>
+          </div>
+        )}
+      </div>
+    </section>
+  );
+}
+
 function EmojiFeedback({ onSelect }) {
   const emojis = [
     { e: "😭", v: -2 },
@@ -242,8 +646,61 @@ function EmojiFeedback({ onSelect }) {
   );
 }
 
-// ---------- Main App ----------
+// ---------- Unlock ----------
+// Sensitive settings are sealed at rest (sensitive.ts); nothing renders until
+// they are decrypted, with the device key or the profile's passphrase.
 export default function App() {
+  const [state, setState] = useState("opening"); // opening | locked | ready
+  const [pass, setPass] = useState("");
+  const [error, setError] = useState(null);
+  const [resetting, setResetting] = useState(false);
+  const open = async (passphrase) => {
+    try {
+      if (!(await unlock(passphrase))) {
+        setState("locked");
+        return passphrase !== undefined && setError("That passphrase doesn’t match");
+      }
+      await loadSensitive();
+      setState("ready");
+    } catch (err) {
+      setState("locked");
+      setError(`Couldn’t unlock: ${err.message}`);
+    }
+  };
+  useEffect(() => {
+    open();
+  }, []);
+  // A forgotten passphrase can't be recovered; resetting drops what it sealed.
+  const reset = async () => {
+    if (!resetting) return setResetting(true);
+    await setPassphrase(null);
+    forgetSensitive();
+    setState("ready");
+  };
+
+  if (state === "ready") return <VibeShift />;
+  return (
+    <div className="min-h-screen flex items-center justify-center px-4 text-zinc-100 bg-gradient-to-b from-[#0b0f19] via-[#070a12] to-[#04060a]">
+      {state === "locked" && (
+        <div className="w-full max-w-sm p-4 sm:p-6 bg-white/5 backdrop-blur-xl rounded-2xl shadow-lg border border-white/10">
+          <div className="font-semibold tracking-tight">VibeShift is locked</div>
+          <div className="mt-1 text-xs text-zinc-400">{PROFILE.name} · enter the passphrase for its sealed settings (health, money, grade, location and mood values). Imported records and session history are not encrypted.</div>
+          <form className="mt-4 flex gap-2" onSubmit={(e) => { e.preventDefault(); setError(null); open(pass); }}>
+            <input type="password" autoFocus value={pass} onChange={(e) => setPass(e.target.value)} autoComplete="current-password" className="px-3 py-2 rounded-lg border bg-transparent text-sm flex-1 min-w-0" />
+            <button className="px-3 py-1.5 rounded-xl bg-white/10 border border-white/15 text-zinc-100 hover:bg-white/20 backdrop-blur">Unlock</button>
+          </form>
+          {error && <div className="mt-2 text-xs text-rose-300">{error}</div>}
+          <button onClick={reset} className={`mt-4 px-2 py-1 rounded-lg border text-xs ${resetting ? "border-rose-400/40 bg-rose-500/20 text-rose-200" : "border-white/15 bg-white/5 hover:bg-white/10"}`}>
+            {resetting ? "Erase the sealed values and remove the passphrase?" : "Forgot passphrase"}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ---------- Main App ----------
+function VibeShift() {
   // Signals (mock controls)
   const [sleepHours, setSleepHours] = useLocalStorage("vs_sleep", 6.2);
   const [hrv, setHrv] = useLocalStorage("vs_hrv", 42);
@@ -261,20 +718,151 @@ export default function App() {
   const [eduSource, setEduSource] = useLocalStorage("vs_edu_source", "canvas"); // 'canvas' | 'gmail'
   const [eduConnected, setEduConnected] = useLocalStorage("vs_edu_conn", false);
   const [canvasDomain, setCanvasDomain] = useLocalStorage("vs_canvas_domain", "example.instructure.com");
-  const [selfReport, setSelfReport] = useLocalStorage("vs_self", -2); // -10..+10
+  const [selfReport, setSelfReport] = useLocalStorage("vs_self", { valence: -2, arousal: 0 }); // each -10..+10; older saves hold a bare number (selfReportOf)
   const [healthSource, setHealthSource] = useLocalStorage("vs_health_source", "healthkit"); // 'healthkit' | 'healthconnect'
   const [healthConnected, setHealthConnected] = useLocalStorage("vs_health_conn", false);
+  const [healthImport, setHealthImport] = useLocalStorage("vs_health_import", null); // last export import summary
   const [demoMode, setDemoMode] = useLocalStorage("vs_demo", false);
+  const userId = PROFILE.userId;
   const [delayedFeedback, setDelayedFeedback] = useLocalStorage("vs_feedback_delay", true);
 
-  const signals = { hrv, rhr, steps, sleepHours, precip, cloud, tempC, unempDiff, housingStress, selfReport, financeStress: spendSpike, eduSurprise: gradeSurprise };
-  const mood = useMemo(() => computeMood(signals), [JSON.stringify(signals)]);
+  // Personal baselines from the daily series. Slider moves aren't saved into it;
+  // imports are, and so are today's values when the user records them.
+  const [baselines, setBaselines] = useState(priorBaselines);
+  const [todayRow, setTodayRow] = useState(null); // where today's saved values came from
+  const refreshDays = async () => {
+    const today = dayKey();
+    setTodayRow(await getDay(today));
+    setBaselines(computeBaselines(await listDays(), today));
+  };
+  useEffect(() => { refreshDays().catch(() => {}); }, []);
+  const recordToday = async () => {
+    try {
+      await upsertDay(dayKey(), { hrv, rhr, steps, sleepHours }, demoMode ? "demo" : "user");
+      await refreshDays();
+      setToast(demoMode ? "Recorded as demo values — baselines leave them out" : "Recorded today's readings");
+    } catch (err) {
+      setToast(`Couldn’t record today: ${err.message}`);
+    }
+  };
+
+  // Weather: the forecast for the coming session window, unless a slider was moved by hand.
+  const [weatherPlace, setWeatherPlace] = useLocalStorage("vs_weather_place", null); // { lat, lon, label }
+  const [forecast, setForecast] = useState(null);
+  const [weatherBusy, setWeatherBusy] = useState(false);
+  const [N, setN] = useLocalStorage("vs_len", 10); // session length, which sets the forecast window
+  const sessionWx = useMemo(() => forecast && windowWeather(forecast, sessionWindow(N)), [forecast, N]);
+  const wxSliders = (w) => ({ precip: Math.min(20, Math.round(w.precip)), cloud: Math.round(w.cloud), tempC: Math.round(w.tempC) });
+  const weatherFromForecast = !!sessionWx && (({ precip: p, cloud: c, tempC: t }) => p === precip && c === cloud && t === tempC)(wxSliders(sessionWx));
+  const comfortC = sessionWx?.comfortC ?? comfortTemp(weatherPlace?.lat);
+  const gloom = weatherFromForecast ? sessionWx.gloom : gloomIndex({ precip, cloud, tempC }, comfortC);
+
+  const refreshWeather = async (place = weatherPlace, force = false) => {
+    if (!place) return;
+    setWeatherBusy(true);
+    try {
+      const f = await getForecast(place.lat, place.lon, undefined, force);
+      setForecast(f);
+      if (f.stale) setToast("Weather service unreachable — using the last forecast");
+    } catch (err) {
+      setToast(`Couldn’t load weather: ${err.message}`);
+    } finally {
+      setWeatherBusy(false);
+    }
+  };
+  useEffect(() => {
+    refreshWeather();
+  }, [weatherPlace?.lat, weatherPlace?.lon]);
+  useEffect(() => {
+    if (!sessionWx) return;
+    const v = wxSliders(sessionWx);
+    setPrecip(v.precip); setCloud(v.cloud); setTempC(v.tempC);
+  }, [sessionWx]);
+
+  const locateMe = () => {
+    if (!navigator.geolocation) return setToast("Location isn’t available in this browser");
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => setWeatherPlace({ lat: +coords.latitude.toFixed(2), lon: +coords.longitude.toFixed(2), label: "Current location" }),
+      (err) => setToast(`Couldn’t get your location: ${err.message}`),
+      { maximumAge: 3_600_000, timeout: 10_000 }
+    );
+  };
+
+  const weatherNote = weatherFromForecast && `Forecast for the next ${N} tracks at ${weatherPlace.label} (comfort ${comfortC.toFixed(0)} °C)`;
+  const [placeDraft, setPlaceDraft] = useState("");
+  const savePlace = () => {
+    const m = placeDraft.match(/^\s*(-?\d+(?:\.\d+)?)\s*[,\s]\s*(-?\d+(?:\.\d+)?)\s*$/);
+    if (!m || Math.abs(+m[1]) > 90 || Math.abs(+m[2]) > 180) return setToast("Enter latitude, longitude — e.g. 49.28, -123.12");
+    setWeatherPlace({ lat: +(+m[1]).toFixed(2), lon: +(+m[2]).toFixed(2), label: `${(+m[1]).toFixed(2)}, ${(+m[2]).toFixed(2)}` });
+    setPlaceDraft("");
+  };
+
+  // Macro: imported labour-force / house-price tables for the chosen region and program.
+  const [macroRegion, setMacroRegion] = useLocalStorage("vs_macro_region", "");
+  const [macroField, setMacroField] = useLocalStorage("vs_macro_field", ""); // "" = all programs
+  const [macroObs, setMacroObs] = useState([]);
+  const [macroBusy, setMacroBusy] = useState(false);
+  const macroReport = useMemo(() => ({
+    unemp: unemploymentGap(macroObs, macroRegion, macroField),
+    housing: computeHousingStress(macroObs, macroRegion),
+  }), [macroObs, macroRegion, macroField]);
+  const macroOptions = useMemo(() => macroChoices(macroObs), [macroObs]);
+  useEffect(() => {
+    listMacro().then(setMacroObs).catch(() => {});
+  }, []);
+  useEffect(() => {
+    // The sliders follow the tables whenever the data or the region / program changes.
+    if (macroReport.unemp) setUnempDiff(Math.round(macroReport.unemp.value * 1000) / 1000);
+    if (macroReport.housing) setHousingStress(Math.round(macroReport.housing.value * 100) / 100);
+  }, [macroReport]);
+  const unempFromData = !!macroReport.unemp && unempDiff === Math.round(macroReport.unemp.value * 1000) / 1000;
+  const housingFromData = !!macroReport.housing && housingStress === Math.round(macroReport.housing.value * 100) / 100;
+  const macroStale = {
+    unemp: unempFromData && macroReport.unemp.stale ? macroReport.unemp.period : undefined,
+    housing: housingFromData && macroReport.housing.stale ? macroReport.housing.period : undefined,
+  };
+
+  const importMacro = async (fileList, series) => {
+    const files = [...fileList];
+    if (!files.length) return;
+    setMacroBusy(true);
+    try {
+      let rows = [];
+      for (const f of files) rows = rows.concat(parseMacroTable(await f.text(), f.name, series));
+      if (!rows.length) return setToast("No usable rows found in that table");
+      await saveMacro(rows);
+      const all = await listMacro();
+      setMacroObs(all);
+      if (!macroRegion) setMacroRegion(macroChoices(all).regions.find((r) => !isNational(r)) ?? "");
+      setToast(`Imported ${rows.length} ${series === "hpi" ? "house-price" : "labour-force"} observations`);
+    } catch (err) {
+      setToast(`Couldn’t read that table: ${err.message}`);
+    } finally {
+      setMacroBusy(false);
+    }
+  };
+
+  const clearMacroData = async () => {
+    await clearMacro().catch(() => {});
+    setMacroObs([]);
+  };
+
+  const signals = { hrv, rhr, steps, sleepHours, gloom, unempDiff, housingStress, selfReport, financeStress: spendSpike, eduSurprise: gradeSurprise, stale: macroStale };
+  const moodModel = useMemo(() => computeMood(signals, baselines), [JSON.stringify(signals), baselines]);
+  // `mood` on its own is the valence axis, as in the bandit API (mood.ts).
+  const mood = moodModel.valence;
+  const arousal = moodModel.arousal;
 
   // Settings
   const [explicitOK, setExplicitOK] = useLocalStorage("vs_explicit", false);
   const [noLyrics, setNoLyrics] = useLocalStorage("vs_lyrics", false);
-  const [N, setN] = useLocalStorage("vs_len", 10);
   const [genres, setGenres] = useLocalStorage("vs_genres", ["indie-pop", "lo-fi", "r&b"]);
+  const [goalChoice, setGoalChoice] = useLocalStorage("vs_goal", "auto"); // GoalId | 'auto' (time of day)
+  const goal = resolveGoal(goalChoice);
+  const levers = useMemo(() => moodLevers(signals, baselines, goal), [JSON.stringify(signals), baselines, goal]);
+  const [shape, setShape] = useLocalStorage("vs_shape", DEFAULT_SHAPE);
+  const [recentTracks, setRecentTracks] = useLocalStorage("vs_recent_tracks", []);
+  const [catalog, setCatalog] = useState({ name: null, tracks: [] });
 
   // RL-ish knobs
   const [kv, setKv] = useLocalStorage("vs_kv", 0.6);
@@ -287,9 +875,174 @@ export default function App() {
   // Playlist state
   const [tracks, setTracks] = useState([]);
   const [idx, setIdx] = useState(0);
-  const [screen, setScreen] = useState("home"); // home | play | settings
+  const [screen, setScreen] = useState("home"); // home | play | history | settings
   const [lastReward, setLastReward] = useState(null);
+  const [session, setSession] = useState(null); // current SessionLog (see history.ts)
+  const [starting, setStarting] = useState(false);
+  const [checkIn, setCheckIn] = useState(null); // due delayed check-in: { sessionId, log }
   const [toast, setToast] = useState(null);
+  const [crossfade, setCrossfade] = useLocalStorage("vs_crossfade", 4); // seconds
+  const [playback, setPlayback] = useState(null); // PlaybackState from player.ts
+  const [localAudio, setLocalAudio] = useState([]); // [{ name, url }] picked this visit
+  const playerRef = useRef(null);
+  const onPlayerEvent = useRef(null);
+
+  // Catalog: last imported file from IndexedDB, else VITE_CATALOG_URL if configured.
+  useEffect(() => {
+    (async () => {
+      const saved = await kvGet("catalog").catch(() => undefined);
+      if (saved?.tracks?.length) return setCatalog(saved);
+      const url = import.meta.env.VITE_CATALOG_URL;
+      if (!url) return;
+      const r = await fetch(url);
+      if (!r.ok) return;
+      const tracks = parseCatalog(await r.text(), url);
+      if (tracks.length) setCatalog({ name: url, tracks });
+    })().catch(() => {});
+  }, []);
+
+  const importCatalog = async (file) => {
+    try {
+      const tracks = parseCatalog(await file.text(), file.name);
+      if (!tracks.length) return setToast("No tracks with audio features found in that file");
+      const next = { name: file.name, tracks };
+      setCatalog(next);
+      await kvSet("catalog", next).catch(() => setToast("Catalog loaded, but couldn’t be saved for next time"));
+      setToast(`Catalog loaded: ${tracks.length} tracks`);
+    } catch (err) {
+      setToast(`Couldn’t read catalog: ${err.message}`);
+    }
+  };
+
+  const clearCatalog = () => {
+    setCatalog({ name: null, tracks: [] });
+    kvDelete("catalog").catch(() => {});
+  };
+
+  // Playlist files: export the current set, or score someone else's against today's path.
+  const exportPlaylist = (format) => {
+    const started = session?.startedAt ?? Date.now();
+    const meta = { title: `VibeShift — ${pathGoal.label}, ${new Date(started).toLocaleString()}`, created: started, goal: pathGoal.id, startMood: pathStart.valence, targetMood: pathGoal.target };
+    const blob = new Blob([writePlaylist(format, tracks.map(entryFromTrack), meta)], { type: MIME[format] });
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = `vibeshift-${new Date(started).toISOString().slice(0, 10)}.${format}`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  };
+
+  // Profiles: switching reloads the app into the other profile's storage.
+  const [profiles, setProfiles] = useState(listProfiles);
+  const [profileDraft, setProfileDraft] = useState("");
+  const [deletingProfile, setDeletingProfile] = useState(null); // id awaiting a second tap
+  const openProfile = (id) => {
+    switchProfile(id);
+    location.reload();
+  };
+  const addProfile = () => {
+    try {
+      const p = createProfile(profileDraft);
+      setProfileDraft("");
+      openProfile(p.id);
+    } catch (err) {
+      setToast(err.message);
+    }
+  };
+  const removeProfile = async (p) => {
+    if (deletingProfile !== p.id) return setDeletingProfile(p.id);
+    setDeletingProfile(null);
+    try {
+      await deleteProfile(p.id);
+      setProfiles(listProfiles());
+      setToast(`Deleted “${p.name}” and its data`);
+    } catch (err) {
+      setToast(`Couldn’t delete the profile: ${err.message}`);
+    }
+  };
+  const exportActiveProfile = async () => {
+    try {
+      const archive = await exportProfile(PROFILE);
+      const blob = new Blob([JSON.stringify(archive)], { type: "application/json" });
+      const a = document.createElement("a");
+      a.href = URL.createObjectURL(blob);
+      a.download = `vibeshift-${PROFILE.name.toLowerCase().replace(/[^a-z0-9]+/g, "-")}-${new Date().toISOString().slice(0, 10)}.json`;
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+    } catch (err) {
+      setToast(`Couldn’t export the profile: ${err.message}`);
+    }
+  };
+  const importArchive = async (file) => {
+    try {
+      const { profile, restored, connections } = await importProfile(parseArchive(await file.text()));
+      if (profile.id === PROFILE.id) return location.reload();
+      setProfiles(listProfiles());
+      const reconnect = connections.length ? ` Reconnect ${connections.map((c) => PROVIDERS[c.provider]?.label ?? c.provider).join(", ")} after switching.` : "";
+      setToast(`${restored ? "Restored" : "Imported"} “${profile.name}”.${reconnect}`);
+    } catch (err) {
+      setToast(`Couldn’t import that archive: ${err.message}`);
+    }
+  };
+
+  // Privacy: the passphrase on sealed settings, the consent ledger, and
+  // "forget this source" (which reloads so no component keeps the old values).
+  const [passphraseOn, setPassphraseOn] = useState(false);
+  const [passDraft, setPassDraft] = useState("");
+  const [consent, setConsent] = useState([]);
+  const [forgetting, setForgetting] = useState(null); // source awaiting a second tap
+  const refreshConsent = () => listConsent().then(setConsent).catch(() => {});
+  useEffect(() => {
+    hasPassphrase().then(setPassphraseOn).catch(() => {});
+    const forgot = new URLSearchParams(location.search).get("forgot");
+    if (SOURCES[forgot]) {
+      setToast(`Forgot ${SOURCES[forgot].label.split(" (")[0].toLowerCase()} data`);
+      window.history.replaceState(null, "", location.pathname);
+    }
+  }, []);
+  useEffect(() => {
+    if (screen === "settings") refreshConsent();
+  }, [screen]);
+  const changePassphrase = async (next) => {
+    if (next !== null && next.length < 8) return setToast("Use at least 8 characters");
+    try {
+      await setPassphrase(next);
+      await resealSensitive();
+      setPassphraseOn(next !== null);
+      setPassDraft("");
+      setToast(next === null ? "Passphrase removed — settings sealed with the device key" : "Passphrase set — you’ll need it each time the app opens");
+    } catch (err) {
+      setToast(`Couldn’t change the passphrase: ${err.message}`);
+    }
+  };
+  const forgetSourceData = async (id) => {
+    if (forgetting !== id) return setForgetting(id);
+    setForgetting(null);
+    try {
+      await forgetSource(id);
+      location.replace(`${location.pathname}?forgot=${id}`);
+    } catch (err) {
+      setToast(`Couldn’t forget that source: ${err.message}`);
+    }
+  };
+
+  const [playlistScore, setPlaylistScore] = useState(null); // { name, result, mood, arousal }
+  const importPlaylist = async (file) => {
+    try {
+      const entries = parsePlaylist(await file.text(), file.name);
+      if (!entries.length) return setToast("No tracks found in that playlist");
+      const path = makePlaylist({ valence: mood, arousal }, { N: entries.length, kv, ke, kt, kd, baseBpm, neutral, goal, shape });
+      const result = scorePlaylist(entries, path, catalog.tracks);
+      if (!result) return setToast("None of those tracks have audio features — load a catalog that includes them");
+      setPlaylistScore({ name: file.name, result, mood, arousal });
+    } catch (err) {
+      setToast(`Couldn’t read playlist: ${err.message}`);
+    }
+  };
+
+  const markPlayed = (track) => {
+    if (!track?.match) return;
+    setRecentTracks((r) => [track.id, ...r.filter((x) => x !== track.id)].slice(0, RECENT_MAX));
+  };
 
   useEffect(() => {
     if (!toast) return;
@@ -297,31 +1050,306 @@ export default function App() {
     return () => clearTimeout(t);
   }, [toast]);
 
-  const startSession = () => {
-    const cfg = { N, kv, ke, kt, kd, baseBpm, neutral };
-    const list = makePlaylist(mood, cfg);
+  const startSession = async () => {
+    setStarting(true);
+    // Re-read the window at start time so the gloom covers the session actually played.
+    const wx = weatherFromForecast ? windowWeather(forecast, sessionWindow(N)) ?? sessionWx : null;
+    const ui = { mood, arousal, baseBpm, allowExplicit: explicitOK, noLyrics, sleepHours, hrv, rhr, steps, precip, cloud, tempC, gloom: wx?.gloom ?? gloom, comfortC, spendSpike, gradeSurprise, genres, goal: goal.id, shape, ...baselineFields(baselines) };
+    const matcher = (instrumental) => (targets) => matchCatalog(targets, goal, instrumental);
+    let list, meta;
+    try {
+      if (!navigator.onLine && !banditMock) throw new Error("offline");
+      const { act, rec, context } = await getCurveAndTargets(userId, ui);
+      const a = act.action;
+      list = tracksFromTargets(rec.targets, matcher(a.instrumental === 1)(rec.targets));
+      meta = {
+        source: "bandit", actionId: act.action_id, action: a, propensity: act.propensity, context,
+        curve: { kv: a.kv, ke: a.ke, kt: a.kt, kd: a.kd, baseBpm: baseBpm + a.tempo_offset, N: a.N },
+      };
+    } catch (err) {
+      list = makePlaylist({ valence: mood, arousal }, { N, kv, ke, kt, kd, baseBpm, neutral, goal, shape, matcher: matcher(false) });
+      meta = { source: "local", context: buildContext(ui), curve: { kv, ke, kt, kd, baseBpm, N } };
+      setToast(navigator.onLine ? "Bandit backend unreachable — using the local curve" : "Offline — using the local curve");
+    }
     setTracks(list);
+    const plan = planProgress(shape, list.length);
+    // Consent ledger: which connected sources' features this decision used.
+    for (const id of SOURCE_IDS) noteFieldUse(id, SOURCES[id].context).catch(() => {});
+    // The log keeps numbers only: no stale flags, and the self-report as its two axes.
+    const { stale, selfReport: self, ...rest } = signals;
+    const signalValues = { ...rest, selfValence: selfReportOf(self).valence, selfArousal: selfReportOf(self).arousal };
+    persistSession({
+      id: newSessionId(),
+      startedAt: Date.now(),
+      ...meta,
+      signals: signalValues,
+      shape,
+      startMood: mood,
+      startArousal: arousal,
+      playlist: list.map((t, i) => sessionTrack(t, plan[i])),
+      played: [0],
+      skips: 0,
+      listens: [],
+      nudges: [],
+      replans: [],
+    });
+    playerRef.current?.load(queueFor(list));
     setIdx(0);
+    markPlayed(list[0]);
     setLastReward(null);
+    setStarting(false);
     setScreen("play");
   };
 
-  const next = () => setIdx((i) => clamp(0, i + 1, tracks.length - 1));
-  const prev = () => setIdx((i) => clamp(0, i - 1, tracks.length - 1));
+  const persistSession = (log) => {
+    setSession(log);
+    saveSession(log).catch(() => {});
+  };
+
+  // Catalog picks for a list of targets; none (placeholders) without a catalog.
+  const matchCatalog = (targets, forGoal, instrumental = false, exclude = []) =>
+    catalog.tracks.length ? matchTargets(targets, catalog.tracks, { explicitOK, noLyrics: noLyrics || !!forGoal.noLyrics || instrumental, genres, recent: [...recentTracks, ...exclude] }) : [];
 
-  const onFeedback = ({ e, v }) => {
-    setLastReward({ e, v });
-    // tiny bandit-ish update: nudge curve based on sign
-    const nud = v / 50; // small
-    setKv((x) => clamp(0, x + nud, 1));
-    setKe((x) => clamp(0, x + nud * 0.8, 1));
-    setKt((x) => clamp(-1, x + nud * 0.6, 1));
-    setKd((x) => clamp(0, x + nud * 0.4, 1));
-    setToast(v >= 1 ? "Nice! We’ll lean into that next time." : v <= -1 ? "Got it. We’ll soften the curve next time." : "Thanks for the signal.");
+  // Mid-set re-plan (replan.ts): the tracks after the furthest one reached get
+  // new targets and matches; the player keeps playing the current one. Returns
+  // the Replan record, or null when the plan stands (and `log` isn't saved).
+  // Bandit sets are never re-planned: their reward goes back to the chosen arm
+  // (and server/ope.ts weighs it by that arm's propensity), so the set played
+  // has to be the one the arm shaped.
+  const replanRest = (reason, log, index) => {
+    if (log.source === "bandit") return null;
+    const goalNow = GOALS[log.context.goal] ?? GOALS.balanced;
+    const planned = planProgress(log.shape, log.playlist.length); // sessions from before re-planning
+    const plan = log.playlist.map((t, i) => t.progress ?? planned[i]);
+    const start = { valence: log.startMood, arousal: log.startArousal ?? NEUTRAL_AROUSAL };
+    const r = replan({ start, goal: { valence: goalNow.target, arousal: goalNow.arousal }, shape: log.shape, plan, index, listens: log.listens ?? [], nudges: log.nudges ?? [] }, reason);
+    if (!r) return null;
+    const kept = tracks.slice(0, r.replan.index + 1);
+    const cfg = { ...log.curve, neutral, goal: goalNow };
+    const fresh = r.plan.slice(kept.length).map((p, j) => targetAt(start, cfg, p, kept.length + j));
+    const matches = matchCatalog(fresh, goalNow, log.action?.instrumental === 1, kept.map((t) => t.id));
+    const list = tracksFromTargets([...kept, ...fresh], [...kept.map((t) => t.match), ...matches]);
+    setTracks(list);
+    playerRef.current?.setSources(queueFor(list));
+    persistSession({
+      ...log,
+      playlist: list.map((t, i) => (i < kept.length ? log.playlist[i] : sessionTrack(t, r.plan[i]))),
+      replans: [...(log.replans ?? []), r.replan],
+    });
+    return r.replan;
+  };
+
+  // One-tap check-in on Now Playing: mood lower / same / higher than at the start.
+  const nudgeMood = (feel) => {
+    if (!session) return;
+    const listens = playerRef.current?.listens() ?? session.listens ?? [];
+    const log = { ...session, listens, nudges: [...(session.nudges ?? []), { at: Date.now(), index: idx, feel, listens: listens.length }] };
+    const r = replanRest("nudge", log, idx);
+    if (!r) persistSession(log);
+    setToast(r ? `Re-planned the rest of the set from mood ≈ ${r.mood}` : session.source === "bandit" ? "Thanks — noted (bandit sets keep their plan)" : "Thanks — the plan still fits");
+  };
+
+  // Playback: the player owns the position; its events move `idx` and keep the
+  // session's listen log current.
+  const queueFor = (list, files = localAudio) => {
+    const picks = matchFiles(files.map((f) => f.name), list);
+    return list.map((t, i) => ({ src: picks[i] >= 0 ? files[picks[i]].url : t.match?.track.previewUrl, title: t.title, artist: t.artist, album: t.match?.track.album }));
   };
+  onPlayerEvent.current = (ev) => {
+    if (ev.type === "state") return setPlayback(ev.state);
+    if (ev.type === "track") {
+      setIdx(ev.index);
+      markPlayed(tracks[ev.index]);
+    }
+    if (!session) return;
+    const sum = listenSummary(ev.listens, tracks.length);
+    const log = { ...session, played: sum.played, skips: sum.skips, listens: ev.listens };
+    const reason = ev.type === "track" && replanTrigger(ev.listens, session.replans?.at(-1)?.listens ?? 0);
+    const r = reason && replanRest(reason, log, ev.index);
+    if (r) return setToast(`Re-planned the rest of the set (${REPLAN_REASONS[r.reason]}) from mood ≈ ${r.mood}`);
+    persistSession(log);
+  };
+  useEffect(() => {
+    const player = createPlayer((ev) => onPlayerEvent.current?.(ev), { crossfadeSec: crossfade });
+    playerRef.current = player;
+    return () => player.destroy();
+  }, []);
+  useEffect(() => {
+    playerRef.current?.setCrossfade(crossfade);
+  }, [crossfade]);
+
+  const next = () => playerRef.current?.next();
+  const prev = () => playerRef.current?.prev();
+  const togglePlay = () => playerRef.current?.toggle();
+
+  const addLocalAudio = (fileList) => {
+    const files = [...fileList].filter((f) => f.type.startsWith("audio/") || /\.(mp3|m4a|aac|flac|ogg|oga|opus|wav|webm)$/i.test(f.name));
+    if (!files.length) return setToast("No audio files in that selection");
+    localAudio.forEach((f) => URL.revokeObjectURL(f.url));
+    const picked = files.map((f) => ({ name: f.name, url: URL.createObjectURL(f) }));
+    setLocalAudio(picked);
+    playerRef.current?.setSources(queueFor(tracks, picked));
+    const found = matchFiles(picked.map((f) => f.name), tracks).filter((i) => i >= 0).length;
+    setToast(tracks.length ? `Matched ${found} of ${tracks.length} tracks to your files` : `${files.length} audio files ready for the next session`);
+  };
+
+  const onFeedback = async ({ e, v }) => {
+    if (session?.rewardStatus === "sent") return setToast("Feedback for this session was already sent");
+    const listens = playerRef.current?.listens() ?? [];
+    const sum = listenSummary(listens, tracks.length);
+    const outcome = {
+      endMood: mood, endArousal: arousal, emoji: v, completionPct: sum.completionPct, skips: sum.skips, earlyExits: sum.earlyExits,
+      setpoint: session?.context.target_mood, arousalSetpoint: session?.context.target_arousal,
+    };
+    const reward = rewardFromSession(outcome);
+    setLastReward({ e, v, reward, status: session?.source === "bandit" ? "sending" : "local" });
+    if (!session) return;
+    const log = { ...session, played: sum.played, skips: sum.skips, listens, feedback: { emoji: v, endMood: mood, endArousal: arousal, completionPct: sum.completionPct, at: Date.now() }, reward, rewardStatus: "local" };
+    if (delayedFeedback) scheduleCheckIn(session.id).catch(() => {});
+    if (session.source !== "bandit") return persistSession(log);
+    persistSession({ ...log, rewardStatus: "queued" });
+    await queueReward(log, reward, outcome);
+  };
+
+  // ---- Reward outbox ----
+  // Bandit rewards always go through the IndexedDB outbox; it is flushed right
+  // away, on start-up, when the browser is back online and on background sync.
+  const [banditMock, setBanditMock] = useLocalStorage("vs_bandit_mock", isMockBackend());
+  useEffect(() => setMockBackend(banditMock), [banditMock]);
+  const resetBanditMock = async () => {
+    await (await import("./banditMock")).resetMock(userId);
+    setToast("Mock bandit reset — it starts learning from scratch");
+  };
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const [outboxCount, setOutboxCount] = useState(0);
+  const syncOutbox = async () => {
+    const results = await flushOutbox().catch(() => []);
+    for (const r of results) {
+      const log = await getSession(r.sessionId).catch(() => undefined);
+      if (log) await saveSession({ ...log, rewardStatus: r.status }).catch(() => {});
+      setSession((cur) => (cur?.id === r.sessionId ? { ...cur, rewardStatus: r.status } : cur));
+    }
+    const left = await listOutbox().catch(() => []);
+    setOutboxCount(left.length);
+    if (results.some((r) => r.status === "failed")) setToast("The bandit backend rejected a queued reward — it was dropped");
+    return { results, left };
+  };
+  const queueReward = async (log, reward, outcome) => {
+    try {
+      await enqueueUpdate({ actionId: log.actionId, sessionId: log.id, userId, context: log.context, reward, details: { outcome, shape: log.shape?.id } });
+    } catch {
+      persistSession({ ...log, rewardStatus: "failed" });
+      return "failed";
+    }
+    const { results } = await syncOutbox();
+    const status = results.find((r) => r.sessionId === log.id)?.status ?? "queued";
+    setLastReward((r) => (r ? { ...r, status } : r));
+    return status;
+  };
+  useEffect(() => {
+    const up = () => { setOnline(true); syncOutbox(); };
+    const down = () => setOnline(false);
+    // The service worker sent queued rewards itself; show what went out and recount.
+    const onMessage = (e) => {
+      if (e.data?.type !== SYNC_TAG) return;
+      for (const r of e.data.results ?? []) setSession((cur) => (cur?.id === r.sessionId ? { ...cur, rewardStatus: r.status } : cur));
+      syncOutbox();
+    };
+    syncOutbox();
+    window.addEventListener("online", up);
+    window.addEventListener("offline", down);
+    navigator.serviceWorker?.addEventListener("message", onMessage);
+    return () => {
+      window.removeEventListener("online", up);
+      window.removeEventListener("offline", down);
+      navigator.serviceWorker?.removeEventListener("message", onMessage);
+    };
+  }, []);
+
+  // Health exports are parsed in a worker; days land in the signal series and
+  // today's values (if the export has them) fill the sliders.
+  const [healthProgress, setHealthProgress] = useState(null); // { done, total } while importing
+  const importHealth = (fileList) => {
+    const files = [...fileList];
+    if (!files.length) return;
+    const worker = new Worker(new URL("./healthImport.worker.ts", import.meta.url), { type: "module" });
+    setHealthProgress({ done: 0, total: files.reduce((s, f) => s + f.size, 0) });
+    const finish = () => { worker.terminate(); setHealthProgress(null); };
+    worker.onerror = (e) => { finish(); setToast(`Health import failed: ${e.message}`); };
+    worker.onmessage = async ({ data: m }) => {
+      if (m.type === "progress") return setHealthProgress({ done: m.done, total: m.total });
+      finish();
+      if (m.type === "error") return setToast(`Health import failed: ${m.message}`);
+      if (!m.days.length) return setToast("No sleep, HRV, resting HR or step data found");
+      try {
+        await importDays(m.days, m.source);
+        grant("health", `file:${m.source}`, ["sleepHours", "hrv", "rhr", "steps"].filter((k) => m.days.some((d) => d[k] !== undefined))).catch(() => {});
+        const today = dayKey();
+        const row = m.days.find((d) => d.date === today);
+        if (row?.sleepHours !== undefined) setSleepHours(row.sleepHours);
+        if (row?.hrv !== undefined) setHrv(row.hrv);
+        if (row?.rhr !== undefined) setRhr(row.rhr);
+        if (row?.steps !== undefined) setSteps(row.steps);
+        await refreshDays();
+        setHealthImport({ source: m.source, at: Date.now(), days: m.days.length, from: m.days[0].date, through: m.days[m.days.length - 1].date, warnings: m.warnings });
+        setToast(`Imported ${m.days.length} days from ${m.source}${row ? "" : " (nothing for today yet)"}`);
+      } catch (err) {
+        setToast(`Couldn’t save imported health data: ${err.message}`);
+      }
+    };
+    worker.postMessage({ files });
+  };
+  const importedNote = (k) => todayRow?.imported?.[k] && `Imported from ${todayRow.imported[k]}`;
+
+  // Finance: local ledger of imported transactions → today's spend anomaly.
+  const [ledger, setLedger] = useState({ count: 0, from: null, through: null });
+  const [spendReport, setSpendReport] = useState(null);
+  const [financeBusy, setFinanceBusy] = useState(false);
+  const refreshSpend = async (apply) => {
+    const txns = await listTransactions();
+    setLedger({ count: txns.length, from: txns[0]?.date ?? null, through: txns[txns.length - 1]?.date ?? null });
+    const report = spendAnomaly(txns);
+    setSpendReport(report);
+    if (report && apply) setSpendSpike(Math.round(report.score * 100) / 100);
+    return report;
+  };
+  useEffect(() => {
+    // Recomputed on open so the slider follows the rolling 24h window.
+    refreshSpend(true).catch(() => {});
+  }, []);
+
+  const importFinance = async (fileList) => {
+    const files = [...fileList];
+    if (!files.length) return;
+    setFinanceBusy(true);
+    try {
+      let txns = [];
+      for (const f of files) {
+        txns = txns.concat(/\.(mbox|eml)$/i.test(f.name) ? await receiptsFromFile(f) : parseTransactions(await f.text(), f.name));
+      }
+      if (!txns.length) return setToast("No transactions found in that file");
+      await saveTransactions(txns);
+      grant("finance", `file:${[...new Set(txns.map((t) => t.source))].join(" + ")}`, ["transactions"]).catch(() => {});
+      setFinanceConnected(true);
+      const report = await refreshSpend(true);
+      setToast(`Imported ${txns.length} transactions${report ? "" : ` — need ${MIN_HISTORY_DAYS} days of history for a spend baseline`}`);
+    } catch (err) {
+      setToast(`Couldn’t import transactions: ${err.message}`);
+    } finally {
+      setFinanceBusy(false);
+    }
+  };
+
+  const clearLedger = async () => {
+    await clearTransactions().catch(() => {});
+    setLedger({ count: 0, from: null, through: null });
+    setSpendReport(null);
+  };
+  const spendFromLedger = spendReport && spendSpike === Math.round(spendReport.score * 100) / 100;
 
   const handleConnectHealth = () => {
     setHealthConnected(true);
+    grant("health", healthSource, ["sleepHours", "hrv", "rhr", "steps"]).catch(() => {});
     setToast(healthSource === "healthkit" ? "Simulated: HealthKit connected" : "Simulated: Health Connect connected");
     // Optionally nudge values to show effect
     setSleepHours(6.8); setHrv(45); setRhr(64); setSteps(9000);
@@ -347,14 +1375,193 @@ export default function App() {
     setKv(0.6); setKe(0.4); setKt(0.3); setKd(0.2); setBaseBpm(96);
     setScreen("home");
   };
-  const remindLater = () => { setToast("We'll ask again in ~2h (simulated)"); };
+  const remindLater = async () => {
+    if (!session) return;
+    const notify = await requestNotifyPermission().catch(() => false);
+    try {
+      const c = await scheduleCheckIn(session.id);
+      const at = new Date(c.dueAt).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+      setToast(notify && canNotifyWhileClosed() ? `We'll check in around ${at}`
+        : notify ? `We'll check in around ${at} if VibeShift is open, otherwise when you next open it`
+        : `We'll ask around ${at} next time you open VibeShift`);
+    } catch {
+      setToast("Couldn’t schedule the check-in");
+    }
+  };
+
+  // ---- Delayed check-ins ----
+  // Poll for due check-ins while open: prompt in-app when visible, notify when hidden.
+  useEffect(() => {
+    const fromUrl = new URLSearchParams(location.search).get("checkin");
+    const check = async (preferId) => {
+      const due = await dueCheckIns().catch(() => []);
+      if (document.visibilityState === "hidden") due.forEach((c) => notifyDue(c).catch(() => {}));
+      const c = due.find((x) => x.sessionId === preferId) ?? due[0];
+      if (!c) return;
+      const log = await getSession(c.sessionId).catch(() => undefined);
+      setCheckIn((cur) => cur ?? { sessionId: c.sessionId, log });
+    };
+    check(fromUrl);
+    if (fromUrl) history.replaceState(null, "", location.pathname);
+    const timer = setInterval(check, 60_000);
+    const onMessage = (e) => { if (e.data?.type === "checkin") check(e.data.sessionId); };
+    navigator.serviceWorker?.addEventListener("message", onMessage);
+    return () => { clearInterval(timer); navigator.serviceWorker?.removeEventListener("message", onMessage); };
+  }, []);
+
+  // The delayed rating is folded in as a revised reward for the session's action.
+  const answerDueCheckIn = async ({ v }) => {
+    const { sessionId, log } = checkIn;
+    setCheckIn(null);
+    await answerCheckIn(sessionId, v).catch(() => {});
+    if (!log) return;
+    const outcome = {
+      endMood: log.feedback?.endMood ?? log.startMood,
+      endArousal: log.feedback?.endArousal,
+      emoji: log.feedback?.emoji ?? 0,
+      completionPct: log.feedback?.completionPct ?? log.played.length / log.playlist.length,
+      skips: log.skips,
+      earlyExits: log.listens ? listenSummary(log.listens, log.playlist.length).earlyExits : 0,
+      delayed: v,
+      setpoint: log.context.target_mood,
+      arousalSetpoint: log.context.target_arousal,
+    };
+    const reward = rewardFromSession(outcome);
+    const updated = { ...log, delayed: { rating: v, at: Date.now() }, reward, rewardStatus: log.source === "bandit" ? "queued" : "local" };
+    await saveSession(updated).catch(() => {});
+    if (session?.id === sessionId) setSession(updated);
+    const status = log.source === "bandit" ? await queueReward(updated, reward, outcome) : "local";
+    setToast(status === "queued" ? "Check-in saved — it will reach the bandit once you’re back online" : status === "failed" ? "Check-in saved, but the reward couldn’t be queued" : "Thanks — check-in recorded");
+  };
+
+  const skipDueCheckIn = () => {
+    dismissCheckIn(checkIn.sessionId).catch(() => {});
+    setCheckIn(null);
+  };
 
-  // Canvas OAuth (simulated)
-  const completeCanvasOAuth = () => {
-    setEduConnected(true);
-    setToast(`Canvas connected: ${canvasDomain}`);
-    setScreen("settings");
+  // Grades: Canvas sync or notification emails → stored grades → grade surprise.
+  const [gradeReport, setGradeReport] = useState(null); // { value, moves }
+  const [gradeCount, setGradeCount] = useState(0);
+  const [eduBusy, setEduBusy] = useState(false);
+  const refreshGrades = async () => {
+    const events = await listGrades();
+    setGradeCount(events.length);
+    const report = events.length ? computeGradeSurprise(events) : null;
+    setGradeReport(report);
+    if (report) setGradeSurprise(Math.round(report.value * 100) / 100);
   };
+  useEffect(() => {
+    // Recomputed on open so older grades decay out of the window.
+    refreshGrades().catch(() => {});
+  }, []);
+
+  const syncCanvasGrades = async (conn = canvasConn) => {
+    if (!conn) return;
+    setEduBusy(true);
+    try {
+      const run = async (force) => syncCanvas({ baseUrl: conn.base, token: await getAccessToken("canvas", force) });
+      // A 401 usually means the access token expired early; refresh once and retry.
+      const { courses, submissions } = await run(false).catch((err) => (err.status === 401 && !conn.manual ? run(true) : Promise.reject(err)));
+      const events = eventsFromCanvas(courses, submissions);
+      await saveGrades(events);
+      await refreshGrades();
+      setEduConnected(true);
+      grant("education", "canvas", conn.grantedScopes).catch(() => {});
+      setToast(`Canvas synced: ${events.length} graded assignments in ${courses.length} courses`);
+      setScreen("settings");
+    } catch (err) {
+      setToast(`Canvas sync failed: ${err.message}`);
+    } finally {
+      setEduBusy(false);
+    }
+  };
+
+  const importGradeEmails = async (fileList) => {
+    const files = [...fileList];
+    if (!files.length) return;
+    setEduBusy(true);
+    try {
+      let events = [];
+      for (const f of files) events = events.concat(await gradesFromFile(f));
+      if (!events.length) return setToast("No grade notifications found");
+      await saveGrades(events);
+      await refreshGrades();
+      setEduConnected(true);
+      grant("education", "file:gmail", ["grade notifications"]).catch(() => {});
+      setToast(`Imported ${events.length} grades from email`);
+    } catch (err) {
+      setToast(`Couldn’t read grade emails: ${err.message}`);
+    } finally {
+      setEduBusy(false);
+    }
+  };
+
+  // Canvas sign-in: OAuth2 + PKCE (oauth.ts) or a pasted access token.
+  const [canvasConn, setCanvasConn] = useState(null);
+  const [manualToken, setManualToken] = useState("");
+  useEffect(() => {
+    // Builds before OAuth kept a pasted Canvas token in plain localStorage:
+    // delete it, and move it into the vault if there's no connection yet.
+    const legacyKey = profileKey("vs_canvas_token");
+    const legacy = localStorage.getItem(legacyKey);
+    localStorage.removeItem(legacyKey);
+    (async () => {
+      let conn = await getConnection("canvas");
+      let token = "";
+      try { token = JSON.parse(legacy ?? '""'); } catch {}
+      if (!conn && typeof token === "string" && token.trim()) conn = await saveManualToken("canvas", canvasBase(canvasDomain), token.trim());
+      setCanvasConn(conn ?? null);
+    })().catch(() => {});
+    if (!isCallback()) return;
+    completeAuthorization()
+      .then((conn) => {
+        setToast(`${PROVIDERS[conn.provider].label} connected`);
+        if (conn.provider !== "canvas") return;
+        setCanvasConn(conn);
+        setEduConnected(true);
+        setScreen("canvas");
+        return syncCanvasGrades(conn);
+      })
+      .catch((err) => { setToast(`Sign-in failed: ${err.message}`); setScreen("canvas"); })
+      .finally(() => window.history.replaceState(null, "", "/"));
+  }, []);
+
+  const connectCanvas = () =>
+    beginAuthorization("canvas", canvasBase(canvasDomain)).catch((err) => setToast(`Couldn’t start sign-in: ${err.message}`));
+
+  const saveCanvasToken = async () => {
+    try {
+      const conn = await saveManualToken("canvas", canvasBase(canvasDomain), manualToken.trim());
+      setManualToken("");
+      setCanvasConn(conn);
+      setEduConnected(true);
+      await syncCanvasGrades(conn);
+    } catch (err) {
+      setToast(`Couldn’t save token: ${err.message}`);
+    }
+  };
+
+  const disconnectCanvas = async () => {
+    await disconnect("canvas").catch(() => {});
+    await revoke("education", "canvas").catch(() => {});
+    setCanvasConn(null);
+    setEduConnected(false);
+    setToast("Canvas disconnected — access revoked");
+  };
+
+  const clearGradeData = async () => {
+    await clearGrades().catch(() => {});
+    setGradeCount(0);
+    setGradeReport(null);
+  };
+  const gradeFromData = gradeReport && gradeSurprise === Math.round(gradeReport.value * 100) / 100;
+
+  // Halfway point of the local curve, as a preview on Home.
+  const preview = targetAt({ valence: mood, arousal }, { kv, ke, kt, kd, baseBpm, neutral, goal }, 0.5);
+  // The Path card describes the running session, or today's goal before one starts.
+  const pathGoal = session ? GOALS[session.context.goal] ?? GOALS.balanced : goal;
+  const pathStart = session ? { valence: session.startMood, arousal: session.startArousal ?? NEUTRAL_AROUSAL } : { valence: mood, arousal };
+  const pathTarget = { valence: pathGoal.target, arousal: pathGoal.arousal };
 
   // ---- UI Layout ----
   return (
@@ -386,10 +1593,22 @@ export default function App() {
             <div className="h-8 w-8 rounded-lg" style={{ background: albumGradient(11) }} />
             <h1 className="font-semibold tracking-tight">VibeShift</h1>
             <span className="text-xs text-zinc-400">Mood DJ</span>
+            {profiles.length > 1 && (
+              <button onClick={() => setScreen("settings")} title="Switch profile in Settings" className="text-[11px] px-2 py-0.5 rounded-full border border-white/15 bg-white/5 hover:bg-white/10 text-zinc-300">
+                {PROFILE.name}
+              </button>
+            )}
+            {!online && <span className="text-[11px] px-2 py-0.5 rounded-full border border-amber-400/30 bg-amber-400/10 text-amber-200">Offline</span>}
+            {outboxCount > 0 && (
+              <button onClick={syncOutbox} title="Rewards waiting to be sent to the bandit — tap to retry" className="text-[11px] px-2 py-0.5 rounded-full border border-white/15 bg-white/10 hover:bg-white/20 text-zinc-300">
+                {outboxCount} queued
+              </button>
+            )}
           </div>
           <nav className="flex items-center gap-2 text-sm">
             <button onClick={() => setScreen("home")} className={`px-3 py-1.5 rounded-lg ${screen === "home" ? "bg-white/20 text-white border-white/30 ring-1 ring-white/20" : "hover:bg-white/10"}`}>Home</button>
             <button onClick={() => setScreen("play")} className={`px-3 py-1.5 rounded-lg ${screen === "play" ? "bg-white/20 text-white border-white/30 ring-1 ring-white/20" : "hover:bg-white/10"}`}>Now Playing</button>
+            <button onClick={() => setScreen("history")} className={`px-3 py-1.5 rounded-lg ${screen === "history" ? "bg-white/20 text-white border-white/30 ring-1 ring-white/20" : "hover:bg-white/10"}`}>History</button>
             <button onClick={() => setScreen("settings")} className={`px-3 py-1.5 rounded-lg ${screen === "settings" ? "bg-white/20 text-white border-white/30 ring-1 ring-white/20" : "hover:bg-white/10"}`}>Settings</button>
             <button onClick={() => setScreen("how")} className={`px-3 py-1.5 rounded-lg ${screen === "how" ? "bg-white/20 text-white border-white/30 ring-1 ring-white/20" : "hover:bg-white/10"}`}>How it works</button>
             <button
@@ -412,22 +1631,49 @@ export default function App() {
 
       {/* Content */}
       <main className="max-w-6xl mx-auto px-4 py-6">
+        {checkIn && (
+          <div className="mb-6 p-4 rounded-2xl bg-white/10 backdrop-blur-xl border border-white/15 flex flex-col sm:flex-row sm:items-center gap-4">
+            <div className="flex-1 text-sm">
+              <div className="font-medium">Check-in</div>
+              <div className="text-zinc-400 text-xs">
+                {checkIn.log ? `How do you feel now about the set you started at ${new Date(checkIn.log.startedAt).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}?` : "How do you feel now about your last set?"}
+              </div>
+            </div>
+            <EmojiFeedback onSelect={answerDueCheckIn} />
+            <button onClick={skipDueCheckIn} className="px-3 py-1.5 rounded-lg border border-white/15 bg-white/5 hover:bg-white/15 text-xs">Not now</button>
+          </div>
+        )}
         {screen === "home" && (
           <section className="grid md:grid-cols-2 gap-6">
-            {/* Left: Gauge & CTA */}
+            {/* Left: Mood plane & CTA */}
             <div className="p-4 sm:p-6 bg-white/5 backdrop-blur-xl rounded-2xl shadow-lg border border-white/10">
               <div className="flex items-center gap-6">
-                <Gauge mood={mood} />
+                <MoodPlot mood={{ valence: mood, arousal }} target={{ valence: goal.target, arousal: goal.arousal }} />
                 <div className="space-y-3">
-                  <div className="text-sm text-zinc-400">Target setpoint <b>50</b></div>
+                  <div className="text-sm text-zinc-400">Goal <b>{goal.label}</b> · target valence <b>{goal.target}</b>, arousal <b>{goal.arousal}</b></div>
+                  <div className="flex flex-wrap gap-1.5">
+                    {["auto", ...GOAL_IDS].map((id) => (
+                      <button
+                        key={id}
+                        onClick={() => setGoalChoice(id)}
+                        className={`px-2.5 py-1 rounded-full border text-xs ${goalChoice === id ? "bg-white/20 text-white border-white/30 ring-1 ring-white/20" : "bg-white/5 text-zinc-200 hover:bg-white/10 border-white/15"}`}
+                      >
+                        {id === "auto" ? `Auto (${GOALS[goalForHour(new Date().getHours())].label})` : GOALS[id].label}
+                      </button>
+                    ))}
+                  </div>
                   <div className="flex flex-wrap gap-2">
-                    <Badge>{mood < 50 ? "Need uplifting" : mood > 50 ? "Tapering" : "Balanced"}</Badge>
-                    <Badge>Δ to neutral: {Math.abs(50 - mood)}</Badge>
+                    <Badge>{mood < goal.target ? "Need uplifting" : mood > goal.target ? "Tapering" : "On target"}</Badge>
+                    <Badge>{arousal > goal.arousal ? "Calming down" : arousal < goal.arousal ? "Energizing" : "Energy on target"}</Badge>
+                    <Badge>Δ to target: {Math.round(moodDistance({ valence: mood, arousal }, { valence: goal.target, arousal: goal.arousal }))}</Badge>
                     <Badge>Rain: {precip > 0 ? `${precip}mm` : "none"}</Badge>
                     <Badge>Cloud: {cloud}%</Badge>
                   </div>
                   <div className="flex items-center gap-2">
-                    <Badge>{healthConnected ? `Health: Connected ✓ (${healthSource === "healthkit" ? "HealthKit" : "Health Connect"})` : "Health: Not connected"}</Badge>
+                    <Badge>
+                      {healthImport ? `Health: Imported ✓ (${healthImport.source}, through ${healthImport.through})`
+                        : healthConnected ? `Health: Connected ✓ (${healthSource === "healthkit" ? "HealthKit" : "Health Connect"})` : "Health: Not connected"}
+                    </Badge>
                     <button onClick={handleConnectHealth} className="px-2 py-1 rounded-lg border border-white/15 bg-white/10 hover:bg-white/20 text-xs backdrop-blur">
                       {healthConnected ? "Reconnect" : "Connect Health"}
                     </button>
@@ -437,13 +1683,17 @@ export default function App() {
                   </div>
                   <button
                     onClick={startSession}
+                    disabled={starting}
                     className="w-full sm:w-auto inline-flex items-center justify-center gap-2 px-4 py-2 rounded-xl bg-gradient-to-r from-indigo-500/70 to-cyan-400/70 text-white shadow-lg hover:from-indigo-400/80 hover:to-cyan-300/80 border border-white/10 backdrop-blur"
                   >
-                    Start Mood Shift ({N} tracks)
+                    {starting ? "Starting…" : `Start Mood Shift (${N} tracks)`}
                   </button>
-                  <div className="text-xs text-zinc-400">We’ll tailor the curve from your current state toward neutral.</div>
+                  <div className="text-xs text-zinc-400">{goal.blurb} We’ll tailor the curve from your current state toward {goal.target}.</div>
                 </div>
               </div>
+              <div className="mt-6 pt-4 border-t border-white/10">
+                <MoodBreakdown model={moodModel} levers={levers} />
+              </div>
             </div>
 
             {/* Right: Signal controls */}
@@ -451,39 +1701,53 @@ export default function App() {
               <h3 className="font-medium mb-2">Today’s Signals</h3>
               <div className="grid sm:grid-cols-2 gap-4">
                 <div>
-                  <Slider label="Sleep" min={3} max={10} step={0.1} value={sleepHours} unit="h" onChange={setSleepHours} />
-                  <Slider label="HRV (SDNN)" min={20} max={80} step={1} value={hrv} unit=" ms" onChange={setHrv} />
-                  <Slider label="Resting HR" min={48} max={90} step={1} value={rhr} unit=" bpm" onChange={setRhr} />
-                  <Slider label="Steps" min={0} max={15000} step={100} value={steps} unit="" onChange={setSteps} />
+                  <Slider label="Sleep" min={3} max={10} step={0.1} value={sleepHours} unit="h" onChange={setSleepHours} note={importedNote("sleepHours")} />
+                  <Slider label="HRV (SDNN)" min={20} max={80} step={1} value={hrv} unit=" ms" onChange={setHrv} note={importedNote("hrv")} />
+                  <Slider label="Resting HR" min={48} max={90} step={1} value={rhr} unit=" bpm" onChange={setRhr} note={importedNote("rhr")} />
+                  <Slider label="Steps" min={0} max={15000} step={100} value={steps} unit="" onChange={setSteps} note={importedNote("steps")} />
                 </div>
                 <div>
-                  <Slider label="Precipitation" min={0} max={20} step={1} value={precip} unit=" mm" onChange={setPrecip} />
-                  <Slider label="Cloud Cover" min={0} max={100} step={1} value={cloud} unit="%" onChange={setCloud} />
-                  <Slider label="Temperature" min={-5} max={30} step={1} value={tempC} unit=" °C" onChange={setTempC} />
-                  <Slider label="Self‑report" min={-10} max={10} step={1} value={selfReport} unit="" onChange={setSelfReport} />
+                  <Slider label="Precipitation" min={0} max={20} step={1} value={precip} unit=" mm" onChange={setPrecip} tag="forecast" note={weatherNote} />
+                  <Slider label="Cloud Cover" min={0} max={100} step={1} value={cloud} unit="%" onChange={setCloud} tag="forecast" note={weatherNote} />
+                  <Slider label="Temperature" min={-5} max={30} step={1} value={tempC} unit=" °C" onChange={setTempC} tag="forecast" note={weatherNote} />
+                  <CircumplexPicker label="Self‑report" value={selfReport} onChange={setSelfReport} />
                 </div>
               </div>
+              <div className="mt-2 flex items-center gap-2 text-xs text-zinc-400">
+                <button onClick={recordToday} className="px-2 py-1 rounded-lg border border-white/15 bg-white/10 hover:bg-white/20 text-xs backdrop-blur">
+                  Record today
+                </button>
+                <span>
+                  {todayRecordedBy(todayRow)
+                    ? `Today is saved (${todayRecordedBy(todayRow)}); recording again replaces it.`
+                    : "Sleep, HRV, resting HR and steps only count toward your baselines once imported or recorded."}
+                </span>
+              </div>
               <div className="mt-4 grid sm:grid-cols-2 gap-4">
                 <div className="p-3 rounded-xl bg-white/5 backdrop-blur border border-white/10">
-                  <div className="text-xs text-zinc-400 mb-1">Macro (cached)</div>
+                  <div className="text-xs text-zinc-400 mb-1">Macro {macroRegion ? `(${macroRegion})` : "(manual)"}</div>
                   <div className="flex flex-wrap gap-2 items-center">
                     {chip(`${(unempDiff * 100).toFixed(1)}`, "% vs natl")}
-                    {chip(`${Math.round(housingStress * 100)}`, "% HPI ↑ vs median")}
+                    {chip(`${Math.round(housingStress * 100)}`, "% HPI ↑ vs natl")}
                     {chip(`${Math.round(spendSpike * 100)}`, "% spend spike 24h")}
                     {chip(`${Math.round((gradeSurprise + 1) * 50)}`, "% grade surprise")}
                   </div>
-                  <Slider label="Unemployment diff" min={-0.03} max={0.06} step={0.001} value={unempDiff} onChange={setUnempDiff} />
-                  <Slider label="Housing stress" min={-0.1} max={0.6} step={0.01} value={housingStress} onChange={setHousingStress} />
-                  <Slider label="Spend spike (24h vs avg)" min={0} max={1} step={0.01} value={spendSpike} onChange={setSpendSpike} />
-                  <Slider label="Grade surprise (last 7d)" min={-1} max={1} step={0.05} value={gradeSurprise} onChange={setGradeSurprise} />
+                  <Slider label="Unemployment diff" min={-0.03} max={0.06} step={0.001} value={unempDiff} onChange={setUnempDiff}
+                    tag={macroStale.unemp ? `stale · ${macroStale.unemp}` : macroReport.unemp?.period} warn={!!macroStale.unemp}
+                    note={unempFromData && `${macroReport.unemp.detail}${macroStale.unemp ? " — stale, left out of the mood score" : ""}`} />
+                  <Slider label="Housing stress" min={-0.1} max={0.6} step={0.01} value={housingStress} onChange={setHousingStress}
+                    tag={macroStale.housing ? `stale · ${macroStale.housing}` : macroReport.housing?.period} warn={!!macroStale.housing}
+                    note={housingFromData && `${macroReport.housing.detail}${macroStale.housing ? " — stale, left out of the mood score" : ""}`} />
+                  <Slider label="Spend spike (24h vs avg)" min={0} max={1} step={0.01} value={spendSpike} onChange={setSpendSpike} tag="ledger" note={spendFromLedger && `From your transactions: ${spendReport.windowTotal.toFixed(2)} in the last 24h`} />
+                  <Slider label="Grade surprise (last 7d)" min={-1} max={1} step={0.05} value={gradeSurprise} onChange={setGradeSurprise} tag="grades" note={gradeFromData && `From ${gradeReport.moves.length} recently graded assignments`} />
                 </div>
                 <div className="p-3 rounded-xl bg-white/5 backdrop-blur border border-white/10">
                   <div className="text-xs text-zinc-400 mb-2">Playlist preview targets</div>
                   <div className="flex flex-col gap-2">
-                    <FeaturePill label="Valence" value={clamp(0, 0.55 + (kv * (50 - mood)) / 100, 1)} />
-                    <FeaturePill label="Energy" value={clamp(0, 0.55 + (ke * (50 - mood)) / 100, 1)} />
-                    <FeaturePill label="Danceability" value={clamp(0, 0.55 + (kd * (50 - mood)) / 100, 1)} />
-                    <div className="text-xs text-zinc-400">Tempo target: {Math.round(baseBpm + kt * (50 - mood))} BPM</div>
+                    <FeaturePill label="Valence" value={preview.valence} />
+                    <FeaturePill label="Energy" value={preview.energy} />
+                    <FeaturePill label="Danceability" value={preview.dance} />
+                    <div className="text-xs text-zinc-400">Tempo target: {preview.tempo} BPM</div>
                   </div>
                 </div>
               </div>
@@ -506,36 +1770,78 @@ export default function App() {
                         <h3 className="text-xl font-semibold">{tracks[idx].title}</h3>
                         <div className="text-zinc-400 text-sm">{tracks[idx].artist}</div>
                       </div>
-                      <Badge>Track {idx + 1} / {tracks.length}</Badge>
+                      <div className="flex items-center gap-2">
+                        <Badge>{session?.source === "bandit" ? "Bandit curve" : "Local curve"}</Badge>
+                        <Badge>Track {idx + 1} / {tracks.length}</Badge>
+                      </div>
+                    </div>
+
+                    <div className="mt-2 flex flex-wrap items-center gap-2">
+                      {tracks[idx].match ? (
+                        <>
+                          <Badge>Match distance {tracks[idx].match.distance.toFixed(2)}</Badge>
+                          {tracks[idx].match.track.genre && <Badge>{tracks[idx].match.track.genre}</Badge>}
+                          {tracks[idx].match.relaxed.length > 0 && <Badge>Relaxed: {tracks[idx].match.relaxed.join(", ")}</Badge>}
+                        </>
+                      ) : (
+                        <Badge>Placeholder — load a catalog in Settings</Badge>
+                      )}
                     </div>
 
                     <div className="mt-4 grid grid-cols-2 sm:grid-cols-4 gap-3">
-                      <div className="p-3 rounded-xl bg-white/5 backdrop-blur border border-white/10 text-center">
-                        <div className="text-xs text-zinc-400">Valence</div>
-                        <div className="text-sm font-medium">{prettyPct(tracks[idx].valence)}</div>
-                      </div>
-                      <div className="p-3 rounded-xl bg-white/5 backdrop-blur border border-white/10 text-center">
-                        <div className="text-xs text-zinc-400">Energy</div>
-                        <div className="text-sm font-medium">{prettyPct(tracks[idx].energy)}</div>
-                      </div>
-                      <div className="p-3 rounded-xl bg-white/5 backdrop-blur border border-white/10 text-center">
-                        <div className="text-xs text-zinc-400">Dance</div>
-                        <div className="text-sm font-medium">{prettyPct(tracks[idx].dance)}</div>
-                      </div>
-                      <div className="p-3 rounded-xl bg-white/5 backdrop-blur border border-white/10 text-center">
-                        <div className="text-xs text-zinc-400">Tempo</div>
-                        <div className="text-sm font-medium">{tracks[idx].tempo} BPM</div>
-                      </div>
+                      <TargetStat label="Valence" target={tracks[idx].valence} actual={tracks[idx].match?.track.valence} fmt={prettyPct} />
+                      <TargetStat label="Energy" target={tracks[idx].energy} actual={tracks[idx].match?.track.energy} fmt={prettyPct} />
+                      <TargetStat label="Dance" target={tracks[idx].dance} actual={tracks[idx].match?.track.dance} fmt={prettyPct} />
+                      <TargetStat label="Tempo" target={tracks[idx].tempo} actual={tracks[idx].match?.track.tempo} fmt={(x) => `${Math.round(x)} BPM`} />
                     </div>
 
-                    <div className="mt-5 flex items-center gap-3">
+                    {playback && (
+                      <div className="mt-5">
+                        <input
+                          type="range"
+                          min={0}
+                          max={Math.max(1, playback.durationMs)}
+                          step={250}
+                          value={Math.min(playback.positionMs, playback.durationMs)}
+                          onChange={(e) => playerRef.current?.seek(Number(e.target.value))}
+                          className="w-full accent-indigo-600"
+                          aria-label="Position"
+                        />
+                        <div className="flex items-center justify-between text-[11px] text-zinc-500 tabular-nums">
+                          <span>{fmtClock(playback.positionMs)}</span>
+                          <span>
+                            {playback.error ?? (playback.silent ? "No audio for this track — timing only" : "")}
+                          </span>
+                          <span>{playback.durationMs ? fmtClock(playback.durationMs) : "–:––"}</span>
+                        </div>
+                      </div>
+                    )}
+
+                    <div className="mt-3 flex items-center gap-3 flex-wrap">
                       <button onClick={prev} className="px-4 py-2 rounded-xl bg-white/10 border border-white/15 text-zinc-100 hover:bg-white/20 backdrop-blur">Prev</button>
+                      <button onClick={togglePlay} className="px-4 py-2 rounded-xl bg-white/10 border border-white/15 text-zinc-100 hover:bg-white/20 backdrop-blur">{playback?.playing ? "Pause" : "Play"}</button>
                       <button onClick={next} className="px-4 py-2 rounded-xl bg-gradient-to-r from-indigo-500/70 to-cyan-400/70 text-white hover:from-indigo-400/80 hover:to-cyan-300/80 border border-white/10 backdrop-blur">Next</button>
+                      <label className="px-3 py-1.5 rounded-xl bg-white/5 border border-white/15 text-zinc-200 hover:bg-white/10 cursor-pointer text-xs">
+                        {localAudio.length ? `Local audio (${localAudio.length})` : "Add local audio"}
+                        <input type="file" multiple accept="audio/*" className="hidden" onChange={(e) => { addLocalAudio(e.target.files); e.target.value = ""; }} />
+                      </label>
                     </div>
 
+                    {session && idx < tracks.length - 1 && (
+                      <div className="mt-4 flex items-center gap-2 flex-wrap text-xs">
+                        <span className="text-zinc-400">Mood since the set started:</span>
+                        {[{ feel: -1, label: "😕 Lower" }, { feel: 0, label: "😐 Same" }, { feel: 1, label: "🙂 Higher" }].map((n) => (
+                          <button key={n.feel} onClick={() => nudgeMood(n.feel)} className="px-2 py-1 rounded-lg border border-white/15 bg-white/10 hover:bg-white/20 text-xs backdrop-blur">
+                            {n.label}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+
                     {idx === tracks.length - 1 && (
                       <div className="mt-6 p-4 rounded-2xl bg-white/5 backdrop-blur border border-white/10">
-                        <div className="text-sm font-medium mb-2">How did this set move you toward neutral?</div>
+                        <div className="text-sm font-medium mb-2">How did this set move you toward {pathGoal.id === "balanced" ? "neutral" : `“${pathGoal.label}”`}?</div>
+                        <CircumplexPicker label="How do you feel now? (self‑report)" value={selfReport} onChange={setSelfReport} />
                         <EmojiFeedback onSelect={onFeedback} />
                         {delayedFeedback && (
                           <div className="mt-3 text-xs">
@@ -544,7 +1850,12 @@ export default function App() {
                         )}
                         {lastReward && (
                           <div className="mt-2 text-xs text-emerald-700">
-                            Thanks! You picked {lastReward.e}. Curve updated slightly for next time.
+                            Thanks! You picked {lastReward.e} · reward {lastReward.reward.toFixed(2)} (end mood {mood}, arousal {arousal}).{" "}
+                            {lastReward.status === "sending" && "Sending to the bandit…"}
+                            {lastReward.status === "sent" && "Bandit updated for next time."}
+                            {lastReward.status === "queued" && "Queued — it will reach the bandit once you’re back online."}
+                            {lastReward.status === "failed" && "Bandit update failed."}
+                            {lastReward.status === "local" && "Local curve session — nothing sent to the bandit."}
                           </div>
                         )}
                       </div>
@@ -556,22 +1867,57 @@ export default function App() {
 
             {/* Path Card */}
             <div className="p-4 sm:p-6 bg-white/5 backdrop-blur-xl rounded-2xl shadow-lg border border-white/10">
-              <h3 className="font-medium mb-3">Path to Neutral</h3>
+              <h3 className="font-medium mb-3">{pathGoal.id === "balanced" ? "Path to Neutral" : `Path: ${pathGoal.label}`}</h3>
               <div className="flex items-center gap-2 mb-2">
-                <Badge>Start: {mood}</Badge>
-                <Badge>Target: 50</Badge>
-                <Badge>Δ {Math.abs(50 - mood)}</Badge>
+                <Badge>Start: {pathStart.valence} · arousal {pathStart.arousal}</Badge>
+                <Badge>Target: {pathTarget.valence} · arousal {pathTarget.arousal}</Badge>
+                <Badge>Δ {Math.round(moodDistance(pathStart, pathTarget))}</Badge>
               </div>
+              {session && (
+                <div className="flex items-center gap-2 mb-3 flex-wrap">
+                  {session.source === "bandit" ? (
+                    <>
+                      <Badge>Source: Bandit</Badge>
+                      <Badge>p = {session.propensity.toFixed(3)}</Badge>
+                    </>
+                  ) : (
+                    <Badge>Source: Local curve (backend offline)</Badge>
+                  )}
+                </div>
+              )}
               <div className="flex items-center gap-2 flex-wrap">
                 {tracks.map((t, i) => {
                   const done = i < idx;
                   const active = i === idx;
-                  const bg = done ? "bg-emerald-500" : active ? "bg-gray-900" : "bg-gray-200";
-                  return <span key={t.id} className={`h-2 w-8 rounded ${bg}`} />;
+                  const replanned = session?.replans?.some((r) => i > r.index);
+                  const bg = done ? "bg-emerald-500" : active ? "bg-gray-900" : replanned ? "bg-amber-300" : "bg-gray-200";
+                  const mark = session?.replans?.find((r) => r.index === i - 1);
+                  return (
+                    <React.Fragment key={`${t.id}-${i}`}>
+                      {mark && <span className="h-4 w-0.5 rounded bg-amber-300" title={replanText(mark)} />}
+                      <span className={`h-2 w-8 rounded ${bg}`} />
+                    </React.Fragment>
+                  );
                 })}
               </div>
+              {session?.replans?.length > 0 && (
+                <ul className="mt-3 space-y-1 text-xs text-amber-200/80">
+                  {session.replans.map((r) => <li key={r.at}>{replanText(r)}</li>)}
+                </ul>
+              )}
+              {tracks.length > 0 && (
+                <div className="mt-4 flex items-center gap-2 flex-wrap">
+                  <span className="text-xs text-zinc-400">Export:</span>
+                  {["m3u8", "xspf", "jspf"].map((f) => (
+                    <button key={f} onClick={() => exportPlaylist(f)} className="px-2 py-1 rounded-lg border border-white/15 bg-white/10 hover:bg-white/20 text-xs backdrop-blur">
+                      {f.toUpperCase()}
+                    </button>
+                  ))}
+                </div>
+              )}
               <div className="mt-4 space-y-2 text-xs text-zinc-400">
                 <div>We gradually adjust **valence**, **energy**, **tempo**, and **danceability** over the set. Early tracks sit closer to your current state, then ease toward neutral.</div>
+                <div>Check-ins, {SKIP_STREAK} skips in a row or going back to replay a track re-plan the tracks still to come from where you are.</div>
                 <div className="italic">Tip: tweak curve strength in Settings → Advanced.</div>
               </div>
             </div>
@@ -586,6 +1932,7 @@ export default function App() {
               <Toggle label="No‑lyrics focus mode" checked={noLyrics} onChange={setNoLyrics} />
               <Toggle label="Ask me later about how the set felt" checked={delayedFeedback} onChange={setDelayedFeedback} />
               <Slider label="Session length" min={5} max={15} step={1} value={N} onChange={setN} />
+              <Slider label="Crossfade" min={0} max={12} step={1} value={crossfade} unit=" s" onChange={setCrossfade} />
               <div className="mt-2 text-xs text-zinc-400">Seeds (genres):</div>
               <div className="mt-2 flex flex-wrap gap-2">
                 {GENRE_SEEDS.map((g) => {
@@ -601,7 +1948,152 @@ export default function App() {
                   );
                 })}
               </div>
-            
+
+              {/* Profiles */}
+              <div className="mt-6 pt-4 border-t">
+                <div className="text-sm font-medium mb-2">Profiles</div>
+                <ul className="space-y-2">
+                  {profiles.map((p) => (
+                    <li key={p.id} className="flex items-center justify-between gap-3 text-sm">
+                      <div className="min-w-0">
+                        <div className="truncate">
+                          {p.name}
+                          {p.id === PROFILE.id && <span className="ml-2 text-xs text-emerald-300">active</span>}
+                        </div>
+                        <div className="text-[11px] text-zinc-500 truncate">user {p.userId.slice(0, 8)} · since {new Date(p.createdAt).toLocaleDateString()}</div>
+                      </div>
+                      <div className="flex gap-2 shrink-0">
+                        {p.id === PROFILE.id ? (
+                          <button onClick={exportActiveProfile} className="px-2 py-1 rounded-lg border border-white/15 bg-white/10 hover:bg-white/20 text-xs backdrop-blur">Export</button>
+                        ) : (
+                          <>
+                            <button onClick={() => openProfile(p.id)} className="px-2 py-1 rounded-lg border border-white/15 bg-white/10 hover:bg-white/20 text-xs backdrop-blur">Switch</button>
+                            <button onClick={() => removeProfile(p)} className={`px-2 py-1 rounded-lg border text-xs ${deletingProfile === p.id ? "border-rose-400/40 bg-rose-500/20 text-rose-200" : "border-white/15 bg-white/5 hover:bg-white/10"}`}>
+                              {deletingProfile === p.id ? "Delete all its data?" : "Delete"}
+                            </button>
+                          </>
+                        )}
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+                <div className="mt-3 flex flex-wrap items-center gap-2">
+                  <input value={profileDraft} onChange={(e) => setProfileDraft(e.target.value)} onKeyDown={(e) => e.key === "Enter" && addProfile()} placeholder="New profile name" className="px-3 py-2 rounded-lg border bg-transparent text-sm flex-1 min-w-0" />
+                  <button onClick={addProfile} className="px-3 py-1.5 rounded-xl bg-white/10 border border-white/15 text-zinc-100 hover:bg-white/20 backdrop-blur">Add &amp; switch</button>
+                  <label className="px-3 py-1.5 rounded-xl bg-white/5 border border-white/15 text-zinc-200 hover:bg-white/10 cursor-pointer">
+                    Import archive
+                    <input type="file" accept=".json,application/json" className="hidden" onChange={(e) => { const f = e.target.files?.[0]; if (f) importArchive(f); e.target.value = ""; }} />
+                  </label>
+                </div>
+                <div className="mt-2 text-xs text-zinc-400">Each profile has its own user id, settings, history, baselines and connected sources. An archive holds all of it except sign-in tokens, which stay sealed to this device.</div>
+              </div>
+
+              {/* Privacy */}
+              <div className="mt-6 pt-4 border-t">
+                <div className="text-sm font-medium mb-2">Privacy</div>
+                <div className="text-xs text-zinc-400 mb-2">
+                  Health, money, grade, location and mood settings are encrypted on this device (AES-GCM) with {passphraseOn ? "a key from your passphrase, asked for each time the app opens" : "a device key stored in the browser next to them, which keeps them out of plain view but not from scripts on the page; only a passphrase does that"}.
+                  {" "}Imported records (daily signals, transactions, grades), session history and queued rewards stay unencrypted in IndexedDB either way.
+                </div>
+                <div className="flex flex-wrap items-center gap-2">
+                  <input type="password" value={passDraft} onChange={(e) => setPassDraft(e.target.value)} onKeyDown={(e) => e.key === "Enter" && changePassphrase(passDraft)} placeholder={passphraseOn ? "New passphrase" : "Passphrase"} autoComplete="new-password" className="px-3 py-2 rounded-lg border bg-transparent text-sm flex-1 min-w-0" />
+                  <button onClick={() => changePassphrase(passDraft)} className="px-3 py-1.5 rounded-xl bg-white/10 border border-white/15 text-zinc-100 hover:bg-white/20 backdrop-blur">{passphraseOn ? "Change passphrase" : "Set passphrase"}</button>
+                  {passphraseOn && (
+                    <button onClick={() => changePassphrase(null)} className="px-3 py-1.5 rounded-xl bg-white/5 border border-white/15 text-zinc-200 hover:bg-white/10">Remove</button>
+                  )}
+                </div>
+                <ul className="mt-4 space-y-3">
+                  {consent.map((r) => {
+                    const grants = activeGrants(r);
+                    const fields = Object.entries(r.fields);
+                    const forgotten = r.events.filter((e) => e.kind === "forgotten").pop();
+                    return (
+                      <li key={r.source} className="text-sm">
+                        <div className="flex items-center justify-between gap-3">
+                          <div className="min-w-0 truncate">{SOURCES[r.source].label}</div>
+                          <button onClick={() => forgetSourceData(r.source)} className={`px-2 py-1 rounded-lg border text-xs shrink-0 ${forgetting === r.source ? "border-rose-400/40 bg-rose-500/20 text-rose-200" : "border-white/15 bg-white/5 hover:bg-white/10"}`}>
+                            {forgetting === r.source ? "Wipe its data and signals?" : "Forget this source"}
+                          </button>
+                        </div>
+                        <div className="text-[11px] text-zinc-500">
+                          {grants.length
+                            ? grants.map((g) => `${g.via} since ${new Date(g.at).toLocaleDateString()}${g.scopes.length ? ` (${g.scopes.join(", ")})` : ""}`).join(" · ")
+                            : "Not granted"}
+                          {forgotten && ` · forgotten ${new Date(forgotten.at).toLocaleDateString()}`}
+                        </div>
+                        {fields.length > 0 && (
+                          <div className="text-[11px] text-zinc-500">
+                            Used: {fields.map(([f, u]) => `${f} ×${u.count}, last ${new Date(u.last).toLocaleDateString()}`).join(" · ")}
+                          </div>
+                        )}
+                      </li>
+                    );
+                  })}
+                </ul>
+                <div className="mt-2 text-xs text-zinc-400">Forgetting a source deletes its imported records and settings, blanks its signals in past sessions and queued rewards, and revokes its sign-in. The ledger itself is kept.</div>
+              </div>
+
+              {/* Bandit Backend */}
+              <div className="mt-6 pt-4 border-t">
+                <div className="text-sm font-medium mb-2">Bandit Backend</div>
+                <Toggle label="Use the in-browser mock backend" checked={banditMock} onChange={setBanditMock} />
+                <div className="text-xs text-zinc-400">
+                  {banditMock ? "Decisions and rewards run on this device with the server’s own LinUCB; nothing leaves the browser." : `Sessions ask ${API_BASE} and fall back to the local curve when it can’t be reached.`}
+                </div>
+                {banditMock && (
+                  <button onClick={resetBanditMock} className="mt-2 px-3 py-1.5 rounded-xl bg-white/5 border border-white/15 text-zinc-200 hover:bg-white/10">Reset mock model</button>
+                )}
+              </div>
+
+              {/* Music Catalog */}
+              <div className="mt-6 pt-4 border-t">
+                <div className="text-sm font-medium mb-2">Music Catalog</div>
+                <div className="text-xs text-zinc-400 mb-2">
+                  {catalog.tracks.length ? `${catalog.tracks.length} tracks from ${catalog.name}` : "No catalog loaded — sessions use placeholder titles."}
+                </div>
+                <div className="flex flex-wrap items-center gap-3">
+                  <label className="px-3 py-1.5 rounded-xl bg-white/10 border border-white/15 text-zinc-100 hover:bg-white/20 backdrop-blur cursor-pointer">
+                    Load CSV / JSON
+                    <input type="file" accept=".csv,.json,text/csv,application/json" className="hidden" onChange={(e) => { const f = e.target.files?.[0]; if (f) importCatalog(f); e.target.value = ""; }} />
+                  </label>
+                  {catalog.tracks.length > 0 && (
+                    <button onClick={clearCatalog} className="px-3 py-1.5 rounded-xl bg-white/5 border border-white/15 text-zinc-200 hover:bg-white/10">Clear</button>
+                  )}
+                  <div className="text-xs text-zinc-400">Spotify-features format: name, artists, valence, energy, danceability, tempo, instrumentalness, explicit, genre.</div>
+                </div>
+                <div className="mt-4 flex flex-wrap items-center gap-3">
+                  <label className="px-3 py-1.5 rounded-xl bg-white/10 border border-white/15 text-zinc-100 hover:bg-white/20 backdrop-blur cursor-pointer">
+                    Score a playlist
+                    <input type="file" accept=".m3u,.m3u8,.xspf,.jspf,.json,audio/x-mpegurl,application/xspf+xml" className="hidden" onChange={(e) => { const f = e.target.files?.[0]; if (f) importPlaylist(f); e.target.value = ""; }} />
+                  </label>
+                  <div className="text-xs text-zinc-400">M3U / M3U8, XSPF or JSPF. Tracks are looked up in the catalog (or use features embedded by a VibeShift export) and compared with the path from your current mood.</div>
+                </div>
+                {playlistScore && (
+                  <div className="mt-3 text-xs">
+                    <div className="text-zinc-300">
+                      {playlistScore.name}: <b>{playlistScore.result.score}/100</b> against the path from mood {playlistScore.mood}, arousal {playlistScore.arousal}
+                      {" "}<span className="text-zinc-500">
+                        (closeness {prettyPct(playlistScore.result.closeness)}
+                        {playlistScore.result.trend !== null && `, direction ${prettyPct(playlistScore.result.trend)}`}
+                        , {prettyPct(playlistScore.result.coverage)} of tracks known)
+                      </span>
+                    </div>
+                    <ol className="mt-2 space-y-1 list-decimal ml-5">
+                      {playlistScore.result.rows.map(({ entry, target, features, distance }, i) => (
+                        <li key={i} className={features ? "text-zinc-300" : "text-zinc-500"}>
+                          <div className="flex items-center justify-between gap-3">
+                            <span className="truncate">{entry.artist ? `${entry.artist} — ` : ""}{entry.title}</span>
+                            <span className="tabular-nums shrink-0" title={`Target: valence ${target.valence}, energy ${target.energy}, dance ${target.dance}, ${target.tempo} BPM`}>
+                              {features ? `off by ${distance.toFixed(2)}` : "no features"}
+                            </span>
+                          </div>
+                        </li>
+                      ))}
+                    </ol>
+                  </div>
+                )}
+              </div>
+
               {/* Health Data Source */}
               <div className="mt-6 pt-4 border-t">
                 <div className="text-sm font-medium mb-2">Health Data Source</div>
@@ -627,6 +2119,125 @@ export default function App() {
                     Real reads happen on-device via {healthSource === "healthkit" ? "HealthKit" : "Health Connect"}. Demo can still use sliders.
                   </div>
                 </div>
+                <div className="mt-4 flex flex-wrap items-center gap-3">
+                  <label className={`px-3 py-1.5 rounded-xl bg-white/10 border border-white/15 text-zinc-100 hover:bg-white/20 backdrop-blur ${healthProgress ? "opacity-50 pointer-events-none" : "cursor-pointer"}`}>
+                    Import export file(s)
+                    <input type="file" multiple accept=".xml,.csv,.json,text/xml,text/csv,application/json" className="hidden" onChange={(e) => { importHealth(e.target.files); e.target.value = ""; }} />
+                  </label>
+                  <div className="text-xs text-zinc-400">
+                    Apple Health <code>export.xml</code> (unzip export.zip first), Fitbit Takeout JSON/CSV, or any daily CSV with date, steps, resting heart rate, HRV (SDNN), sleep.
+                  </div>
+                </div>
+                {healthProgress && (
+                  <div className="mt-3">
+                    <div className="h-2 rounded bg-white/10 overflow-hidden">
+                      <div className="h-full bg-gradient-to-r from-indigo-400 to-cyan-300" style={{ width: prettyPct(healthProgress.total ? healthProgress.done / healthProgress.total : 0) }} />
+                    </div>
+                    <div className="mt-1 text-[11px] text-zinc-500">Reading {(healthProgress.done / 1e6).toFixed(0)} of {(healthProgress.total / 1e6).toFixed(0)} MB…</div>
+                  </div>
+                )}
+                {healthImport && (
+                  <div className="mt-3 text-xs text-zinc-400">
+                    Last import: {healthImport.days} days from {healthImport.source} ({healthImport.from} → {healthImport.through}), {new Date(healthImport.at).toLocaleString()}.
+                    {healthImport.warnings?.map((w) => <div key={w} className="text-amber-300">{w}</div>)}
+                  </div>
+                )}
+              </div>
+
+              {/* Personal Baselines */}
+              <div className="mt-6 pt-4 border-t">
+                <div className="text-sm font-medium mb-2">Personal Baselines</div>
+                <div className="grid grid-cols-2 gap-2 text-xs text-zinc-300">
+                  <div>HRV {baselines.hrv.mu.toFixed(0)} ± {baselines.hrv.sd.toFixed(0)} ms <span className="text-zinc-500">({baselines.hrv.n}d)</span></div>
+                  <div>Resting HR {baselines.rhr.mu.toFixed(0)} ± {baselines.rhr.sd.toFixed(0)} bpm <span className="text-zinc-500">({baselines.rhr.n}d)</span></div>
+                  <div>Steps {Math.round(baselines.steps.mu)} ± {Math.round(baselines.steps.sd)} <span className="text-zinc-500">({baselines.steps.n}d)</span></div>
+                  <div>Sleep {baselines.sleep.mu.toFixed(1)} ± {baselines.sleep.sd.toFixed(1)} h <span className="text-zinc-500">({baselines.sleep.n}d)</span></div>
+                </div>
+                <div className="mt-2 text-xs text-zinc-400">
+                  {baselines.warm
+                    ? `Median ± MAD of your last ${baselines.days} days (today excluded).`
+                    : `Warming up: ${baselines.days} of ${WARMUP_DAYS} days recorded, so these are still blended with population averages.`}
+                </div>
+              </div>
+
+              {/* Weather */}
+              <div className="mt-6 pt-4 border-t">
+                <div className="text-sm font-medium mb-2">Weather</div>
+                <div className="flex flex-wrap items-center gap-3">
+                  <button onClick={locateMe} className="px-3 py-1.5 rounded-xl bg-white/10 border border-white/15 text-zinc-100 hover:bg-white/20 backdrop-blur">Use my location</button>
+                  <input value={placeDraft} onChange={(e) => setPlaceDraft(e.target.value)} onKeyDown={(e) => e.key === "Enter" && savePlace()} className="w-44 px-3 py-2 rounded-lg border" placeholder="lat, lon" />
+                  <button onClick={savePlace} className="px-3 py-1.5 rounded-xl bg-white/5 border border-white/15 text-zinc-200 hover:bg-white/10">Set</button>
+                  {weatherPlace && (
+                    <>
+                      <button onClick={() => refreshWeather(weatherPlace, true)} disabled={weatherBusy} className="px-3 py-1.5 rounded-xl bg-white/5 border border-white/15 text-zinc-200 hover:bg-white/10">{weatherBusy ? "Refreshing…" : "Refresh"}</button>
+                      <button onClick={() => { setWeatherPlace(null); setForecast(null); }} className="px-3 py-1.5 rounded-xl bg-white/5 border border-white/15 text-zinc-200 hover:bg-white/10">Forget</button>
+                    </>
+                  )}
+                </div>
+                <div className="mt-3 text-xs text-zinc-400">
+                  {!weatherPlace
+                    ? "No location — the weather sliders are manual, with a 17 °C comfort point."
+                    : !forecast
+                      ? `${weatherPlace.label}: no forecast yet.`
+                      : `${weatherPlace.label}: forecast from ${new Date(forecast.fetchedAt).toLocaleString()}${forecast.stale ? " (offline copy)" : ""}.`}
+                </div>
+                {sessionWx && (
+                  <div className="mt-2 text-xs text-zinc-300">
+                    Next {N} tracks: {sessionWx.tempC.toFixed(1)} °C, {sessionWx.cloud.toFixed(0)}% cloud, {sessionWx.precip.toFixed(1)} mm/day rain rate
+                    {" "}→ gloom {Math.round(sessionWx.gloom * 100)}% <span className="text-zinc-500">(comfort {sessionWx.comfortC.toFixed(1)} °C for this place and season)</span>
+                  </div>
+                )}
+              </div>
+
+              {/* Macro Indicators */}
+              <div className="mt-6 pt-4 border-t">
+                <div className="text-sm font-medium mb-2">Macro Indicators</div>
+                <div className="flex flex-wrap items-center gap-3">
+                  <label className={`px-3 py-1.5 rounded-xl bg-white/10 border border-white/15 text-zinc-100 hover:bg-white/20 backdrop-blur ${macroBusy ? "opacity-50 pointer-events-none" : "cursor-pointer"}`}>
+                    Import labour-force table
+                    <input type="file" multiple accept=".csv,text/csv" className="hidden" onChange={(e) => { importMacro(e.target.files, "unemployment"); e.target.value = ""; }} />
+                  </label>
+                  <label className={`px-3 py-1.5 rounded-xl bg-white/10 border border-white/15 text-zinc-100 hover:bg-white/20 backdrop-blur ${macroBusy ? "opacity-50 pointer-events-none" : "cursor-pointer"}`}>
+                    Import house-price table
+                    <input type="file" multiple accept=".csv,text/csv" className="hidden" onChange={(e) => { importMacro(e.target.files, "hpi"); e.target.value = ""; }} />
+                  </label>
+                  {macroObs.length > 0 && (
+                    <button onClick={clearMacroData} className="px-3 py-1.5 rounded-xl bg-white/5 border border-white/15 text-zinc-200 hover:bg-white/10">Clear tables</button>
+                  )}
+                </div>
+                <div className="mt-2 text-xs text-zinc-400">
+                  StatCan CSV downloads (e.g. Labour Force Survey by province or by field of study, New Housing Price Index), BLS series tables, or any CSV with date, region, field of study and value. Include the national rows — both signals are measured against them.
+                </div>
+                {macroObs.length > 0 && (
+                  <div className="mt-3 grid sm:grid-cols-2 gap-3">
+                    <label className="text-xs text-zinc-400">
+                      Region
+                      <select value={macroRegion} onChange={(e) => setMacroRegion(e.target.value)} className="mt-1 w-full px-3 py-2 rounded-lg border bg-transparent">
+                        <option value="">—</option>
+                        {macroOptions.regions.map((r) => <option key={r} value={r}>{r}</option>)}
+                      </select>
+                    </label>
+                    <label className="text-xs text-zinc-400">
+                      Program / field of study
+                      <select value={macroField} onChange={(e) => setMacroField(e.target.value)} className="mt-1 w-full px-3 py-2 rounded-lg border bg-transparent">
+                        <option value="">All programs</option>
+                        {macroOptions.fields(macroRegion).map((f) => <option key={f} value={f}>{f}</option>)}
+                      </select>
+                    </label>
+                  </div>
+                )}
+                {macroObs.length > 0 && (
+                  <div className="mt-3 text-xs space-y-1">
+                    {[["Unemployment gap", macroReport.unemp, (v) => `${v >= 0 ? "+" : ""}${(v * 100).toFixed(1)} pts`], ["Housing stress", macroReport.housing, (v) => `${v >= 0 ? "+" : ""}${Math.round(v * 100)}%`]].map(([label, ind, fmt]) => (
+                      <div key={label} className="text-zinc-300">
+                        {label}:{" "}
+                        {ind
+                          ? <>{fmt(ind.value)} <span className="text-zinc-500">· {ind.detail} · as of {ind.period}</span>{ind.stale && <span className="ml-1 text-amber-300">stale — import newer figures</span>}</>
+                          : <span className="text-zinc-500">no overlapping {label === "Housing stress" ? `house-price data (needs ${macroRegion || "a region"} and national, at least a year apart)` : `labour-force data for ${macroRegion || "a region"} and national`}</span>}
+                      </div>
+                    ))}
+                  </div>
+                )}
               </div>
 
               {/* Finance Source */}
@@ -648,7 +2259,7 @@ export default function App() {
                 </div>
                 <div className="flex items-center gap-3">
                   <button
-                    onClick={() => { setFinanceConnected(true); setToast(financeSource === "plaid" ? "Simulated: Plaid linked" : "Simulated: Gmail connected"); }}
+                    onClick={() => { setFinanceConnected(true); grant("finance", financeSource, ["transactions"]).catch(() => {}); setToast(financeSource === "plaid" ? "Simulated: Plaid linked" : "Simulated: Gmail connected"); }}
                     className="px-3 py-1.5 rounded-xl bg-white/10 border border-white/15 text-zinc-100 hover:bg-white/20 backdrop-blur"
                   >
                     {financeConnected ? "Connected ✓" : (financeSource === "plaid" ? "Connect via Plaid" : "Connect Gmail")}
@@ -657,6 +2268,54 @@ export default function App() {
                     Demo uses the <b>Spend spike</b> slider on Home → Macro.
                   </div>
                 </div>
+                <div className="mt-4 flex flex-wrap items-center gap-3">
+                  <label className={`px-3 py-1.5 rounded-xl bg-white/10 border border-white/15 text-zinc-100 hover:bg-white/20 backdrop-blur ${financeBusy ? "opacity-50 pointer-events-none" : "cursor-pointer"}`}>
+                    {financeBusy ? "Importing…" : financeSource === "plaid" ? "Import transactions" : "Import receipts"}
+                    <input
+                      type="file"
+                      multiple
+                      accept={financeSource === "plaid" ? ".json,.ofx,.qfx,.csv,application/json,text/csv" : ".mbox,.eml,message/rfc822"}
+                      className="hidden"
+                      onChange={(e) => { importFinance(e.target.files); e.target.value = ""; }}
+                    />
+                  </label>
+                  {ledger.count > 0 && (
+                    <button onClick={clearLedger} className="px-3 py-1.5 rounded-xl bg-white/5 border border-white/15 text-zinc-200 hover:bg-white/10">Clear ledger</button>
+                  )}
+                  <div className="text-xs text-zinc-400">
+                    {financeSource === "plaid"
+                      ? "Plaid /transactions/get JSON, OFX / QFX, or a bank CSV (date, description, amount or debit/credit)."
+                      : "Gmail Takeout .mbox or saved .eml receipts; the order total becomes a transaction."}
+                  </div>
+                </div>
+                <div className="mt-3 text-xs text-zinc-400">
+                  {ledger.count
+                    ? `Ledger: ${ledger.count} transactions, ${ledger.from} → ${ledger.through}.`
+                    : "Ledger is empty — the Spend spike slider is manual."}
+                  {ledger.count > 0 && !spendReport && ` Need ${MIN_HISTORY_DAYS} days of history before today for a baseline.`}
+                </div>
+                {spendReport && (
+                  <div className="mt-3 text-xs">
+                    <div className="text-zinc-300">
+                      Last 24h: {spendReport.windowTotal.toFixed(2)} vs a typical day of {spendReport.baseline.median.toFixed(2)} ± {spendReport.baseline.mad.toFixed(2)}
+                      {" "}→ spike {Math.round(spendReport.score * 100)}% <span className="text-zinc-500">(z {spendReport.z.toFixed(1)}, {spendReport.baseline.days}d baseline)</span>
+                    </div>
+                    <ul className="mt-2 space-y-1">
+                      {spendReport.drivers.slice(0, 6).map(({ txn, share }) => (
+                        <li key={txn.id} className="flex items-center justify-between gap-3 text-zinc-300">
+                          <span className="truncate">{txn.merchant} <span className="text-zinc-500">· {txn.date}{txn.category ? ` · ${txn.category}` : ""}</span></span>
+                          <span className="tabular-nums">{txn.amount.toFixed(2)} <span className="text-zinc-500">({prettyPct(share)})</span></span>
+                        </li>
+                      ))}
+                      {spendReport.ignored.map(({ txn, reason }) => (
+                        <li key={txn.id} className="flex items-center justify-between gap-3 text-zinc-500">
+                          <span className="truncate">{txn.merchant} · {reason}</span>
+                          <span className="tabular-nums">{txn.amount.toFixed(2)}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
               </div>
 
               {/* Education Source */}
@@ -676,17 +2335,44 @@ export default function App() {
                     Grade Emails (Gmail)
                   </button>
                 </div>
-                <div className="flex items-center gap-3">
-                  <button
-                    onClick={() => { if (eduSource === "canvas") { setScreen("canvas"); } else { setEduConnected(true); setToast("Simulated: Gmail connected"); } }}
-                    className="px-3 py-1.5 rounded-xl bg-white/10 border border-white/15 text-zinc-100 hover:bg-white/20 backdrop-blur"
-                  >
-                    {eduConnected ? "Connected ✓" : (eduSource === "canvas" ? "Connect Canvas" : "Connect Gmail")}
-                  </button>
+                <div className="flex flex-wrap items-center gap-3">
+                  {eduSource === "canvas" ? (
+                    <button onClick={() => setScreen("canvas")} className="px-3 py-1.5 rounded-xl bg-white/10 border border-white/15 text-zinc-100 hover:bg-white/20 backdrop-blur">
+                      {canvasConn ? "Connected ✓" : "Connect Canvas"}
+                    </button>
+                  ) : (
+                    <label className={`px-3 py-1.5 rounded-xl bg-white/10 border border-white/15 text-zinc-100 hover:bg-white/20 backdrop-blur ${eduBusy ? "opacity-50 pointer-events-none" : "cursor-pointer"}`}>
+                      {eduBusy ? "Importing…" : "Import grade emails"}
+                      <input type="file" multiple accept=".mbox,.eml,message/rfc822" className="hidden" onChange={(e) => { importGradeEmails(e.target.files); e.target.value = ""; }} />
+                    </label>
+                  )}
+                  {gradeCount > 0 && (
+                    <button onClick={clearGradeData} className="px-3 py-1.5 rounded-xl bg-white/5 border border-white/15 text-zinc-200 hover:bg-white/10">Clear grades</button>
+                  )}
                   <div className="text-xs text-zinc-400">
-                    Real app uses Canvas OAuth or polls Canvas API; demo uses the <b>Grade surprise</b> slider.
+                    {eduSource === "canvas"
+                      ? "Syncs your courses and graded submissions from Canvas."
+                      : "Canvas “Assignment Graded” notifications from a Gmail Takeout .mbox or saved .eml files."}
                   </div>
                 </div>
+                <div className="mt-3 text-xs text-zinc-400">
+                  {gradeCount
+                    ? `${gradeCount} graded assignments stored. Each is compared with your running average in that course; the last ${WINDOW_DAYS} days count, newest most.`
+                    : "No grades yet — the Grade surprise slider is manual."}
+                </div>
+                {gradeReport?.moves.length > 0 && (
+                  <ul className="mt-2 space-y-1 text-xs">
+                    {gradeReport.moves.map(({ event, expected, contribution }) => (
+                      <li key={event.id} className="flex items-center justify-between gap-3 text-zinc-300">
+                        <span className="truncate">{event.course} · {event.assignment} <span className="text-zinc-500">· {new Date(event.gradedAt).toLocaleDateString()}</span></span>
+                        <span className="tabular-nums">
+                          {prettyPct(event.score)} <span className="text-zinc-500">vs {prettyPct(expected)}</span>{" "}
+                          <span className={contribution >= 0 ? "text-emerald-300" : "text-rose-300"}>{contribution >= 0 ? "+" : ""}{contribution.toFixed(2)}</span>
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
               </div>
             </div>
 
@@ -699,7 +2385,40 @@ export default function App() {
                 <Slider label="Dance gain (k_d)" min={0} max={1} step={0.05} value={kd} onChange={setKd} />
                 <Slider label="Base tempo (BPM)" min={70} max={140} step={1} value={baseBpm} onChange={setBaseBpm} />
               </div>
-              <div className="mt-3 text-xs text-zinc-400">These control how aggressively we move from your current mood toward neutral across the set.</div>
+              <div className="mt-3 text-xs text-zinc-400">These control how aggressively the local curve moves from your current mood toward neutral. The bandit picks its own gains when the backend is reachable.</div>
+
+              <div className="mt-6 pt-4 border-t">
+                <div className="text-sm font-medium mb-2">Trajectory shape</div>
+                <div className="flex flex-wrap gap-2 mb-2">
+                  {SHAPE_IDS.map((id) => (
+                    <button
+                      key={id}
+                      onClick={() => setShape(id === "custom" && shape.id !== "custom" ? toCustom(shape) : { id, params: id === shape.id ? shape.params : {} })}
+                      className={`px-3 py-1.5 rounded-full border text-xs ${shape.id === id ? "bg-white/20 text-white border-white/30 ring-1 ring-white/20" : "bg-white/5 text-zinc-200 hover:bg-white/10 border-white/15"}`}
+                    >
+                      {SHAPES[id].label}
+                    </button>
+                  ))}
+                </div>
+                <div className="text-xs text-zinc-400 mb-2">{SHAPES[shape.id].blurb}</div>
+                {shape.id === "sigmoid" && (
+                  <Slider label="Steepness" min={4} max={20} step={1} value={paramsFor(shape).steepness} onChange={(v) => setShape({ id: "sigmoid", params: { steepness: v } })} />
+                )}
+                {shape.id === "iso" && (
+                  <Slider label="Hold at current mood" min={0} max={0.6} step={0.05} value={paramsFor(shape).hold} onChange={(v) => setShape({ id: "iso", params: { hold: v } })} />
+                )}
+                {shape.id === "overshoot" && (
+                  <Slider label="Overshoot" min={0} max={0.4} step={0.05} value={paramsFor(shape).overshoot} onChange={(v) => setShape({ id: "overshoot", params: { overshoot: v } })} />
+                )}
+                <CurveEditor
+                  shape={shape}
+                  onChange={setShape}
+                  targets={makePlaylist({ valence: mood, arousal }, { N, kv, ke, kt, kd, baseBpm, neutral, goal, shape })}
+                  baseBpm={baseBpm}
+                />
+                <div className="mt-2 text-xs text-zinc-400">Previewed from your current mood ({mood}, arousal {arousal}) toward {goal.label.toLowerCase()}. The shape is saved with each session.</div>
+              </div>
+
               <div className="mt-4">
                 <button
                   onClick={() => setScreen("home")}
@@ -712,19 +2431,60 @@ export default function App() {
           </section>
         )}
 
+        {screen === "history" && <HistoryScreen />}
+
         {screen === "canvas" && (
           <section className="max-w-3xl mx-auto p-4 sm:p-6 bg-white/5 backdrop-blur-xl rounded-2xl shadow-lg border border-white/10">
-            <h3 className="font-medium mb-1">Connect Canvas (OAuth stub)</h3>
-            <p className="text-sm text-zinc-400 mb-4">Enter your institution domain (e.g., <code>school.instructure.com</code>), review scopes, and authorize.</p>
-            <div className="flex flex-col sm:flex-row gap-3 items-start sm:items-end mb-4">
-              <div className="flex-1 w-full">
-                <label className="block text-xs text-zinc-400 mb-1">Canvas Domain</label>
-                <input value={canvasDomain} onChange={e=>setCanvasDomain(e.target.value)} className="w-full px-3 py-2 rounded-lg border" placeholder="example.instructure.com" />
-              </div>
-              <button onClick={completeCanvasOAuth} className="px-4 py-2 rounded-xl bg-gradient-to-r from-indigo-500/70 to-cyan-400/70 text-white hover:from-indigo-400/80 hover:to-cyan-300/80 border border-white/10 backdrop-blur">Authorize</button>
-              <button onClick={()=>setScreen("settings")} className="px-4 py-2 rounded-xl bg-white/10 border border-white/15 text-zinc-100 hover:bg-white/20 backdrop-blur">Cancel</button>
-            </div>
-            <div className="text-xs text-zinc-400">Requested scopes: read courses, submissions/grades.</div>
+            <h3 className="font-medium mb-1">Connect Canvas</h3>
+            {canvasConn ? (
+              <>
+                <p className="text-sm text-zinc-400 mb-4">
+                  Connected to <code>{canvasConn.base}</code> since {new Date(canvasConn.connectedAt).toLocaleDateString()}
+                  {canvasConn.manual ? " with an access token." : " via OAuth."}
+                </p>
+                {canvasConn.grantedScopes.length > 0 && (
+                  <div className="mb-4 text-xs text-zinc-400">
+                    Granted:
+                    <ul className="mt-1 space-y-1">
+                      {canvasConn.grantedScopes.map((sc) => (
+                        <li key={sc}><code>{sc}</code> — {PROVIDERS.canvas.scopes.find((x) => x.scope === sc)?.why ?? "requested by Canvas"}</li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+                <div className="flex flex-wrap gap-3">
+                  <button onClick={() => syncCanvasGrades()} disabled={eduBusy} className="px-4 py-2 rounded-xl bg-gradient-to-r from-indigo-500/70 to-cyan-400/70 text-white hover:from-indigo-400/80 hover:to-cyan-300/80 border border-white/10 backdrop-blur disabled:opacity-50">{eduBusy ? "Syncing…" : "Sync grades"}</button>
+                  <button onClick={disconnectCanvas} className="px-4 py-2 rounded-xl bg-white/10 border border-white/15 text-zinc-100 hover:bg-white/20 backdrop-blur">Disconnect</button>
+                  <button onClick={()=>setScreen("settings")} className="px-4 py-2 rounded-xl bg-white/5 border border-white/15 text-zinc-200 hover:bg-white/10">Back</button>
+                </div>
+              </>
+            ) : (
+              <>
+                <p className="text-sm text-zinc-400 mb-4">Enter your institution domain (e.g., <code>school.instructure.com</code>), review what VibeShift will ask for, and sign in with Canvas. For the mock server use <code>http://localhost:8787</code>. Real Canvas sites block calls made straight from the browser, and VibeShift has no proxy for them yet, so only the mock server works for now.</p>
+                <div className="mb-4">
+                  <label className="block text-xs text-zinc-400 mb-1">Canvas Domain</label>
+                  <input value={canvasDomain} onChange={e=>setCanvasDomain(e.target.value)} className="w-full px-3 py-2 rounded-lg border" placeholder="example.instructure.com" />
+                </div>
+                <div className="mb-4 text-xs text-zinc-400">
+                  VibeShift will ask Canvas for read-only access to:
+                  <ul className="mt-1 list-disc ml-5 space-y-1">
+                    {PROVIDERS.canvas.scopes.map((sc) => <li key={sc.scope}>{sc.why} <span className="text-zinc-500">(<code>{sc.scope}</code>)</span></li>)}
+                  </ul>
+                  <div className="mt-1">Only the score, points possible and graded date of each assignment are kept, on this device.</div>
+                </div>
+                <div className="flex flex-wrap gap-3 mb-6">
+                  <button onClick={connectCanvas} className="px-4 py-2 rounded-xl bg-gradient-to-r from-indigo-500/70 to-cyan-400/70 text-white hover:from-indigo-400/80 hover:to-cyan-300/80 border border-white/10 backdrop-blur">Continue to Canvas</button>
+                  <button onClick={()=>setScreen("settings")} className="px-4 py-2 rounded-xl bg-white/10 border border-white/15 text-zinc-100 hover:bg-white/20 backdrop-blur">Cancel</button>
+                </div>
+                <div className="pt-4 border-t border-white/10">
+                  <label className="block text-xs text-zinc-400 mb-1">Or use an access token (Canvas → Account → Settings → New Access Token; <code>mock-token</code> for the mock)</label>
+                  <div className="flex flex-col sm:flex-row gap-3">
+                    <input type="password" value={manualToken} onChange={e=>setManualToken(e.target.value)} className="flex-1 px-3 py-2 rounded-lg border" placeholder="paste token" />
+                    <button onClick={saveCanvasToken} disabled={!manualToken.trim() || eduBusy} className="px-4 py-2 rounded-xl bg-white/10 border border-white/15 text-zinc-100 hover:bg-white/20 backdrop-blur disabled:opacity-50">Use token</button>
+                  </div>
+                </div>
+              </>
+            )}
           </section>
         )}
 
@@ -734,14 +2494,14 @@ export default function App() {
               <h3 className="font-medium mb-2">1) Read your signals</h3>
               <ul className="list-disc ml-5 text-sm text-zinc-300 space-y-1">
                 <li>Health: Sleep, HRV (SDNN), Resting HR, Steps</li>
-                <li>Weather: rain/cloud/<b>temp deviation</b></li>
-                <li>Macro: unemployment (major), housing (HPI), finance (Plaid), education (Canvas)</li>
+                <li>Weather: rain/cloud/<b>temp deviation</b> from a local, seasonal comfort point, over the session’s forecast hours</li>
+                <li>Macro: unemployment (major) and housing (HPI) vs national from official tables, finance (Plaid), education (Canvas)</li>
                 <li>Optional: quick self-report</li>
               </ul>
             </div>
             <div className="p-4 sm:p-6 bg-white/5 backdrop-blur-xl rounded-2xl shadow-lg border border-white/10">
               <h3 className="font-medium mb-2">2) Quantify mood (0–100)</h3>
-              <p className="text-sm text-zinc-300">Start at 50 (neutral). Personal z-scores raise/lower it; external stressors nudge it. All clamped to 0–100.</p>
+              <p className="text-sm text-zinc-300">Start at 50 (neutral). Personal z-scores raise/lower it; external stressors nudge it. All clamped to 0–100. Home breaks the score down signal by signal.</p>
             </div>
             <div className="p-4 sm:p-6 bg-white/5 backdrop-blur-xl rounded-2xl shadow-lg border border-white/10">
               <h3 className="font-medium mb-2">3) Playlist path</h3>
@@ -749,7 +2509,7 @@ export default function App() {
             </div>
             <div className="p-4 sm:p-6 bg-white/5 backdrop-blur-xl rounded-2xl shadow-lg border border-white/10">
               <h3 className="font-medium mb-2">4) Learn from emojis</h3>
-              <p className="text-sm text-zinc-300">😭 −2 … 🤩 +2 tunes the curve gains and your musicEffectToMood ratio. Optional delayed check-in refines it.</p>
+              <p className="text-sm text-zinc-300">😭 −2 … 🤩 +2, your end mood, how much of the set you heard and how often you skipped become one reward. The bandit backend learns which curve works for you from it. Optional delayed check-in refines it.</p>
             </div>
           </section>
         )}
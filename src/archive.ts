@@ -0,0 +1,125 @@
+// VibeShift — Profile archives
+// ----------------------------
+// One JSON file with everything a profile owns: its settings (localStorage),
+// every IndexedDB store, and which sources it had connected. Secrets stay
+// behind: OAuth tokens and the vault key are sealed to this device, so an
+// imported profile lists its old connections and they have to be connected
+// again. Cached forecasts are left out too; they refetch. Sealed settings
+// (sensitive.ts) are written out decrypted and sealed again on the next unlock,
+// so treat an archive like the data it holds.
+//
+// Importing an archive whose user id matches a profile on this device
+// restores over that profile; otherwise it becomes a new profile.
+
+import { dbNameFor, createProfile, listProfiles, profileKey, profileKeys, type Profile } from "./profiles";
+import { openDb, openNamedDb, STORE_NAMES } from "./idb";
+import { getConnection, PROVIDERS, type Connection, type ProviderId } from "./oauth";
+import { isSensitive, sensitiveValues } from "./sensitive";
+
+export const ARCHIVE_FORMAT = "vibeshift-profile";
+const ARCHIVE_VERSION = 1;
+const SKIP_KV = /^(secret:|vault:|weather:)/; // device-bound or cached
+const SKIP_SETTINGS = new Set(["vs_user_id"]); // pre-profile user id, now profile.userId
+
+export type ProfileArchive = {
+  format: typeof ARCHIVE_FORMAT;
+  version: number;
+  exportedAt: number;
+  profile: { name: string; userId: string; createdAt: number };
+  settings: Record<string, unknown>; // `vs_*` localStorage values, unsuffixed keys
+  stores: Record<string, unknown[]>; // IndexedDB records per store (kv aside)
+  kv: [string, unknown][];           // the out-of-line kv store as [key, value]
+  connections: Connection[];         // metadata only, no tokens
+};
+
+const request = <T>(req: IDBRequest<T>) =>
+  new Promise<T>((resolve, reject) => { req.onsuccess = () => resolve(req.result); req.onerror = () => reject(req.error); });
+
+function readSettings(p: Profile) {
+  const out: Record<string, unknown> = { ...sensitiveValues() };
+  for (const k of profileKeys(p)) {
+    if (SKIP_SETTINGS.has(k) || isSensitive(k)) continue;
+    const raw = localStorage.getItem(profileKey(k, p));
+    if (raw === null) continue;
+    try { out[k] = JSON.parse(raw); } catch { out[k] = raw; }
+  }
+  return out;
+}
+
+// Exports the active profile (its connections can only be read from here).
+export async function exportProfile(p: Profile): Promise<ProfileArchive> {
+  const db = await openDb();
+  const stores: Record<string, unknown[]> = {};
+  let kv: [string, unknown][] = [];
+  for (const name of STORE_NAMES) {
+    const s = db.transaction(name, "readonly").objectStore(name);
+    if (name === "kv") {
+      const [keys, values] = await Promise.all([request(s.getAllKeys()), request(s.getAll())]);
+      kv = keys.map((k, i): [string, unknown] => [String(k), values[i]]).filter(([k]) => !SKIP_KV.test(k));
+    } else {
+      stores[name] = await request(s.getAll());
+    }
+  }
+  const connections: Connection[] = [];
+  for (const id of Object.keys(PROVIDERS) as ProviderId[]) {
+    const c = await getConnection(id).catch(() => undefined);
+    if (c) connections.push(c);
+  }
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: Date.now(),
+    profile: { name: p.name, userId: p.userId, createdAt: p.createdAt },
+    settings: readSettings(p),
+    stores,
+    kv,
+    connections,
+  };
+}
+
+export function parseArchive(text: string): ProfileArchive {
+  let a: any;
+  try { a = JSON.parse(text); } catch { throw new Error("That file isn’t JSON"); }
+  if (a?.format !== ARCHIVE_FORMAT) throw new Error("Not a VibeShift profile archive");
+  if (typeof a.version !== "number" || a.version > ARCHIVE_VERSION) throw new Error(`Archive version ${a.version} is newer than this app understands`);
+  if (typeof a.profile?.userId !== "string" || !a.profile.userId) throw new Error("Archive has no user id");
+  if (typeof a.settings !== "object" || typeof a.stores !== "object" || !Array.isArray(a.kv)) throw new Error("Archive is missing settings or data");
+  for (const [name, rows] of Object.entries(a.stores)) if (!Array.isArray(rows)) throw new Error(`Archive store ${name} isn’t a list`);
+  return { ...a, profile: { name: String(a.profile.name ?? "Imported"), userId: a.profile.userId, createdAt: Number(a.profile.createdAt) || Date.now() }, connections: Array.isArray(a.connections) ? a.connections : [] };
+}
+
+// Replaces the target profile's settings and data with the archive's. This
+// device's own secrets in kv are kept.
+export async function importProfile(a: ProfileArchive): Promise<{ profile: Profile; restored: boolean; connections: Connection[] }> {
+  const existing = listProfiles().find(p => p.userId === a.profile.userId);
+  const profile = existing ?? createProfile(a.profile.name, a.profile.userId);
+
+  for (const k of profileKeys(profile)) localStorage.removeItem(profileKey(k, profile));
+  for (const [k, v] of Object.entries(a.settings)) {
+    if (k.startsWith("vs_") && !k.includes("@")) localStorage.setItem(profileKey(k, profile), JSON.stringify(v));
+  }
+
+  const db = await openNamedDb(dbNameFor(profile));
+  try {
+    const oldKv = (await request(db.transaction("kv", "readonly").objectStore("kv").getAllKeys())).filter(k => !SKIP_KV.test(String(k)));
+    const t = db.transaction(STORE_NAMES, "readwrite");
+    for (const name of STORE_NAMES) {
+      const s = t.objectStore(name);
+      if (name === "kv") {
+        oldKv.forEach(k => s.delete(k));
+        for (const [k, v] of a.kv) if (!SKIP_KV.test(k)) s.put(v, k);
+      } else {
+        s.clear();
+        for (const row of a.stores[name] ?? []) s.put(row);
+      }
+    }
+    await new Promise<void>((resolve, reject) => {
+      t.oncomplete = () => resolve();
+      t.onerror = () => reject(t.error);
+      t.onabort = () => reject(t.error);
+    });
+  } finally {
+    db.close();
+  }
+  return { profile, restored: !!existing, connections: a.connections };
+}
@@ -7,15 +7,22 @@
 //   import { banditAct, recommend, banditUpdate, buildContext, rewardFromSession } from "./bandit";
 //   const ctx = buildContext(uiState);
 //   const act = await banditAct(userId, ctx);
-//   const rec = await recommend(uiState.mood, uiState.baseBpm, act.action);
+//   const rec = await recommend({ valence: uiState.mood, arousal: uiState.arousal }, uiState.baseBpm, act.action);
 //   // ... render rec.targets as the path ...
 //   const r = rewardFromSession({ endMood: 47, emoji: +1, completionPct: 0.9, skips: 1 });
 //   await banditUpdate(userId, act.action_id, ctx, r);
 
+import { POPULATION_PRIORS as P } from "./baselines";
+import { GOALS, type GoalId } from "./goals";
+import { maxDistance, moodDistance, NEUTRAL_AROUSAL, type Mood } from "./mood";
+import type { Shape, ShapeId } from "./shapes";
+import { gloomIndex } from "./weather";
+
 export const API_BASE = (import.meta as any)?.env?.VITE_BANDIT_API || "http://localhost:8080";
 
 export type Context = {
-  start_mood: number; // 0..100
+  start_mood: number; // 0..100, valence
+  start_arousal: number; // 0..100
   base_bpm: number;
   explicit_ok: boolean;
   no_lyrics: boolean;
@@ -28,6 +35,9 @@ export type Context = {
   spend_anomaly: number; // 0..1
   grade_surprise: number; // -1..+1
   genre_cluster: number; // 0..4
+  goal: GoalId;
+  target_mood: number; // 0..100, the goal's setpoint
+  target_arousal: number; // 0..100, the goal's arousal setpoint
 };
 
 export type Action = {
@@ -36,45 +46,163 @@ export type Action = {
   tempo_offset: number; N: number; instrumental: 0|1;
 };
 
+export type TrackTarget = { index: number; valence: number; energy: number; dance: number; tempo: number };
+
 export type ActResponse = {
   action_id: string;
   action: Action;
   propensity: number;
   expected_score: number;
-  targets_preview: any;
+  targets_preview: TrackTarget[];
   server_time: number;
 };
 
-export type TrackTarget = { index: number; valence: number; energy: number; dance: number; tempo: number };
+export type UpdateResponse = { ok: true; n: number; revised: boolean };
+
+// What the reward was computed from, logged next to it so an evaluator can
+// re-score old decisions under other reward weights (server/ope.ts).
+export type SessionOutcome = {
+  endMood: number; emoji: -2|-1|0|1|2; completionPct: number; skips: number;
+  earlyExits?: number; delayed?: -2|-1|0|1|2; setpoint?: number;
+  endArousal?: number; arousalSetpoint?: number;
+};
+export type UpdateDetails = { outcome?: SessionOutcome; shape?: ShapeId };
+export type RecommendResponse = { targets: TrackTarget[] };
+
+// ---------- Transport ----------
+// Every call carries an X-Request-Id (kept across its retries, echoed by the
+// backend and tagged on its error logs) and is aborted after TIMEOUT_MS.
+// Idempotent calls (recommend, and updates with an Idempotency-Key) retry
+// network failures, timeouts, 408/429 and 5xx with jittered exponential
+// backoff. /bandit/act opens a new decision on every call, so it never retries.
+// Replies are checked against the types above before anyone sees them.
+//
+// setMockBackend(true) — or VITE_BANDIT_MOCK=1 — answers the same calls in the
+// browser instead (src/banditMock.ts), with the server's own LinUCB.
+
+const TIMEOUT_MS = 8_000;
+const RETRIES = 2;
+const BACKOFF_MS = 400;
+
+// `status` is the HTTP status, or 0 when no reply arrived (`kind` says why).
+export class BanditError extends Error {
+  constructor(
+    public status: number,
+    message: string,
+    public kind: "http" | "network" | "timeout" | "invalid" = "http",
+    public requestId?: string,
+  ) { super(message); }
+}
+
+let mockBackend = (import.meta as any)?.env?.VITE_BANDIT_MOCK === "1";
+export const setMockBackend = (on: boolean) => { mockBackend = on; };
+export const isMockBackend = () => mockBackend;
+// Where updates go, for the service worker to send queued ones itself (outbox.ts); none for the in-browser mock.
+export const updateEndpoint = () => (mockBackend ? undefined : `${API_BASE}/bandit/update`);
+
+type CallOptions = { idempotent?: boolean; idempotencyKey?: string; timeoutMs?: number; retries?: number };
+
+const newRequestId = () => globalThis.crypto?.randomUUID?.() ?? `r-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+const sleep = (ms: number) => new Promise(r => setTimeout(r, ms));
+const retryable = (e: BanditError) => e.kind === "network" || e.kind === "timeout" || e.status === 408 || e.status === 429 || e.status >= 500;
+
+async function send(path: string, body: unknown, headers: Record<string, string>, requestId: string, timeoutMs: number): Promise<unknown> {
+  if (mockBackend) {
+    const { mockFetch } = await import("./banditMock");
+    return mockFetch(path, body, headers["Idempotency-Key"]);
+  }
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+  try {
+    const r = await fetch(`${API_BASE}${path}`, { method: "POST", headers, body: JSON.stringify(body), signal: ctrl.signal });
+    if (!r.ok) throw new BanditError(r.status, `${path.slice(1)} ${r.status}`, "http", requestId);
+    return await r.json().catch(() => { throw new BanditError(r.status, `${path.slice(1)}: reply is not JSON`, "invalid", requestId); });
+  } catch (err) {
+    if (err instanceof BanditError) throw err;
+    if (ctrl.signal.aborted) throw new BanditError(0, `${path.slice(1)} timed out after ${timeoutMs} ms`, "timeout", requestId);
+    throw new BanditError(0, `${path.slice(1)} unreachable: ${(err as Error).message}`, "network", requestId);
+  } finally {
+    clearTimeout(timer);
+  }
+}
 
-export async function banditAct(user_id: string, context: Context): Promise<ActResponse> {
-  const r = await fetch(`${API_BASE}/bandit/act`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ user_id, context }),
-  });
-  if (!r.ok) throw new Error(`bandit/act ${r.status}`);
-  return r.json();
+async function call<T>(path: string, body: unknown, parse: (raw: any) => T | string, opts: CallOptions = {}): Promise<T> {
+  const requestId = newRequestId();
+  const headers: Record<string, string> = { "Content-Type": "application/json", "X-Request-Id": requestId };
+  if (opts.idempotencyKey) headers["Idempotency-Key"] = opts.idempotencyKey;
+  const retries = opts.idempotent || opts.idempotencyKey ? opts.retries ?? RETRIES : 0;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const reply = parse(await send(path, body, headers, requestId, opts.timeoutMs ?? TIMEOUT_MS));
+      if (typeof reply === "string") throw new BanditError(200, `${path.slice(1)}: invalid reply, ${reply}`, "invalid", requestId);
+      return reply;
+    } catch (err) {
+      if (!(err instanceof BanditError) || attempt >= retries || !retryable(err)) throw err;
+      await sleep(BACKOFF_MS * 2 ** attempt * (0.5 + Math.random() / 2));
+    }
+  }
 }
 
-export async function banditUpdate(user_id: string, action_id: string, context: Context, reward: number) {
-  const r = await fetch(`${API_BASE}/bandit/update`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ user_id, action_id, context, reward }),
-  });
-  if (!r.ok) throw new Error(`bandit/update ${r.status}`);
-  return r.json();
+// ---------- Reply checks ----------
+// Same convention as server/context.ts: the parsed value, or what's wrong.
+const isNum = (x: unknown): x is number => typeof x === "number" && Number.isFinite(x);
+
+function parseTargets(raw: any, where: string): TrackTarget[] | string {
+  if (!Array.isArray(raw) || !raw.length) return `${where} must be a non-empty array`;
+  for (let i = 0; i < raw.length; i++) {
+    for (const k of ["index", "valence", "energy", "dance", "tempo"]) {
+      if (!isNum(raw[i]?.[k])) return `${where}[${i}].${k} must be a finite number`;
+    }
+  }
+  return raw;
+}
+
+function parseAction(raw: any): Action | string {
+  if (typeof raw?.id !== "string") return "action.id must be a string";
+  for (const k of ["kv", "ke", "kt", "kd", "tempo_offset"]) if (!isNum(raw[k])) return `action.${k} must be a finite number`;
+  if (!Number.isInteger(raw.N) || raw.N < 1) return "action.N must be a positive integer";
+  if (raw.instrumental !== 0 && raw.instrumental !== 1) return "action.instrumental must be 0 or 1";
+  return raw;
+}
+
+export function parseActResponse(raw: any): ActResponse | string {
+  if (typeof raw?.action_id !== "string" || !raw.action_id) return "action_id must be a non-empty string";
+  const action = parseAction(raw.action);
+  if (typeof action === "string") return action;
+  if (!isNum(raw.propensity) || raw.propensity <= 0 || raw.propensity > 1) return "propensity must be in (0, 1]";
+  if (!isNum(raw.expected_score)) return "expected_score must be a finite number";
+  const preview = parseTargets(raw.targets_preview, "targets_preview");
+  if (typeof preview === "string") return preview;
+  if (!isNum(raw.server_time)) return "server_time must be a finite number";
+  return raw;
+}
+
+export function parseUpdateResponse(raw: any): UpdateResponse | string {
+  if (raw?.ok !== true) return "ok must be true";
+  if (!isNum(raw.n)) return "n must be a finite number";
+  if (typeof raw.revised !== "boolean") return "revised must be a boolean";
+  return raw;
+}
+
+export function parseRecommendResponse(raw: any): RecommendResponse | string {
+  const targets = parseTargets(raw?.targets, "targets");
+  return typeof targets === "string" ? targets : { targets };
+}
+
+// ---------- Calls ----------
+export function banditAct(user_id: string, context: Context): Promise<ActResponse> {
+  return call("/bandit/act", { user_id, context }, parseActResponse);
+}
+
+// Pass the same `idempotencyKey` when retrying one update (see outbox.ts):
+// the backend answers a repeated key with its first reply. `details` only go
+// into the backend's decision log.
+export function banditUpdate(user_id: string, action_id: string, context: Context, reward: number, idempotencyKey?: string, details: UpdateDetails = {}): Promise<UpdateResponse> {
+  return call("/bandit/update", { user_id, action_id, context, reward, ...details }, parseUpdateResponse, { idempotencyKey });
 }
 
-export async function recommend(start_mood: number, base_bpm: number, action: Action) {
-  const r = await fetch(`${API_BASE}/playlist/recommend`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ start_mood, base_bpm, action }),
-  });
-  if (!r.ok) throw new Error(`playlist/recommend ${r.status}`);
-  return r.json() as Promise<{ targets: TrackTarget[] }>;
+export function recommend(start: Mood, base_bpm: number, action: Action, goal: GoalId = "balanced", shape?: Shape): Promise<RecommendResponse> {
+  return call("/playlist/recommend", { start_mood: start.valence, start_arousal: start.arousal, base_bpm, action, goal, shape }, parseRecommendResponse, { idempotent: true });
 }
 
 // --------------------
@@ -84,21 +212,20 @@ const clamp = (a:number, x:number, b:number) => Math.max(a, Math.min(b, x));
 const z = (x:number, mu:number, sd:number) => (sd>0 ? (x-mu)/sd : 0);
 
 export type UIState = {
-  mood: number; baseBpm: number; allowExplicit: boolean; noLyrics: boolean;
+  mood: number; arousal: number; // valence and arousal, 0..100 (mood.ts)
+  baseBpm: number; allowExplicit: boolean; noLyrics: boolean;
   sleepHours: number; sleepBaseline?: number;
   hrv: number; hrvMu?: number; hrvSd?: number;
   rhr: number; rhrMu?: number; rhrSd?: number;
   steps: number; stepsMu?: number; stepsSd?: number;
   precip: number; cloud: number; tempC: number;
+  gloom?: number; // session-window gloom from weather.ts; else computed from precip/cloud/tempC
+  comfortC?: number;
   spendSpike: number; gradeSurprise: number; genres: string[];
+  goal?: GoalId;
+  shape?: Shape; // trajectory shape for the recommended targets (not part of Context)
 };
 
-export function computeGloomIndex(precip:number, cloud:number, tempC:number){
-  const comfort = 17; // °C
-  const tempDiscomfort = Math.min(1, Math.abs(tempC - comfort)/17);
-  return 0.35 * clamp(0, precip/10, 1) + 0.25 * clamp(0, cloud/100, 1) + 0.40 * tempDiscomfort;
-}
-
 function genreClusterFromSeeds(seeds: string[]): number {
   // Tiny heuristic buckets for the demo
   const s = (seeds || []).map(x=>x.toLowerCase());
@@ -109,35 +236,51 @@ function genreClusterFromSeeds(seeds: string[]): number {
   return 0;
 }
 
-export function buildContext(ui: UIState): Context {
-  const sleepBaseline = ui.sleepBaseline ?? 7.5;
-  const hrvMu = ui.hrvMu ?? 45, hrvSd = ui.hrvSd ?? 12;
-  const rhrMu = ui.rhrMu ?? 64, rhrSd = ui.rhrSd ?? 8;
-  const stepsMu = ui.stepsMu ?? 8000, stepsSd = ui.stepsSd ?? 2500;
+// Pass the personal baselines (baselines.ts → baselineFields) in `ui`; the
+// population priors are only a fallback. `now` sets the daypart.
+export function buildContext(ui: UIState, now = new Date()): Context {
+  const sleepBaseline = ui.sleepBaseline ?? P.sleep.mu;
+  const hrvMu = ui.hrvMu ?? P.hrv.mu, hrvSd = ui.hrvSd ?? P.hrv.sd;
+  const rhrMu = ui.rhrMu ?? P.rhr.mu, rhrSd = ui.rhrSd ?? P.rhr.sd;
+  const stepsMu = ui.stepsMu ?? P.steps.mu, stepsSd = ui.stepsSd ?? P.steps.sd;
+  const goal = GOALS[ui.goal ?? "balanced"];
 
   return {
     start_mood: clamp(0, ui.mood, 100),
+    start_arousal: clamp(0, ui.arousal, 100),
     base_bpm: Math.round(ui.baseBpm || 96),
     explicit_ok: !!ui.allowExplicit,
-    no_lyrics: !!ui.noLyrics,
-    daypart: new Date().getHours(),
+    no_lyrics: !!ui.noLyrics || !!goal.noLyrics,
+    daypart: now.getHours(),
     sleep_deficit_h: Math.max(0, sleepBaseline - ui.sleepHours),
     hrv_z: z(ui.hrv, hrvMu, hrvSd),
     rhr_z: z(ui.rhr, rhrMu, rhrSd),
     steps_z: z(ui.steps, stepsMu, stepsSd),
-    gloom_index: computeGloomIndex(ui.precip, ui.cloud, ui.tempC),
+    gloom_index: ui.gloom ?? gloomIndex({ precip: ui.precip, cloud: ui.cloud, tempC: ui.tempC }, ui.comfortC),
     spend_anomaly: clamp(0, ui.spendSpike, 1),
     grade_surprise: clamp(-1, ui.gradeSurprise, 1),
     genre_cluster: genreClusterFromSeeds(ui.genres),
+    goal: goal.id,
+    target_mood: goal.target,
+    target_arousal: goal.arousal,
   };
 }
 
-export function rewardFromSession(p: { endMood: number; emoji: -2|-1|0|1|2; completionPct: number; skips: number; delayed?: -2|-1|0|1|2 }){
-  const SETPOINT = 50;
-  const lam1=0.5, lam2=0.3, lam3=0.15, lam4=0.05, lam5=0.1;
-  const toward = (SETPOINT - Math.abs(p.endMood - SETPOINT))/SETPOINT; // 0..1
-  let r = lam1 * toward + lam2 * (p.emoji/2) + lam3 * clamp(0, p.completionPct, 1) - lam4 * Math.min(p.skips/5,1);
-  if (typeof p.delayed === "number") r += lam5 * (p.delayed/2);
+export type RewardWeights = { toward: number; emoji: number; completion: number; skips: number; delayed: number };
+export const REWARD_WEIGHTS: RewardWeights = { toward: 0.5, emoji: 0.3, completion: 0.15, skips: 0.05, delayed: 0.1 };
+
+// `setpoint` is the session goal's target mood (50 = stay balanced).
+// With `endArousal` the end mood is a point on the mood plane and closeness is
+// measured there; outcomes logged before arousal existed score on valence.
+// `earlyExits` (tracks left partway, see player.ts) weigh half a skip.
+export function rewardFromSession(p: SessionOutcome, w: RewardWeights = REWARD_WEIGHTS){
+  const SETPOINT = p.setpoint ?? 50;
+  const goal = { valence: SETPOINT, arousal: p.arousalSetpoint ?? NEUTRAL_AROUSAL };
+  const toward = typeof p.endArousal === "number"
+    ? clamp(0, 1 - moodDistance({ valence: p.endMood, arousal: p.endArousal }, goal)/maxDistance(goal), 1)
+    : clamp(0, 1 - Math.abs(p.endMood - SETPOINT)/Math.max(SETPOINT, 100 - SETPOINT), 1); // 0..1
+  let r = w.toward * toward + w.emoji * (p.emoji/2) + w.completion * clamp(0, p.completionPct, 1) - w.skips * Math.min((p.skips + 0.5 * (p.earlyExits ?? 0))/5,1);
+  if (typeof p.delayed === "number") r += w.delayed * (p.delayed/2);
   return clamp(-1, r, 1);
 }
 
@@ -145,6 +288,6 @@ export function rewardFromSession(p: { endMood: number; emoji: -2|-1|0|1|2; comp
 export async function getCurveAndTargets(user_id: string, ui: UIState){
   const context = buildContext(ui);
   const act = await banditAct(user_id, context);
-  const rec = await recommend(ui.mood, ui.baseBpm, act.action);
+  const rec = await recommend({ valence: context.start_mood, arousal: context.start_arousal }, ui.baseBpm, act.action, context.goal, ui.shape);
   return { act, rec, context };
 }
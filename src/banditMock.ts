@@ -0,0 +1,84 @@
+// VibeShift — In-browser mock bandit backend
+// ------------------------------------------
+// Answers /bandit/act, /bandit/update and /playlist/recommend without a server,
+// using the backend's own handlers (server/routes.ts) and LinUCB, so the whole
+// bandit flow — decisions, rewards, revisions, idempotency keys — runs the
+// same. Per-user state (the full LinUCB model, several hundred KB) is kept in
+// the profile's IndexedDB `kv` store, read into memory before a request and
+// written back after it, since the routes' UserStore is synchronous. State an
+// older build left in localStorage moves over on first use. Switch it on with
+// setMockBackend(true) in bandit.ts or VITE_BANDIT_MOCK=1.
+//
+// Replies take a short, variable delay and go through JSON like real ones, so
+// bandit.ts checks them exactly as it would a server's.
+
+import { createRoutes, HttpError, type UserStore } from "../server/routes";
+import { initState, restoreUser, type UserState } from "../server/linucb";
+import { BanditError } from "./bandit";
+import { kvDelete, kvGet, kvSet } from "./idb";
+import { profileKey } from "./profiles";
+
+const PREFIX = "vs_bandit_mock:";
+const LATENCY_MS = [60, 240];
+
+const users = new Map<string, UserState>();
+
+const store: UserStore = {
+  loadUser: user_id => users.get(user_id) ?? { user_id, model: initState(), pending: {}, applied: {}, replies: {} },
+  saveUser(s) { users.set(s.user_id, s); },
+};
+
+const routes = createRoutes(store);
+
+async function loadUser(user_id: string) {
+  if (users.has(user_id)) return;
+  let raw = await kvGet(PREFIX + user_id);
+  const legacy = localStorage.getItem(profileKey(PREFIX + user_id));
+  if (raw === undefined && legacy) {
+    try { raw = JSON.parse(legacy); } catch {}
+  }
+  // a request that overlapped this read may have loaded (and changed) it already
+  if (raw && !users.has(user_id)) users.set(user_id, restoreUser(raw, user_id));
+  if (legacy) {
+    if (raw) await kvSet(PREFIX + user_id, users.get(user_id));
+    localStorage.removeItem(profileKey(PREFIX + user_id));
+  }
+}
+
+async function saveUser(user_id: string) {
+  const s = users.get(user_id);
+  if (!s) return;
+  try {
+    await kvSet(PREFIX + user_id, s);
+  } catch (e) {
+    users.delete(user_id); // reread what was last stored on the next request
+    const full = (e as DOMException)?.name === "QuotaExceededError";
+    throw new BanditError(507, full
+      ? "mock bandit: browser storage is full, so its state could not be saved; free space or reset the mock"
+      : `mock bandit: could not save its state (${(e as Error).message})`);
+  }
+}
+
+export async function mockFetch(path: string, body: unknown, idempotencyKey?: string): Promise<unknown> {
+  await new Promise(r => setTimeout(r, LATENCY_MS[0] + Math.random() * (LATENCY_MS[1] - LATENCY_MS[0])));
+  const handler = routes[`POST ${path}`];
+  if (!handler) throw new BanditError(404, `${path.slice(1)} 404`);
+  const user_id = (body as { user_id?: unknown })?.user_id;
+  if (typeof user_id === "string") await loadUser(user_id);
+  let reply: unknown;
+  try {
+    reply = JSON.parse(JSON.stringify(await handler(JSON.parse(JSON.stringify(body)), idempotencyKey)));
+  } catch (e) {
+    const status = e instanceof HttpError ? e.status : 500;
+    throw new BanditError(status, `${path.slice(1)} ${status} (mock: ${(e as Error).message})`);
+  }
+  if (typeof user_id === "string") await saveUser(user_id);
+  return reply;
+}
+
+// Forget everything the mock has learned for this user.
+export async function resetMock(user_id: string) {
+  users.delete(user_id);
+  localStorage.removeItem(profileKey(PREFIX + user_id));
+  await kvDelete(PREFIX + user_id);
+}
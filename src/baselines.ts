@@ -0,0 +1,67 @@
+// VibeShift — Personal baselines
+// ------------------------------
+// Single source of truth for the "normal for you" values behind every z-score,
+// used by computeMood (App.jsx) and buildContext (bandit.ts) alike.
+//
+// Each signal uses the median and MAD of the last WINDOW_DAYS days (today
+// excluded, so today is judged against the past). While there are fewer than
+// WARMUP_DAYS days of data the estimate is shrunk toward population priors.
+// Only imported and user-recorded values count (signals.ts → baselineValue).
+
+import { baselineValue, SIGNAL_KEYS, type DaySignals, type SignalKey } from "./signals";
+
+export type Baseline = { mu: number; sd: number; n: number };
+export type Baselines = { hrv: Baseline; rhr: Baseline; steps: Baseline; sleep: Baseline; days: number; warm: boolean };
+
+export const POPULATION_PRIORS = {
+  hrv: { mu: 45, sd: 10 },     // ms SDNN
+  rhr: { mu: 65, sd: 8 },      // bpm
+  steps: { mu: 7000, sd: 3000 },
+  sleep: { mu: 7.5, sd: 1 },   // hours
+};
+
+// Floors keep a very regular week from turning tiny wobbles into big z-scores.
+const MIN_SD = { hrv: 4, rhr: 2, steps: 800, sleep: 0.4 };
+
+export const WINDOW_DAYS = 28;
+export const WARMUP_DAYS = 14;
+
+const median = (xs: number[]) => {
+  const s = [...xs].sort((a, b) => a - b);
+  const m = s.length >> 1;
+  return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+};
+
+function robust(xs: number[], key: keyof typeof POPULATION_PRIORS): Baseline {
+  const prior = POPULATION_PRIORS[key];
+  if (!xs.length) return { ...prior, n: 0 };
+  const med = median(xs);
+  const mad = median(xs.map(x => Math.abs(x - med)));
+  const sd = Math.max(1.4826 * mad, MIN_SD[key]);
+  const w = Math.min(1, xs.length / WARMUP_DAYS);
+  return { mu: w * med + (1 - w) * prior.mu, sd: w * sd + (1 - w) * prior.sd, n: xs.length };
+}
+
+export function computeBaselines(days: DaySignals[], today: string): Baselines {
+  const past = days.filter(d => d.date < today && SIGNAL_KEYS.some(k => baselineValue(d, k) !== undefined)).slice(-WINDOW_DAYS);
+  const vals = (k: SignalKey) => past.map(d => baselineValue(d, k)).filter((x): x is number => x !== undefined);
+  const b = {
+    hrv: robust(vals("hrv"), "hrv"),
+    rhr: robust(vals("rhr"), "rhr"),
+    steps: robust(vals("steps"), "steps"),
+    sleep: robust(vals("sleepHours"), "sleep"),
+  };
+  return { ...b, days: past.length, warm: past.length >= WARMUP_DAYS };
+}
+
+export const priorBaselines = (): Baselines => computeBaselines([], "");
+
+// The UIState fields buildContext reads.
+export function baselineFields(b: Baselines) {
+  return {
+    sleepBaseline: b.sleep.mu,
+    hrvMu: b.hrv.mu, hrvSd: b.hrv.sd,
+    rhrMu: b.rhr.mu, rhrSd: b.rhr.sd,
+    stepsMu: b.steps.mu, stepsSd: b.steps.sd,
+  };
+}
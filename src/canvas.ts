@@ -0,0 +1,64 @@
+// VibeShift — Canvas LMS client
+// -----------------------------
+// Reads the two endpoints grade surprise needs:
+//   GET /api/v1/courses                                    active student courses
+//   GET /api/v1/courses/:id/students/submissions           the student's own graded work
+// Pages are followed through the Link header, as Canvas paginates everything.
+// Point `baseUrl` at `npm run mock:canvas` to run against recorded fixtures.
+// Canvas itself does not send CORS headers and there is no proxy in front of
+// it yet, so from the browser this only works against the mock server, which
+// allows any origin. A real institution needs a same-origin pass-through.
+
+export type CanvasConfig = { baseUrl: string; token: string };
+
+export type CanvasCourse = {
+  id: number;
+  name: string;
+  course_code?: string;
+};
+
+export type CanvasSubmission = {
+  id: number;
+  assignment_id: number;
+  score: number | null;
+  grade?: string | null;
+  graded_at: string | null;
+  workflow_state: string;
+  excused?: boolean;
+  assignment?: { id: number; name: string; points_possible: number | null; course_id?: number };
+};
+
+export class CanvasError extends Error {
+  constructor(public status: number, message: string) { super(message); }
+}
+
+// "school.instructure.com" → "https://school.instructure.com"; full URLs pass through.
+export const canvasBase = (domain: string) =>
+  (/^https?:\/\//i.test(domain) ? domain : `https://${domain}`).replace(/\/+$/, "");
+
+const nextLink = (link: string | null) => link?.split(",").find(l => /rel="next"/.test(l))?.match(/<([^>]+)>/)?.[1];
+
+async function getAll<T>(cfg: CanvasConfig, path: string): Promise<T[]> {
+  const out: T[] = [];
+  let url: string | undefined = `${cfg.baseUrl}${path}`;
+  while (url) {
+    const r: Response = await fetch(url, { headers: { Authorization: `Bearer ${cfg.token}`, Accept: "application/json" } });
+    if (!r.ok) throw new CanvasError(r.status, `canvas ${path.split("?")[0]} ${r.status}`);
+    out.push(...(await r.json()));
+    url = nextLink(r.headers.get("Link"));
+  }
+  return out;
+}
+
+export const fetchCourses = (cfg: CanvasConfig) =>
+  getAll<CanvasCourse>(cfg, "/api/v1/courses?enrollment_type=student&enrollment_state=active&per_page=100");
+
+export const fetchSubmissions = (cfg: CanvasConfig, courseId: number) =>
+  getAll<CanvasSubmission>(cfg, `/api/v1/courses/${courseId}/students/submissions?student_ids[]=self&include[]=assignment&workflow_state=graded&per_page=100`);
+
+export async function syncCanvas(cfg: CanvasConfig) {
+  const courses = await fetchCourses(cfg);
+  const submissions: Record<number, CanvasSubmission[]> = {};
+  for (const c of courses) submissions[c.id] = await fetchSubmissions(cfg, c.id);
+  return { courses, submissions };
+}
@@ -0,0 +1,157 @@
+// VibeShift — Local music catalog + target matching
+// -------------------------------------------------
+// Loads tracks with audio features from a JSON or CSV file. Column names
+// follow the common Spotify-features datasets (track_id, track_name, artists,
+// danceability, energy, valence, tempo, instrumentalness, explicit,
+// track_genre ...), with a few aliases for hand-made files.
+
+import { csvRecords } from "./csv";
+import type { TrackTarget } from "./bandit";
+
+export type CatalogTrack = {
+  id: string;
+  title: string;
+  artists: string[];
+  album?: string;
+  genre?: string;
+  explicit: boolean;
+  valence: number;
+  energy: number;
+  dance: number;
+  tempo: number;
+  instrumentalness: number;
+  previewUrl?: string;
+};
+
+export type MatchOptions = {
+  explicitOK: boolean;
+  noLyrics: boolean;
+  genres: string[];
+  recent?: Iterable<string>; // track ids to avoid
+};
+
+export type Match = {
+  track: CatalogTrack;
+  distance: number;                         // weighted feature distance to the target
+  relaxed: ("genre" | "artist" | "recent")[]; // constraints dropped to find a track
+};
+
+const INSTRUMENTAL_MIN = 0.5;
+
+const pick = (r: Record<string, any>, ...keys: string[]) => {
+  for (const k of keys) if (r[k] !== undefined && r[k] !== "") return r[k];
+  return undefined;
+};
+const num = (x: unknown) => (x === undefined || x === null || x === "" ? NaN : Number(x));
+const bool = (x: unknown) => x === true || x === 1 || /^(true|1|yes)$/i.test(String(x ?? ""));
+
+// Accepts "A;B", "A, B", Python-style "['A', 'B']" or a real array.
+function splitArtists(x: unknown): string[] {
+  if (Array.isArray(x)) return x.map(String).filter(Boolean);
+  const s = String(x ?? "").trim();
+  if (!s) return [];
+  const list = s.startsWith("[") ? s.slice(1, -1).split(/',\s*'|",\s*"/) : s.split(/;/);
+  return list.map(a => a.replace(/^['"\s]+|['"\s]+$/g, "")).filter(Boolean);
+}
+
+function normalizeRow(r: Record<string, any>): CatalogTrack | null {
+  const t: CatalogTrack = {
+    id: String(pick(r, "track_id", "id", "uri", "spotify_id") ?? ""),
+    title: String(pick(r, "track_name", "name", "title") ?? ""),
+    artists: splitArtists(pick(r, "artists", "artist", "artist_name", "artist_names")),
+    album: pick(r, "album_name", "album"),
+    genre: pick(r, "track_genre", "genre", "playlist_genre", "genres"),
+    explicit: bool(pick(r, "explicit")),
+    valence: num(pick(r, "valence")),
+    energy: num(pick(r, "energy")),
+    dance: num(pick(r, "danceability", "dance")),
+    tempo: num(pick(r, "tempo")),
+    instrumentalness: num(pick(r, "instrumentalness")),
+    previewUrl: pick(r, "preview_url", "previewUrl"),
+  };
+  if (!t.title || !t.artists.length) return null;
+  if (![t.valence, t.energy, t.dance, t.tempo].every(Number.isFinite)) return null;
+  if (!Number.isFinite(t.instrumentalness)) t.instrumentalness = 0;
+  if (!t.id) t.id = `${t.artists[0]}::${t.title}`.toLowerCase();
+  if (Array.isArray(t.genre)) t.genre = t.genre.join(",");
+  return t;
+}
+
+export function parseCatalog(text: string, filename = ""): CatalogTrack[] {
+  const trimmed = text.trimStart();
+  const isJson = /\.json$/i.test(filename) || trimmed.startsWith("[") || trimmed.startsWith("{");
+  let rows: Record<string, any>[];
+  if (isJson) {
+    const data = JSON.parse(trimmed);
+    rows = Array.isArray(data) ? data : data.tracks ?? data.items ?? [];
+  } else {
+    rows = csvRecords(text);
+  }
+  // The big datasets list the same track once per genre; keep the first.
+  const seen = new Map<string, CatalogTrack>();
+  for (const r of rows) {
+    const t = normalizeRow(r);
+    if (t && !seen.has(t.id)) seen.set(t.id, t);
+  }
+  return [...seen.values()];
+}
+
+// "r&b" ~ "r-n-b", "lo-fi" ~ "lofi", "electropop" ~ "electro".
+const normGenre = (g: string) => g.toLowerCase().replace(/&/g, "n").replace(/[^a-z0-9]/g, "");
+
+function genreMatches(t: CatalogTrack, seeds: string[]) {
+  if (!seeds.length || !t.genre) return !seeds.length;
+  const gs = t.genre.split(/[,;|]/).map(normGenre).filter(Boolean);
+  return seeds.map(normGenre).some(s => gs.some(g => g.includes(s) || s.includes(g)));
+}
+
+// Tempo is scaled so 40 BPM off weighs about as much as a full unit of valence.
+export function targetDistance(t: Omit<TrackTarget, "index">, x: Omit<TrackTarget, "index">): number {
+  const dv = t.valence - x.valence;
+  const de = t.energy - x.energy;
+  const dd = t.dance - x.dance;
+  const dt = (t.tempo - x.tempo) / 40;
+  return Math.sqrt(1.0 * dv * dv + 0.8 * de * de + 0.5 * dd * dd + 0.6 * dt * dt);
+}
+
+// Greedy nearest neighbour along the path: each target takes the closest
+// eligible track that is not already in the set. Hard filters (explicit,
+// lyrics) never relax; genre, artist and recent-play avoidance relax in
+// that order when nothing else is left.
+export function matchTargets(targets: Omit<TrackTarget, "index">[], catalog: CatalogTrack[], opts: MatchOptions): (Match | null)[] {
+  const recent = new Set(opts.recent ?? []);
+  const eligible = catalog.filter(t => (opts.explicitOK || !t.explicit) && (!opts.noLyrics || t.instrumentalness >= INSTRUMENTAL_MIN));
+  const usedIds = new Set<string>();
+  const usedArtists = new Set<string>();
+
+  const nearest = (pool: CatalogTrack[], x: Omit<TrackTarget, "index">) => {
+    let best: CatalogTrack | null = null, bestD = Infinity;
+    for (const t of pool) {
+      const d = targetDistance(t, x);
+      if (d < bestD) { best = t; bestD = d; }
+    }
+    return best ? { track: best, distance: bestD } : null;
+  };
+
+  return targets.map(x => {
+    const free = eligible.filter(t => !usedIds.has(t.id));
+    const noRecent = free.filter(t => !recent.has(t.id));
+    const freshArtist = (pool: CatalogTrack[]) => pool.filter(t => !t.artists.some(a => usedArtists.has(a.toLowerCase())));
+    const inGenre = (pool: CatalogTrack[]) => pool.filter(t => genreMatches(t, opts.genres));
+
+    const tiers: [CatalogTrack[], Match["relaxed"]][] = [
+      [inGenre(freshArtist(noRecent)), []],
+      [freshArtist(noRecent), ["genre"]],
+      [noRecent, ["genre", "artist"]],
+      [free, ["genre", "artist", "recent"]],
+    ];
+    for (const [pool, relaxed] of tiers) {
+      const m = nearest(pool, x);
+      if (!m) continue;
+      usedIds.add(m.track.id);
+      m.track.artists.forEach(a => usedArtists.add(a.toLowerCase()));
+      return { ...m, relaxed };
+    }
+    return null;
+  });
+}
@@ -0,0 +1,93 @@
+// VibeShift — Delayed check-ins
+// -----------------------------
+// After a session we ask once more, ~2h later, how the set felt. Pending
+// check-ins live in IndexedDB so they survive reloads. They surface as a
+// notification (via the service worker) when the app is allowed to notify,
+// and otherwise as an in-app prompt the next time the app is open past the
+// due time.
+
+import { tx } from "./idb";
+
+export const CHECKIN_DELAY_MS = 2 * 60 * 60 * 1000;
+
+export type CheckIn = {
+  sessionId: string;
+  dueAt: number;
+  status: "pending" | "done" | "dismissed";
+  notified?: boolean;
+  rating?: -2|-1|0|1|2;
+  answeredAt?: number;
+};
+
+const put = (c: CheckIn) => tx("checkins", "readwrite", s => s.put(c));
+export const getCheckIn = (sessionId: string) => tx<CheckIn | undefined>("checkins", "readonly", s => s.get(sessionId));
+export const deleteCheckIn = (sessionId: string) => tx("checkins", "readwrite", s => s.delete(sessionId));
+
+export async function pendingCheckIns(): Promise<CheckIn[]> {
+  const all = await tx<CheckIn[]>("checkins", "readonly", s => s.getAll());
+  return all.filter(c => c.status === "pending").sort((a, b) => a.dueAt - b.dueAt);
+}
+
+export async function dueCheckIns(now = Date.now()) {
+  return (await pendingCheckIns()).filter(c => c.dueAt <= now);
+}
+
+// One check-in per session; scheduling again keeps the original due time.
+export async function scheduleCheckIn(sessionId: string, delayMs = CHECKIN_DELAY_MS): Promise<CheckIn> {
+  const existing = await getCheckIn(sessionId);
+  if (existing) return existing;
+  const c: CheckIn = { sessionId, dueAt: Date.now() + delayMs, status: "pending" };
+  await put(c);
+  await showTriggeredNotification(c).catch(() => {});
+  return c;
+}
+
+export async function answerCheckIn(sessionId: string, rating: -2|-1|0|1|2) {
+  const c = await getCheckIn(sessionId);
+  if (!c) return;
+  await put({ ...c, status: "done", rating, answeredAt: Date.now() });
+}
+
+export async function dismissCheckIn(sessionId: string) {
+  const c = await getCheckIn(sessionId);
+  if (c) await put({ ...c, status: "dismissed" });
+}
+
+export async function requestNotifyPermission(): Promise<boolean> {
+  if (typeof Notification === "undefined") return false;
+  if (Notification.permission === "granted") return true;
+  if (Notification.permission === "denied") return false;
+  return (await Notification.requestPermission()) === "granted";
+}
+
+const NOTIFY_TITLE = "VibeShift check-in";
+const NOTIFY_BODY = "How do you feel about the set you played earlier?";
+
+async function registration() {
+  if (!("serviceWorker" in navigator)) return null;
+  return navigator.serviceWorker.getRegistration();
+}
+
+// Only browsers with Notification Triggers can fire at dueAt with the app
+// closed; no shipping browser has them yet, so elsewhere the check-in waits
+// for the app to be open (notifyDue) or next opened.
+export const canNotifyWhileClosed = () => "TimestampTrigger" in globalThis;
+
+async function showTriggeredNotification(c: CheckIn) {
+  const Trigger = (globalThis as any).TimestampTrigger;
+  if (!canNotifyWhileClosed() || typeof Notification === "undefined" || Notification.permission !== "granted") return;
+  const reg = await registration();
+  if (!reg) return;
+  await reg.showNotification(NOTIFY_TITLE, { body: NOTIFY_BODY, tag: `checkin-${c.sessionId}`, data: { sessionId: c.sessionId }, showTrigger: new Trigger(c.dueAt) } as any);
+  await put({ ...c, notified: true });
+}
+
+// Called when a check-in comes due while the app is open (possibly in a background tab).
+export async function notifyDue(c: CheckIn) {
+  if (c.notified || typeof Notification === "undefined" || Notification.permission !== "granted") return;
+  const opts = { body: NOTIFY_BODY, tag: `checkin-${c.sessionId}`, data: { sessionId: c.sessionId } };
+  const reg = await registration();
+  if (reg) await reg.showNotification(NOTIFY_TITLE, opts);
+  else new Notification(NOTIFY_TITLE, opts);
+  await put({ ...c, notified: true });
+}
@@ -0,0 +1,123 @@
+// VibeShift — Consent ledger
+// --------------------------
+// One record per data source: every grant, revocation and "forget" with the
+// route it came through (an OAuth sign-in, a file import, a simulated
+// connection) and the scopes or fields it covered, plus which fields the app
+// has actually used and when. Records live in IndexedDB and outlast a forget,
+// so the history of what was shared stays visible.
+//
+// forgetSource() wipes a source's raw data (its IndexedDB store), the settings
+// holding its values and derived signal, the matching values in stored
+// sessions and queued rewards, and revokes its sign-ins.
+
+import type { Context } from "./bandit";
+import { redactSessions } from "./history";
+import { tx } from "./idb";
+import { disconnect, type ProviderId } from "./oauth";
+import { redactOutbox } from "./outbox";
+import { profileKey } from "./profiles";
+import { forgetSensitive, isSensitive } from "./sensitive";
+import { clearDays } from "./signals";
+import { clearTransactions } from "./transactions";
+import { clearGrades } from "./grades";
+
+export type SourceId = "health" | "finance" | "education";
+
+type SourceInfo = {
+  label: string;
+  keys: string[];              // settings with its values, derived signal and connected flag
+  signals: string[];           // SessionLog.signals entries
+  context: (keyof Context)[];  // Context features derived from it
+  providers: ProviderId[];     // sign-ins to revoke
+  clear: () => Promise<unknown>;
+};
+
+export const SOURCES: Record<SourceId, SourceInfo> = {
+  health: {
+    label: "Health (HealthKit / Health Connect / exports)",
+    keys: ["vs_sleep", "vs_hrv", "vs_rhr", "vs_steps", "vs_health_import", "vs_health_conn"],
+    signals: ["sleepHours", "hrv", "rhr", "steps"],
+    context: ["sleep_deficit_h", "hrv_z", "rhr_z", "steps_z"],
+    providers: [],
+    clear: clearDays,
+  },
+  finance: {
+    label: "Finance (Plaid / bank files / Gmail receipts)",
+    keys: ["vs_spend", "vs_fin_conn"],
+    signals: ["financeStress"],
+    context: ["spend_anomaly"],
+    providers: [],
+    clear: clearTransactions,
+  },
+  education: {
+    label: "Grades (Canvas / Gmail)",
+    keys: ["vs_grade", "vs_edu_conn", "vs_canvas_domain"],
+    signals: ["eduSurprise"],
+    context: ["grade_surprise"],
+    providers: ["canvas"],
+    clear: clearGrades,
+  },
+};
+export const SOURCE_IDS = Object.keys(SOURCES) as SourceId[];
+
+export type ConsentEvent = { at: number; kind: "granted" | "revoked" | "forgotten"; via: string; scopes: string[] };
+export type FieldUse = { first: number; last: number; count: number };
+export type ConsentRecord = { source: SourceId; events: ConsentEvent[]; fields: Record<string, FieldUse> };
+
+const empty = (source: SourceId): ConsentRecord => ({ source, events: [], fields: {} });
+const getRecord = async (source: SourceId) => (await tx<ConsentRecord | undefined>("consent", "readonly", s => s.get(source))) ?? empty(source);
+const putRecord = (r: ConsentRecord) => tx("consent", "readwrite", s => s.put(r));
+
+export async function listConsent(): Promise<ConsentRecord[]> {
+  const all = await tx<ConsentRecord[]>("consent", "readonly", s => s.getAll());
+  return SOURCE_IDS.map(id => all.find(r => r.source === id) ?? empty(id));
+}
+
+// Routes currently granted: the latest event per route, since the last forget.
+export function activeGrants(r: ConsentRecord): ConsentEvent[] {
+  const latest = new Map<string, ConsentEvent>();
+  for (const e of r.events) {
+    if (e.kind === "forgotten") latest.clear();
+    else latest.set(e.via, e);
+  }
+  return [...latest.values()].filter(e => e.kind === "granted");
+}
+
+// Re-granting the same route with the same scopes isn't a new event.
+export async function grant(source: SourceId, via: string, scopes: string[]) {
+  const r = await getRecord(source);
+  const current = activeGrants(r).find(e => e.via === via);
+  if (current && current.scopes.join() === scopes.join()) return r;
+  const next = { ...r, events: [...r.events, { at: Date.now(), kind: "granted" as const, via, scopes }] };
+  await putRecord(next);
+  return next;
+}
+
+export async function revoke(source: SourceId, via: string) {
+  const r = await getRecord(source);
+  if (!activeGrants(r).some(e => e.via === via)) return r;
+  const next = { ...r, events: [...r.events, { at: Date.now(), kind: "revoked" as const, via, scopes: [] }] };
+  await putRecord(next);
+  return next;
+}
+
+// Records fields read from a source; ignored unless something is granted.
+export async function noteFieldUse(source: SourceId, fields: string[], at = Date.now()) {
+  const r = await getRecord(source);
+  if (!activeGrants(r).length || !fields.length) return;
+  const used = { ...r.fields };
+  for (const f of fields) used[f] = { first: used[f]?.first ?? at, last: at, count: (used[f]?.count ?? 0) + 1 };
+  await putRecord({ ...r, fields: used });
+}
+
+export async function forgetSource(source: SourceId) {
+  const info = SOURCES[source];
+  await info.clear();
+  await redactSessions(source, info.signals, info.context);
+  await redactOutbox(info.context);
+  for (const p of info.providers) await disconnect(p).catch(() => {});
+  forgetSensitive(info.keys.filter(isSensitive));
+  for (const k of info.keys.filter(k => !isSensitive(k))) localStorage.removeItem(profileKey(k));
+  const r = await getRecord(source);
+  await putRecord({ ...r, events: [...r.events, { at: Date.now(), kind: "forgotten", via: "user", scopes: [] }] });
+}
@@ -0,0 +1,62 @@
+// VibeShift — Minimal CSV reader
+// ------------------------------
+// RFC 4180-ish: quoted fields, "" escapes, embedded newlines, CRLF, BOM.
+// The delimiter is sniffed from the header line (comma, semicolon or tab).
+
+export function sniffDelimiter(text: string): string {
+  const nl = text.indexOf("\n");
+  const head = nl === -1 ? text : text.slice(0, nl);
+  const counts = [",", ";", "\t"].map(d => [d, head.split(d).length] as const);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][0];
+}
+
+export function parseCsv(text: string, delimiter = sniffDelimiter(text)): string[][] {
+  if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') { field += '"'; i++; }
+        else quoted = false;
+      } else field += ch;
+      continue;
+    }
+    if (ch === '"' && field === "") quoted = true;
+    else if (ch === delimiter) { row.push(field); field = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field); field = "";
+      if (row.length > 1 || row[0] !== "") rows.push(row);
+      row = [];
+    } else field += ch;
+  }
+  if (field !== "" || row.length) { row.push(field); rows.push(row); }
+  return rows;
+}
+
+// Rows as objects keyed by the (trimmed) header cells.
+export function csvRecords(text: string, delimiter?: string): Record<string, string>[] {
+  const [header, ...rows] = parseCsv(text, delimiter);
+  if (!header) return [];
+  const keys = header.map(h => h.trim());
+  return rows.map(r => Object.fromEntries(keys.map((k, i) => [k, (r[i] ?? "").trim()])));
+}
+
+// Date cell → local YYYY-MM-DD. ISO and US (M/D/Y) forms are read as written;
+// anything else goes through Date.parse. Returns "" when unreadable.
+export function parseDay(s: string): string {
+  const iso = /^(\d{4})-(\d\d)-(\d\d)/.exec(s);
+  if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+  const us = /^(\d{1,2})\/(\d{1,2})\/(\d{2,4})/.exec(s);
+  if (us) {
+    const y = us[3].length === 2 ? `20${us[3]}` : us[3];
+    return `${y}-${us[1].padStart(2, "0")}-${us[2].padStart(2, "0")}`;
+  }
+  const t = Date.parse(s);
+  return Number.isFinite(t) ? new Date(t).toLocaleDateString("en-CA") : "";
+}
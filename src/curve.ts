@@ -0,0 +1,62 @@
+// VibeShift — Mood curve
+// ----------------------
+// The path from the current mood to the goal's setpoint: per-track targets
+// ease from neutral features toward the gap times each gain, along the
+// session's trajectory shape, with the goal's emphasis on top. Valence follows
+// the valence gap (kv); energy, danceability and tempo follow the arousal gap
+// (ke, kd, and kt in BPM per point), so a tense start calms down while a low,
+// flat one lifts. The local curve
+// (App.jsx → makePlaylist), the bandit backend (server/actions.ts), mid-set
+// re-plans (replan.ts) and the simulator (server/simulator.ts) all draw it
+// from here.
+
+import { GOALS, shapeTarget, type Goal } from "./goals";
+import { DEFAULT_SHAPE, progress, type Shape } from "./shapes";
+import type { TrackTarget } from "./bandit";
+import type { Mood } from "./mood";
+
+export const NEUTRAL = 0.55;
+
+export type Gains = { kv: number; ke: number; kt: number; kd: number };
+
+export type CurveConfig = Gains & {
+  N: number;
+  baseBpm: number;
+  neutral?: number;
+  goal?: Goal;
+  shape?: Shape;
+};
+
+const clamp = (a:number, x:number, b:number) => Math.max(a, Math.min(b, x));
+
+export function pathTargets(start: Mood, cfg: CurveConfig): TrackTarget[] {
+  const { N, shape = DEFAULT_SHAPE } = cfg;
+  return Array.from({ length: N }, (_, i) => targetAt(start, cfg, progress(shape, (i + 1) / N), i));
+}
+
+// One point of the curve at shift progress p (0 = the current mood, 1 = the
+// goal); the re-planner (replan.ts) lays its own progress over the same curve.
+export function targetAt(start: Mood, cfg: CurveConfig, p: number, index = 0): TrackTarget {
+  const { kv, ke, kt, kd, baseBpm, neutral = NEUTRAL, goal = GOALS.balanced } = cfg;
+  const dv = goal.target - clamp(0, start.valence, 100);  // + if we need to go up in mood
+  const da = goal.arousal - clamp(0, start.arousal, 100); // + if we need more energy
+  return shapeTarget(goal, {
+    index,
+    valence: clamp(0, neutral + (kv * dv * p) / 50, 1),
+    energy: clamp(0, neutral + (ke * da * p) / 50, 1),
+    dance: clamp(0, neutral + (kd * da * p) / 50, 1),
+    tempo: Math.round(baseBpm + kt * da * p),
+  }, p);
+}
+
+// The demo's learning rule from before the bandit: a good rating leans the
+// next curve harder into the mood gap, a bad one softens it.
+export function nudgeGains(g: Gains, emoji: number): Gains {
+  const nud = emoji / 50;
+  return {
+    kv: clamp(0, g.kv + nud, 1),
+    ke: clamp(0, g.ke + nud * 0.8, 1),
+    kt: clamp(-1, g.kt + nud * 0.6, 1),
+    kd: clamp(0, g.kd + nud * 0.4, 1),
+  };
+}
@@ -0,0 +1,81 @@
+// VibeShift — Email parsing helpers
+// ---------------------------------
+// Just enough MIME to get at the text of receipts and grade notifications:
+// headers (folded lines, RFC 2047 words), multipart bodies, quoted-printable
+// and base64. Gmail Takeout .mbox files are streamed one message at a time.
+
+export type Part = { headers: Record<string, string>; body: string };
+
+export function splitHeaders(raw: string): Part {
+  const i = raw.search(/\r?\n\r?\n/);
+  const head = i === -1 ? raw : raw.slice(0, i);
+  const body = i === -1 ? "" : raw.slice(i).replace(/^\r?\n\r?\n/, "");
+  const headers: Record<string, string> = {};
+  for (const line of head.replace(/\r?\n[ \t]+/g, " ").split(/\r?\n/)) {
+    const c = line.indexOf(":");
+    if (c > 0) headers[line.slice(0, c).trim().toLowerCase()] = line.slice(c + 1).trim();
+  }
+  return { headers, body };
+}
+
+const decodeQp = (s: string) =>
+  s.replace(/=\r?\n/g, "").replace(/=([0-9A-F]{2})/gi, (_, h) => String.fromCharCode(parseInt(h, 16)));
+
+function decodeBase64(s: string) {
+  try {
+    const bin = atob(s.replace(/\s+/g, ""));
+    return new TextDecoder().decode(Uint8Array.from(bin, c => c.charCodeAt(0)));
+  } catch {
+    return "";
+  }
+}
+
+// RFC 2047 encoded words in headers: =?utf-8?Q?...?= / =?utf-8?B?...?=
+export const decodeWords = (s: string) =>
+  s.replace(/=\?[^?]+\?([QB])\?([^?]*)\?=/gi, (_, enc, text) =>
+    enc.toUpperCase() === "B" ? decodeBase64(text) : decodeQp(text.replace(/_/g, " ")));
+
+const stripHtml = (html: string) =>
+  html.replace(/<(style|script)[\s\S]*?<\/\1>/gi, " ").replace(/<br\s*\/?>|<\/(p|div|tr|li|h\d)>/gi, "\n")
+    .replace(/<[^>]+>/g, " ").replace(/&nbsp;/g, " ").replace(/&amp;/g, "&").replace(/&#36;|&dollar;/g, "$");
+
+// Plain text of a message: first text/plain part, else text/html with tags stripped.
+export function bodyText(p: Part): string {
+  const type = p.headers["content-type"] ?? "text/plain";
+  const boundary = /boundary="?([^";]+)"?/i.exec(type)?.[1];
+  if (/^multipart\//i.test(type) && boundary) {
+    const parts = p.body.split(`--${boundary}`).slice(1).filter(s => !s.startsWith("--")).map(s => splitHeaders(s.replace(/^\r?\n/, "")));
+    const plain = parts.find(x => /^text\/plain/i.test(x.headers["content-type"] ?? "text/plain"));
+    const html = parts.find(x => /^text\/html/i.test(x.headers["content-type"] ?? ""));
+    const nested = parts.find(x => /^multipart\//i.test(x.headers["content-type"] ?? ""));
+    return plain ? bodyText(plain) : html ? bodyText(html) : nested ? bodyText(nested) : "";
+  }
+  const enc = (p.headers["content-transfer-encoding"] ?? "").toLowerCase();
+  const text = enc === "base64" ? decodeBase64(p.body) : enc === "quoted-printable" ? decodeQp(p.body) : p.body;
+  return /^text\/html/i.test(type) ? stripHtml(text) : text;
+}
+
+export const sender = (from: string) =>
+  from.replace(/<[^>]*>/, "").replace(/"/g, "").trim() || /@([^>.\s]+)/.exec(from)?.[1] || "Unknown";
+
+// Calls `onMessage` with each raw message of an .mbox, or once for an .eml.
+export async function readMessages(file: File, onMessage: (raw: string) => void, onProgress?: (done: number, total: number) => void) {
+  const take = (raw: string) => onMessage(raw.replace(/^From [^\n]*\n/, "").replace(/^>(>*From )/gm, "$1"));
+  if (!/\.mbox$/i.test(file.name)) return take(await file.text());
+  // mbox messages start at lines beginning "From " (the envelope line).
+  const reader = file.stream().getReader();
+  const decoder = new TextDecoder();
+  let buf = "", done = 0;
+  for (;;) {
+    const { done: end, value } = await reader.read();
+    if (end) break;
+    buf += decoder.decode(value, { stream: true });
+    done += value.byteLength;
+    const parts = buf.split(/\n(?=From )/);
+    buf = parts.pop()!;
+    parts.forEach(take);
+    onProgress?.(done, file.size);
+  }
+  buf += decoder.decode();
+  if (buf.trim()) take(buf);
+}
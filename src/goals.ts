@@ -0,0 +1,79 @@
+// VibeShift — Session goals
+// -------------------------
+// A goal sets the mood the set should land on (the reward setpoint too), on
+// both axes of the mood plane (mood.ts), and how the audio features lean on
+// the way there. Biases ramp in with the curve
+// so the first tracks still meet you where you are; caps hold for every track.
+// Shared by the local curve (App.jsx), buildContext and the bandit backend.
+
+export type GoalId = "balanced" | "wind_down" | "focus" | "energize";
+
+export type FeatureTarget = { valence: number; energy: number; dance: number; tempo: number };
+
+export type Goal = {
+  id: GoalId;
+  label: string;
+  blurb: string;
+  target: number;                    // mood (valence) setpoint, 0..100
+  arousal: number;                   // arousal setpoint, 0..100
+  bias: FeatureTarget;               // added at the end of the set (tempo in BPM)
+  max?: Partial<FeatureTarget>;
+  min?: Partial<FeatureTarget>;
+  noLyrics?: boolean;                // forces instrumental matches
+  hours?: number[];                  // default for these local hours when the goal is "auto"
+};
+
+export const GOALS: Record<GoalId, Goal> = {
+  balanced: {
+    id: "balanced", label: "Stay balanced", blurb: "Ease toward neutral.",
+    target: 50, arousal: 50, bias: { valence: 0, energy: 0, dance: 0, tempo: 0 },
+    hours: [12, 13, 14, 15, 16, 17, 18, 19],
+  },
+  wind_down: {
+    id: "wind_down", label: "Wind down", blurb: "Settle into calm, slower music.",
+    target: 55, arousal: 30, bias: { valence: 0, energy: -0.2, dance: -0.1, tempo: -12 },
+    max: { energy: 0.5, dance: 0.5 },
+    hours: [20, 21, 22, 23, 0, 1, 2, 3, 4],
+  },
+  focus: {
+    id: "focus", label: "Focus", blurb: "Steady, low-distraction, no lyrics.",
+    target: 55, arousal: 45, bias: { valence: 0, energy: 0, dance: -0.15, tempo: 0 },
+    max: { dance: 0.35, energy: 0.65 }, min: { energy: 0.3 },
+    noLyrics: true,
+    hours: [9, 10, 11],
+  },
+  energize: {
+    id: "energize", label: "Energize", blurb: "Lift energy and tempo.",
+    target: 70, arousal: 70, bias: { valence: 0.1, energy: 0.15, dance: 0.1, tempo: 10 },
+    min: { energy: 0.45 },
+    hours: [5, 6, 7, 8],
+  },
+};
+
+// Stable order — the bandit one-hot encodes goals by this index.
+export const GOAL_IDS: GoalId[] = ["balanced", "wind_down", "focus", "energize"];
+
+export const isGoalId = (x: unknown): x is GoalId => typeof x === "string" && x in GOALS;
+
+export function goalForHour(hour: number): GoalId {
+  return GOAL_IDS.find(id => GOALS[id].hours?.includes(hour)) ?? "balanced";
+}
+
+// `choice` is a goal id or "auto" (time-of-day default).
+export function resolveGoal(choice: string, date = new Date()): Goal {
+  return GOALS[isGoalId(choice) ? choice : goalForHour(date.getHours())];
+}
+
+const clamp = (a:number, x:number, b:number) => Math.max(a, Math.min(b, x));
+
+// Apply a goal's emphasis to one curve point; t is the 0→1 progress of the set.
+export function shapeTarget<T extends FeatureTarget>(goal: Goal, x: T, t: number): T {
+  const out = { ...x };
+  for (const k of ["valence", "energy", "dance", "tempo"] as const) {
+    let v = x[k] + goal.bias[k] * t;
+    if (goal.min?.[k] !== undefined) v = Math.max(v, goal.min[k]!);
+    if (goal.max?.[k] !== undefined) v = Math.min(v, goal.max[k]!);
+    out[k] = k === "tempo" ? Math.round(v) : clamp(0, v, 1);
+  }
+  return out;
+}
@@ -0,0 +1,122 @@
+// VibeShift — Grade surprise
+// --------------------------
+// Every graded assignment is compared with what the student has been scoring
+// in that course so far (a running mean, shrunk toward PRIOR while a course has
+// few grades). The surprise of recent grades, decayed with a HALF_LIFE_DAYS
+// half-life and dropped after WINDOW_DAYS, sums into the −1..+1 signal:
+//
+//   surprise_i = clamp((score_i − expected_i) / SCALE, −1, 1)
+//   grade_surprise = clamp(Σ 0.5^(age_i / half-life) · surprise_i, −1, 1)
+//
+// Grades come from Canvas (see canvas.ts) or Canvas notification emails, and
+// are kept in IndexedDB so the expectation remembers older assignments.
+
+import type { CanvasCourse, CanvasSubmission } from "./canvas";
+import { bodyText, decodeWords, readMessages, splitHeaders } from "./email";
+import { tx } from "./idb";
+
+export type GradeEvent = {
+  id: string;
+  courseId: string;
+  course: string;
+  assignment: string;
+  score: number;      // fraction of points possible (extra credit can exceed 1)
+  gradedAt: number;   // epoch ms
+  source: "canvas" | "gmail";
+};
+
+export const WINDOW_DAYS = 7;
+export const HALF_LIFE_DAYS = 3;
+const PRIOR = 0.8;        // expected fraction before a course has grades
+const PRIOR_WEIGHT = 2;   // ...worth this many assignments
+const SCALE = 0.15;       // 15 points above expectation = full surprise
+
+const clamp = (a:number, x:number, b:number) => Math.max(a, Math.min(b, x));
+
+// ---------- Sources ----------
+export function eventsFromCanvas(courses: CanvasCourse[], submissions: Record<number, CanvasSubmission[]>): GradeEvent[] {
+  const out: GradeEvent[] = [];
+  for (const c of courses) {
+    for (const s of submissions[c.id] ?? []) {
+      const possible = s.assignment?.points_possible;
+      if (s.excused || s.score === null || !possible || !s.graded_at) continue;
+      out.push({
+        id: `canvas:${c.id}:${s.assignment_id}`,
+        courseId: String(c.id),
+        course: c.course_code || c.name,
+        assignment: s.assignment?.name ?? `Assignment ${s.assignment_id}`,
+        score: clamp(0, s.score / possible, 1.5),
+        gradedAt: Date.parse(s.graded_at),
+        source: "canvas",
+      });
+    }
+  }
+  return out;
+}
+
+// Canvas notifications: "Assignment Graded: Lab 3, BIOL 101" … "score: 42.0 out of 50.0".
+export function gradeFromMessage(raw: string): GradeEvent | null {
+  const msg = splitHeaders(raw);
+  const subject = decodeWords(msg.headers.subject ?? "");
+  const head = /^(?:Assignment|Submission) Graded:\s*(.+?),\s*([^,]+)$/i.exec(subject);
+  if (!head) return null;
+  const text = bodyText(msg);
+  const m = /score:\s*([\d.]+)\s*(?:out of|\/)\s*([\d.]+)/i.exec(text) ?? /([\d.]+)\s*\/\s*([\d.]+)\s*(?:points|pts)/i.exec(text);
+  const at = Date.parse(msg.headers.date ?? "");
+  if (!m || !Number(m[2]) || !Number.isFinite(at)) return null;
+  const course = head[2].trim();
+  return {
+    id: `gmail:${msg.headers["message-id"] ?? `${at}:${subject}`}`,
+    courseId: course.toLowerCase().replace(/[^a-z0-9]+/g, "-"),
+    course,
+    assignment: head[1].trim(),
+    score: clamp(0, Number(m[1]) / Number(m[2]), 1.5),
+    gradedAt: at,
+    source: "gmail",
+  };
+}
+
+export async function gradesFromFile(file: File): Promise<GradeEvent[]> {
+  const out: GradeEvent[] = [];
+  await readMessages(file, raw => { const g = gradeFromMessage(raw); if (g) out.push(g); });
+  return out;
+}
+
+// ---------- Storage ----------
+export async function saveGrades(events: GradeEvent[]) {
+  await tx("grades", "readwrite", s => {
+    for (const e of events) s.put(e);
+    return s.count(); // any request will do: tx resolves once the puts commit
+  });
+}
+
+export async function listGrades(): Promise<GradeEvent[]> {
+  const all = await tx<GradeEvent[]>("grades", "readonly", s => s.getAll());
+  return all.sort((a, b) => a.gradedAt - b.gradedAt);
+}
+
+export const clearGrades = () => tx("grades", "readwrite", s => s.clear());
+
+// ---------- Signal ----------
+export type GradeMove = { event: GradeEvent; expected: number; surprise: number; weight: number; contribution: number };
+
+export function gradeSurprise(events: GradeEvent[], now = Date.now()): { value: number; moves: GradeMove[] } {
+  const byCourse = new Map<string, GradeEvent[]>();
+  for (const e of events) byCourse.set(e.courseId, [...(byCourse.get(e.courseId) ?? []), e]);
+  const moves: GradeMove[] = [];
+  for (const list of byCourse.values()) {
+    list.sort((a, b) => a.gradedAt - b.gradedAt);
+    let sum = PRIOR * PRIOR_WEIGHT, n = PRIOR_WEIGHT;
+    for (const e of list) {
+      const expected = sum / n;
+      sum += e.score; n += 1;
+      const ageDays = (now - e.gradedAt) / 86_400_000;
+      if (ageDays < 0 || ageDays > WINDOW_DAYS) continue;
+      const surprise = clamp(-1, (e.score - expected) / SCALE, 1);
+      const weight = 0.5 ** (ageDays / HALF_LIFE_DAYS);
+      moves.push({ event: e, expected, surprise, weight, contribution: weight * surprise });
+    }
+  }
+  moves.sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution));
+  return { value: clamp(-1, moves.reduce((s, m) => s + m.contribution, 0), 1), moves };
+}
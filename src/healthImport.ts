@@ -0,0 +1,205 @@
+// VibeShift — Health export parsers
+// ---------------------------------
+// Turns exported health data into one row per day (nightly sleep, SDNN HRV,
+// resting HR, steps). Runs inside healthImport.worker.ts so big files never
+// block the UI.
+//
+//   Apple Health  export.xml, streamed record by record (files are often
+//                 hundreds of MB).
+//   Fitbit        Google Takeout JSON (steps-*.json, resting_heart_rate-*.json,
+//                 sleep-*.json) and the classic multi-section CSV export.
+//   Other         Any daily CSV/JSON with a date column plus steps / resting
+//                 heart rate / HRV (SDNN) / sleep columns, e.g. Health Connect
+//                 exports made with a sync app.
+
+import { csvRecords, parseDay } from "./csv";
+
+export type HealthDay = { date: string; hrv?: number; rhr?: number; steps?: number; sleepHours?: number };
+
+type Interval = [number, number];
+
+// Collects raw samples and reduces them to daily values at the end.
+export class DailyAccumulator {
+  private hrv = new Map<string, { sum: number; n: number }>();
+  private rhr = new Map<string, { sum: number; n: number }>();
+  private steps = new Map<string, Map<string, number>>();       // date → source → total
+  private asleep = new Map<string, Interval[]>();               // wake date → intervals
+  private inBed = new Map<string, Interval[]>();
+  private daily = new Map<string, HealthDay>();                  // already-daily values win
+  warnings = new Set<string>();
+  skipped = 0;                                                  // records missing a date or time, left out
+
+  addHrv(date: string, ms: number) { addMean(this.hrv, date, ms); }
+  addRhr(date: string, bpm: number) { addMean(this.rhr, date, bpm); }
+  addSteps(date: string, source: string, n: number) {
+    const bySource = this.steps.get(date) ?? new Map();
+    bySource.set(source, (bySource.get(source) ?? 0) + n);
+    this.steps.set(date, bySource);
+  }
+  addSleep(wakeDate: string, start: number, end: number, asleep: boolean) {
+    if (!(end > start)) return;
+    const m = asleep ? this.asleep : this.inBed;
+    m.set(wakeDate, [...(m.get(wakeDate) ?? []), [start, end]]);
+  }
+  addDaily(row: HealthDay) {
+    const prev = this.daily.get(row.date) ?? { date: row.date };
+    let any = false;
+    for (const k of ["hrv", "rhr", "steps", "sleepHours"] as const) {
+      if (row[k] !== undefined && Number.isFinite(row[k])) { prev[k] = row[k]; any = true; }
+    }
+    if (any) this.daily.set(row.date, prev);
+  }
+
+  result(): HealthDay[] {
+    const out = new Map<string, HealthDay>();
+    const at = (d: string) => out.get(d) ?? (out.set(d, { date: d }), out.get(d)!);
+    for (const [d, m] of this.hrv) at(d).hrv = round(m.sum / m.n, 1);
+    for (const [d, m] of this.rhr) at(d).rhr = round(m.sum / m.n, 0);
+    // Phone and watch both count steps; the busiest source is the best single guess.
+    for (const [d, bySource] of this.steps) at(d).steps = Math.round(Math.max(...bySource.values()));
+    for (const d of new Set([...this.asleep.keys(), ...this.inBed.keys()])) {
+      const iv = this.asleep.get(d) ?? this.inBed.get(d)!;
+      at(d).sleepHours = round(mergedMs(iv) / 3_600_000, 2);
+    }
+    for (const [d, row] of this.daily) Object.assign(at(d), row);
+    return [...out.values()].sort((a, b) => a.date.localeCompare(b.date));
+  }
+}
+
+function addMean(m: Map<string, { sum: number; n: number }>, date: string, x: number) {
+  if (!Number.isFinite(x)) return;
+  const cur = m.get(date) ?? { sum: 0, n: 0 };
+  m.set(date, { sum: cur.sum + x, n: cur.n + 1 });
+}
+
+const round = (x: number, digits: number) => Math.round(x * 10 ** digits) / 10 ** digits;
+
+// Total covered time of possibly-overlapping intervals (several sources log the same night).
+function mergedMs(iv: Interval[]) {
+  const sorted = [...iv].sort((a, b) => a[0] - b[0]);
+  let total = 0, [s, e] = sorted[0];
+  for (const [a, b] of sorted.slice(1)) {
+    if (a > e) { total += e - s; s = a; e = b; }
+    else e = Math.max(e, b);
+  }
+  return total + (e - s);
+}
+
+// ---------- Apple Health export.xml ----------
+const HK = {
+  hrv: "HKQuantityTypeIdentifierHeartRateVariabilitySDNN",
+  rhr: "HKQuantityTypeIdentifierRestingHeartRate",
+  steps: "HKQuantityTypeIdentifierStepCount",
+  sleep: "HKCategoryTypeIdentifierSleepAnalysis",
+};
+
+// "2023-01-01 08:00:00 -0800" → epoch ms
+const appleTime = (s: string) => Date.parse(s.replace(" ", "T").replace(/ ([+-]\d\d)(\d\d)$/, "$1:$2"));
+
+function appleRecord(tag: string, acc: DailyAccumulator) {
+  const type = /\stype="([^"]+)"/.exec(tag)?.[1];
+  if (!type || !Object.values(HK).includes(type)) return;
+  const attrs: Record<string, string> = {};
+  for (const m of tag.matchAll(/(\w+)="([^"]*)"/g)) attrs[m[1]] = m[2];
+  const date = attrs.startDate?.slice(0, 10);
+  if (!date) { acc.skipped++; return; }
+  if (type === HK.hrv) acc.addHrv(date, Number(attrs.value));
+  else if (type === HK.rhr) acc.addRhr(date, Number(attrs.value));
+  else if (type === HK.steps) acc.addSteps(date, attrs.sourceName ?? "", Number(attrs.value));
+  else if (type === HK.sleep) {
+    const v = attrs.value ?? "";
+    const asleep = v.startsWith("HKCategoryValueSleepAnalysisAsleep");
+    if (!asleep && v !== "HKCategoryValueSleepAnalysisInBed") return; // Awake
+    const start = appleTime(attrs.startDate), end = appleTime(attrs.endDate ?? "");
+    if (!Number.isFinite(start) || !Number.isFinite(end)) { acc.skipped++; return; } // some exports drop endDate
+    acc.addSleep(attrs.endDate.slice(0, 10), start, end, asleep);
+  }
+}
+
+// Feed decoded text in any chunk size; only <Record ...> opening tags are parsed.
+export function createAppleHealthParser(acc: DailyAccumulator) {
+  let carry = "";
+  return {
+    push(chunk: string) {
+      const text = carry + chunk;
+      let i = 0;
+      for (;;) {
+        const start = text.indexOf("<Record ", i);
+        if (start === -1) { i = Math.max(i, text.length - 8); break; } // keep a partial "<Record"
+        const end = text.indexOf(">", start);
+        if (end === -1) { i = start; break; }
+        appleRecord(text.slice(start, end), acc);
+        i = end + 1;
+      }
+      carry = text.slice(i);
+    },
+    finish() { carry = ""; },
+  };
+}
+
+// ---------- Fitbit Takeout JSON ----------
+// "01/31/23 00:00:00" → "2023-01-31"
+function fitbitDate(s: string) {
+  const m = /^(\d\d)\/(\d\d)\/(\d\d)/.exec(s);
+  return m ? `20${m[3]}-${m[1]}-${m[2]}` : parseDay(s);
+}
+
+export function parseHealthJson(name: string, data: any, acc: DailyAccumulator) {
+  const rows: any[] = Array.isArray(data) ? data : data?.days ?? data?.data ?? [];
+  if (!rows.length) return;
+  const first = rows[0];
+  if ("dateOfSleep" in first) {
+    const mins = new Map<string, number>();
+    for (const r of rows) mins.set(r.dateOfSleep, (mins.get(r.dateOfSleep) ?? 0) + Number(r.minutesAsleep || 0));
+    for (const [date, m] of mins) acc.addDaily({ date, sleepHours: round(m / 60, 2) });
+  } else if (typeof first.value === "object" && first.value && "error" in first.value) {
+    for (const r of rows) {
+      const v = Number(r.value?.value);
+      if (v > 0) acc.addDaily({ date: fitbitDate(r.value.date ?? r.dateTime), rhr: round(v, 0) });
+    }
+  } else if (/steps/i.test(name) && "dateTime" in first) {
+    for (const r of rows) acc.addSteps(fitbitDate(r.dateTime), "fitbit", Number(r.value) || 0);
+  } else if (/heart.rate.variability|hrv/i.test(name) && !rows.some(r => "sdnn" in r)) {
+    acc.warnings.add("Fitbit HRV is RMSSD, not SDNN — skipped so it doesn't skew your baseline.");
+  } else {
+    for (const r of rows) dailyRecord(r, acc);
+  }
+}
+
+// ---------- Daily CSV / JSON rows ----------
+const norm = (k: string) => k.toLowerCase().replace(/[^a-z0-9]/g, "");
+const ALIASES = {
+  date: ["date", "day", "dateofsleep", "endtime", "datetime", "timestamp", "starttime"],
+  steps: ["steps", "stepcount", "totalsteps"],
+  rhr: ["restingheartrate", "rhr", "restinghr"],
+  hrv: ["hrvsdnn", "sdnn", "hrv", "heartratevariabilitysdnn"],
+  sleepHours: ["sleephours", "hoursasleep", "sleepduration"],
+  sleepMinutes: ["minutesasleep", "sleepminutes", "totalminutesasleep"],
+};
+
+const numeric = (x: unknown) => Number(String(x ?? "").replace(/,/g, ""));
+
+function dailyRecord(r: Record<string, any>, acc: DailyAccumulator) {
+  const byNorm = new Map(Object.entries(r).map(([k, v]) => [norm(k), v]));
+  const get = (keys: string[]) => { for (const k of keys) if (byNorm.has(k) && byNorm.get(k) !== "") return byNorm.get(k); };
+  const date = parseDay(String(get(ALIASES.date) ?? ""));
+  if (!date) return;
+  if (byNorm.has("rmssd") && !get(ALIASES.hrv)) acc.warnings.add("HRV columns are RMSSD, not SDNN — skipped.");
+  const mins = numeric(get(ALIASES.sleepMinutes));
+  acc.addDaily({
+    date,
+    steps: numeric(get(ALIASES.steps)) || undefined,
+    rhr: numeric(get(ALIASES.rhr)) || undefined,
+    hrv: numeric(get(ALIASES.hrv)) || undefined,
+    sleepHours: numeric(get(ALIASES.sleepHours)) || (mins ? round(mins / 60, 2) : undefined),
+  });
+}
+
+// Handles single-table CSVs and Fitbit's sectioned export ("Activities", blank line, "Sleep", ...).
+export function parseHealthCsv(text: string, acc: DailyAccumulator) {
+  for (const block of text.split(/\r?\n\s*\r?\n/)) {
+    const lines = block.split(/\r?\n/);
+    const body = lines[0] && !/[,;\t]/.test(lines[0]) ? lines.slice(1).join("\n") : block;
+    for (const r of csvRecords(body)) dailyRecord(r, acc);
+  }
+}
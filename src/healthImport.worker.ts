@@ -0,0 +1,60 @@
+// VibeShift — Health import worker
+// --------------------------------
+// Reads the picked files off the main thread. XML is streamed so a
+// multi-hundred-MB Apple Health export never sits in memory as one string.
+//
+//   in:  { files: File[] }
+//   out: { type: "progress", done, total } … then { type: "done", days, warnings, source }
+//        or { type: "error", message }
+
+import { DailyAccumulator, createAppleHealthParser, parseHealthCsv, parseHealthJson } from "./healthImport";
+
+const post = (msg: unknown) => (self as unknown as Worker).postMessage(msg);
+
+async function streamXml(file: File, acc: DailyAccumulator, onBytes: (n: number) => void) {
+  const parser = createAppleHealthParser(acc);
+  const reader = file.stream().getReader();
+  const decoder = new TextDecoder();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    parser.push(decoder.decode(value, { stream: true }));
+    onBytes(value.byteLength);
+  }
+  parser.push(decoder.decode());
+  parser.finish();
+}
+
+self.onmessage = async (e: MessageEvent<{ files: File[] }>) => {
+  const files = e.data.files;
+  const total = files.reduce((s, f) => s + f.size, 0);
+  const acc = new DailyAccumulator();
+  const kinds = new Set<string>();
+  let done = 0, lastPost = 0;
+  const onBytes = (n: number) => {
+    done += n;
+    if (Date.now() - lastPost > 100) { lastPost = Date.now(); post({ type: "progress", done, total }); }
+  };
+  try {
+    for (const f of files) {
+      if (/\.xml$/i.test(f.name)) {
+        kinds.add("Apple Health");
+        await streamXml(f, acc, onBytes);
+        continue;
+      }
+      const text = await f.text();
+      if (/\.json$/i.test(f.name)) {
+        kinds.add(/steps|resting_heart_rate|sleep-/i.test(f.name) ? "Fitbit" : "JSON");
+        parseHealthJson(f.name, JSON.parse(text), acc);
+      } else {
+        kinds.add("CSV");
+        parseHealthCsv(text, acc);
+      }
+      onBytes(f.size);
+    }
+    if (acc.skipped) acc.warnings.add(`Skipped ${acc.skipped} record${acc.skipped === 1 ? "" : "s"} with a missing or unreadable date.`);
+    post({ type: "done", days: acc.result(), warnings: [...acc.warnings], source: [...kinds].join(" + ") || "Import" });
+  } catch (err) {
+    post({ type: "error", message: err instanceof Error ? err.message : String(err) });
+  }
+};
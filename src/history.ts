@@ -0,0 +1,105 @@
+// VibeShift — Session history (IndexedDB)
+// ---------------------------------------
+// One SessionLog per Start Mood Shift. It is written when the session starts
+// and rewritten as tracks play and feedback comes in, so an abandoned session
+// still leaves a record.
+
+import type { Action, Context } from "./bandit";
+import type { Shape } from "./shapes";
+import type { Listen } from "./player";
+import type { Nudge, Replan } from "./replan";
+import { tx } from "./idb";
+import { moodDistance, NEUTRAL_AROUSAL } from "./mood";
+
+export type SessionTrack = {
+  id: string; title: string; artist: string;
+  target: { valence: number; energy: number; dance: number; tempo: number };
+  distance?: number; // catalog match distance, if matched
+  progress?: number; // planned shift progress, see replan.ts
+};
+
+export type SessionLog = {
+  id: string;
+  startedAt: number;
+  updatedAt: number;
+  source: "bandit" | "local";
+  actionId?: string;
+  action?: Action;
+  propensity?: number;
+  context: Context;
+  signals: Record<string, number>;                 // raw slider values at start
+  shape?: Shape;                                  // trajectory shape (absent = cosine)
+  curve: { kv: number; ke: number; kt: number; kd: number; baseBpm: number; N: number };
+  startMood: number;                              // valence, see mood.ts
+  startArousal?: number;                          // absent before the mood plane
+  playlist: SessionTrack[];
+  played: number[];                               // track indexes that were shown
+  skips: number;
+  listens?: Listen[];                             // per-track listen telemetry, see player.ts
+  nudges?: Nudge[];                               // one-tap mood check-ins during the set
+  replans?: Replan[];                             // mid-set re-plans, see replan.ts
+  feedback?: { emoji: -2|-1|0|1|2; endMood: number; endArousal?: number; completionPct: number; at: number };
+  delayed?: { rating: -2|-1|0|1|2; at: number };   // delayed check-in, see checkins.ts
+  reward?: number;
+  rewardStatus?: "sent" | "queued" | "failed" | "local"; // queued: in the outbox, see outbox.ts
+  redacted?: string[];                            // forgotten sources, see consent.ts
+};
+
+export const newSessionId = () => `s-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const saveSession = (log: SessionLog) => tx("sessions", "readwrite", s => s.put({ ...log, updatedAt: Date.now() }));
+export const getSession = (id: string) => tx<SessionLog | undefined>("sessions", "readonly", s => s.get(id));
+export const deleteSession = (id: string) => tx("sessions", "readwrite", s => s.delete(id));
+
+export async function listSessions(): Promise<SessionLog[]> {
+  const all = await tx<SessionLog[]>("sessions", "readonly", s => s.getAll());
+  return all.sort((a, b) => b.startedAt - a.startedAt);
+}
+
+// "Forget this source": drops its raw values from every stored session and
+// zeroes the context features derived from them.
+export async function redactSessions(source: string, signalKeys: string[], contextKeys: (keyof Context)[]) {
+  const logs = await listSessions();
+  await tx("sessions", "readwrite", s => {
+    for (const l of logs) {
+      const signals = { ...l.signals };
+      signalKeys.forEach(k => delete signals[k]);
+      const context = { ...l.context };
+      contextKeys.forEach(k => { (context as Record<string, unknown>)[k] = 0; });
+      s.put({ ...l, signals, context, redacted: [...new Set([...(l.redacted ?? []), source])] });
+    }
+    return s.count(); // any request will do: tx resolves once the puts commit
+  });
+}
+
+// Rough "is it helping" numbers over a trailing window.
+export function summarize(logs: SessionLog[], days: number, now = Date.now()) {
+  const recent = logs.filter(l => now - l.startedAt <= days * 86_400_000 && l.feedback);
+  if (!recent.length) return null;
+  const mean = (xs: number[]) => xs.reduce((a, b) => a + b, 0) / xs.length;
+  return {
+    sessions: recent.length,
+    avgReward: mean(recent.map(l => l.reward ?? 0)),
+    // positive = ended closer to the session's target than it started, on the
+    // mood plane (sessions without arousal count valence only)
+    avgGain: mean(recent.map(l => {
+      const target = { valence: l.context.target_mood ?? 50, arousal: l.context.target_arousal ?? NEUTRAL_AROUSAL };
+      const start = { valence: l.startMood, arousal: l.startArousal ?? target.arousal };
+      const end = { valence: l.feedback!.endMood, arousal: l.feedback!.endArousal ?? start.arousal };
+      return moodDistance(start, target) - moodDistance(end, target);
+    })),
+  };
+}
+
+// Average reward of rated sessions grouped by `key`, best first.
+export function rewardsBy(logs: SessionLog[], key: (l: SessionLog) => string) {
+  const groups = new Map<string, number[]>();
+  for (const l of logs) {
+    if (l.reward === undefined) continue;
+    const k = key(l);
+    groups.set(k, [...(groups.get(k) ?? []), l.reward]);
+  }
+  return [...groups.entries()]
+    .map(([k, rs]) => ({ key: k, sessions: rs.length, avgReward: rs.reduce((a, b) => a + b, 0) / rs.length }))
+    .sort((a, b) => b.avgReward - a.avgReward);
+}
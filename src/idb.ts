@@ -0,0 +1,62 @@
+// VibeShift — Tiny IndexedDB wrapper
+// ----------------------------------
+// One database per profile (see profiles.ts). Add new object stores to STORES
+// and bump DB_VERSION; the upgrade handler creates whatever is missing.
+
+import { dbNameFor } from "./profiles";
+
+const DB_VERSION = 9;
+
+const STORES: Record<string, IDBObjectStoreParameters> = {
+  kv: {}, // out-of-line keys: large blobs such as the music catalog
+  sessions: { keyPath: "id" }, // session logs, see history.ts
+  checkins: { keyPath: "sessionId" }, // delayed check-ins, see checkins.ts
+  signals: { keyPath: "date" }, // daily signal series, see signals.ts
+  transactions: { keyPath: "id" }, // imported bank / receipt ledger, see transactions.ts
+  grades: { keyPath: "id" }, // graded assignments, see grades.ts
+  macro: { keyPath: "id" }, // labour-force and house-price observations, see macro.ts
+  outbox: { keyPath: "actionId" }, // bandit reward updates waiting to be sent, see outbox.ts
+  consent: { keyPath: "source" }, // per-source consent ledger, see consent.ts
+};
+
+export const STORE_NAMES = Object.keys(STORES);
+
+// Opens (and upgrades) any profile's database; archive.ts writes into others.
+export function openNamedDb(name: string): Promise<IDBDatabase> {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(name, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      for (const [store, opts] of Object.entries(STORES)) {
+        if (!db.objectStoreNames.contains(store)) db.createObjectStore(store, opts);
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+let dbPromise: Promise<IDBDatabase> | null = null;
+
+export function openDb(): Promise<IDBDatabase> {
+  dbPromise ??= openNamedDb(dbNameFor()).catch(err => { dbPromise = null; throw err; });
+  return dbPromise;
+}
+
+// Resolves with the request's result once the whole transaction has committed
+// (anything `fn` or its request handlers queued included), so a write is
+// durable before the caller moves on; rejects if the transaction fails.
+export async function tx<T>(store: string, mode: IDBTransactionMode, fn: (s: IDBObjectStore) => IDBRequest<T>): Promise<T> {
+  const db = await openDb();
+  const t = db.transaction(store, mode);
+  const req = fn(t.objectStore(store));
+  return new Promise<T>((resolve, reject) => {
+    t.oncomplete = () => resolve(req.result);
+    t.onerror = () => reject(t.error ?? req.error);
+    t.onabort = () => reject(t.error ?? new DOMException("transaction aborted", "AbortError"));
+  });
+}
+
+export const kvGet = <T = unknown>(key: string) => tx<T | undefined>("kv", "readonly", s => s.get(key));
+export const kvSet = (key: string, value: unknown) => tx("kv", "readwrite", s => s.put(value, key));
+export const kvDelete = (key: string) => tx("kv", "readwrite", s => s.delete(key));
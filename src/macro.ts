@@ -0,0 +1,247 @@
+// VibeShift — Macro indicators
+// ----------------------------
+// Imports official labour-force and house-price tables and turns them into the
+// two macro signals for the region and program picked in Settings:
+//
+//   unempDiff      unemployment rate for your program in your region − national rate
+//   housingStress  regional house-price growth over HOUSING_YEARS − national growth
+//
+// Tables may be long (StatCan "REF_DATE, GEO, <dimensions…>, VALUE", BLS
+// "Series ID, Year, Period, Value", or plain "date, region, field, value") or
+// BLS wide ("Year, Jan … Dec" under "Series Id:" / "Area:" lines). Dimension
+// columns such as sex or age are narrowed to their total rows. Every value
+// keeps the period it describes; indicators older than STALE_DAYS are marked
+// stale so the UI can flag them instead of quietly using them.
+
+import { parseCsv } from "./csv";
+import { tx } from "./idb";
+
+export type MacroSeries = "unemployment" | "hpi";
+
+export type MacroObs = {
+  id: string;
+  series: MacroSeries;
+  region: string;
+  field: string; // field of study / program; "" = all
+  period: string; // "YYYY-MM" or "YYYY"
+  value: number; // percent for unemployment, index or price for hpi
+  source: string;
+};
+
+export const HOUSING_YEARS = 5;
+export const STALE_DAYS = { monthly: 120, annual: 550 };
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const NATIONAL = /^(canada|united states( of america)?|u\.?s\.?( total)?|national|all regions|total)$/i;
+const TOTAL = /^(total\b|all\b|both sexes|15 years and over|composite)/i;
+const META = /^(uom|uom_id|scalar_factor|scalar_id|vector|coordinate|status|symbol|terminated|decimals|dguid|series id|series_id|label|footnotes?)$/i;
+const DATE_COL = /^(ref_date|date|month|reference period|time_period|time)$/i;
+const REGION_COL = /^(geo|geography|region|area|area_text|state|province|location)$/i;
+const FIELD_COL = /field of study|major|program|^cip|^field$/i;
+const VALUE_COL = /^(value|obs_value|rate|index|unemployment rate|hpi)$/i;
+const UNEMPLOYMENT = /unemployment rate/i;
+
+export const isNational = (region: string) => NATIONAL.test(region);
+
+// BLS LAUS state series (LASST<fips>…) → state name.
+const FIPS: Record<string, string> = Object.fromEntries(([
+  ["01", "Alabama"], ["02", "Alaska"], ["04", "Arizona"], ["05", "Arkansas"], ["06", "California"], ["08", "Colorado"], ["09", "Connecticut"],
+  ["10", "Delaware"], ["11", "District of Columbia"], ["12", "Florida"], ["13", "Georgia"], ["15", "Hawaii"], ["16", "Idaho"], ["17", "Illinois"],
+  ["18", "Indiana"], ["19", "Iowa"], ["20", "Kansas"], ["21", "Kentucky"], ["22", "Louisiana"], ["23", "Maine"], ["24", "Maryland"],
+  ["25", "Massachusetts"], ["26", "Michigan"], ["27", "Minnesota"], ["28", "Mississippi"], ["29", "Missouri"], ["30", "Montana"], ["31", "Nebraska"],
+  ["32", "Nevada"], ["33", "New Hampshire"], ["34", "New Jersey"], ["35", "New Mexico"], ["36", "New York"], ["37", "North Carolina"],
+  ["38", "North Dakota"], ["39", "Ohio"], ["40", "Oklahoma"], ["41", "Oregon"], ["42", "Pennsylvania"], ["44", "Rhode Island"],
+  ["45", "South Carolina"], ["46", "South Dakota"], ["47", "Tennessee"], ["48", "Texas"], ["49", "Utah"], ["50", "Vermont"], ["51", "Virginia"],
+  ["53", "Washington"], ["54", "West Virginia"], ["55", "Wisconsin"], ["56", "Wyoming"], ["72", "Puerto Rico"],
+] as const));
+
+const blsRegion = (seriesId: string) =>
+  /^LN/i.test(seriesId) ? "United States" : /^LAS?ST(\d\d)/i.test(seriesId) ? FIPS[seriesId.slice(5, 7)] : undefined;
+
+// "2024-05", "2024-05-01", "May 2024", "2024" → "YYYY-MM" / "YYYY"; "" when unreadable.
+function normPeriod(s: string): string {
+  const t = s.trim();
+  let m = /^(\d{4})-(\d{1,2})(?:-\d{1,2})?$/.exec(t);
+  if (m) return `${m[1]}-${m[2].padStart(2, "0")}`;
+  if (/^\d{4}$/.test(t)) return t;
+  m = /^([a-z]{3})[a-z]*\.? (\d{4})$/i.exec(t);
+  if (m && MONTHS.includes(m[1].toLowerCase())) return `${m[2]}-${String(MONTHS.indexOf(m[1].toLowerCase()) + 1).padStart(2, "0")}`;
+  return "";
+}
+
+const num = (s: string) => {
+  const t = (s ?? "").replace(/[,\s$%]/g, "");
+  return /^-?\d+(\.\d+)?$/.test(t) ? Number(t) : NaN; // StatCan "..", "x", "F" → NaN
+};
+
+const normField = (s: string) => (!s || TOTAL.test(s.trim()) ? "" : s.trim());
+
+const obs = (series: MacroSeries, region: string, field: string, period: string, value: number, source: string): MacroObs =>
+  ({ id: `${series}|${region}|${field}|${period}`, series, region, field, period, value, source });
+
+function parseWide(rows: string[][], h: number, series: MacroSeries, source: string): MacroObs[] {
+  const meta: Record<string, string> = {};
+  for (const r of rows.slice(0, h)) {
+    const m = /^\s*([^:]+):\s*$/.exec(r[0] ?? "");
+    if (m) meta[m[1].trim().toLowerCase()] = (r[1] ?? "").trim();
+  }
+  const region = meta.area || meta.state || meta.region || meta.geography || blsRegion(meta["series id"] ?? "") || source;
+  const field = normField(meta.education || meta.field || meta["field of study"] || "");
+  const head = rows[h].map(c => c.trim().toLowerCase().slice(0, 3));
+  const out: MacroObs[] = [];
+  for (const r of rows.slice(h + 1)) {
+    if (!/^\d{4}$/.test(r[0]?.trim())) continue;
+    head.forEach((c, i) => {
+      const v = num(r[i]);
+      const mi = MONTHS.indexOf(c);
+      if (mi >= 0 && Number.isFinite(v)) out.push(obs(series, region, field, `${r[0].trim()}-${String(mi + 1).padStart(2, "0")}`, v, source));
+    });
+  }
+  return out;
+}
+
+function parseLong(rows: string[][], series: MacroSeries, source: string): MacroObs[] {
+  const head = rows[0].map(c => c.trim());
+  const find = (re: RegExp) => head.findIndex(c => re.test(c));
+  const iDate = find(DATE_COL), iYear = find(/^year$/i), iPeriod = find(/^period$/i);
+  const iRegion = find(REGION_COL), iField = find(FIELD_COL), iValue = find(VALUE_COL), iSeries = find(/^series[ _]id$/i);
+  if (iValue < 0 || (iDate < 0 && iYear < 0)) throw new Error("expected a date (REF_DATE / Year) and a VALUE column");
+  let body = rows.slice(1).filter(r => r.length >= head.length - 1);
+
+  // Dimension columns: keep the unemployment-rate rows, then the total of everything else.
+  const core = new Set([iDate, iYear, iPeriod, iRegion, iField, iValue, iSeries]);
+  head.forEach((c, i) => {
+    if (core.has(i) || META.test(c)) return;
+    const values = [...new Set(body.map(r => r[i]?.trim() ?? ""))];
+    if (values.length < 2) return;
+    const pick = (series === "unemployment" && values.find(v => UNEMPLOYMENT.test(v))) || values.find(v => TOTAL.test(v));
+    if (pick) body = body.filter(r => (r[i]?.trim() ?? "") === pick);
+  });
+
+  const out: MacroObs[] = [];
+  for (const r of body) {
+    let period = "";
+    if (iDate >= 0) period = normPeriod(r[iDate]);
+    else {
+      const p = iPeriod >= 0 ? r[iPeriod]?.trim() : "";
+      if (/^M13$/i.test(p)) continue; // BLS annual average
+      period = /^M\d\d$/i.test(p) ? `${r[iYear].trim()}-${p.slice(1)}` : r[iYear].trim();
+    }
+    const value = num(r[iValue]);
+    const region = (iRegion >= 0 ? r[iRegion]?.trim() : blsRegion(r[iSeries] ?? "")) || source;
+    if (!period || !Number.isFinite(value)) continue;
+    out.push(obs(series, region, iField >= 0 ? normField(r[iField]) : "", period, value, source));
+  }
+  return out;
+}
+
+export function parseMacroTable(text: string, source: string, series: MacroSeries): MacroObs[] {
+  const rows = parseCsv(text);
+  const wide = rows.findIndex(r => /^year$/i.test(r[0]?.trim() ?? "") && r.some(c => /^jan/i.test(c.trim())));
+  const out = wide >= 0 ? parseWide(rows, wide, series, source) : parseLong(rows, series, source);
+  return [...new Map(out.map(o => [o.id, o])).values()];
+}
+
+// ---------- Storage ----------
+export async function saveMacro(rows: MacroObs[]) {
+  await tx("macro", "readwrite", s => {
+    for (const r of rows) s.put(r);
+    return s.count(); // any request will do: tx resolves once the puts commit
+  });
+}
+
+export const listMacro = () => tx<MacroObs[]>("macro", "readonly", s => s.getAll());
+
+export const clearMacro = () => tx("macro", "readwrite", s => s.clear());
+
+// Regions (national first) and, per region, the programs with unemployment data.
+export function macroChoices(all: MacroObs[]) {
+  const regions = [...new Set(all.map(o => o.region))].sort((a, b) => Number(isNational(b)) - Number(isNational(a)) || a.localeCompare(b));
+  const fields = (region: string) =>
+    [...new Set(all.filter(o => o.series === "unemployment" && o.region === region && o.field).map(o => o.field))].sort();
+  return { regions, fields };
+}
+
+// ---------- Indicators ----------
+export type Indicator = {
+  value: number;
+  period: string;
+  stale: boolean;
+  regional: number;
+  national: number;
+  nationalRegion: string;
+  detail: string;
+};
+
+const periodEnd = (p: string) => (p.length === 4 ? new Date(+p, 11, 31) : new Date(+p.slice(0, 4), +p.slice(5, 7), 0));
+const isStale = (p: string, now: Date) =>
+  (now.getTime() - periodEnd(p).getTime()) / 86_400_000 > (p.length === 4 ? STALE_DAYS.annual : STALE_DAYS.monthly);
+
+function seriesOf(all: MacroObs[], series: MacroSeries, region: string, field: string) {
+  return new Map(all.filter(o => o.series === series && o.region === region && o.field === field).map(o => [o.period, o.value]));
+}
+
+// Exact period, or for a year the mean of its months (≥ 6 of them).
+function valueAt(s: Map<string, number>, period: string) {
+  if (s.has(period)) return s.get(period);
+  if (period.length !== 4) return undefined;
+  const months = [...s].filter(([p]) => p.startsWith(`${period}-`)).map(([, v]) => v);
+  return months.length >= 6 ? months.reduce((a, b) => a + b, 0) / months.length : undefined;
+}
+
+const nationalOf = (all: MacroObs[], series: MacroSeries) => all.find(o => o.series === series && isNational(o.region))?.region;
+
+export function unemploymentGap(all: MacroObs[], region: string, field: string, now = new Date()): Indicator | null {
+  const nat = nationalOf(all, "unemployment");
+  if (!nat || !region) return null;
+  let regional = seriesOf(all, "unemployment", region, field);
+  const forField = !!field && regional.size > 0;
+  if (!forField) regional = seriesOf(all, "unemployment", region, "");
+  const national = seriesOf(all, "unemployment", nat, "");
+  const period = [...regional.keys()].sort().reverse().find(p => valueAt(national, p) !== undefined);
+  if (!period) return null;
+  const r = regional.get(period)!, n = valueAt(national, period)!;
+  return {
+    value: (r - n) / 100,
+    period,
+    stale: isStale(period, now),
+    regional: r,
+    national: n,
+    nationalRegion: nat,
+    detail: `${forField ? field : "All programs"} in ${region}: ${r.toFixed(1)}% vs ${nat} ${n.toFixed(1)}%`,
+  };
+}
+
+// Growth from the period HOUSING_YEARS back (or the earliest, if at least a year back).
+function growth(s: Map<string, number>, period: string) {
+  const minSpan = period.length === 4 ? 1 : 12;
+  const back = [...s.keys()].filter(p => p.length === period.length && p < period).sort();
+  const target = period.length === 4 ? String(+period - HOUSING_YEARS) : `${+period.slice(0, 4) - HOUSING_YEARS}${period.slice(4)}`;
+  const from = back.filter(p => p <= target).pop() ?? back[0];
+  if (!from) return undefined;
+  const span = period.length === 4 ? +period - +from : (+period.slice(0, 4) - +from.slice(0, 4)) * 12 + (+period.slice(5) - +from.slice(5));
+  if (span < minSpan) return undefined;
+  return { from, g: s.get(period)! / s.get(from)! - 1 };
+}
+
+export function housingStress(all: MacroObs[], region: string, now = new Date()): Indicator | null {
+  const nat = nationalOf(all, "hpi");
+  if (!nat || !region) return null;
+  const regional = seriesOf(all, "hpi", region, "");
+  const national = seriesOf(all, "hpi", nat, "");
+  for (const period of [...regional.keys()].sort().reverse()) {
+    if (!national.has(period)) continue;
+    const r = growth(regional, period), n = growth(national, period);
+    if (!r || !n || r.from !== n.from) continue;
+    return {
+      value: r.g - n.g,
+      period,
+      stale: isStale(period, now),
+      regional: r.g,
+      national: n.g,
+      nationalRegion: nat,
+      detail: `Prices in ${region} ${r.g >= 0 ? "+" : ""}${(r.g * 100).toFixed(0)}% since ${r.from} vs ${nat} ${n.g >= 0 ? "+" : ""}${(n.g * 100).toFixed(0)}%`,
+    };
+  }
+  return null;
+}
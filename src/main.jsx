@@ -4,3 +4,5 @@ import { createRoot } from 'react-dom/client'
 import App from './App.jsx'
 import './index.css'
 createRoot(document.getElementById('root')).render(<App />)
+// Production only: in dev the worker would cache Vite's unbundled modules and serve stale ones.
+if (import.meta.env.PROD && 'serviceWorker' in navigator) navigator.serviceWorker.register('/sw.js').catch(() => {})
@@ -0,0 +1,24 @@
+// VibeShift — Mood plane
+// ----------------------
+// Mood is a point on the circumplex: valence across (0 unpleasant … 100
+// pleasant) and arousal up (0 drained or calm … 100 wound up or buzzing), with
+// 50/50 neutral. Anxious and sad are both low valence but sit at opposite
+// ends of arousal, so they need opposite energy moves. Elsewhere in the app
+// and the bandit API, "mood" on its own (start_mood, the reward's end mood,
+// history) is the valence axis, as it was before arousal existed.
+
+export type Mood = { valence: number; arousal: number };
+
+export const NEUTRAL_AROUSAL = 50;
+
+// Corners of the plane, in reading order (top-left first).
+export const QUADRANTS = ["Tense", "Excited", "Low", "Calm"] as const;
+
+export function quadrant(m: Mood): (typeof QUADRANTS)[number] {
+  return QUADRANTS[(m.arousal >= 50 ? 0 : 2) + (m.valence >= 50 ? 1 : 0)];
+}
+
+export const moodDistance = (a: Mood, b: Mood) => Math.hypot(a.valence - b.valence, a.arousal - b.arousal);
+
+// The farthest any mood can be from `m`, for scaling distances to 0..1.
+export const maxDistance = (m: Mood) => Math.hypot(Math.max(m.valence, 100 - m.valence), Math.max(m.arousal, 100 - m.arousal));
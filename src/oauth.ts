@@ -0,0 +1,220 @@
+// VibeShift — OAuth2 authorization code + PKCE
+// --------------------------------------------
+// One flow for every source that signs in with OAuth:
+//
+//   beginAuthorization(id, base)  remember state + code_verifier, redirect to the provider
+//   completeAuthorization()       on /oauth/callback: check state, exchange the code
+//   getAccessToken(id)            current token, refreshed when it is about to expire
+//   disconnect(id)                revoke at the provider, then forget locally
+//
+// Tokens are kept sealed in the vault (vault.ts), never in localStorage.
+// Providers only differ in endpoints, client id, scopes and how they revoke;
+// add one to PROVIDERS to reuse the flow. When a provider's token endpoint
+// needs a client secret (Google web clients, Plaid's public_token exchange),
+// point `token` at a backend that adds it and forwards the request.
+//
+// The token and revoke requests go straight from the browser. Canvas's token
+// endpoint sends no CORS headers and the repo has no proxy for it, so Canvas
+// sign-in only completes against the mock (server/mock/oauth.ts) for now.
+
+import { deleteSecret, getSecret, putSecret } from "./vault";
+
+export type ProviderId = "canvas" | "gmail";
+
+export type ScopeInfo = { scope: string; why: string };
+
+export type Provider = {
+  id: ProviderId;
+  label: string;
+  clientId: string;
+  scopes: ScopeInfo[];
+  endpoints: (base: string) => { authorize: string; token: string; revoke?: string };
+  revokeStyle: "canvas" | "rfc7009"; // DELETE with bearer vs POST token=
+  authParams?: Record<string, string>;
+};
+
+const env = (import.meta as any)?.env ?? {};
+
+export const PROVIDERS: Record<ProviderId, Provider> = {
+  canvas: {
+    id: "canvas",
+    label: "Canvas",
+    clientId: env.VITE_CANVAS_CLIENT_ID || "vibeshift-dev",
+    scopes: [
+      { scope: "url:GET|/api/v1/courses", why: "List the courses you're enrolled in" },
+      { scope: "url:GET|/api/v1/courses/:course_id/students/submissions", why: "Read your scores on graded assignments" },
+    ],
+    endpoints: base => ({ authorize: `${base}/login/oauth2/auth`, token: `${base}/login/oauth2/token`, revoke: `${base}/login/oauth2/token` }),
+    revokeStyle: "canvas",
+  },
+  gmail: {
+    id: "gmail",
+    label: "Gmail",
+    clientId: env.VITE_GOOGLE_CLIENT_ID || "",
+    scopes: [{ scope: "https://www.googleapis.com/auth/gmail.readonly", why: "Find receipts and grade notification emails" }],
+    // VITE_GOOGLE_AUTH_BASE points all three at one host (a mock or a token proxy).
+    endpoints: () => {
+      const b = env.VITE_GOOGLE_AUTH_BASE;
+      return b
+        ? { authorize: `${b}/o/oauth2/v2/auth`, token: `${b}/token`, revoke: `${b}/revoke` }
+        : { authorize: "https://accounts.google.com/o/oauth2/v2/auth", token: "https://oauth2.googleapis.com/token", revoke: "https://oauth2.googleapis.com/revoke" };
+    },
+    revokeStyle: "rfc7009",
+    authParams: { access_type: "offline", prompt: "consent" },
+  },
+};
+
+export const REDIRECT_PATH = "/oauth/callback";
+const PENDING_KEY = "vs_oauth_pending";
+const REFRESH_MARGIN_MS = 60_000;
+
+export class OAuthError extends Error {
+  constructor(public code: string, message: string) { super(message); }
+}
+
+type Tokens = { access_token: string; refresh_token?: string; expires_at?: number; token_type: string };
+
+// What the UI may see about a connection; tokens stay inside this module.
+export type Connection = {
+  provider: ProviderId;
+  base: string;
+  grantedScopes: string[];
+  connectedAt: number;
+  manual?: boolean; // pasted access token rather than OAuth
+};
+
+type Stored = Connection & { tokens: Tokens };
+
+type Pending = { provider: ProviderId; base: string; state: string; verifier: string; redirectUri: string; scopes: string[] };
+
+const b64url = (bytes: Uint8Array) => btoa(String.fromCharCode(...bytes)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+const randomString = (n = 32) => b64url(crypto.getRandomValues(new Uint8Array(n)));
+
+async function challengeFor(verifier: string) {
+  return b64url(new Uint8Array(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(verifier))));
+}
+
+export const redirectUri = () => `${location.origin}${REDIRECT_PATH}`;
+export const isCallback = () => location.pathname === REDIRECT_PATH;
+
+export async function beginAuthorization(id: ProviderId, base: string) {
+  const p = PROVIDERS[id];
+  if (!p.clientId) throw new OAuthError("config", `${p.label} client id is not configured`);
+  const pending: Pending = { provider: id, base, state: randomString(16), verifier: randomString(48), redirectUri: redirectUri(), scopes: p.scopes.map(s => s.scope) };
+  sessionStorage.setItem(PENDING_KEY, JSON.stringify(pending));
+  const url = new URL(p.endpoints(base).authorize);
+  const params: Record<string, string> = {
+    response_type: "code",
+    client_id: p.clientId,
+    redirect_uri: pending.redirectUri,
+    scope: pending.scopes.join(" "),
+    state: pending.state,
+    code_challenge: await challengeFor(pending.verifier),
+    code_challenge_method: "S256",
+    ...p.authParams,
+  };
+  for (const [k, v] of Object.entries(params)) url.searchParams.set(k, v);
+  location.assign(url.toString());
+}
+
+async function tokenRequest(p: Provider, base: string, body: Record<string, string>): Promise<Tokens & { scope?: string }> {
+  const r = await fetch(p.endpoints(base).token, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" },
+    body: new URLSearchParams({ client_id: p.clientId, ...body }),
+  });
+  const json = await r.json().catch(() => ({}));
+  if (!r.ok || !json.access_token) throw new OAuthError(json.error || `http_${r.status}`, json.error_description || `token endpoint ${r.status}`);
+  return {
+    access_token: json.access_token,
+    refresh_token: json.refresh_token,
+    expires_at: json.expires_in ? Date.now() + json.expires_in * 1000 : undefined,
+    token_type: json.token_type || "Bearer",
+    scope: json.scope,
+  };
+}
+
+// Handles the redirect back from the provider. Throws on a mismatched state,
+// a denied consent or a failed exchange; the pending attempt is cleared either way.
+export async function completeAuthorization(href = location.href): Promise<Connection> {
+  const url = new URL(href);
+  const raw = sessionStorage.getItem(PENDING_KEY);
+  sessionStorage.removeItem(PENDING_KEY);
+  const pending: Pending | null = raw ? JSON.parse(raw) : null;
+  const state = url.searchParams.get("state");
+  if (!pending || !state || state !== pending.state) throw new OAuthError("state", "Sign-in response didn't match a pending request");
+  const error = url.searchParams.get("error");
+  if (error) throw new OAuthError(error, url.searchParams.get("error_description") || (error === "access_denied" ? "Access was not granted" : error));
+  const code = url.searchParams.get("code");
+  if (!code) throw new OAuthError("invalid_request", "No authorization code in the response");
+
+  const p = PROVIDERS[pending.provider];
+  const { scope, ...tokens } = await tokenRequest(p, pending.base, {
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: pending.redirectUri,
+    code_verifier: pending.verifier,
+  });
+  const stored: Stored = {
+    provider: p.id,
+    base: pending.base,
+    grantedScopes: scope ? scope.split(/\s+/) : pending.scopes,
+    connectedAt: Date.now(),
+    tokens,
+  };
+  await putSecret(`oauth:${p.id}`, stored);
+  return strip(stored);
+}
+
+const strip = ({ tokens, ...c }: Stored): Connection => c;
+
+export async function getConnection(id: ProviderId): Promise<Connection | undefined> {
+  const s = await getSecret<Stored>(`oauth:${id}`);
+  return s && strip(s);
+}
+
+// A pasted personal access token, for providers that offer them (Canvas).
+export async function saveManualToken(id: ProviderId, base: string, token: string): Promise<Connection> {
+  const stored: Stored = { provider: id, base, grantedScopes: [], connectedAt: Date.now(), manual: true, tokens: { access_token: token, token_type: "Bearer" } };
+  await putSecret(`oauth:${id}`, stored);
+  return strip(stored);
+}
+
+const refreshing = new Map<ProviderId, Promise<Stored>>();
+
+async function refresh(s: Stored): Promise<Stored> {
+  const p = PROVIDERS[s.provider];
+  const { scope, ...tokens } = await tokenRequest(p, s.base, { grant_type: "refresh_token", refresh_token: s.tokens.refresh_token! });
+  // Providers that don't rotate refresh tokens omit it from the response.
+  const next: Stored = { ...s, grantedScopes: scope ? scope.split(/\s+/) : s.grantedScopes, tokens: { ...tokens, refresh_token: tokens.refresh_token ?? s.tokens.refresh_token } };
+  await putSecret(`oauth:${s.provider}`, next);
+  return next;
+}
+
+// `force` refreshes even if the token looks valid (after a 401).
+export async function getAccessToken(id: ProviderId, force = false): Promise<string> {
+  const s = await getSecret<Stored>(`oauth:${id}`);
+  if (!s) throw new OAuthError("not_connected", `${PROVIDERS[id].label} is not connected`);
+  const stale = s.tokens.expires_at !== undefined && s.tokens.expires_at - REFRESH_MARGIN_MS < Date.now();
+  if (!(force || stale) || !s.tokens.refresh_token) return s.tokens.access_token;
+  // One refresh at a time per provider; refresh tokens may be single-use.
+  if (!refreshing.has(id)) refreshing.set(id, refresh(s).finally(() => refreshing.delete(id)));
+  return (await refreshing.get(id)!).tokens.access_token;
+}
+
+// Best-effort revoke at the provider; local tokens are removed regardless.
+export async function disconnect(id: ProviderId) {
+  const s = await getSecret<Stored>(`oauth:${id}`);
+  await deleteSecret(`oauth:${id}`);
+  if (!s || s.manual) return;
+  const p = PROVIDERS[id];
+  const url = p.endpoints(s.base).revoke;
+  if (!url) return;
+  try {
+    if (p.revokeStyle === "canvas") {
+      await fetch(url, { method: "DELETE", headers: { Authorization: `Bearer ${s.tokens.access_token}` } });
+    } else {
+      await fetch(url, { method: "POST", headers: { "Content-Type": "application/x-www-form-urlencoded" }, body: new URLSearchParams({ token: s.tokens.refresh_token ?? s.tokens.access_token }) });
+    }
+  } catch {}
+}
@@ -0,0 +1,121 @@
+// VibeShift — Reward outbox
+// -------------------------
+// Bandit reward updates are written to IndexedDB before they are sent, so
+// feedback given with no signal (on transit, say) isn't lost. There is one
+// entry per decision: a newer reward for the same action_id (a delayed
+// check-in) replaces the queued one. Each entry carries an Idempotency-Key
+// that every retry reuses, so a reply lost on the way back can't fold the
+// reward in twice.
+//
+// flushOutbox() sends oldest first and stops at the first network or server
+// failure. The app calls it at start-up and when the browser comes back
+// online. A background sync wakes the service worker (public/sw.js), which
+// drains the same store itself with the same rules, so rewards go out with no
+// window open; it sends entries to the `endpoint` they were queued with, and
+// leaves ones queued for the in-browser mock to the app. Both can run at
+// once: the Idempotency-Key makes a double send harmless.
+
+import { BanditError, banditUpdate, updateEndpoint, type Context, type UpdateDetails } from "./bandit";
+import { tx } from "./idb";
+
+export type QueuedUpdate = {
+  actionId: string;
+  sessionId: string;
+  userId: string;
+  context: Context;
+  reward: number;
+  details?: UpdateDetails; // outcome and shape for the backend's decision log
+  key: string; // Idempotency-Key, fixed for this reward
+  endpoint?: string; // full /bandit/update URL for the service worker; unset for the mock backend
+  queuedAt: number;
+  attempts: number;
+  lastError?: string;
+};
+
+export type FlushResult = { sessionId: string; status: "sent" | "failed"; error?: string };
+
+export const SYNC_TAG = "vibeshift-outbox";
+
+const newKey = () => globalThis.crypto?.randomUUID?.() ?? `k-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+export async function listOutbox(): Promise<QueuedUpdate[]> {
+  const all = await tx<QueuedUpdate[]>("outbox", "readonly", s => s.getAll());
+  return all.sort((a, b) => a.queuedAt - b.queuedAt);
+}
+
+export async function enqueueUpdate(u: Pick<QueuedUpdate, "actionId" | "sessionId" | "userId" | "context" | "reward" | "details">) {
+  const entry: QueuedUpdate = { ...u, key: newKey(), endpoint: updateEndpoint(), queuedAt: Date.now(), attempts: 0 };
+  await tx("outbox", "readwrite", s => s.put(entry));
+  requestSync().catch(() => {});
+  return entry;
+}
+
+// Zeroes context features of a forgotten source (consent.ts) in queued updates.
+export async function redactOutbox(contextKeys: (keyof Context)[]) {
+  const queued = await listOutbox();
+  await tx("outbox", "readwrite", s => {
+    for (const u of queued) {
+      const context = { ...u.context };
+      contextKeys.forEach(k => { (context as Record<string, unknown>)[k] = 0; });
+      s.put({ ...u, context });
+    }
+    return s.count(); // any request will do: tx resolves once the puts commit
+  });
+}
+
+// Removes (or rewrites) the entry only while it still holds this reward; one
+// queued for the same decision in the meantime stays.
+const settle = (u: QueuedUpdate, next?: QueuedUpdate) =>
+  tx("outbox", "readwrite", s => {
+    const req = s.get(u.actionId);
+    req.addEventListener("success", () => {
+      if ((req.result as QueuedUpdate | undefined)?.key !== u.key) return;
+      if (next) s.put(next);
+      else s.delete(u.actionId);
+    });
+    return req;
+  });
+
+// A 4xx other than a timeout or rate limit won't succeed on a retry (the
+// backend no longer knows the decision, say); those entries are dropped.
+// bandit.ts has already retried transient failures within the call.
+const permanent = (err: unknown) =>
+  err instanceof BanditError && err.kind === "http" && err.status >= 400 && err.status < 500 && err.status !== 408 && err.status !== 429;
+
+async function drain(): Promise<FlushResult[]> {
+  const results: FlushResult[] = [];
+  for (const u of await listOutbox()) {
+    try {
+      await banditUpdate(u.userId, u.actionId, u.context, u.reward, u.key, u.details);
+      await settle(u);
+      results.push({ sessionId: u.sessionId, status: "sent" });
+    } catch (err) {
+      const error = (err as Error).message;
+      if (permanent(err)) {
+        await settle(u);
+        results.push({ sessionId: u.sessionId, status: "failed", error });
+        continue;
+      }
+      await settle(u, { ...u, attempts: u.attempts + 1, lastError: error });
+      break;
+    }
+  }
+  return results;
+}
+
+// Passes run one after another, so an entry queued during a pass is picked
+// up by the pass its caller asked for.
+let last: Promise<unknown> = Promise.resolve();
+export function flushOutbox(): Promise<FlushResult[]> {
+  const pass = last.then(drain, drain);
+  last = pass.catch(() => {});
+  return pass;
+}
+
+// Background Sync (Chromium) wakes the service worker once a connection is
+// back; it sends what's queued, then tells open windows what went out.
+async function requestSync() {
+  if (!("serviceWorker" in navigator)) return;
+  const reg = await navigator.serviceWorker.getRegistration();
+  await (reg as any)?.sync?.register(SYNC_TAG);
+}
@@ -0,0 +1,306 @@
+// VibeShift — Audio player
+// ------------------------
+// Plays the session queue through Web Audio: each track is an <audio> element
+// routed through its own gain node, so consecutive tracks crossfade and the
+// set advances on its own. Sources are local files (object URLs) or catalog
+// previews; a track without one, or whose audio fails to load, runs on a
+// silent clock of SILENT_MS so the set still moves and timing still counts.
+//
+// Every play of a track is logged with the time actually listened (seeking
+// doesn't count) and how it ended:
+//   completed  played out, or ≥ COMPLETE_FRAC of it heard
+//   skipped    moved on within SKIP_MS
+//   early      moved on or stopped later, before COMPLETE_FRAC
+//   back       went to the previous track
+// listenSummary() turns the log into rewardFromSession's completion and skips.
+// Media Session handlers wire up hardware and lock-screen keys.
+
+export type QueueItem = { src?: string; title: string; artist: string; album?: string };
+
+export type Exit = "completed" | "skipped" | "early" | "back";
+
+export type Listen = { index: number; startedAt: number; listenedMs: number; durationMs: number; exit?: Exit };
+
+export type PlaybackState = { index: number; playing: boolean; positionMs: number; durationMs: number; silent: boolean; error?: string };
+
+export type PlayerEvent =
+  | { type: "track"; index: number; listens: Listen[] }
+  | { type: "state"; state: PlaybackState }
+  | { type: "ended"; listens: Listen[] };
+
+type Reason = "auto" | "next" | "prev" | "jump" | "stop";
+
+export const SKIP_MS = 30_000;
+export const COMPLETE_FRAC = 0.9;
+export const SILENT_MS = 3.5 * 60_000;
+const MANUAL_FADE_S = 0.25;
+const TICK_MS = 250;
+
+type Deck = { index: number; el?: HTMLAudioElement; gain?: GainNode; silentMs: number; error?: string };
+
+function exitFor(l: Listen, reason: Reason): Exit {
+  if (reason === "auto" || (l.durationMs > 0 && l.listenedMs >= COMPLETE_FRAC * l.durationMs)) return "completed";
+  if (reason === "prev") return "back";
+  return l.listenedMs < SKIP_MS && reason !== "stop" ? "skipped" : "early";
+}
+
+export function createPlayer(onEvent: (e: PlayerEvent) => void, opts: { crossfadeSec?: number } = {}) {
+  let ctx: AudioContext | null = null;
+  let crossfadeSec = opts.crossfadeSec ?? 4;
+  let queue: QueueItem[] = [];
+  let deck: Deck | null = null;
+  let listen: Listen | null = null;
+  let listens: Listen[] = [];
+  let playing = false;
+  let timer: ReturnType<typeof setInterval> | undefined;
+  let lastTick = 0;
+
+  const audio = () => (ctx ??= new AudioContext());
+  const durationMs = (d: Deck) => (d.el ? (Number.isFinite(d.el.duration) ? d.el.duration * 1000 : 0) : SILENT_MS);
+  const positionMs = (d: Deck) => (d.el ? d.el.currentTime * 1000 : d.silentMs);
+
+  const state = (): PlaybackState => ({
+    index: deck?.index ?? 0,
+    playing,
+    positionMs: deck ? positionMs(deck) : 0,
+    durationMs: deck ? durationMs(deck) : 0,
+    silent: !deck?.el,
+    error: deck?.error,
+  });
+  const emitState = () => {
+    onEvent({ type: "state", state: state() });
+    const s = state();
+    try {
+      if (s.durationMs > 0) navigator.mediaSession?.setPositionState({ duration: s.durationMs / 1000, position: Math.min(s.positionMs, s.durationMs) / 1000, playbackRate: 1 });
+    } catch {}
+  };
+
+  function fadeOut(d: Deck, fadeS: number) {
+    const { el, gain } = d;
+    if (!el || !gain || !ctx) return;
+    const t = ctx.currentTime;
+    gain.gain.cancelScheduledValues(t);
+    gain.gain.setValueAtTime(gain.gain.value, t);
+    gain.gain.linearRampToValueAtTime(0, t + fadeS);
+    setTimeout(() => { el.pause(); el.removeAttribute("src"); el.load(); gain.disconnect(); }, fadeS * 1000 + 50);
+  }
+
+  // Falls back to the silent clock, keeping the position reached.
+  function silence(d: Deck, error: string) {
+    d.silentMs = d.el ? d.el.currentTime * 1000 : 0;
+    if (d.el) fadeOut(d, 0);
+    d.el = undefined;
+    d.gain = undefined;
+    d.error = error;
+    emitState();
+  }
+
+  // Autoplay refused (no user gesture yet): wait for a tap on play.
+  function blocked(d: Deck) {
+    if (deck !== d) return;
+    d.error = "Tap play to start the audio";
+    setPlaying(false);
+  }
+
+  function startDeck(index: number, fadeS: number): Deck {
+    const d: Deck = { index, silentMs: 0 };
+    const src = queue[index]?.src;
+    if (!src) return d;
+    const el = new Audio();
+    if (/^https?:/i.test(src)) el.crossOrigin = "anonymous"; // Web Audio needs CORS for remote previews
+    el.preload = "auto";
+    el.src = src;
+    const gain = audio().createGain();
+    audio().createMediaElementSource(el).connect(gain).connect(audio().destination);
+    const t = audio().currentTime;
+    gain.gain.setValueAtTime(fadeS > 0 ? 0 : 1, t);
+    if (fadeS > 0) gain.gain.linearRampToValueAtTime(1, t + fadeS);
+    el.addEventListener("ended", () => { if (deck === d) advance(); });
+    el.addEventListener("error", () => { if (deck === d) silence(d, "Couldn’t play this track’s audio — timing only"); });
+    d.el = el;
+    d.gain = gain;
+    if (playing) el.play().catch(() => blocked(d));
+    return d;
+  }
+
+  function close(reason: Reason) {
+    if (!listen || !deck) return;
+    listen.durationMs = durationMs(deck) || listen.durationMs;
+    listen.exit = exitFor(listen, reason);
+    listen = null;
+  }
+
+  function open(index: number) {
+    listen = { index, startedAt: Date.now(), listenedMs: 0, durationMs: 0 };
+    listens.push(listen);
+    const item = queue[index];
+    if (item && "mediaSession" in navigator && typeof MediaMetadata !== "undefined") {
+      navigator.mediaSession.metadata = new MediaMetadata({ title: item.title, artist: item.artist, album: item.album ?? "VibeShift" });
+    }
+  }
+
+  function goTo(index: number, reason: Reason) {
+    if (index < 0 || index >= queue.length || index === deck?.index) return;
+    close(reason);
+    const fade = reason === "auto" ? crossfadeSec : MANUAL_FADE_S;
+    if (deck) fadeOut(deck, fade);
+    deck = startDeck(index, deck?.el ? fade : 0);
+    open(index);
+    onEvent({ type: "track", index, listens: [...listens] });
+    emitState();
+  }
+
+  function advance() {
+    if (!deck) return;
+    if (deck.index < queue.length - 1) return goTo(deck.index + 1, "auto");
+    close("auto");
+    setPlaying(false);
+    onEvent({ type: "ended", listens: [...listens] });
+  }
+
+  function tick() {
+    const now = performance.now();
+    const dt = now - lastTick;
+    lastTick = now;
+    if (!playing || !deck) return;
+    if (!deck.el) deck.silentMs += dt;
+    if (listen && (!deck.el || !deck.el.paused)) {
+      listen.listenedMs += dt;
+      listen.durationMs = durationMs(deck) || listen.durationMs;
+    }
+    const dur = durationMs(deck), pos = positionMs(deck);
+    const fadeAt = deck.el && deck.index < queue.length - 1 ? crossfadeSec * 1000 : 0;
+    if (dur > 0 && pos >= dur - fadeAt && (!deck.el || fadeAt > 0)) advance();
+    else emitState();
+  }
+
+  function setPlaying(on: boolean) {
+    playing = on;
+    clearInterval(timer);
+    if (on) {
+      lastTick = performance.now();
+      timer = setInterval(tick, TICK_MS);
+    }
+    if ("mediaSession" in navigator) navigator.mediaSession.playbackState = on ? "playing" : "paused";
+    emitState();
+  }
+
+  const api = {
+    // New queue: the previous one is closed out and its log discarded.
+    load(items: QueueItem[], autoplay = true) {
+      close("stop");
+      if (deck) fadeOut(deck, MANUAL_FADE_S);
+      queue = items;
+      listens = [];
+      deck = null;
+      if (!items.length) return setPlaying(false);
+      playing = autoplay;
+      deck = startDeck(0, 0);
+      open(0);
+      setPlaying(autoplay);
+      if (autoplay) audio().resume().catch(() => {});
+    },
+    // Same tracks, new sources (e.g. local files added mid-set). A silent
+    // current track restarts with its audio.
+    setSources(items: QueueItem[]) {
+      queue = items;
+      if (deck && !deck.el && items[deck.index]?.src) {
+        deck = startDeck(deck.index, 0);
+        emitState();
+      }
+    },
+    play() {
+      if (!deck) return;
+      audio().resume().catch(() => {});
+      const d = deck;
+      d.error = d.el ? undefined : d.error;
+      d.el?.play().catch(() => blocked(d));
+      setPlaying(true);
+    },
+    pause() {
+      deck?.el?.pause();
+      setPlaying(false);
+    },
+    toggle() { playing ? api.pause() : api.play(); },
+    next() { if (deck) goTo(deck.index + 1, "next"); },
+    prev() { if (deck) goTo(deck.index - 1, "prev"); },
+    jump(index: number) { goTo(index, deck && index < deck.index ? "prev" : "jump"); },
+    seek(ms: number) {
+      if (!deck) return;
+      const t = Math.max(0, Math.min(ms, durationMs(deck) || ms));
+      if (deck.el) deck.el.currentTime = t / 1000;
+      else deck.silentMs = t;
+      emitState();
+    },
+    // Ends the set early (new session, leaving the app); the current play counts as an early exit.
+    stop() {
+      close("stop");
+      deck?.el?.pause();
+      setPlaying(false);
+      return [...listens];
+    },
+    setCrossfade(sec: number) { crossfadeSec = Math.max(0, sec); },
+    listens: () => [...listens],
+    destroy() {
+      clearInterval(timer);
+      if (deck) fadeOut(deck, 0);
+      ctx?.close().catch(() => {});
+      if ("mediaSession" in navigator) for (const a of MEDIA_ACTIONS) try { navigator.mediaSession.setActionHandler(a, null); } catch {}
+    },
+  };
+
+  if ("mediaSession" in navigator) {
+    const handlers: Partial<Record<MediaSessionAction, MediaSessionActionHandler>> = {
+      play: () => api.play(),
+      pause: () => api.pause(),
+      nexttrack: () => api.next(),
+      previoustrack: () => api.prev(),
+      seekto: (d) => api.seek((d.seekTime ?? 0) * 1000),
+      seekbackward: (d) => deck && api.seek(positionMs(deck) - (d.seekOffset ?? 10) * 1000),
+      seekforward: (d) => deck && api.seek(positionMs(deck) + (d.seekOffset ?? 10) * 1000),
+    };
+    for (const a of MEDIA_ACTIONS) try { navigator.mediaSession.setActionHandler(a, handlers[a] ?? null); } catch {}
+  }
+
+  return api;
+}
+
+const MEDIA_ACTIONS: MediaSessionAction[] = ["play", "pause", "nexttrack", "previoustrack", "seekto", "seekbackward", "seekforward"];
+
+export type Player = ReturnType<typeof createPlayer>;
+
+// Completion is the mean share of each planned track heard (COMPLETE_FRAC
+// counts as all of it, so crossfades don't cost anything).
+export function listenSummary(listens: Listen[], n: number) {
+  const heard = new Array(n).fill(0), dur = new Array(n).fill(0);
+  for (const l of listens) {
+    if (l.index >= n) continue;
+    heard[l.index] += l.listenedMs;
+    dur[l.index] = Math.max(dur[l.index], l.durationMs);
+  }
+  const completionPct = n ? heard.reduce((s, ms, i) => s + (dur[i] ? Math.min(1, ms / (COMPLETE_FRAC * dur[i])) : 0), 0) / n : 0;
+  return {
+    completionPct,
+    skips: listens.filter(l => l.exit === "skipped").length,
+    earlyExits: listens.filter(l => l.exit === "early").length,
+    listenedMs: heard.reduce((a, b) => a + b, 0),
+    played: [...new Set(listens.map(l => l.index))].sort((a, b) => a - b),
+  };
+}
+
+// ---------- Local files ----------
+const normName = (s: string) => s.toLowerCase().normalize("NFKD").replace(/[\u0300-\u036f]/g, "").replace(/[^a-z0-9]+/g, " ").trim();
+
+// Picks the audio file for each queue item by name: "Artist - Title.mp3",
+// "01 Title.flac" and the like. Returns the file index per item, or -1.
+export function matchFiles(names: string[], items: { title: string; artist: string }[]): number[] {
+  const files = names.map(n => ` ${normName(n.replace(/\.[a-z0-9]{2,5}$/i, "").replace(/^\d{1,3}[\s._-]+/, ""))} `);
+  const used = new Set<number>();
+  return items.map(({ title, artist }) => {
+    const t = ` ${normName(title)} `, a = normName(artist.split(/,|&/)[0] ?? "");
+    const hits = files.map((f, i) => (!used.has(i) && f.includes(t) ? i : -1)).filter(i => i >= 0);
+    const best = hits.find(i => a && files[i].includes(a)) ?? hits.find(i => files[i].trim() === t.trim()) ?? -1;
+    if (best >= 0) used.add(best);
+    return best;
+  });
+}
@@ -0,0 +1,304 @@
+// VibeShift — Playlist files
+// --------------------------
+// Writes a session as M3U8, XSPF or JSPF with each track's path target
+// (valence, energy, dance, tempo) carried as extension metadata, and reads
+// those formats back:
+//
+//   M3U8   #EXTVIBE:target=v,e,d,bpm;features=v,e,d,bpm  before each entry
+//   XSPF   <extension application="urn:vibeshift:target"><vs:target …/><vs:features …/></extension>
+//   JSPF   "extension": { "urn:vibeshift:target": [{ target, features }] }
+//
+// `features` are the catalog track's own audio features, when the target was
+// matched to one. Players ignore the extensions; other tools can read them.
+// scorePlaylist() measures how well a playlist's tracks follow a mood path.
+
+import { targetDistance, type CatalogTrack } from "./catalog";
+import type { TrackTarget } from "./bandit";
+
+export type Features = Omit<TrackTarget, "index">;
+
+export type PlaylistEntry = {
+  title: string;
+  artist: string;
+  album?: string;
+  durationMs?: number;
+  location?: string;
+  identifier?: string;
+  target?: Features;
+  features?: Features;
+};
+
+export type PlaylistMeta = { title: string; created: number; goal?: string; startMood?: number; targetMood?: number };
+
+export type PlaylistFormat = "m3u8" | "xspf" | "jspf";
+
+export const EXT_TARGET = "urn:vibeshift:target";
+export const EXT_SESSION = "urn:vibeshift:session";
+const NS = "urn:vibeshift:ns";
+
+export const MIME: Record<PlaylistFormat, string> = {
+  m3u8: "audio/x-mpegurl",
+  xspf: "application/xspf+xml",
+  jspf: "application/json",
+};
+
+const FEATURE_KEYS = ["valence", "energy", "dance", "tempo"] as const;
+const r3 = (x: number) => Math.round(x * 1000) / 1000;
+const pickFeatures = (f: Features): Features => ({ valence: r3(f.valence), energy: r3(f.energy), dance: r3(f.dance), tempo: Math.round(f.tempo) });
+
+// Catalog ids from the Spotify datasets are base62 track ids.
+export function trackLocation(id: string | undefined, previewUrl?: string) {
+  if (id && /^[0-9A-Za-z]{22}$/.test(id)) return `https://open.spotify.com/track/${id}`;
+  if (id?.startsWith("spotify:track:")) return `https://open.spotify.com/track/${id.slice(14)}`;
+  return previewUrl;
+}
+
+// App track (see tracksFromTargets) → entry; placeholder titles have no location.
+export function entryFromTrack(t: { title: string; artist: string; valence: number; energy: number; dance: number; tempo: number; match?: { track: CatalogTrack } | null }): PlaylistEntry {
+  const c = t.match?.track;
+  return {
+    title: t.title,
+    artist: t.artist,
+    album: c?.album,
+    location: trackLocation(c?.id, c?.previewUrl),
+    identifier: c?.id,
+    target: pickFeatures(t),
+    features: c && pickFeatures(c),
+  };
+}
+
+// ---------- Writers ----------
+const esc = (s: string) => s.replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+const csv4 = (f: Features) => FEATURE_KEYS.map(k => f[k]).join(",");
+const attrs = (f: Features) => FEATURE_KEYS.map(k => `${k}="${f[k]}"`).join(" ");
+
+export function toM3U8(entries: PlaylistEntry[], meta: PlaylistMeta) {
+  const lines = ["#EXTM3U", `#PLAYLIST:${meta.title}`];
+  entries.forEach((e, i) => {
+    const vibe = [e.target && `target=${csv4(e.target)}`, e.features && `features=${csv4(e.features)}`].filter(Boolean).join(";");
+    if (vibe) lines.push(`#EXTVIBE:${vibe}`);
+    lines.push(`#EXTINF:${e.durationMs ? Math.round(e.durationMs / 1000) : -1},${e.artist} - ${e.title}`);
+    if (e.album) lines.push(`#EXTALB:${e.album}`);
+    lines.push(e.location ?? `#${i + 1} (no location)`);
+  });
+  return lines.join("\n") + "\n";
+}
+
+export function toXSPF(entries: PlaylistEntry[], meta: PlaylistMeta) {
+  const session = [meta.goal && `goal="${esc(meta.goal)}"`, meta.startMood !== undefined && `start="${meta.startMood}"`, meta.targetMood !== undefined && `target="${meta.targetMood}"`].filter(Boolean).join(" ");
+  const track = (e: PlaylistEntry) => [
+    "    <track>",
+    e.location && `      <location>${esc(e.location)}</location>`,
+    e.identifier && `      <identifier>${esc(e.identifier)}</identifier>`,
+    `      <title>${esc(e.title)}</title>`,
+    `      <creator>${esc(e.artist)}</creator>`,
+    e.album && `      <album>${esc(e.album)}</album>`,
+    e.durationMs && `      <duration>${Math.round(e.durationMs)}</duration>`,
+    (e.target || e.features) && `      <extension application="${EXT_TARGET}">${e.target ? `<vs:target ${attrs(e.target)}/>` : ""}${e.features ? `<vs:features ${attrs(e.features)}/>` : ""}</extension>`,
+    "    </track>",
+  ].filter(Boolean).join("\n");
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<playlist version="1" xmlns="http://xspf.org/ns/0/" xmlns:vs="${NS}">`,
+    `  <title>${esc(meta.title)}</title>`,
+    `  <creator>VibeShift</creator>`,
+    `  <date>${new Date(meta.created).toISOString()}</date>`,
+    session && `  <extension application="${EXT_SESSION}"><vs:session ${session}/></extension>`,
+    "  <trackList>",
+    ...entries.map(track),
+    "  </trackList>",
+    "</playlist>",
+  ].filter(Boolean).join("\n") + "\n";
+}
+
+export function toJSPF(entries: PlaylistEntry[], meta: PlaylistMeta) {
+  const playlist = {
+    title: meta.title,
+    creator: "VibeShift",
+    date: new Date(meta.created).toISOString(),
+    ...(meta.goal && { extension: { [EXT_SESSION]: [{ goal: meta.goal, start: meta.startMood, target: meta.targetMood }] } }),
+    track: entries.map(e => ({
+      title: e.title,
+      creator: e.artist,
+      ...(e.album && { album: e.album }),
+      ...(e.durationMs && { duration: Math.round(e.durationMs) }),
+      ...(e.location && { location: [e.location] }),
+      ...(e.identifier && { identifier: [e.identifier] }),
+      ...((e.target || e.features) && { extension: { [EXT_TARGET]: [{ target: e.target, features: e.features }] } }),
+    })),
+  };
+  return JSON.stringify({ playlist }, null, 2) + "\n";
+}
+
+export function writePlaylist(format: PlaylistFormat, entries: PlaylistEntry[], meta: PlaylistMeta) {
+  return format === "m3u8" ? toM3U8(entries, meta) : format === "xspf" ? toXSPF(entries, meta) : toJSPF(entries, meta);
+}
+
+// ---------- Readers ----------
+const unesc = (s: string) => s
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1")
+  .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+  .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(+d))
+  .replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, "&");
+
+function readFeatures(x: any): Features | undefined {
+  if (!x) return undefined;
+  const f = Object.fromEntries(FEATURE_KEYS.map(k => [k, Number(x[k])])) as Features;
+  return FEATURE_KEYS.every(k => Number.isFinite(f[k])) ? f : undefined;
+}
+
+const csvFeatures = (s: string | undefined) => {
+  const v = s?.split(",").map(Number);
+  return v && readFeatures({ valence: v[0], energy: v[1], dance: v[2], tempo: v[3] });
+};
+
+// "Artist - Title" (the usual EXTINF form); without a dash the whole thing is the title.
+function splitArtistTitle(s: string) {
+  const i = s.indexOf(" - ");
+  return i > 0 ? { artist: s.slice(0, i).trim(), title: s.slice(i + 3).trim() } : { artist: "", title: s.trim() };
+}
+
+export function parseM3U(text: string): PlaylistEntry[] {
+  const out: PlaylistEntry[] = [];
+  let pending: Partial<PlaylistEntry> = {};
+  for (const raw of text.replace(/^\uFEFF/, "").split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line) continue;
+    if (line.startsWith("#EXTINF:")) {
+      const m = /^#EXTINF:(-?\d+(?:\.\d+)?)[^,]*,(.*)$/.exec(line);
+      if (m) Object.assign(pending, splitArtistTitle(m[2]), +m[1] > 0 ? { durationMs: +m[1] * 1000 } : {});
+    } else if (line.startsWith("#EXTVIBE:")) {
+      const kv = Object.fromEntries(line.slice(9).split(";").map(p => p.split("=") as [string, string]));
+      pending.target = csvFeatures(kv.target);
+      pending.features = csvFeatures(kv.features);
+    } else if (line.startsWith("#EXTALB:")) {
+      pending.album = line.slice(8).trim();
+    } else if (/^#\d+ \(no location\)$/.test(line)) {
+      out.push(finish(pending)); // written by toM3U8 for tracks without a file or link
+      pending = {};
+    } else if (!line.startsWith("#")) {
+      out.push(finish({ ...pending, location: line }));
+      pending = {};
+    }
+  }
+  return out;
+}
+
+// Entries with no EXTINF fall back to the file name in the location.
+function finish(p: Partial<PlaylistEntry>): PlaylistEntry {
+  const file = p.location ? decodeURIComponent(p.location.split(/[\\/]/).pop() ?? "").replace(/\.[a-z0-9]{2,4}$/i, "") : "";
+  const fallback = splitArtistTitle(file);
+  return { ...p, title: p.title || fallback.title || "Untitled", artist: p.artist ?? fallback.artist };
+}
+
+const tag = (xml: string, name: string) => {
+  const m = new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`).exec(xml);
+  return m ? unesc(m[1].trim()) : undefined;
+};
+const attrMap = (s: string) => Object.fromEntries([...s.matchAll(/([\w:-]+)="([^"]*)"/g)].map(m => [m[1], unesc(m[2])]));
+
+export function parseXSPF(text: string): PlaylistEntry[] {
+  return [...text.matchAll(/<track(?:\s[^>]*)?>([\s\S]*?)<\/track>/g)].map(([, body]) => {
+    const target = /<[\w-]+:target\s([^>]*?)\/?>/.exec(body);
+    const features = /<[\w-]+:features\s([^>]*?)\/?>/.exec(body);
+    const duration = Number(tag(body, "duration"));
+    return finish({
+      title: tag(body, "title"),
+      artist: tag(body, "creator"),
+      album: tag(body, "album"),
+      location: tag(body, "location"),
+      identifier: tag(body, "identifier"),
+      durationMs: duration > 0 ? duration : undefined,
+      target: target ? readFeatures(attrMap(target[1])) : undefined,
+      features: features ? readFeatures(attrMap(features[1])) : undefined,
+    });
+  });
+}
+
+export function parseJSPF(text: string): PlaylistEntry[] {
+  const data = JSON.parse(text);
+  const tracks: any[] = data?.playlist?.track ?? [];
+  const first = (x: unknown) => (Array.isArray(x) ? x[0] : x) as string | undefined;
+  return tracks.map(t => {
+    const ext = first(t.extension?.[EXT_TARGET]) as any;
+    return finish({
+      title: t.title,
+      artist: t.creator,
+      album: t.album,
+      location: first(t.location),
+      identifier: first(t.identifier),
+      durationMs: t.duration > 0 ? t.duration : undefined,
+      target: readFeatures(ext?.target),
+      features: readFeatures(ext?.features),
+    });
+  });
+}
+
+export function parsePlaylist(text: string, filename = ""): PlaylistEntry[] {
+  const head = text.trimStart();
+  if (/\.jspf$/i.test(filename) || head.startsWith("{")) return parseJSPF(head);
+  if (/\.xspf$/i.test(filename) || head.startsWith("<")) return parseXSPF(text);
+  return parseM3U(text);
+}
+
+// ---------- Scoring ----------
+const norm = (s = "") => s.toLowerCase().normalize("NFKD").replace(/[\u0300-\u036f]/g, "").replace(/\(.*?\)|\[.*?\]|feat\..*$/g, "").replace(/[^a-z0-9]/g, "");
+
+// Audio features for each entry: embedded features, else the catalog track by
+// id, Spotify link, or artist + title.
+export function resolveFeatures(entries: PlaylistEntry[], catalog: CatalogTrack[]): (Features | null)[] {
+  const byId = new Map(catalog.map(t => [t.id, t]));
+  const byName = new Map(catalog.map(t => [`${norm(t.artists[0])}|${norm(t.title)}`, t]));
+  return entries.map(e => {
+    if (e.features) return e.features;
+    const spotify = /open\.spotify\.com\/track\/([0-9A-Za-z]{22})|spotify:track:([0-9A-Za-z]{22})/.exec(`${e.location ?? ""} ${e.identifier ?? ""}`);
+    const c = (e.identifier && byId.get(e.identifier)) || (spotify && byId.get(spotify[1] ?? spotify[2]))
+      || byName.get(`${norm(e.artist.split(/,|&| x /)[0])}|${norm(e.title)}`);
+    return c ? pickFeatures(c) : null;
+  });
+}
+
+export type PlaylistScore = {
+  score: number; // 0–100
+  closeness: number; // 0–1, mean of exp(−distance / 0.25)
+  trend: number | null; // 0–1, agreement of the mood direction (null when the path is flat)
+  coverage: number; // share of entries with features
+  rows: { entry: PlaylistEntry; target: Features; features: Features | null; distance: number | null }[];
+};
+
+const mean = (xs: number[]) => xs.reduce((a, b) => a + b, 0) / xs.length;
+
+function pearson(a: number[], b: number[]) {
+  const ma = mean(a), mb = mean(b);
+  let num = 0, da = 0, db = 0;
+  for (let i = 0; i < a.length; i++) {
+    num += (a[i] - ma) * (b[i] - mb);
+    da += (a[i] - ma) ** 2;
+    db += (b[i] - mb) ** 2;
+  }
+  return da > 1e-9 && db > 1e-9 ? num / Math.sqrt(da * db) : null;
+}
+
+// `targets` is the path for the playlist's length (makePlaylist with N = entries.length).
+// Closeness is 60% of the score, trend 40%: a set can sit near the path on
+// average yet move the wrong way. The trend uses (valence + energy) / 2.
+export function scorePlaylist(entries: PlaylistEntry[], targets: Features[], catalog: CatalogTrack[]): PlaylistScore | null {
+  const features = resolveFeatures(entries, catalog);
+  const rows = entries.map((entry, i) => {
+    const f = features[i];
+    return { entry, target: pickFeatures(targets[i]), features: f, distance: f ? targetDistance(f, targets[i]) : null };
+  });
+  const known = rows.filter(r => r.features);
+  if (!known.length) return null;
+  const closeness = mean(known.map(r => Math.exp(-r.distance! / 0.25)));
+  const mood = (f: Features) => (f.valence + f.energy) / 2;
+  const r = known.length >= 3 ? pearson(known.map(k => mood(k.features!)), known.map(k => mood(k.target))) : null;
+  const trend = r === null ? null : (r + 1) / 2;
+  return {
+    score: Math.round(100 * (trend === null ? closeness : 0.6 * closeness + 0.4 * trend)),
+    closeness,
+    trend,
+    coverage: known.length / rows.length,
+    rows,
+  };
+}
@@ -0,0 +1,101 @@
+// VibeShift — Local profiles
+// --------------------------
+// Several people can share one device. Each profile has a stable user id (the
+// bandit's user_id) and its own storage: settings are the usual `vs_*`
+// localStorage keys with an `@<profile id>` suffix, and IndexedDB is a separate
+// database `vibeshift@<profile id>`. The first profile, "default", keeps the
+// unsuffixed names so data from before profiles existed is simply its data.
+//
+// The active profile is read once at start-up; switching writes the registry
+// and the app reloads, so every module picks up the new namespace.
+
+export type Profile = { id: string; name: string; userId: string; createdAt: number };
+type Registry = { active: string; profiles: Profile[] };
+
+const REGISTRY_KEY = "vibeshift:profiles";
+const DEFAULT_ID = "default";
+const DB_BASE = "vibeshift";
+const LEGACY_USER_KEY = "vs_user_id";
+
+const randomId = (prefix: string) =>
+  globalThis.crypto?.randomUUID ? crypto.randomUUID() : `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+function readRegistry(): Registry | null {
+  try {
+    const r = JSON.parse(localStorage.getItem(REGISTRY_KEY) ?? "null") as Registry | null;
+    return r?.profiles?.length ? r : null;
+  } catch {
+    return null;
+  }
+}
+
+const writeRegistry = (r: Registry) => localStorage.setItem(REGISTRY_KEY, JSON.stringify(r));
+
+// First run: the existing data becomes the default profile, keeping its user id.
+function ensureRegistry(): Registry {
+  const existing = readRegistry();
+  if (existing) return existing;
+  let userId: string | undefined;
+  try { userId = JSON.parse(localStorage.getItem(LEGACY_USER_KEY) ?? "null") ?? undefined; } catch {}
+  const r: Registry = { active: DEFAULT_ID, profiles: [{ id: DEFAULT_ID, name: "Default", userId: userId ?? randomId("u"), createdAt: Date.now() }] };
+  try { writeRegistry(r); } catch {}
+  return r;
+}
+
+const registry = ensureRegistry();
+export const PROFILE: Profile = registry.profiles.find(p => p.id === registry.active) ?? registry.profiles[0];
+
+export const listProfiles = (): Profile[] => (readRegistry() ?? registry).profiles;
+
+// localStorage key / IndexedDB database name for a profile.
+export const profileKey = (key: string, p: Pick<Profile, "id"> = PROFILE) => (p.id === DEFAULT_ID ? key : `${key}@${p.id}`);
+export const dbNameFor = (p: Pick<Profile, "id"> = PROFILE) => profileKey(DB_BASE, p);
+
+// The profile's own localStorage keys, without their suffix.
+export function profileKeys(p: Pick<Profile, "id"> = PROFILE): string[] {
+  const suffix = `@${p.id}`;
+  const out: string[] = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const k = localStorage.key(i)!;
+    if (!k.startsWith("vs_")) continue;
+    if (p.id === DEFAULT_ID ? !k.includes("@") : k.endsWith(suffix)) out.push(p.id === DEFAULT_ID ? k : k.slice(0, -suffix.length));
+  }
+  return out;
+}
+
+export function createProfile(name: string, userId = randomId("u")): Profile {
+  const r = readRegistry() ?? registry;
+  if (r.profiles.some(p => p.userId === userId)) throw new Error("A profile with that user id already exists");
+  const p: Profile = { id: randomId("p").slice(0, 8), name: name.trim() || `Profile ${r.profiles.length + 1}`, userId, createdAt: Date.now() };
+  writeRegistry({ ...r, profiles: [...r.profiles, p] });
+  return p;
+}
+
+export function renameProfile(id: string, name: string) {
+  const r = readRegistry() ?? registry;
+  writeRegistry({ ...r, profiles: r.profiles.map(p => (p.id === id && name.trim() ? { ...p, name: name.trim() } : p)) });
+}
+
+// Takes effect on the next load; callers reload the page.
+export function switchProfile(id: string) {
+  const r = readRegistry() ?? registry;
+  if (!r.profiles.some(p => p.id === id)) throw new Error(`No profile ${id}`);
+  writeRegistry({ ...r, active: id });
+}
+
+// Wipes the profile's settings and database. The active profile can't be
+// deleted; switch away first.
+export async function deleteProfile(id: string) {
+  const r = readRegistry() ?? registry;
+  const p = r.profiles.find(x => x.id === id);
+  if (!p) return;
+  if (id === r.active || id === PROFILE.id) throw new Error("Switch to another profile before deleting this one");
+  for (const k of profileKeys(p)) localStorage.removeItem(profileKey(k, p));
+  await new Promise<void>((resolve, reject) => {
+    const req = indexedDB.deleteDatabase(dbNameFor(p));
+    req.onsuccess = () => resolve();
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => resolve(); // finishes once the last connection closes
+  });
+  writeRegistry({ ...r, profiles: r.profiles.filter(x => x.id !== id) });
+}
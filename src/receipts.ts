@@ -0,0 +1,50 @@
+// VibeShift — Receipt emails → transactions
+// -----------------------------------------
+// Reads a Gmail Takeout mbox (or single .eml files) and keeps messages that
+// look like receipts: a receipt-ish subject or body plus a total we can find.
+
+import { bodyText, decodeWords, readMessages, sender, splitHeaders } from "./email";
+import type { Txn } from "./transactions";
+
+const RECEIPT = /receipt|your order|order confirm|invoice|payment (received|confirmation)|purchase|you paid|thanks for your order/i;
+// Most specific label wins: "order total" over "total", and "subtotal" never counts.
+const TOTAL_LABELS = [/(grand total|order total|total charged|amount charged|amount paid|total paid)/i, /(?<!sub)total/i];
+const AMOUNT = /(?:[$€£]|CA\$|US\$|USD|CAD|EUR|GBP)\s?(\d{1,3}(?:[,\s]\d{3})*(?:\.\d{2})|\d+(?:\.\d{2}))/;
+
+function findTotal(text: string): number | undefined {
+  const lines = text.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  for (const label of TOTAL_LABELS) {
+    // Label and amount on one line, or the amount on the next line (table layouts).
+    for (let i = lines.length - 1; i >= 0; i--) {
+      if (!label.test(lines[i])) continue;
+      const m = AMOUNT.exec(lines[i]) ?? AMOUNT.exec(lines[i + 1] ?? "");
+      if (m) return Number(m[1].replace(/[,\s]/g, ""));
+    }
+  }
+}
+
+export function receiptFromMessage(raw: string): Txn | null {
+  const msg = splitHeaders(raw);
+  const subject = decodeWords(msg.headers.subject ?? "");
+  const text = bodyText(msg);
+  if (!RECEIPT.test(subject) && !RECEIPT.test(text.slice(0, 2000))) return null;
+  const amount = findTotal(text);
+  const at = Date.parse(msg.headers.date ?? "");
+  if (!amount || !Number.isFinite(at)) return null;
+  const id = msg.headers["message-id"] ?? `${at}:${subject}`;
+  return {
+    id: `gmail:${id}`,
+    date: new Date(at).toLocaleDateString("en-CA"),
+    at,
+    amount: /refund/i.test(subject) ? -amount : amount,
+    merchant: decodeWords(sender(msg.headers.from ?? "")),
+    category: "receipt",
+    source: "gmail",
+  };
+}
+
+export async function receiptsFromFile(file: File, onProgress?: (done: number, total: number) => void): Promise<Txn[]> {
+  const out: Txn[] = [];
+  await readMessages(file, raw => { const t = receiptFromMessage(raw); if (t) out.push(t); }, onProgress);
+  return out;
+}
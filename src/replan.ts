@@ -0,0 +1,112 @@
+// VibeShift — Mid-session re-planning
+// -----------------------------------
+// A set is planned as shift progress per track (shapes.ts: 0 = the mood at
+// the start, 1 = the goal, on both axes of the mood plane), and curve.ts turns
+// each progress into targets.
+// While it plays, one-tap check-ins and how tracks are being listened to
+// (player.ts → Listen) say where the listener has actually got to. When they
+// disagree with the plan, the tracks not yet played are re-planned receding-
+// horizon style: the shape is laid again over what's left, from the estimated
+// progress to the goal, on the same curve — nothing already heard changes.
+//
+// The estimate comes from the newest evidence:
+//   check-in   mood lower / same / higher than at the start → −NUDGE_PTS / 0 /
+//              +NUDGE_PTS of valence (no reading when the goal doesn't
+//              change valence much)
+//   listening  a completed or replayed track counts as taken in, so the
+//              estimate is the progress of the last such track; skipped and
+//              abandoned tracks add nothing
+// A re-plan is triggered by a check-in (unless it's within MIN_SHIFT of the
+// plan), SKIP_STREAK skips in a row, or going back to replay a track.
+
+import { moodDistance, type Mood } from "./mood";
+import type { Listen } from "./player";
+import { DEFAULT_SHAPE, progress, type Shape } from "./shapes";
+
+export type Feel = -1 | 0 | 1;
+
+// `listens` is how many plays the session had logged at the time, so later
+// evidence can be told apart from earlier.
+export type Nudge = { at: number; index: number; feel: Feel; listens: number };
+
+export type ReplanReason = "nudge" | "skips" | "replay";
+
+export type Replan = {
+  at: number;
+  index: number;       // furthest track reached when the plan changed; later ones were re-targeted
+  reason: ReplanReason;
+  progress: number;    // estimated shift progress it started from
+  mood: number;        // the same as valence, 0..100
+  arousal: number;     // and arousal
+  listens: number;
+};
+
+export const NUDGE_PTS = 8;
+export const SKIP_STREAK = 3;
+export const MIN_SHIFT = 0.1;
+const MIN_GAP = 2; // mood points between start and goal; closer, there's no shift to re-plan (or read a check-in on)
+
+const clamp = (a:number, x:number, b:number) => Math.max(a, Math.min(b, x));
+
+export const planProgress = (shape: Shape = DEFAULT_SHAPE, N: number) =>
+  Array.from({ length: N }, (_, i) => progress(shape, (i + 1) / N));
+
+export const moodAt = (start: Mood, goal: Mood, p: number): Mood => ({
+  valence: Math.round(start.valence + (goal.valence - start.valence) * p),
+  arousal: Math.round(start.arousal + (goal.arousal - start.arousal) * p),
+});
+
+// Undefined when the set barely moves valence, so "lower" or "higher" can't be placed on it.
+export function nudgeProgress(start: Mood, goal: Mood, feel: Feel): number | undefined {
+  const gap = goal.valence - start.valence;
+  return Math.abs(gap) < MIN_GAP ? undefined : clamp(-0.5, (feel * NUDGE_PTS) / gap, 1);
+}
+
+// Progress of the newest evidence: listening after the last check-in, else
+// the check-in (or the plan, where it can't be read), else none yet (0).
+export function estimateProgress(plan: number[], listens: Listen[], nudges: Nudge[], start: Mood, goal: Mood): number {
+  const nudge = nudges[nudges.length - 1];
+  for (let k = listens.length - 1; k >= (nudge?.listens ?? 0); k--) {
+    const l = listens[k];
+    const replayed = k > 0 && l.index < listens[k - 1].index;
+    if (l.exit === "completed" || (replayed && l.exit !== "skipped")) return plan[l.index] ?? 0;
+  }
+  return nudge ? nudgeProgress(start, goal, nudge.feel) ?? plan[nudge.index] ?? 0 : 0;
+}
+
+// Listening that calls for a re-plan, looking only at plays since the last one.
+export function replanTrigger(listens: Listen[], since: number): ReplanReason | null {
+  const closed = listens.slice(since).filter(l => l.exit);
+  if (closed.length >= SKIP_STREAK && closed.slice(-SKIP_STREAK).every(l => l.exit === "skipped")) return "skips";
+  const k = listens.length - 1;
+  if (k >= Math.max(1, since) && listens[k].index < listens[k - 1].index) return "replay";
+  return null;
+}
+
+export type ReplanState = {
+  start: Mood;
+  goal: Mood;
+  shape?: Shape;
+  plan: number[];
+  index: number;       // track playing now
+  listens: Listen[];
+  nudges: Nudge[];
+};
+
+// The new plan (same length, unchanged up to the furthest track reached, so a
+// replay doesn't re-target what was already heard) and its record, or null
+// when there's nothing to change: no tracks left, no mood gap, or a check-in
+// that agrees with the plan.
+export function replan(s: ReplanState, reason: ReplanReason, at = Date.now()): { plan: number[]; replan: Replan } | null {
+  const reached = Math.max(s.index, ...s.listens.map(l => l.index));
+  const rest = s.plan.length - 1 - reached;
+  if (rest < 1 || moodDistance(s.start, s.goal) < MIN_GAP) return null;
+  const from = estimateProgress(s.plan, s.listens, s.nudges, s.start, s.goal);
+  if (reason === "nudge" && Math.abs(from - s.plan[s.index]) < MIN_SHIFT) return null;
+  const shape = s.shape ?? DEFAULT_SHAPE;
+  const est = moodAt(s.start, s.goal, from);
+  return {
+    plan: s.plan.map((p, i) => (i <= reached ? p : from + (1 - from) * progress(shape, (i - reached) / rest))),
+    replan: { at, index: reached, reason, progress: from, mood: est.valence, arousal: est.arousal, listens: s.listens.length },
+  };
+}
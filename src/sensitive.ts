@@ -0,0 +1,94 @@
+// VibeShift — Sealed settings
+// ---------------------------
+// Health, finance, grade, location and self-report values never sit in
+// localStorage as plain JSON. Each one is stored as an AES-GCM box sealed
+// with the vault's settings key (the device key, or a passphrase's; see
+// vault.ts). After unlock they are decrypted once into memory, so
+// useLocalStorage can keep reading synchronously; writes are sealed in the
+// background.
+//
+// Plain values found at unlock — written before encryption existed, or
+// restored from a profile archive — are sealed on the spot.
+//
+// Only these localStorage settings are sealed. The records behind them in
+// IndexedDB (signals, transactions, grades, session logs and the outbox's
+// contexts) are stored in the clear, and the device key lives in the same
+// database (vault.ts), so without a passphrase a script on the page can read
+// everything; with one, it still reads the records.
+
+import { profileKey } from "./profiles";
+import { sealSetting, unsealSetting } from "./vault";
+
+export const SENSITIVE_KEYS = [
+  "vs_sleep", "vs_hrv", "vs_rhr", "vs_steps", "vs_health_import", // health
+  "vs_spend",                                                     // finance
+  "vs_grade", "vs_canvas_domain",                                 // education
+  "vs_weather_place",                                             // location
+  "vs_self",                                                      // self-reported mood
+];
+const SENSITIVE = new Set(SENSITIVE_KEYS);
+export const isSensitive = (key: string) => SENSITIVE.has(key);
+
+type Boxed = { $sealed: 1; iv: string; data: string };
+
+const b64 = (bytes: ArrayBuffer | Uint8Array) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+const unb64 = (s: string) => Uint8Array.from(atob(s), c => c.charCodeAt(0));
+
+const cache = new Map<string, unknown>();
+const generation = new Map<string, number>(); // bumps on every write or forget
+
+async function persist(key: string, value: unknown, gen: number) {
+  const s = await sealSetting(value);
+  if ((generation.get(key) ?? 0) !== gen) return; // a newer write (or a forget) won
+  const boxed: Boxed = { $sealed: 1, iv: b64(s.iv), data: b64(s.data) };
+  localStorage.setItem(profileKey(key), JSON.stringify(boxed));
+}
+
+const bump = (key: string) => {
+  const gen = (generation.get(key) ?? 0) + 1;
+  generation.set(key, gen);
+  return gen;
+};
+
+// Call once the vault is unlocked, before anything reads a sensitive key.
+export async function loadSensitive() {
+  for (const key of SENSITIVE_KEYS) {
+    const raw = localStorage.getItem(profileKey(key));
+    if (raw === null) continue;
+    try {
+      const v = JSON.parse(raw);
+      if (v?.$sealed === 1) {
+        cache.set(key, await unsealSetting({ v: 1, iv: unb64(v.iv), data: unb64(v.data).buffer }));
+      } else {
+        cache.set(key, v);
+        await persist(key, v, bump(key));
+      }
+    } catch {
+      // Sealed under a key we no longer have (a reset passphrase): unreadable, so gone.
+      localStorage.removeItem(profileKey(key));
+    }
+  }
+}
+
+export const readSensitive = <T>(key: string, fallback: T): T => (cache.has(key) ? (cache.get(key) as T) : fallback);
+
+export function writeSensitive(key: string, value: unknown) {
+  cache.set(key, value);
+  persist(key, value, bump(key)).catch(() => {});
+}
+
+// Everything held, decrypted; for profile archives.
+export const sensitiveValues = (): Record<string, unknown> => Object.fromEntries(cache);
+
+// After the settings key changes.
+export async function resealSensitive() {
+  for (const [key, value] of cache) await persist(key, value, bump(key));
+}
+
+export function forgetSensitive(keys: string[] = SENSITIVE_KEYS) {
+  for (const key of keys) {
+    cache.delete(key);
+    bump(key);
+    localStorage.removeItem(profileKey(key));
+  }
+}
@@ -0,0 +1,80 @@
+// VibeShift — Trajectory shapes
+// -----------------------------
+// A shape maps set progress t ∈ [0, 1] (track i of N → i/N) to how far along
+// the mood shift we are: 0 = meet the listener at their current mood,
+// 1 = fully at the goal. The curve gains then scale that into per-feature
+// targets. "custom" interpolates hand-placed knots from the curve editor.
+
+export type ShapeId = "cosine" | "linear" | "sigmoid" | "iso" | "overshoot" | "custom";
+
+export type ShapeParams = {
+  steepness?: number; // sigmoid: how sharp the middle transition is
+  hold?: number;      // iso: fraction of the set held at the current mood
+  overshoot?: number; // overshoot: how far past the goal before settling
+  knots?: number[];   // custom: progress at KNOTS_T
+};
+
+export type Shape = { id: ShapeId; params: ShapeParams };
+
+export const SHAPES: Record<ShapeId, { label: string; blurb: string; defaults: ShapeParams }> = {
+  cosine: { label: "Ease (cosine)", blurb: "Smooth start and finish.", defaults: {} },
+  linear: { label: "Linear", blurb: "Even steps every track.", defaults: {} },
+  sigmoid: { label: "Sigmoid", blurb: "Stay close, switch in the middle, then settle.", defaults: { steepness: 10 } },
+  iso: { label: "Iso-principle", blurb: "Match the current mood for a few tracks, then shift.", defaults: { hold: 0.3 } },
+  overshoot: { label: "Overshoot & settle", blurb: "Go a little past the goal, then ease back.", defaults: { overshoot: 0.15 } },
+  custom: { label: "Custom", blurb: "Drag the points in the editor.", defaults: { knots: [0, 0.1, 0.35, 0.65, 0.9, 1] } },
+};
+
+export const SHAPE_IDS = Object.keys(SHAPES) as ShapeId[];
+export const DEFAULT_SHAPE: Shape = { id: "cosine", params: {} };
+export const KNOTS_T = [0, 0.2, 0.4, 0.6, 0.8, 1];
+
+const clamp = (a:number, x:number, b:number) => Math.max(a, Math.min(b, x));
+const easeCos = (t:number) => 0.5 - 0.5 * Math.cos(Math.PI * t);
+
+export const paramsFor = (s: Shape): ShapeParams => ({ ...SHAPES[s.id]?.defaults, ...s.params });
+
+// Catmull-Rom through the knots, evaluated at t.
+function interpolate(knots: number[], t: number) {
+  const seg = Math.min(KNOTS_T.length - 2, Math.floor(t / 0.2));
+  const u = (t - KNOTS_T[seg]) / 0.2;
+  const p0 = knots[Math.max(0, seg - 1)], p1 = knots[seg], p2 = knots[seg + 1], p3 = knots[Math.min(knots.length - 1, seg + 2)];
+  return 0.5 * (2 * p1 + (-p0 + p2) * u + (2 * p0 - 5 * p1 + 4 * p2 - p3) * u * u + (-p0 + 3 * p1 - 3 * p2 + p3) * u * u * u);
+}
+
+export function progress(shape: Shape, t: number): number {
+  t = clamp(0, t, 1);
+  const p = paramsFor(shape);
+  switch (shape.id) {
+    case "linear":
+      return t;
+    case "sigmoid": {
+      const k = p.steepness ?? 10;
+      const f = (x: number) => 1 / (1 + Math.exp(-k * (x - 0.5)));
+      return (f(t) - f(0)) / (f(1) - f(0));
+    }
+    case "iso": {
+      const hold = clamp(0, p.hold ?? 0.3, 0.9);
+      return t <= hold ? 0 : easeCos((t - hold) / (1 - hold));
+    }
+    case "overshoot": {
+      const a = p.overshoot ?? 0.15, peak = 0.7;
+      return t <= peak ? (1 + a) * easeCos(t / peak) : 1 + a - a * easeCos((t - peak) / (1 - peak));
+    }
+    case "custom": {
+      const knots = p.knots?.length === KNOTS_T.length ? p.knots : SHAPES.custom.defaults.knots!;
+      return interpolate(knots, t);
+    }
+    default:
+      return easeCos(t);
+  }
+}
+
+// Start a custom shape from whatever the current shape looks like at the knots.
+export function toCustom(shape: Shape): Shape {
+  return { id: "custom", params: { knots: KNOTS_T.map(t => progress(shape, t)) } };
+}
+
+export function shapeLabel(shape?: Shape) {
+  return SHAPES[shape?.id ?? "cosine"]?.label ?? "Ease (cosine)";
+}
@@ -0,0 +1,79 @@
+// VibeShift — Daily signal series (IndexedDB)
+// -------------------------------------------
+// One row per local calendar day with that day's health readings. Only
+// health exports and readings the user records on purpose (Home → Record
+// today) are written; moving a slider or loading the demo preset is not.
+// Each value remembers where it came from: the export's label, or who
+// recorded it by hand. Personal baselines use imported and user-recorded
+// values only (baselineValue), so demo values never become "normal for you".
+
+import { tx } from "./idb";
+
+export type SignalKey = "hrv" | "rhr" | "steps" | "sleepHours";
+export const SIGNAL_KEYS: SignalKey[] = ["hrv", "rhr", "steps", "sleepHours"];
+
+export type RecordedBy = "user" | "demo";
+
+export type DaySignals = {
+  date: string; // YYYY-MM-DD, local time
+  hrv?: number; rhr?: number; steps?: number; sleepHours?: number;
+  imported?: Partial<Record<SignalKey, string>>; // field → source label
+  recorded?: Partial<Record<SignalKey, RecordedBy>>; // field → who entered it by hand
+  updatedAt: number;
+};
+
+// A day's value for the baselines, or undefined when it wasn't imported or
+// recorded by the user (demo values, and untagged rows the sliders used to write).
+export function baselineValue(d: DaySignals, k: SignalKey): number | undefined {
+  const x = d[k];
+  if (typeof x !== "number" || !Number.isFinite(x)) return undefined;
+  return d.imported?.[k] || d.recorded?.[k] === "user" ? x : undefined;
+}
+
+export const dayKey = (d: Date = new Date()) =>
+  `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+
+export function getDay(date: string) {
+  return tx<DaySignals | undefined>("signals", "readonly", s => s.get(date));
+}
+
+// Values recorded by hand; an imported field that the user changed stops
+// being "imported" and is tagged with who recorded it instead.
+export async function upsertDay(date: string, patch: Partial<Record<SignalKey, number>>, by: RecordedBy) {
+  const prev = await getDay(date);
+  const imported = { ...prev?.imported };
+  const recorded = { ...prev?.recorded };
+  for (const k of SIGNAL_KEYS) {
+    if (patch[k] === undefined || (imported[k] && patch[k] === prev?.[k])) continue;
+    delete imported[k];
+    recorded[k] = by;
+  }
+  await tx("signals", "readwrite", s => s.put({ ...prev, ...patch, imported, recorded, date, updatedAt: Date.now() }));
+}
+
+// Bulk write from a health export. Imported values replace manual ones for the same day.
+export async function importDays(rows: (Partial<Record<SignalKey, number>> & { date: string })[], source: string) {
+  const existing = new Map((await listDays()).map(d => [d.date, d]));
+  const now = Date.now();
+  await tx("signals", "readwrite", s => {
+    for (const row of rows) {
+      const prev = existing.get(row.date);
+      const next: DaySignals = { ...prev, date: row.date, imported: { ...prev?.imported }, updatedAt: now };
+      for (const k of SIGNAL_KEYS) {
+        if (row[k] === undefined) continue;
+        next[k] = row[k];
+        next.imported![k] = source;
+        if (next.recorded) delete next.recorded[k];
+      }
+      s.put(next);
+    }
+    return s.count(); // any request will do: tx resolves once the puts commit
+  });
+}
+
+export async function listDays(): Promise<DaySignals[]> {
+  const all = await tx<DaySignals[]>("signals", "readonly", s => s.getAll());
+  return all.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+export const clearDays = () => tx("signals", "readwrite", s => s.clear());
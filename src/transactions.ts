@@ -0,0 +1,251 @@
+// VibeShift — Transaction ledger + spend anomaly
+// ----------------------------------------------
+// Imported transactions live in IndexedDB, one row per transaction id, so
+// re-importing the same file is a no-op. `amount` follows Plaid's sign
+// convention: positive = money out. Inflows (payday, refunds) never count as
+// spending; transfers, rent and other recurring bills are set aside before the
+// anomaly is computed.
+//
+//   spend_anomaly = clamp(0, z / 3, 1)
+//   z = (log1p(last 24h spend) − median) / max(1.4826·MAD, MIN_SCALE)
+//
+// with median / MAD over log1p of daily discretionary spend for the
+// BASELINE_DAYS before the window. Logs and MAD keep one big shopping day from
+// dragging the baseline around.
+
+import { csvRecords, parseDay } from "./csv";
+import { tx } from "./idb";
+
+export type TxnSource = "plaid" | "ofx" | "csv" | "gmail";
+
+export type Txn = {
+  id: string;
+  date: string;       // YYYY-MM-DD, local
+  at?: number;        // epoch ms when the source has a time of day
+  amount: number;     // positive = spend
+  merchant: string;
+  category?: string;
+  source: TxnSource;
+  pending?: boolean;
+};
+
+// ---------- Parsers ----------
+// Plaid /transactions/get (or /transactions/sync "added") response body.
+export function parsePlaidJson(data: any): Txn[] {
+  const rows: any[] = data?.transactions ?? data?.added ?? (Array.isArray(data) ? data : []);
+  return rows.filter(t => t && t.transaction_id && Number.isFinite(t.amount)).map(t => {
+    const dt = t.authorized_datetime ?? t.datetime;
+    return {
+      id: `plaid:${t.transaction_id}`,
+      date: t.authorized_date ?? t.date,
+      at: dt ? Date.parse(dt) : undefined,
+      amount: t.amount,
+      merchant: t.merchant_name ?? t.name ?? "Unknown",
+      category: t.personal_finance_category?.primary ?? t.category?.join(" / "),
+      source: "plaid" as const,
+      pending: !!t.pending,
+    };
+  });
+}
+
+// OFX 1.x is SGML (closing tags optional), 2.x is XML; read <TAG>value up to the next "<".
+export function parseOfx(text: string): Txn[] {
+  const out: Txn[] = [];
+  const acct = /<ACCTID>([^<\r\n]+)/i.exec(text)?.[1]?.trim() ?? "";
+  for (const m of text.matchAll(/<STMTTRN>([\s\S]*?)(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi)) {
+    const field = (tag: string) => new RegExp(`<${tag}>([^<\\r\\n]*)`, "i").exec(m[1])?.[1]?.trim();
+    const posted = field("DTPOSTED") ?? "";
+    const amount = -Number(field("TRNAMT"));
+    const fitid = field("FITID");
+    if (!/^\d{8}/.test(posted) || !Number.isFinite(amount) || !fitid) continue;
+    out.push({
+      id: `ofx:${acct}:${fitid}`,
+      date: `${posted.slice(0, 4)}-${posted.slice(4, 6)}-${posted.slice(6, 8)}`,
+      amount,
+      merchant: field("NAME") ?? field("PAYEE") ?? field("MEMO") ?? "Unknown",
+      category: field("TRNTYPE"),
+      source: "ofx",
+    });
+  }
+  return out;
+}
+
+const norm = (k: string) => k.toLowerCase().replace(/[^a-z0-9]/g, "");
+// "1,234.56", "(12.50)", and European "1.234,56" / "-12,50".
+function money(x: string | undefined) {
+  if (!x) return NaN;
+  let s = x.replace(/[^0-9.,\-()]/g, "");
+  s = /,\d{1,2}\)?$/.test(s) ? s.replace(/\./g, "").replace(",", ".") : s.replace(/,/g, "");
+  return Number(s.replace(/^\((.*)\)$/, "-$1"));
+}
+
+const COLS = {
+  date: ["date", "transactiondate", "posteddate", "postingdate", "bookingdate", "valuedate"],
+  desc: ["description", "merchant", "name", "payee", "details", "memo", "narrative"],
+  amount: ["amount", "transactionamount", "amountcad", "amountusd"],
+  debit: ["debit", "withdrawal", "withdrawals", "moneyout", "paidout"],
+  credit: ["credit", "deposit", "deposits", "moneyin", "paidin"],
+  category: ["category", "type"],
+};
+
+// Generic bank export. With a single Amount column, negatives are spending;
+// if the file has no negatives at all (many card exports), positives are.
+export function parseBankCsv(text: string): Txn[] {
+  const rows = csvRecords(text);
+  if (!rows.length) return [];
+  const keys = new Map(Object.keys(rows[0]).map(k => [norm(k), k]));
+  const col = (names: string[]) => names.map(n => keys.get(n)).find(Boolean);
+  const c = Object.fromEntries(Object.entries(COLS).map(([k, v]) => [k, col(v)])) as Record<keyof typeof COLS, string | undefined>;
+  if (!c.date || !(c.amount || c.debit)) return [];
+  const negIsSpend = !c.amount || rows.some(r => money(r[c.amount!]) < 0);
+  const seen = new Map<string, number>();
+  const out: Txn[] = [];
+  for (const r of rows) {
+    const date = parseDay(r[c.date]);
+    let amount = c.amount ? money(r[c.amount]) : (money(r[c.debit!]) || 0) - (money(r[c.credit ?? ""]) || 0);
+    if (c.amount && negIsSpend) amount = -amount;
+    if (!date || !Number.isFinite(amount) || amount === 0) continue;
+    const merchant = (c.desc && r[c.desc]) || "Unknown";
+    // Same date/amount/merchant twice in one file is two coffees, not a duplicate.
+    const base = `csv:${date}:${amount.toFixed(2)}:${merchant.toLowerCase()}`;
+    const k = (seen.get(base) ?? 0) + 1;
+    seen.set(base, k);
+    out.push({ id: `${base}:${k}`, date, amount, merchant, category: c.category && r[c.category], source: "csv" });
+  }
+  return out;
+}
+
+// Picks the parser from the file name, then the content.
+export function parseTransactions(text: string, filename = ""): Txn[] {
+  if (/\.(ofx|qfx)$/i.test(filename) || /<OFX>/i.test(text.slice(0, 4096))) return parseOfx(text);
+  if (/\.json$/i.test(filename) || /^\s*[{[]/.test(text)) return parsePlaidJson(JSON.parse(text));
+  return parseBankCsv(text);
+}
+
+// ---------- Ledger ----------
+export async function saveTransactions(txns: Txn[]) {
+  await tx("transactions", "readwrite", s => {
+    for (const t of txns) s.put(t);
+    return s.count(); // any request will do: tx resolves once the puts commit
+  });
+}
+
+export async function listTransactions(): Promise<Txn[]> {
+  const all = await tx<Txn[]>("transactions", "readonly", s => s.getAll());
+  return all.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+export const clearTransactions = () => tx("transactions", "readwrite", s => s.clear());
+
+// ---------- Anomaly ----------
+export const BASELINE_DAYS = 56;
+export const MIN_HISTORY_DAYS = 14;
+const MIN_SCALE = 0.35; // log units; floors the spread for very regular spenders
+
+const BILL = /\b(rent|mortgage|landlord|property|strata|hoa|tuition|insurance|loan|utilities|hydro|internet|phone bill)\b/i;
+const NOT_SPEND = /transfer|credit card payment|payment.*thank you|^payment$|loan_payments|rent_and_utilities|^xfer|e-?transfer/i;
+
+const merchantKey = (m: string) => m.toLowerCase().replace(/[^a-z ]/g, " ").split(/\s+/).filter(Boolean).slice(0, 3).join(" ");
+const dayMs = (d: string) => Date.parse(`${d}T12:00:00`);
+
+// Ids of transactions that look like bills: keyword hits, or the same merchant
+// at a similar amount roughly every 2 or 4 weeks.
+export function recurringIds(txns: Txn[]): Set<string> {
+  const out = new Set<string>();
+  const groups = new Map<string, Txn[]>();
+  for (const t of txns) {
+    if (t.amount <= 0) continue;
+    if (BILL.test(t.merchant) || NOT_SPEND.test(t.category ?? "") || NOT_SPEND.test(t.merchant)) { out.add(t.id); continue; }
+    const k = merchantKey(t.merchant);
+    groups.set(k, [...(groups.get(k) ?? []), t]);
+  }
+  for (const g of groups.values()) {
+    if (g.length < 2) continue;
+    g.sort((a, b) => a.date.localeCompare(b.date));
+    const amounts = g.map(t => t.amount).sort((a, b) => a - b);
+    const mid = amounts[Math.floor(amounts.length / 2)];
+    for (let i = 1; i < g.length; i++) {
+      const gap = (dayMs(g[i].date) - dayMs(g[i - 1].date)) / 86_400_000;
+      const similar = Math.abs(g[i].amount - mid) <= 0.15 * mid && Math.abs(g[i - 1].amount - mid) <= 0.15 * mid;
+      if (similar && ((gap >= 26 && gap <= 35) || (gap >= 13 && gap <= 16))) { out.add(g[i].id); out.add(g[i - 1].id); }
+    }
+  }
+  return out;
+}
+
+export type SpendReport = {
+  score: number;                // 0..1, what the slider / context get
+  z: number;
+  windowTotal: number;          // discretionary spend in the last 24h
+  baseline: { median: number; mad: number; days: number }; // daily spend, in currency units
+  drivers: { txn: Txn; share: number }[];   // what made up the window, largest first
+  ignored: { txn: Txn; reason: string }[];  // window transactions left out
+};
+
+const median = (xs: number[]) => {
+  const s = [...xs].sort((a, b) => a - b), m = Math.floor(s.length / 2);
+  return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+};
+
+const localDay = (ms: number) => new Date(ms).toLocaleDateString("en-CA");
+
+// How much of a transaction falls in the 24h window. Date-only rows from
+// yesterday count for the part of yesterday that is still inside it.
+function windowWeight(t: Txn, now: number) {
+  if (t.at !== undefined && Number.isFinite(t.at)) return t.at > now - 86_400_000 && t.at <= now ? 1 : 0;
+  const today = localDay(now);
+  if (t.date === today) return 1;
+  if (t.date === localDay(now - 86_400_000)) {
+    const d = new Date(now);
+    return 1 - (d.getHours() + d.getMinutes() / 60) / 24;
+  }
+  return 0;
+}
+
+// null until the ledger covers MIN_HISTORY_DAYS before the window.
+export function spendAnomaly(txns: Txn[], now = Date.now()): SpendReport | null {
+  if (!txns.length) return null;
+  const bills = recurringIds(txns);
+  const spend = txns.filter(t => t.amount > 0 && !t.pending);
+
+  // Baseline: full days before yesterday, from the first ledger day on (no invented zero days).
+  const first = txns.reduce((m, t) => (t.date < m ? t.date : m), txns[0].date);
+  const days: string[] = [];
+  for (let i = 2; i < 2 + BASELINE_DAYS; i++) {
+    const d = localDay(now - i * 86_400_000);
+    if (d < first) break;
+    days.push(d);
+  }
+  if (days.length < MIN_HISTORY_DAYS) return null;
+  const daily = new Map(days.map(d => [d, 0]));
+  for (const t of spend) if (!bills.has(t.id) && daily.has(t.date)) daily.set(t.date, daily.get(t.date)! + t.amount);
+  const raw = [...daily.values()];
+  const logs = raw.map(Math.log1p);
+  const med = median(logs);
+  const mad = median(logs.map(x => Math.abs(x - med)));
+
+  const drivers: SpendReport["drivers"] = [];
+  const ignored: SpendReport["ignored"] = [];
+  let windowTotal = 0;
+  for (const t of txns) {
+    const w = windowWeight(t, now);
+    if (!w) continue;
+    if (t.amount <= 0) ignored.push({ txn: t, reason: "income / refund" });
+    else if (t.pending) ignored.push({ txn: t, reason: "pending" });
+    else if (bills.has(t.id)) ignored.push({ txn: t, reason: "bill / transfer" });
+    else { windowTotal += w * t.amount; drivers.push({ txn: t, share: w * t.amount }); }
+  }
+  for (const d of drivers) d.share = windowTotal ? d.share / windowTotal : 0;
+  drivers.sort((a, b) => b.share - a.share);
+
+  const z = (Math.log1p(windowTotal) - med) / Math.max(1.4826 * mad, MIN_SCALE);
+  const rawMed = median(raw);
+  return {
+    score: Math.max(0, Math.min(1, z / 3)),
+    z,
+    windowTotal,
+    baseline: { median: rawMed, mad: median(raw.map(x => Math.abs(x - rawMed))), days: days.length },
+    drivers,
+    ignored,
+  };
+}
@@ -0,0 +1,107 @@
+// VibeShift — Sealed storage for secrets
+// --------------------------------------
+// Secrets (OAuth tokens, API tokens) are encrypted with AES-GCM before they
+// touch IndexedDB. The key is generated on first use as a non-extractable
+// CryptoKey and stored in the same database, under KEY_ID. Non-extractable
+// only stops exportKey: any script on this origin can still load the key and
+// unseal, and the key material sits in the profile's IndexedDB files, so a
+// copy of those files carries the key with it. The device key keeps secrets
+// out of plain localStorage and casual view, nothing more. Only the
+// passphrase key below, which is never stored, holds up against a script that
+// reads the database or a copied profile.
+//
+// Sensitive settings (sensitive.ts) use a second key: the device key too by
+// default, or one derived from a passphrase (PBKDF2-SHA-256) that has to be
+// entered each time the app opens. A sealed check value tells a wrong
+// passphrase from a right one.
+
+import { kvDelete, kvGet, kvSet } from "./idb";
+
+const KEY_ID = "vault:device-key";
+const CONFIG_ID = "vault:passphrase";
+const PBKDF2_ITERATIONS = 310_000;
+const CHECK = "vibeshift";
+
+export type Sealed = { v: 1; iv: Uint8Array; data: ArrayBuffer };
+type PassphraseConfig = { salt: Uint8Array; iterations: number; check: Sealed };
+
+let keyPromise: Promise<CryptoKey> | null = null;
+
+function deviceKey(): Promise<CryptoKey> {
+  keyPromise ??= (async () => {
+    const saved = await kvGet<CryptoKey>(KEY_ID);
+    if (saved) return saved;
+    const key = await crypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, false, ["encrypt", "decrypt"]);
+    await kvSet(KEY_ID, key);
+    return key;
+  })().catch(err => { keyPromise = null; throw err; });
+  return keyPromise;
+}
+
+export async function seal(value: unknown, key?: CryptoKey): Promise<Sealed> {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key ?? await deviceKey(), new TextEncoder().encode(JSON.stringify(value)));
+  return { v: 1, iv, data };
+}
+
+export async function unseal<T>(s: Sealed, key?: CryptoKey): Promise<T> {
+  const plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: s.iv }, key ?? await deviceKey(), s.data);
+  return JSON.parse(new TextDecoder().decode(plain));
+}
+
+export const putSecret = async (id: string, value: unknown) => kvSet(`secret:${id}`, await seal(value));
+
+export async function getSecret<T>(id: string): Promise<T | undefined> {
+  const s = await kvGet<Sealed>(`secret:${id}`);
+  return s ? unseal<T>(s) : undefined;
+}
+
+export const deleteSecret = (id: string) => kvDelete(`secret:${id}`);
+
+// ---------- Settings key ----------
+let settingsKey: CryptoKey | null = null;
+
+async function passphraseKey(passphrase: string, salt: Uint8Array, iterations: number) {
+  const base = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey({ name: "PBKDF2", salt, iterations, hash: "SHA-256" }, base, { name: "AES-GCM", length: 256 }, false, ["encrypt", "decrypt"]);
+}
+
+export const hasPassphrase = async () => !!(await kvGet<PassphraseConfig>(CONFIG_ID));
+
+// Resolves false while a passphrase is set and `passphrase` is missing or wrong.
+export async function unlock(passphrase?: string): Promise<boolean> {
+  const c = await kvGet<PassphraseConfig>(CONFIG_ID);
+  if (!c) {
+    settingsKey = await deviceKey();
+    return true;
+  }
+  if (passphrase === undefined) return false;
+  const key = await passphraseKey(passphrase, c.salt, c.iterations);
+  const ok = await unseal<string>(c.check, key).then(v => v === CHECK, () => false);
+  if (ok) settingsKey = key;
+  return ok;
+}
+
+// null goes back to the device key. Callers re-seal what they hold.
+export async function setPassphrase(passphrase: string | null) {
+  if (!passphrase) {
+    await kvDelete(CONFIG_ID);
+    settingsKey = await deviceKey();
+    return;
+  }
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await passphraseKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const config: PassphraseConfig = { salt, iterations: PBKDF2_ITERATIONS, check: await seal(CHECK, key) };
+  await kvSet(CONFIG_ID, config);
+  settingsKey = key;
+}
+
+export function sealSetting(value: unknown) {
+  if (!settingsKey) return Promise.reject(new Error("vault is locked"));
+  return seal(value, settingsKey);
+}
+
+export function unsealSetting<T>(s: Sealed) {
+  if (!settingsKey) return Promise.reject(new Error("vault is locked"));
+  return unseal<T>(s, settingsKey);
+}
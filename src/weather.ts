@@ -0,0 +1,109 @@
+// VibeShift — Weather + gloom
+// ---------------------------
+// Reads an Open-Meteo-style hourly forecast (temperature_2m, precipitation,
+// cloud_cover) from VITE_WEATHER_API, so `npm run mock:weather` or any
+// compatible service can stand in. Responses are cached in IndexedDB per
+// rounded location for CACHE_MS, and a stale copy is used when offline.
+//
+// Gloom is the one weather formula the mood model and buildContext share:
+//
+//   gloom = 0.35·clamp(precip / 10 mm) + 0.25·cloud + 0.40·min(1, |temp − comfort| / 17)
+//
+// `comfort` adapts to place and season: halfway between 17 °C and the recent
+// local mean (past 14 days of the forecast response), or a latitude/season
+// climatology when we have no data. With a forecast, gloom is averaged hour
+// by hour over the session window instead of taken from one snapshot.
+
+import { kvGet, kvSet } from "./idb";
+
+export const WEATHER_API = (import.meta as any)?.env?.VITE_WEATHER_API || "https://api.open-meteo.com";
+export const DEFAULT_COMFORT_C = 17;
+const CACHE_MS = 60 * 60 * 1000;
+const PAST_DAYS = 14;
+const MINUTES_PER_TRACK = 3.5;
+
+export type WeatherNow = { precip: number; cloud: number; tempC: number }; // precip in mm/day
+export type WeatherHour = { time: number; precip: number; cloud: number; tempC: number }; // precip in mm/h
+export type Forecast = { lat: number; lon: number; fetchedAt: number; hours: WeatherHour[]; stale?: boolean };
+
+const clamp = (a:number, x:number, b:number) => Math.max(a, Math.min(b, x));
+
+export function gloomIndex(w: WeatherNow, comfortC = DEFAULT_COMFORT_C) {
+  const tempDiscomfort = Math.min(1, Math.abs(w.tempC - comfortC) / 17);
+  return 0.35 * clamp(0, w.precip / 10, 1) + 0.25 * clamp(0, w.cloud / 100, 1) + 0.40 * tempDiscomfort;
+}
+
+// Rough climatology: annual mean falls off with latitude, the seasonal swing
+// grows with it, and the warmest day is ~19 Jul north / ~17 Jan south.
+export function seasonalNormal(lat: number, date = new Date()) {
+  const doy = (date.getTime() - new Date(date.getFullYear(), 0, 0).getTime()) / 86_400_000;
+  const peak = lat >= 0 ? 200 : 17;
+  const mean = 30 - 0.4 * Math.abs(lat);
+  const amp = 0.15 * Math.abs(lat);
+  return mean + amp * Math.cos((2 * Math.PI * (doy - peak)) / 365);
+}
+
+// People adapt: a 5 °C day is gloomier in July than in January.
+export function comfortTemp(lat: number | undefined, date = new Date(), recentMeanC?: number) {
+  const local = recentMeanC ?? (lat === undefined ? DEFAULT_COMFORT_C : seasonalNormal(lat, date));
+  return clamp(8, DEFAULT_COMFORT_C + 0.5 * (local - DEFAULT_COMFORT_C), 24);
+}
+
+// ---------- Forecast ----------
+export function parseForecast(json: any, lat: number, lon: number): Forecast {
+  const h = json?.hourly;
+  if (!h || !Array.isArray(h.time)) throw new Error("weather: no hourly data");
+  const offset = (json.utc_offset_seconds ?? 0) * 1000;
+  const hours: WeatherHour[] = h.time.map((t: number | string, i: number) => ({
+    // unixtime seconds, or local ISO strings without a zone (Open-Meteo's default)
+    time: typeof t === "number" ? t * 1000 : Date.parse(`${t}Z`) - offset,
+    precip: Number(h.precipitation?.[i] ?? 0),
+    cloud: Number(h.cloud_cover?.[i] ?? h.cloudcover?.[i] ?? 0),
+    tempC: Number(h.temperature_2m?.[i]),
+  })).filter((x: WeatherHour) => Number.isFinite(x.time) && Number.isFinite(x.tempC));
+  return { lat, lon, fetchedAt: Date.now(), hours };
+}
+
+const cacheKey = (lat: number, lon: number) => `weather:${lat.toFixed(2)},${lon.toFixed(2)}`;
+
+export async function getForecast(lat: number, lon: number, base = WEATHER_API, force = false): Promise<Forecast> {
+  const cached = await kvGet<Forecast>(cacheKey(lat, lon)).catch(() => undefined);
+  if (cached && !force && Date.now() - cached.fetchedAt < CACHE_MS) return cached;
+  const url = `${base}/v1/forecast?latitude=${lat}&longitude=${lon}&hourly=temperature_2m,precipitation,cloud_cover&past_days=${PAST_DAYS}&forecast_days=2&timeformat=unixtime&timezone=auto`;
+  try {
+    const r = await fetch(url);
+    if (!r.ok) throw new Error(`weather ${r.status}`);
+    const f = parseForecast(await r.json(), lat, lon);
+    await kvSet(cacheKey(lat, lon), f).catch(() => {});
+    return f;
+  } catch (err) {
+    if (cached) return { ...cached, stale: true };
+    throw err;
+  }
+}
+
+// ---------- Session window ----------
+export const sessionWindow = (tracks: number, start = Date.now()) => ({ start, end: start + tracks * MINUTES_PER_TRACK * 60_000 });
+
+export function recentMeanTemp(f: Forecast, now = Date.now()) {
+  const past = f.hours.filter(h => h.time <= now && h.time > now - PAST_DAYS * 86_400_000);
+  return past.length >= 24 ? past.reduce((s, h) => s + h.tempC, 0) / past.length : undefined;
+}
+
+export type WindowWeather = WeatherNow & { gloom: number; comfortC: number; hours: number };
+
+// Hour-overlap-weighted averages over [start, end), plus the mean of hourly gloom.
+export function windowWeather(f: Forecast, win: { start: number; end: number }): WindowWeather | null {
+  const comfortC = comfortTemp(f.lat, new Date(win.start), recentMeanTemp(f, win.start));
+  let wsum = 0, precip = 0, cloud = 0, tempC = 0, gloom = 0;
+  for (const h of f.hours) {
+    const overlap = Math.min(win.end, h.time + 3_600_000) - Math.max(win.start, h.time);
+    if (overlap <= 0) continue;
+    const w = overlap / 3_600_000;
+    const now = { precip: h.precip * 24, cloud: h.cloud, tempC: h.tempC }; // mm/h → mm/day scale
+    wsum += w; precip += w * now.precip; cloud += w * h.cloud; tempC += w * h.tempC;
+    gloom += w * gloomIndex(now, comfortC);
+  }
+  if (!wsum) return null;
+  return { precip: precip / wsum, cloud: cloud / wsum, tempC: tempC / wsum, gloom: gloom / wsum, comfortC, hours: wsum };
+}